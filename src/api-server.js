@@ -11,8 +11,19 @@ const rootRoutes = require('./routes/rootRoutes');
 const deviceRoutes = require('./routes/deviceRoutes');
 const attendanceRoutes = require('./routes/attendanceRoutes');
 const shiftRoutes = require('./routes/shiftRoutes');
+const shiftTemplateRoutes = require('./routes/shiftTemplateRoutes');
+const holidayRoutes = require('./routes/holidayRoutes');
+const employeeRoutes = require('./routes/employeeRoutes');
+const correctionRoutes = require('./routes/correctionRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const cacheRoutes = require('./routes/cacheRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
 const healthRoutes = require('./routes/healthRoutes');
+const streamRoutes = require('./routes/streamRoutes');
+const realtimeService = require('./services/realtimeService');
+const holidayService = require('./services/holidayService');
+const apiKeyService = require('./services/apiKeyService');
 
 // Import new webhook scheduler (disabled per request)
 // const WebhookScheduler = require('./triggers/webhookScheduler');
@@ -24,6 +35,9 @@ const {
     devicePrefixMiddleware, 
     responseTimeHeaderMiddleware 
 } = require('./middleware/performanceMiddleware');
+const { authMiddleware } = require('./middleware/authMiddleware');
+const { createRouteClassRateLimitMiddleware } = require('./middleware/rateLimitMiddleware');
+const { cacheMiddleware } = require('./middleware/cacheMiddleware');
 
 const app = express();
 const PORT = config.ENV.API_PORT;
@@ -41,11 +55,28 @@ app.use(devicePrefixMiddleware);
 app.use(responseTimeHeaderMiddleware);
 app.use(performanceMiddleware);
 
+// API key authentication (after devicePrefixMiddleware, which resolves the device a request targets)
+app.use(authMiddleware);
+
+// Rate limits per API key and route class (after authMiddleware, which identifies the key)
+app.use(createRouteClassRateLimitMiddleware());
+
+// ?fresh=true and X-Cache / Cache-Control headers for cached attendance and shift reads
+app.use(cacheMiddleware);
+
 // Route mounting for new architecture
 app.use('/', rootRoutes);                    // Root and health endpoints
+app.use('/', cacheRoutes);                   // Read cache endpoints (before deviceRoutes, whose DELETE /:prefix would take DELETE /cache)
 app.use('/', deviceRoutes);                  // Device management endpoints
+app.use('/', streamRoutes);                  // Real-time streaming endpoints
 app.use('/', attendanceRoutes);              // Attendance endpoints
 app.use('/', shiftRoutes);                   // Shift endpoints
+app.use('/', shiftTemplateRoutes);           // Shift template and assignment endpoints
+app.use('/', holidayRoutes);                 // Holiday calendar endpoints
+app.use('/', employeeRoutes);                // Employee directory endpoints
+app.use('/', correctionRoutes);              // Punch correction and audit endpoints
+app.use('/', reportRoutes);                  // Timesheet and payroll export endpoints
+app.use('/', apiKeyRoutes);                  // API key management endpoints
 app.use('/', webhookRoutes);                 // Webhook endpoints
 app.use('/', healthRoutes);                  // Health monitoring endpoints
 
@@ -124,12 +155,35 @@ const server = app.listen(PORT, HOST, () => {
     console.log(`   📡 Fleet Webhook: http://${HOST}:${PORT}/devices/webhook/todayShift`);
     console.log(`   🧪 Test Webhook: http://${HOST}:${PORT}/webhook/test`);
     
+    // Real-time endpoints
+    console.log(`\n📡 Real-time Endpoints:`);
+    console.log(`   📡 Fleet Stream: http://${HOST}:${PORT}/attendance/stream`);
+    console.log(`   📡 Device Stream: http://${HOST}:${PORT}/:prefix/attendance/stream`);
+    console.log(`   📊 Listener Status: http://${HOST}:${PORT}/attendance/stream/status`);
+    
     console.log(`\n⚙️ Configuration:`);
     console.log(`   Total Devices: ${devices.length}`);
     devices.forEach(device => {
         console.log(`   ${device.id}: ${device.ip}:${device.port} (${device.location})`);
     });
     
+    console.log(`\n🔐 API Key Authentication: ${config.AUTH.ENABLED ? 'enabled' : 'DISABLED (API_AUTH_ENABLED=false)'}`);
+    if (config.AUTH.ENABLED && !config.AUTH.BOOTSTRAP_KEY && apiKeyService.getKeys().every(key => key.revokedAt)) {
+        console.warn(`   ⚠️ No active API keys and no API_BOOTSTRAP_KEY set: every protected route will answer 401`);
+    }
+    if (config.RATE_LIMIT.ENABLED) {
+        const { READ_LIMIT, DEVICE_LIMIT, WEBHOOK_LIMIT, WINDOW_MS, REDIS_URL } = config.RATE_LIMIT;
+        console.log(`🚦 Rate Limits per ${WINDOW_MS / 1000}s: ${READ_LIMIT} reads, ${DEVICE_LIMIT} device requests, ${WEBHOOK_LIMIT} webhook triggers (${REDIS_URL ? 'shared via Redis' : 'per machine'})`);
+    } else {
+        console.log(`🚦 Rate Limits: DISABLED (RATE_LIMIT_ENABLED=false)`);
+    }
+    if (config.CACHE.ENABLED) {
+        const overrides = Object.entries(config.CACHE.DEVICE_TTL_SECONDS).map(([deviceId, seconds]) => `${deviceId} ${seconds}s`);
+        console.log(`🗄️ Read Cache: ${config.CACHE.TTL_SECONDS}s fresh, ${config.CACHE.STALE_SECONDS}s stale-while-revalidate${overrides.length > 0 ? ` (${overrides.join(', ')})` : ''}`);
+    } else {
+        console.log(`🗄️ Read Cache: DISABLED (CACHE_ENABLED=false)`);
+    }
+    
     console.log(`\n🎯 New Architecture Features:`);
     console.log(`   ✅ Device-scoped endpoints with :prefix parameter`);
     console.log(`   ✅ Fleet-level aggregation endpoints`);
@@ -139,6 +193,17 @@ const server = app.listen(PORT, HOST, () => {
     
     console.log(`\n🎯 Ready for scalable multi-device operations!`);
 
+    // Keep real-time listeners running for every device when enabled;
+    // otherwise listeners start on demand when a stream is opened
+    if (config.REALTIME.ENABLED) {
+        realtimeService.startAll();
+    }
+
+    // Pick up holiday calendar files dropped into $DATA_DIR/holidays
+    holidayService.loadCalendarFiles().catch(error => {
+        console.error('❌ Failed to load holiday calendars:', error.message);
+    });
+
     // Initialize the new multi-device webhook scheduler (disabled per request)
     // console.log('\n🚀 Initializing Multi-Device Webhook Scheduler...');
     // const webhookScheduler = new WebhookScheduler();
@@ -168,10 +233,16 @@ process.on('SIGINT', async () => {
     //     await new Promise(resolve => setTimeout(resolve, 2000));
     // }
     
+    // Close real-time device sessions
+    await realtimeService.stopAll();
+    
     server.close(() => {
         console.log('✅ Server stopped gracefully');
         process.exit(0);
     });
+    
+    // Open streams would otherwise keep the server from closing
+    server.closeAllConnections();
 });
 
 // Handle uncaught exceptions
@@ -182,6 +253,13 @@ process.on('uncaughtException', (error) => {
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
+    // node-zklib keeps running after rejecting a timed-out data request and then throws on the
+    // missing reply; the request itself has already failed cleanly, so keep serving
+    if (reason && reason.stack && reason.stack.includes('node-zklib')) {
+        console.error('⚠️ Ignoring node-zklib internal error after a failed device request:', reason.message);
+        return;
+    }
+    
     console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
     process.exit(1);
 });
@@ -1,6 +1,7 @@
 // config.js - Centralized configuration for the ZKTeco Attendance Data Puller
 // This file centralizes all important variables and constants to avoid duplication
 require('dotenv').config();
+const path = require('path');
 
 // Helper functions to enforce presence and type of required env vars
 function requireEnvVar(name) {
@@ -20,6 +21,44 @@ function requireIntEnvVar(name) {
     return parsed;
 }
 
+// Parse a weekday list such as "6,0" (0 = Sunday ... 6 = Saturday); returns null when unset
+function parseWeekdayList(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+    const days = String(value).split(',').map(day => parseInt(day.trim(), 10));
+    if (days.some(day => Number.isNaN(day) || day < 0 || day > 6)) {
+        throw new Error(`Weekday lists must be comma-separated numbers from 0 (Sunday) to 6 (Saturday). Received: ${value}`);
+    }
+    return [...new Set(days)];
+}
+
+// Parse a number of seconds (0 allowed) from an env var; returns the fallback when unset
+function parseSecondsEnvVar(name, fallback) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+        return fallback;
+    }
+    const seconds = Number(raw);
+    if (!Number.isInteger(seconds) || seconds < 0) {
+        throw new Error(`Environment variable ${name} must be a whole number of seconds (0 or more). Received: ${raw}`);
+    }
+    return seconds;
+}
+
+// Per-device cache TTL overrides from <PREFIX>_CACHE_TTL_SECONDS (PK01_CACHE_TTL_SECONDS → { pk01: ... });
+// read by name pattern so devices added through the device registry can be tuned too
+function getDeviceCacheTtls() {
+    const ttls = {};
+    Object.keys(process.env).forEach(name => {
+        const match = name.match(/^([A-Z]{2,4}\d{2,3})_CACHE_TTL_SECONDS$/);
+        if (match) {
+            ttls[match[1].toLowerCase()] = parseSecondsEnvVar(name, null);
+        }
+    });
+    return ttls;
+}
+
 // Multi-device configuration with location-based prefixes
 function getDeviceConfigs() {
     const devices = [];
@@ -29,12 +68,15 @@ function getDeviceConfigs() {
         devices.push({
             id: 'pk01',
             prefix: 'pk01',
+            driver: 'zk',
             name: 'ZKTeco MB460 (Pakistan Primary)',
             model: 'MB460',
             ip: requireEnvVar('MB460_IP'),
             port: requireIntEnvVar('MB460_PORT'),
             timeout: requireIntEnvVar('MB460_TIMEOUT'),
             inport: requireEnvVar('MB460_INPORT'),
+            timezone: process.env.MB460_TIMEZONE || null,
+            weekendDays: parseWeekdayList(process.env.MB460_WEEKEND_DAYS),
             location: 'Pakistan',
             country: 'PK',
             description: 'Primary biometric device in Pakistan'
@@ -65,17 +107,23 @@ function getDeviceConfigs() {
     deviceConfigs.forEach(config => {
         const ip = process.env[`${config.prefix.toUpperCase()}_IP`];
         const port = process.env[`${config.prefix.toUpperCase()}_PORT`];
+        const driver = (process.env[`${config.prefix.toUpperCase()}_DRIVER`] || 'zk').toLowerCase();
         
-        if (ip && port) {
+        // Network drivers need an address; file imports only need the driver set
+        if ((ip && port) || driver === 'file') {
             devices.push({
                 id: config.prefix,
                 prefix: config.prefix,
-                name: process.env[`${config.prefix.toUpperCase()}_NAME`] || `ZKTeco Device ${config.prefix.toUpperCase()}`,
-                model: process.env[`${config.prefix.toUpperCase()}_MODEL`] || 'MB460',
-                ip: ip,
-                port: parseInt(port, 10),
+                driver,
+                name: process.env[`${config.prefix.toUpperCase()}_NAME`] || (driver === 'file' ? `File Import ${config.prefix.toUpperCase()}` : `ZKTeco Device ${config.prefix.toUpperCase()}`),
+                model: process.env[`${config.prefix.toUpperCase()}_MODEL`] || (driver === 'file' ? 'CSV Import' : 'MB460'),
+                ip: ip || null,
+                port: port ? parseInt(port, 10) : null,
                 timeout: parseInt(process.env[`${config.prefix.toUpperCase()}_TIMEOUT`] || '10000', 10),
                 inport: process.env[`${config.prefix.toUpperCase()}_INPORT`] || '4000',
+                importDir: process.env[`${config.prefix.toUpperCase()}_IMPORT_DIR`] || null,
+                timezone: process.env[`${config.prefix.toUpperCase()}_TIMEZONE`] || null,
+                weekendDays: parseWeekdayList(process.env[`${config.prefix.toUpperCase()}_WEEKEND_DAYS`]),
                 location: config.location,
                 country: config.country,
                 description: process.env[`${config.prefix.toUpperCase()}_DESCRIPTION`] || `${config.location} Device ${config.prefix}`
@@ -149,7 +197,9 @@ const N8N = {
         TODAY_SHIFT_BM: 'https://nysonian.app.n8n.cloud/webhook/today-shift-bm',
         ALL_DEVICES: 'https://nysonian.app.n8n.cloud/webhook/all-devices',
         PAKISTAN_DEVICES: 'https://nysonian.app.n8n.cloud/webhook/pakistan-devices',
-        USA_DEVICES: 'https://nysonian.app.n8n.cloud/webhook/usa-devices'
+        USA_DEVICES: 'https://nysonian.app.n8n.cloud/webhook/usa-devices',
+        // Daily exception reports have no default workflow; set N8N_WEBHOOK_EXCEPTIONS or pass webhookUrl
+        EXCEPTIONS: process.env.N8N_WEBHOOK_EXCEPTIONS || null
     },
     
     // Webhook payload structure
@@ -168,6 +218,17 @@ const SHIFT = {
     // Shift description
     DESCRIPTION: 'Shift spanning from 6 PM yesterday to 2 AM today',
     
+    // Weekend days (0 = Sunday ... 6 = Saturday) for devices without <PREFIX>_WEEKEND_DAYS;
+    // none unless configured, so every day is a working day by default
+    WEEKEND_DAYS: parseWeekdayList(process.env.WEEKEND_DAYS) || [],
+    COUNTRY_WEEKEND_DAYS: ['PK', 'US', 'UK', 'AE'].reduce((countries, country) => {
+        const days = parseWeekdayList(process.env[`WEEKEND_DAYS_${country}`]);
+        if (days) {
+            countries[country] = days;
+        }
+        return countries;
+    }, {}),
+    
     // Time formatting
     TIME_FORMAT: 'en-US',
     DATE_FORMAT: 'en-US'
@@ -187,6 +248,9 @@ const DEVICE_MANAGEMENT = {
     // Parallel processing
     MAX_CONCURRENT_DEVICES: 3, // Process max 3 devices simultaneously
     
+    // Sessions with one device run one at a time; a request waiting longer than this gets a "device busy" error
+    QUEUE_WAIT_TIMEOUT_MS: (parseInt(process.env.DEVICE_QUEUE_WAIT_TIMEOUT_SECONDS) || 90) * 1000,
+    
     // Health check settings
     HEALTH_CHECK_INTERVAL: 300000, // 5 minutes
     DEVICE_OFFLINE_THRESHOLD: 3, // Mark device offline after 3 failed attempts
@@ -200,6 +264,93 @@ const DEVICE_MANAGEMENT = {
     }
 };
 
+// Storage Configuration
+const STORAGE = {
+    // Root directory for persisted data (mount a volume here in production)
+    DATA_DIR: process.env.DATA_DIR || path.join(process.cwd(), 'data'),
+    
+    // Punch store (append-only NDJSON file per device)
+    PUNCH_STORE_DIR: 'punches',
+    
+    // Holiday calendar files (PK.ics, US.json, ...) loaded at startup
+    HOLIDAYS_DIR: 'holidays',
+    
+    // Pull from the device before answering reads; falls back to stored data when the device is unreachable
+    SYNC_ON_READ: process.env.SYNC_ON_READ !== 'false',
+    
+    // How long a device's enrolled user list is reused before it is pulled again
+    USER_LIST_MAX_AGE_MINUTES: parseInt(process.env.USER_LIST_MAX_AGE_MINUTES) || 360
+};
+
+// Response Cache Configuration
+const CACHE = {
+    // Serve repeated attendance and shift reads of a device from memory instead of pulling the device again
+    ENABLED: process.env.CACHE_ENABLED !== 'false',
+    
+    // How long a read stays fresh; <PREFIX>_CACHE_TTL_SECONDS overrides it per device (0 turns caching off for the device)
+    TTL_SECONDS: parseSecondsEnvVar('CACHE_TTL_SECONDS', 30),
+    DEVICE_TTL_SECONDS: getDeviceCacheTtls(),
+    
+    // How long an expired read is still answered with while it is refreshed in the background
+    STALE_SECONDS: parseSecondsEnvVar('CACHE_STALE_SECONDS', 120),
+    
+    // Oldest entries are evicted beyond this
+    MAX_ENTRIES: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000
+};
+
+// API Key Authentication Configuration
+const AUTH = {
+    // Require an API key on every route except GET /, /api-docs and /health (set to false only for local development)
+    ENABLED: process.env.API_AUTH_ENABLED !== 'false',
+    
+    // Key holding every scope, used to create the first keys (keep it in a secret, not in the repo)
+    BOOTSTRAP_KEY: process.env.API_BOOTSTRAP_KEY || null,
+    
+    // Key usage audit (append-only NDJSON in DATA_DIR), moved to <file>.1 once it outgrows the limit
+    USAGE_LOG_FILE: 'api-key-usage.ndjson',
+    USAGE_LOG_MAX_BYTES: (parseInt(process.env.API_KEY_USAGE_LOG_MAX_MB) || 10) * 1024 * 1024,
+    
+    // How often a key's lastUsedAt is written back to the key store
+    LAST_USED_WRITE_INTERVAL_MS: 60000
+};
+
+// Rate Limiting Configuration
+const RATE_LIMIT = {
+    // Limit requests per API key (per client IP without a key), separately for each route class
+    ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false',
+    WINDOW_MS: (parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000,
+    
+    // Requests per window: store-only reads, requests that reach a terminal, webhook triggers
+    READ_LIMIT: parseInt(process.env.RATE_LIMIT_READ) || 300,
+    DEVICE_LIMIT: parseInt(process.env.RATE_LIMIT_DEVICE) || 30,
+    WEBHOOK_LIMIT: parseInt(process.env.RATE_LIMIT_WEBHOOK) || 10,
+    
+    // Optional Redis shared by every machine (redis:// or rediss://); limits are per machine without it
+    REDIS_URL: process.env.RATE_LIMIT_REDIS_URL || null,
+    REDIS_KEY_PREFIX: 'bm:ratelimit:',
+    REDIS_TIMEOUT_MS: 500
+};
+
+// Real-time Punch Streaming Configuration
+const REALTIME = {
+    // Keep a real-time listener open on every device from server start
+    // (when disabled, listeners are opened on demand while stream subscribers are connected)
+    ENABLED: process.env.REALTIME_ENABLED === 'true',
+    
+    // Reconnect backoff
+    RECONNECT_BASE_DELAY_MS: 2000,
+    RECONNECT_MAX_DELAY_MS: 60000,
+    
+    // Keep idle on-demand listeners open briefly so quick reconnects reuse the device session
+    IDLE_STOP_DELAY_MS: 30000,
+    
+    // Server-Sent Events keep-alive comment interval
+    SSE_HEARTBEAT_MS: 25000,
+    
+    // Optional N8N webhook that receives every real-time punch
+    WEBHOOK_URL: process.env.REALTIME_WEBHOOK_URL || null
+};
+
 // Webhook Scheduler Configuration
 const WEBHOOK_SCHEDULER = {
     // Scheduling settings
@@ -279,6 +430,11 @@ module.exports = {
     N8N,
     SHIFT,
     DEVICE_MANAGEMENT,
+    STORAGE,
+    CACHE,
+    AUTH,
+    RATE_LIMIT,
+    REALTIME,
     WEBHOOK_SCHEDULER,
     LOGGING,
     ERRORS,
@@ -0,0 +1,213 @@
+// src/controllers/apiKeyController.js
+// HTTP controllers for API key management and the key usage audit
+
+const apiKeyService = require('../services/apiKeyService');
+const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+
+/**
+ * Build a failed response from a caught error
+ * @param {Error} error - Caught error
+ * @returns {Object} Error response
+ */
+function buildErrorResponse(error) {
+    if (errorTracker.hasError()) {
+        return errorTracker.getErrorResponse();
+    }
+    
+    return {
+        success: false,
+        timestamp: new Date().toISOString(),
+        error: error.message,
+        requestId: errorTracker.requestId
+    };
+}
+
+/**
+ * Check that a request body is a JSON object
+ * @param {*} body - Request body
+ */
+function requireObjectBody(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw errorTracker.setError(ERROR_STEPS.API_KEY_CONTROLLER, 'Request body must be a JSON object');
+    }
+}
+
+/**
+ * List API keys
+ * @returns {Object} Keys response
+ */
+function getKeys() {
+    try {
+        errorTracker.reset();
+        
+        const keys = apiKeyService.getKeys();
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: keys,
+            scopes: apiKeyService.API_KEY_SCOPES,
+            summary: {
+                totalKeys: keys.length,
+                active: keys.filter(key => !key.revokedAt).length,
+                revoked: keys.filter(key => key.revokedAt).length
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Get one API key
+ * @param {string} keyId - Key ID
+ * @returns {Object} Key response
+ */
+function getKey(keyId) {
+    try {
+        errorTracker.reset();
+        
+        const key = apiKeyService.getKey(keyId);
+        if (!key) {
+            throw errorTracker.setError(ERROR_STEPS.API_KEY_CONTROLLER, `API key not found: ${keyId}`);
+        }
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: key,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Create an API key
+ * @param {Object} body - { name, scopes, countries, devices, expiresAt }
+ * @param {string|null} createdBy - ID of the key that made the request
+ * @returns {Promise<Object>} Created key response carrying the key itself, which is not shown again
+ */
+async function createKey(body, createdBy) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const { key, apiKey } = await apiKeyService.createKey(body, createdBy);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: key,
+            apiKey,
+            message: 'Store this API key now; only its hash is kept and it cannot be shown again',
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Update an API key
+ * @param {string} keyId - Key ID
+ * @param {Object} body - Fields to change
+ * @returns {Promise<Object>} Updated key response
+ */
+async function updateKey(keyId, body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const key = await apiKeyService.updateKey(keyId, body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: key,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Revoke an API key
+ * @param {string} keyId - Key ID
+ * @param {string|null} revokedBy - ID of the key that made the request
+ * @returns {Promise<Object>} Revoked key response
+ */
+async function revokeKey(keyId, revokedBy) {
+    try {
+        errorTracker.reset();
+        
+        const key = await apiKeyService.revokeKey(keyId, revokedBy);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: key,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Get the API key usage audit
+ * @param {Object} query - Filters ({ keyId, outcome, from, to, limit })
+ * @returns {Promise<Object>} Usage response
+ */
+async function getUsage(query = {}) {
+    try {
+        errorTracker.reset();
+        
+        if (query.outcome && !['allowed', 'denied'].includes(query.outcome)) {
+            throw errorTracker.setError(ERROR_STEPS.API_KEY_CONTROLLER, 'outcome must be allowed or denied');
+        }
+        ['from', 'to'].forEach(field => {
+            if (query[field] && Number.isNaN(new Date(query[field]).getTime())) {
+                throw errorTracker.setError(ERROR_STEPS.API_KEY_CONTROLLER, `Invalid ${field}. Use an ISO 8601 date or time`);
+            }
+        });
+        const limit = query.limit === undefined ? 500 : Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw errorTracker.setError(ERROR_STEPS.API_KEY_CONTROLLER, 'limit must be a positive integer');
+        }
+        
+        const entries = await apiKeyService.getUsage({ ...query, limit });
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: entries,
+            summary: {
+                totalEntries: entries.length,
+                allowed: entries.filter(entry => entry.outcome === 'allowed').length,
+                denied: entries.filter(entry => entry.outcome === 'denied').length
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+module.exports = {
+    getKeys,
+    getKey,
+    createKey,
+    updateKey,
+    revokeKey,
+    getUsage
+};
@@ -2,14 +2,89 @@
 // HTTP controllers for attendance-related endpoints
 
 const attendanceService = require('../services/attendanceService');
+const syncService = require('../services/syncService');
+const deviceService = require('../services/deviceService');
+const attendanceQueryService = require('../services/attendanceQueryService');
 const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
 
+/**
+ * Count the records and distinct employees of a record set
+ * @param {Array} records - Attendance records (with deviceUserId)
+ * @returns {Object} { recordCount, uniqueEmployees }
+ */
+function countRecords(records) {
+    return {
+        recordCount: records.length,
+        uniqueEmployees: new Set(records.map(record => record.deviceUserId)).size
+    };
+}
+
+/**
+ * Apply an attendance query to a device response
+ * Record counts in data and summary describe the records returned; page.total keeps the count before filtering.
+ * @param {Object} result - Device attendance response ({ data, summary } with records in data.data)
+ * @param {Object|null} query - Parsed attendance query
+ * @returns {Object} { data, summary, page } with page null when there was no query
+ */
+function queryDeviceData(result, query) {
+    if (!query) {
+        return { data: result.data, summary: result.summary, page: null };
+    }
+    
+    const { records, selected, page } = attendanceQueryService.applyQuery(result.data.data, query);
+    const counts = countRecords(selected);
+    return {
+        data: { ...result.data, ...counts, data: records },
+        summary: { ...result.summary, ...counts },
+        page
+    };
+}
+
+/**
+ * Apply an attendance query across the devices of a fleet response
+ * Records of all devices are filtered, sorted and paged together; each device keeps its share of the page,
+ * and record counts describe the records returned.
+ * @param {Object} result - Fleet response ({ devices: deviceId → { success, data, summary }, summary })
+ * @param {Object|null} query - Parsed attendance query
+ * @returns {Object} { devices, summary, page } with page null when there was no query
+ */
+function queryFleetData(result, query) {
+    if (!query) {
+        return { devices: result.devices, summary: result.summary, page: null };
+    }
+    
+    const all = Object.values(result.devices).filter(device => device.success).flatMap(device => device.data.data);
+    const { records, selected, page } = attendanceQueryService.applyQuery(all, query);
+    
+    // Split by the untrimmed records: fields may leave deviceId out of the returned ones
+    const devices = {};
+    const summary = { ...result.summary, totalRecords: 0, totalUniqueEmployees: 0 };
+    Object.entries(result.devices).forEach(([deviceId, device]) => {
+        if (!device.success) {
+            devices[deviceId] = device;
+            return;
+        }
+        
+        const indexes = selected.map((record, index) => (record.deviceId === deviceId ? index : -1)).filter(index => index >= 0);
+        const counts = countRecords(indexes.map(index => selected[index]));
+        devices[deviceId] = {
+            ...device,
+            data: { ...device.data, ...counts, data: indexes.map(index => records[index]) },
+            summary: { ...device.summary, ...counts }
+        };
+        summary.totalRecords += counts.recordCount;
+        summary.totalUniqueEmployees += counts.uniqueEmployees;
+    });
+    return { devices, summary, page };
+}
+
 /**
  * Get latest attendance data from a specific device
  * @param {string} prefix - Device prefix (e.g., 'pk01', 'us01')
+ * @param {Object|null} query - Parsed attendance query (filters, sort, fields, page)
  * @returns {Object} Latest attendance response
  */
-async function getLatest(prefix) {
+async function getLatest(prefix, query = null) {
     try {
         errorTracker.reset();
         
@@ -23,11 +98,14 @@ async function getLatest(prefix) {
             return result; // Return service error response
         }
         
+        const { data, summary, page } = queryDeviceData(result, query);
+        
         return {
             success: true,
             timestamp: new Date().toISOString(),
-            data: result.data,
-            summary: result.summary,
+            data,
+            summary,
+            ...(page ? { page } : {}),
             requestId: errorTracker.requestId
         };
         
@@ -49,9 +127,10 @@ async function getLatest(prefix) {
  * Get attendance data for a specific date from a device
  * @param {string} prefix - Device prefix
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object|null} query - Parsed attendance query (filters, sort, fields, page)
  * @returns {Object} Date-specific attendance response
  */
-async function getByDate(prefix, date) {
+async function getByDate(prefix, date, query = null) {
     try {
         errorTracker.reset();
         
@@ -65,11 +144,14 @@ async function getByDate(prefix, date) {
             return result; // Return service error response
         }
         
+        const { data, summary, page } = queryDeviceData(result, query);
+        
         return {
             success: true,
             timestamp: new Date().toISOString(),
-            data: result.data,
-            summary: result.summary,
+            data,
+            summary,
+            ...(page ? { page } : {}),
             requestId: errorTracker.requestId
         };
         
@@ -92,9 +174,10 @@ async function getByDate(prefix, date) {
  * @param {string} prefix - Device prefix
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {Object|null} query - Parsed attendance query (filters, sort, fields, page)
  * @returns {Object} Date range attendance response
  */
-async function getByRange(prefix, startDate, endDate) {
+async function getByRange(prefix, startDate, endDate, query = null) {
     try {
         errorTracker.reset();
         
@@ -108,11 +191,14 @@ async function getByRange(prefix, startDate, endDate) {
             return result; // Return service error response
         }
         
+        const { data, summary, page } = queryDeviceData(result, query);
+        
         return {
             success: true,
             timestamp: new Date().toISOString(),
-            data: result.data,
-            summary: result.summary,
+            data,
+            summary,
+            ...(page ? { page } : {}),
             requestId: errorTracker.requestId
         };
         
@@ -133,9 +219,10 @@ async function getByRange(prefix, startDate, endDate) {
 /**
  * Get today's attendance data from a device
  * @param {string} prefix - Device prefix
+ * @param {Object|null} query - Parsed attendance query (filters, sort, fields, page)
  * @returns {Object} Today's attendance response
  */
-async function getToday(prefix) {
+async function getToday(prefix, query = null) {
     try {
         errorTracker.reset();
         
@@ -149,11 +236,14 @@ async function getToday(prefix) {
             return result; // Return service error response
         }
         
+        const { data, summary, page } = queryDeviceData(result, query);
+        
         return {
             success: true,
             timestamp: new Date().toISOString(),
-            data: result.data,
-            summary: result.summary,
+            data,
+            summary,
+            ...(page ? { page } : {}),
             requestId: errorTracker.requestId
         };
         
@@ -173,9 +263,10 @@ async function getToday(prefix) {
 
 /**
  * Get attendance data from all devices
+ * @param {Object|null} query - Parsed attendance query (filters, sort, fields, page)
  * @returns {Object} All devices attendance response
  */
-async function getAllDevices() {
+async function getAllDevices(query = null) {
     try {
         errorTracker.reset();
         
@@ -185,11 +276,14 @@ async function getAllDevices() {
             return result; // Return service error response
         }
         
+        const { devices, summary, page } = queryFleetData(result, query);
+        
         return {
             success: true,
             timestamp: new Date().toISOString(),
-            data: result.data,
-            summary: result.summary,
+            data: devices,
+            summary,
+            ...(page ? { page } : {}),
             requestId: errorTracker.requestId
         };
         
@@ -210,9 +304,10 @@ async function getAllDevices() {
 /**
  * Get attendance data by country
  * @param {string} countryCode - Country code (e.g., 'PK', 'US')
+ * @param {Object|null} query - Parsed attendance query (filters, sort, fields, page)
  * @returns {Object} Country attendance response
  */
-async function getByCountry(countryCode) {
+async function getByCountry(countryCode, query = null) {
     try {
         errorTracker.reset();
         
@@ -226,6 +321,54 @@ async function getByCountry(countryCode) {
             return result; // Return service error response
         }
         
+        // A country without devices has no per-device data to query
+        const { devices, summary, page } = result.devices
+            ? queryFleetData(result, query)
+            : { devices: result.data, summary: result.summary, page: null };
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: devices,
+            summary,
+            ...(page ? { page } : {}),
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        if (errorTracker.hasError()) {
+            return errorTracker.getErrorResponse();
+        }
+        
+        return {
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            requestId: errorTracker.requestId
+        };
+    }
+}
+
+/**
+ * Get punches stored since a client-held cursor
+ * @param {string} prefix - Device prefix
+ * @param {Object} options - Optional { cursor, since, limit }
+ * @returns {Object} New punches response
+ */
+async function getNewPunches(prefix, options = {}) {
+    try {
+        errorTracker.reset();
+        
+        if (!prefix) {
+            throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_CONTROLLER, 'Device prefix is required');
+        }
+        
+        const result = await syncService.getNewPunches(prefix, options);
+        
+        if (!result.success) {
+            return result; // Return service error response
+        }
+        
         return {
             success: true,
             timestamp: new Date().toISOString(),
@@ -248,11 +391,86 @@ async function getByCountry(countryCode) {
     }
 }
 
+/**
+ * Get the sync state report for a device
+ * @param {string} prefix - Device prefix
+ * @returns {Object} Sync state response
+ */
+async function getSyncState(prefix) {
+    try {
+        errorTracker.reset();
+        
+        if (!prefix) {
+            throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_CONTROLLER, 'Device prefix is required');
+        }
+        
+        if (!deviceService.validateDeviceId(prefix)) {
+            throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_CONTROLLER, `Device not found: ${prefix}`);
+        }
+        
+        const state = await syncService.getSyncState(prefix);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: state,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        if (errorTracker.hasError()) {
+            return errorTracker.getErrorResponse();
+        }
+        
+        return {
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            requestId: errorTracker.requestId
+        };
+    }
+}
+
+/**
+ * Get the sync state report for all devices
+ * @returns {Object} Fleet sync state response
+ */
+async function getAllSyncStates() {
+    try {
+        errorTracker.reset();
+        
+        const result = await syncService.getAllSyncStates();
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: result.devices,
+            summary: result.summary,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        if (errorTracker.hasError()) {
+            return errorTracker.getErrorResponse();
+        }
+        
+        return {
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            requestId: errorTracker.requestId
+        };
+    }
+}
+
 module.exports = {
     getLatest,
     getByDate,
     getByRange,
     getToday,
     getAllDevices,
-    getByCountry
+    getByCountry,
+    getNewPunches,
+    getSyncState,
+    getAllSyncStates
 };
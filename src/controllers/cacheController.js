@@ -0,0 +1,159 @@
+// src/controllers/cacheController.js
+// HTTP controllers for inspecting and purging the attendance and shift read cache
+
+const cacheService = require('../services/cacheService');
+const deviceService = require('../services/deviceService');
+const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+
+/**
+ * Build a failed response from a caught error
+ * @param {Error} error - Caught error
+ * @returns {Object} Error response
+ */
+function buildErrorResponse(error) {
+    if (errorTracker.hasError()) {
+        return errorTracker.getErrorResponse();
+    }
+    
+    return {
+        success: false,
+        timestamp: new Date().toISOString(),
+        error: error.message,
+        requestId: errorTracker.requestId
+    };
+}
+
+/**
+ * Check the optional devicePrefix filter
+ * @param {Object} query - Request query
+ * @returns {string|null} Device prefix
+ */
+function getDeviceFilter(query) {
+    const prefix = query.devicePrefix || null;
+    if (prefix && !deviceService.getDeviceConfig(prefix)) {
+        throw errorTracker.setError(ERROR_STEPS.CACHE_CONTROLLER, `Device not found: ${prefix}`);
+    }
+    return prefix;
+}
+
+/**
+ * Get cache statistics, settings and entries (without their values)
+ * @param {Object} query - Filters ({ devicePrefix })
+ * @returns {Object} Cache response
+ */
+function getCache(query = {}) {
+    try {
+        errorTracker.reset();
+        
+        const entries = cacheService.getEntries(getDeviceFilter(query));
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: {
+                settings: cacheService.getSettings(),
+                stats: cacheService.getStats(),
+                entries
+            },
+            summary: {
+                totalEntries: entries.length,
+                fresh: entries.filter(entry => !entry.isExpired).length,
+                stale: entries.filter(entry => entry.isStale).length,
+                refreshing: entries.filter(entry => entry.refreshing).length
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Get one cache entry with its value
+ * @param {string} key - Cache key
+ * @returns {Object} Entry response
+ */
+function getEntry(key) {
+    try {
+        errorTracker.reset();
+        
+        const entry = cacheService.getEntryInfo(key);
+        if (!entry) {
+            throw errorTracker.setError(ERROR_STEPS.CACHE_CONTROLLER, `Cache entry not found: ${key}`);
+        }
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: entry,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Purge the cache, or only the entries of one device
+ * @param {Object} query - Filters ({ devicePrefix })
+ * @returns {Object} Purge response
+ */
+function purgeCache(query = {}) {
+    try {
+        errorTracker.reset();
+        
+        const prefix = getDeviceFilter(query);
+        const purged = prefix ? cacheService.invalidateDevice(prefix) : cacheService.clear();
+        console.log(`🧹 Cache purged${prefix ? ` for ${prefix}` : ''}: ${purged} entries`);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: {
+                devicePrefix: prefix,
+                purged
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Purge one cache entry
+ * @param {string} key - Cache key
+ * @returns {Object} Purge response
+ */
+function purgeEntry(key) {
+    try {
+        errorTracker.reset();
+        
+        if (!cacheService.delete(key)) {
+            throw errorTracker.setError(ERROR_STEPS.CACHE_CONTROLLER, `Cache entry not found: ${key}`);
+        }
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: {
+                key,
+                purged: 1
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+module.exports = {
+    getCache,
+    getEntry,
+    purgeCache,
+    purgeEntry
+};
@@ -0,0 +1,185 @@
+// src/controllers/correctionController.js
+// HTTP controllers for manual punch corrections and their audit trail
+
+const correctionService = require('../services/correctionService');
+const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+
+/**
+ * Build a failed response from a caught error
+ * @param {Error} error - Caught error
+ * @returns {Object} Error response
+ */
+function buildErrorResponse(error) {
+    if (errorTracker.hasError()) {
+        return errorTracker.getErrorResponse();
+    }
+    
+    return {
+        success: false,
+        timestamp: new Date().toISOString(),
+        error: error.message,
+        requestId: errorTracker.requestId
+    };
+}
+
+/**
+ * Check that a request body is a JSON object
+ * @param {*} body - Request body
+ */
+function requireObjectBody(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw errorTracker.setError(ERROR_STEPS.CORRECTION_CONTROLLER, 'Request body must be a JSON object');
+    }
+}
+
+/**
+ * List corrections
+ * @param {Object} query - Filters ({ devicePrefix, deviceUserId, action, status })
+ * @returns {Object} Corrections response
+ */
+function getCorrections(query = {}) {
+    try {
+        errorTracker.reset();
+        
+        if (query.status && !['active', 'revoked'].includes(query.status)) {
+            throw errorTracker.setError(ERROR_STEPS.CORRECTION_CONTROLLER, 'status must be active or revoked');
+        }
+        if (query.action && !correctionService.CORRECTION_ACTIONS.includes(query.action)) {
+            throw errorTracker.setError(ERROR_STEPS.CORRECTION_CONTROLLER, `action must be one of: ${correctionService.CORRECTION_ACTIONS.join(', ')}`);
+        }
+        
+        const corrections = correctionService.getCorrections(query);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: corrections,
+            summary: {
+                totalCorrections: corrections.length,
+                active: corrections.filter(correction => !correction.revokedAt).length,
+                revoked: corrections.filter(correction => correction.revokedAt).length
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Get one correction
+ * @param {string} correctionId - Correction ID
+ * @returns {Object} Correction response
+ */
+function getCorrection(correctionId) {
+    try {
+        errorTracker.reset();
+        
+        const correction = correctionService.getCorrection(correctionId);
+        if (!correction) {
+            throw errorTracker.setError(ERROR_STEPS.CORRECTION_CONTROLLER, `Correction not found: ${correctionId}`);
+        }
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: correction,
+            audit: correctionService.getAuditTrail({ correctionId }),
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Record a correction
+ * @param {Object} body - Correction fields
+ * @returns {Promise<Object>} Created correction response
+ */
+async function createCorrection(body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const correction = await correctionService.createCorrection(body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: correction,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Revoke a correction
+ * @param {string} correctionId - Correction ID
+ * @param {Object} body - { author, reason }
+ * @returns {Promise<Object>} Revoked correction response
+ */
+async function revokeCorrection(correctionId, body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const correction = await correctionService.revokeCorrection(correctionId, body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: correction,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Get the correction audit trail
+ * @param {Object} query - Filters ({ devicePrefix, deviceUserId, author, correctionId, from, to })
+ * @returns {Object} Audit trail response
+ */
+function getAuditTrail(query = {}) {
+    try {
+        errorTracker.reset();
+        
+        ['from', 'to'].forEach(field => {
+            if (query[field] && Number.isNaN(new Date(query[field]).getTime())) {
+                throw errorTracker.setError(ERROR_STEPS.CORRECTION_CONTROLLER, `Invalid ${field}. Use an ISO 8601 date or time`);
+            }
+        });
+        
+        const events = correctionService.getAuditTrail(query);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: events,
+            summary: {
+                totalEvents: events.length,
+                authors: [...new Set(events.map(event => event.author))]
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+module.exports = {
+    getCorrections,
+    getCorrection,
+    createCorrection,
+    revokeCorrection,
+    getAuditTrail
+};
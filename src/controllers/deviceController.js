@@ -28,6 +28,7 @@ function getDeviceInfo(prefix) {
             data: {
                 id: deviceConfig.id,
                 prefix: deviceConfig.prefix,
+                driver: deviceConfig.driver,
                 name: deviceConfig.name,
                 model: deviceConfig.model,
                 location: deviceConfig.location,
@@ -36,7 +37,8 @@ function getDeviceInfo(prefix) {
                 ip: deviceConfig.ip,
                 port: deviceConfig.port,
                 timeout: deviceConfig.timeout,
-                inport: deviceConfig.inport
+                inport: deviceConfig.inport,
+                importDir: deviceConfig.importDir
             },
             requestId: errorTracker.requestId
         };
@@ -175,9 +177,127 @@ function validateDevicePrefix(prefix) {
     }
 }
 
+/**
+ * Add a device to the registry
+ * @param {Object} body - Device fields (id, driver, ip, port, ...)
+ * @returns {Promise<Object>} Created device response
+ */
+async function createDevice(body) {
+    try {
+        errorTracker.reset();
+        
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw errorTracker.setError(ERROR_STEPS.DEVICE_CONTROLLER, 'Request body must be a JSON object');
+        }
+        
+        const device = await deviceService.createDevice(body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: device,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        if (errorTracker.hasError()) {
+            return errorTracker.getErrorResponse();
+        }
+        
+        return {
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            requestId: errorTracker.requestId
+        };
+    }
+}
+
+/**
+ * Update a device's configuration
+ * @param {string} prefix - Device prefix
+ * @param {Object} body - Fields to change
+ * @returns {Promise<Object>} Updated device response
+ */
+async function updateDevice(prefix, body) {
+    try {
+        errorTracker.reset();
+        
+        if (!deviceService.validateDeviceId(prefix)) {
+            throw errorTracker.setError(ERROR_STEPS.DEVICE_CONTROLLER, `Device not found: ${prefix}`);
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw errorTracker.setError(ERROR_STEPS.DEVICE_CONTROLLER, 'Request body must be a JSON object');
+        }
+        
+        const device = await deviceService.updateDevice(prefix, body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: device,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        if (errorTracker.hasError()) {
+            return errorTracker.getErrorResponse();
+        }
+        
+        return {
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            requestId: errorTracker.requestId
+        };
+    }
+}
+
+/**
+ * Remove a device from the registry
+ * @param {string} prefix - Device prefix
+ * @returns {Promise<Object>} Removed device response
+ */
+async function deleteDevice(prefix) {
+    try {
+        errorTracker.reset();
+        
+        if (!deviceService.validateDeviceId(prefix)) {
+            throw errorTracker.setError(ERROR_STEPS.DEVICE_CONTROLLER, `Device not found: ${prefix}`);
+        }
+        
+        const device = await deviceService.deleteDevice(prefix);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: {
+                deleted: true,
+                device
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        if (errorTracker.hasError()) {
+            return errorTracker.getErrorResponse();
+        }
+        
+        return {
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            requestId: errorTracker.requestId
+        };
+    }
+}
+
 module.exports = {
     getDeviceInfo,
     getAllDevices,
     getDevicesByCountry,
-    validateDevicePrefix
+    validateDevicePrefix,
+    createDevice,
+    updateDevice,
+    deleteDevice
 };
@@ -0,0 +1,261 @@
+// src/controllers/employeeController.js
+// HTTP controllers for the employee directory
+
+const employeeService = require('../services/employeeService');
+const employeeAttendanceService = require('../services/employeeAttendanceService');
+const shiftTemplateService = require('../services/shiftTemplateService');
+const timezone = require('../utils/timezone');
+const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+
+// Longest attendance history served in one request (a full month)
+const MAX_ATTENDANCE_RANGE_DAYS = 31;
+
+/**
+ * Build a failed response from a caught error
+ * @param {Error} error - Caught error
+ * @returns {Object} Error response
+ */
+function buildErrorResponse(error) {
+    if (errorTracker.hasError()) {
+        return errorTracker.getErrorResponse();
+    }
+    
+    return {
+        success: false,
+        timestamp: new Date().toISOString(),
+        error: error.message,
+        requestId: errorTracker.requestId
+    };
+}
+
+/**
+ * Check that a request body is a JSON object
+ * @param {*} body - Request body
+ */
+function requireObjectBody(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw errorTracker.setError(ERROR_STEPS.EMPLOYEE_CONTROLLER, 'Request body must be a JSON object');
+    }
+}
+
+/**
+ * Refuse to remove an employee that shift assignments still point at
+ * @param {string} employeeId - Employee ID
+ */
+function requireNoAssignments(employeeId) {
+    const assignments = shiftTemplateService.getAssignments({ employeeId });
+    if (assignments.length > 0) {
+        throw errorTracker.setError(ERROR_STEPS.EMPLOYEE_CONTROLLER,
+            `Employee ${employeeId} is used by ${assignments.length} shift assignment(s); delete or reassign them first`);
+    }
+}
+
+/**
+ * List employees
+ * @param {Object} query - Filters ({ devicePrefix, department, search })
+ * @returns {Object} Employees response
+ */
+function getEmployees(query = {}) {
+    try {
+        errorTracker.reset();
+        
+        const employees = employeeService.getEmployees(query);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: employees,
+            summary: {
+                totalEmployees: employees.length,
+                deviceUsers: employees.reduce((total, employee) => total + employee.devices.length, 0),
+                departments: [...new Set(employees.map(employee => employee.department).filter(Boolean))]
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Get one employee
+ * @param {string} employeeId - Employee ID
+ * @returns {Object} Employee response
+ */
+function getEmployee(employeeId) {
+    try {
+        errorTracker.reset();
+        
+        const employee = employeeService.getEmployee(employeeId);
+        if (!employee) {
+            throw errorTracker.setError(ERROR_STEPS.EMPLOYEE_CONTROLLER, `Employee not found: ${employeeId}`);
+        }
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: employee,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Add an employee
+ * @param {Object} body - Employee fields
+ * @returns {Promise<Object>} Created employee response
+ */
+async function createEmployee(body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const employee = await employeeService.createEmployee(body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: employee,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Update an employee
+ * @param {string} employeeId - Employee ID
+ * @param {Object} body - Fields to change
+ * @returns {Promise<Object>} Updated employee response
+ */
+async function updateEmployee(employeeId, body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const employee = await employeeService.updateEmployee(employeeId, body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: employee,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Delete an employee
+ * @param {string} employeeId - Employee ID
+ * @returns {Promise<Object>} Delete response
+ */
+async function deleteEmployee(employeeId) {
+    try {
+        errorTracker.reset();
+        requireNoAssignments(employeeId);
+        
+        const employee = await employeeService.deleteEmployee(employeeId);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: {
+                deleted: true,
+                employee
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Merge another employee into this one
+ * @param {string} employeeId - Employee ID that remains
+ * @param {Object} body - { employeeId } of the employee merged away
+ * @returns {Promise<Object>} Merged employee response
+ */
+async function mergeEmployees(employeeId, body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        if (typeof body.employeeId !== 'string' || body.employeeId === '') {
+            throw errorTracker.setError(ERROR_STEPS.EMPLOYEE_CONTROLLER, 'employeeId of the employee to merge is required');
+        }
+        requireNoAssignments(body.employeeId);
+        
+        const employee = await employeeService.mergeEmployees(employeeId, body.employeeId);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: employee,
+            mergedEmployeeId: body.employeeId,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Get an employee's attendance across all their devices
+ * Defaults to the current month up to today.
+ * @param {string} employeeId - Employee ID
+ * @param {Object} query - { from, to } (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Object>} Attendance history response
+ */
+async function getEmployeeAttendance(employeeId, query = {}) {
+    try {
+        errorTracker.reset();
+        
+        const to = query.to || timezone.getDateKey(new Date(), 'local');
+        const from = query.from || `${to.slice(0, 8)}01`;
+        
+        for (const [field, value] of [['from', from], ['to', to]]) {
+            if (!timezone.isDateKey(value)) {
+                throw errorTracker.setError(ERROR_STEPS.EMPLOYEE_CONTROLLER, `Invalid ${field} date format. Use YYYY-MM-DD`);
+            }
+        }
+        const days = timezone.daysBetween(from, to) + 1;
+        if (days < 1) {
+            throw errorTracker.setError(ERROR_STEPS.EMPLOYEE_CONTROLLER, 'from must be before or equal to to');
+        }
+        if (days > MAX_ATTENDANCE_RANGE_DAYS) {
+            throw errorTracker.setError(ERROR_STEPS.EMPLOYEE_CONTROLLER, `Date range cannot exceed ${MAX_ATTENDANCE_RANGE_DAYS} days`);
+        }
+        
+        const history = await employeeAttendanceService.getEmployeeAttendance(employeeId, from, to);
+        
+        return {
+            ...history,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+module.exports = {
+    getEmployees,
+    getEmployee,
+    createEmployee,
+    updateEmployee,
+    deleteEmployee,
+    mergeEmployees,
+    getEmployeeAttendance
+};
@@ -0,0 +1,206 @@
+// src/controllers/holidayController.js
+// HTTP controllers for holiday calendar endpoints
+
+const holidayService = require('../services/holidayService');
+const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+const timezone = require('../utils/timezone');
+
+/**
+ * Build a failed response from a caught error
+ * @param {Error} error - Caught error
+ * @returns {Object} Error response
+ */
+function buildErrorResponse(error) {
+    if (errorTracker.hasError()) {
+        return errorTracker.getErrorResponse();
+    }
+    
+    return {
+        success: false,
+        timestamp: new Date().toISOString(),
+        error: error.message,
+        requestId: errorTracker.requestId
+    };
+}
+
+/**
+ * Check that a request body is a JSON object
+ * @param {*} body - Request body
+ */
+function requireObjectBody(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw errorTracker.setError(ERROR_STEPS.HOLIDAY_CONTROLLER, 'Request body must be a JSON object');
+    }
+}
+
+/**
+ * List holidays
+ * @param {Object} query - Filters ({ country, year, from, to })
+ * @returns {Object} Holidays response
+ */
+function getHolidays(query = {}) {
+    try {
+        errorTracker.reset();
+        
+        if (query.year && !/^\d{4}$/.test(query.year)) {
+            throw errorTracker.setError(ERROR_STEPS.HOLIDAY_CONTROLLER, 'Invalid year. Use YYYY');
+        }
+        ['from', 'to'].forEach(field => {
+            if (query[field] && !timezone.isDateKey(query[field])) {
+                throw errorTracker.setError(ERROR_STEPS.HOLIDAY_CONTROLLER, `Invalid ${field} date format. Use YYYY-MM-DD`);
+            }
+        });
+        
+        const holidays = holidayService.getHolidays(query);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: holidays,
+            summary: {
+                totalHolidays: holidays.length,
+                countries: [...new Set(holidays.map(holiday => holiday.country))]
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Add a holiday
+ * @param {Object} body - Holiday fields
+ * @returns {Promise<Object>} Created holiday response
+ */
+async function createHoliday(body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const holiday = await holidayService.createHoliday(body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: holiday,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Update a holiday
+ * @param {string} holidayId - Holiday ID
+ * @param {Object} body - Fields to change
+ * @returns {Promise<Object>} Updated holiday response
+ */
+async function updateHoliday(holidayId, body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const holiday = await holidayService.updateHoliday(holidayId, body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: holiday,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Delete a holiday
+ * @param {string} holidayId - Holiday ID
+ * @returns {Promise<Object>} Deleted holiday response
+ */
+async function deleteHoliday(holidayId) {
+    try {
+        errorTracker.reset();
+        
+        const holiday = await holidayService.deleteHoliday(holidayId);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: {
+                deleted: true,
+                holiday
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Import a country's holiday calendar from iCalendar text or a JSON list
+ * @param {string} country - Country code
+ * @param {Object} body - { ics } or { holidays }
+ * @returns {Promise<Object>} Import response
+ */
+async function importCalendar(country, body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const result = await holidayService.importCalendar(country, body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: result,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Reload the calendar files in the holidays folder
+ * @returns {Promise<Object>} Reload response
+ */
+async function reloadCalendarFiles() {
+    try {
+        errorTracker.reset();
+        
+        const files = await holidayService.loadCalendarFiles();
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: files,
+            summary: {
+                files: files.length,
+                failed: files.filter(file => file.error).length,
+                imported: files.reduce((total, file) => total + (file.imported || 0), 0)
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+module.exports = {
+    getHolidays,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday,
+    importCalendar,
+    reloadCalendarFiles
+};
@@ -0,0 +1,234 @@
+// src/controllers/reportController.js
+// HTTP controllers for monthly timesheets and their CSV, XLSX and payroll-import exports
+
+const timesheetService = require('../services/timesheetService');
+const deviceService = require('../services/deviceService');
+const spreadsheet = require('../utils/spreadsheet');
+const timezone = require('../utils/timezone');
+const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+const logger = require('../utils/logger');
+
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+const EXPORT_LAYOUTS = ['standard', 'payroll'];
+
+/**
+ * Validate the timesheet query
+ * @param {Object} query - { month, format, layout }
+ * @returns {Object} { month, format, layout, error }
+ */
+function parseTimesheetQuery(query) {
+    const month = query.month || timezone.getDateKey(new Date(), 'local').slice(0, 7);
+    const format = (query.format || 'json').toLowerCase();
+    const layout = (query.layout || 'standard').toLowerCase();
+    
+    let error = null;
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        error = 'Invalid month format. Use YYYY-MM';
+    } else if (!EXPORT_FORMATS.includes(format)) {
+        error = `format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+    } else if (!EXPORT_LAYOUTS.includes(layout)) {
+        error = `layout must be one of: ${EXPORT_LAYOUTS.join(', ')}`;
+    }
+    return { month, format, layout, error };
+}
+
+/**
+ * Send a timesheet as JSON or as a CSV/XLSX download
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} timesheet - Timesheet
+ * @param {Object} options - { format, layout, name (file name without extension), startTime }
+ */
+function sendTimesheet(req, res, timesheet, { format, layout, name, startTime }) {
+    if (format === 'json') {
+        const table = layout === 'payroll' ? timesheetService.toTable(timesheet, layout) : null;
+        return res.status(200).json({
+            ...timesheet,
+            ...(table ? { layout, template: timesheetService.getPayrollTemplate(), table } : {}),
+            responseTime: Date.now() - startTime,
+            requestId: req.headers['x-request-id']
+        });
+    }
+    
+    const { headers, rows } = timesheetService.toTable(timesheet, layout);
+    const fileName = `${layout === 'payroll' ? 'payroll' : 'timesheet'}-${name}`;
+    
+    // Exports carry no per-device status, so flag the devices whose rows are missing
+    const failedDevices = Object.keys(timesheet.devices).filter(prefix => !timesheet.devices[prefix].success);
+    if (failedDevices.length > 0) {
+        res.setHeader('X-Failed-Devices', failedDevices.join(','));
+    }
+    
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+        return res.status(200).send(spreadsheet.toCsv(headers, rows));
+    }
+    
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+    return res.status(200).send(spreadsheet.toXlsx([{ name: timesheet.month, headers, rows }]));
+}
+
+/**
+ * Get the monthly timesheet across a country's devices (all devices without a country)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getTimesheet(req, res) {
+    const startTime = Date.now();
+    const country = req.query.country || null;
+    
+    try {
+        const { month, format, layout, error } = parseTimesheetQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error,
+                country
+            });
+        }
+        
+        logger.info(`Building ${month} timesheet for ${country ? `country: ${country}` : 'all devices'}`);
+        
+        const timesheet = await timesheetService.getTimesheet(month, country);
+        sendTimesheet(req, res, timesheet, {
+            format,
+            layout,
+            name: `${country ? country.toUpperCase() : 'all'}-${month}`,
+            startTime
+        });
+        
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+        
+        errorTracker.trackError(ERROR_STEPS.REPORT_CONTROLLER, 'getTimesheet', error.message);
+        
+        logger.error('Failed to build timesheet', {
+            country,
+            month: req.query.month,
+            error: error.message,
+            responseTime
+        });
+        
+        res.status(500).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            country,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+    }
+}
+
+/**
+ * Get the monthly timesheet of one device
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getDeviceTimesheet(req, res) {
+    const startTime = Date.now();
+    const { prefix } = req.params;
+    
+    try {
+        if (!deviceService.validateDeviceId(prefix)) {
+            return res.status(404).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: `Device not found: ${prefix}`,
+                devicePrefix: prefix
+            });
+        }
+        
+        const { month, format, layout, error } = parseTimesheetQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error,
+                devicePrefix: prefix
+            });
+        }
+        
+        logger.info(`Building ${month} timesheet for device: ${prefix}`);
+        
+        const timesheet = await timesheetService.getDeviceTimesheet(prefix, month);
+        sendTimesheet(req, res, timesheet, { format, layout, name: `${prefix}-${month}`, startTime });
+        
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+        
+        errorTracker.trackError(ERROR_STEPS.REPORT_CONTROLLER, 'getDeviceTimesheet', error.message);
+        
+        logger.error(`Failed to build timesheet for ${prefix}`, {
+            devicePrefix: prefix,
+            month: req.query.month,
+            error: error.message,
+            responseTime
+        });
+        
+        res.status(500).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            devicePrefix: prefix,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+    }
+}
+
+/**
+ * Get the payroll-import template
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function getPayrollTemplate(req, res) {
+    res.status(200).json({
+        success: true,
+        timestamp: new Date().toISOString(),
+        data: timesheetService.getPayrollTemplate(),
+        fields: timesheetService.TIMESHEET_FIELDS,
+        requestId: req.headers['x-request-id']
+    });
+}
+
+/**
+ * Replace the payroll-import template
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updatePayrollTemplate(req, res) {
+    try {
+        errorTracker.reset();
+        
+        const template = await timesheetService.setPayrollTemplate(req.body);
+        
+        res.status(200).json({
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: template,
+            requestId: req.headers['x-request-id']
+        });
+        
+    } catch (error) {
+        errorTracker.trackError(ERROR_STEPS.REPORT_CONTROLLER, 'updatePayrollTemplate', error.message);
+        
+        res.status(400).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            fields: timesheetService.TIMESHEET_FIELDS,
+            requestId: req.headers['x-request-id']
+        });
+    }
+}
+
+module.exports = {
+    getTimesheet,
+    getDeviceTimesheet,
+    getPayrollTemplate,
+    updatePayrollTemplate
+};
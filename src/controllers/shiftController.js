@@ -2,12 +2,42 @@
 // Enhanced shift controller with device-specific configurations and preserved business logic
 
 const ShiftService = require('../services/shiftService');
+const rosterService = require('../services/rosterService');
+const exceptionService = require('../services/exceptionService');
+const deviceService = require('../services/deviceService');
 const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
 const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
 
 // Create shift service instance
 const shiftService = new ShiftService();
 
+// Longest range of shift dates one request may recompute
+const MAX_SHIFT_RANGE_DAYS = 31;
+
+/**
+ * Validate shift dates from the URL
+ * @param {string} startDate - First shift date (YYYY-MM-DD)
+ * @param {string} endDate - Last shift date (YYYY-MM-DD), defaults to startDate
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateShiftDates(startDate, endDate = startDate) {
+    for (const date of [startDate, endDate]) {
+        if (!timezone.isDateKey(date)) {
+            return 'Invalid date format. Use YYYY-MM-DD';
+        }
+    }
+    
+    const days = (new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / 86400000 + 1;
+    if (days < 1) {
+        return 'Start date must be before or equal to end date';
+    }
+    if (days > MAX_SHIFT_RANGE_DAYS) {
+        return `Date range cannot exceed ${MAX_SHIFT_RANGE_DAYS} days`;
+    }
+    return null;
+}
+
 /**
  * Get today's shift data for a specific device
  * @param {Object} req - Express request object
@@ -181,9 +211,11 @@ async function processShiftData(req, res) {
         
         logger.info(`Processing shift data for device: ${prefix}`);
         
-        // This endpoint would process raw attendance data into shift format
-        // For now, we'll return the processed shift data
-        const shiftData = await shiftService.getTodayShift(prefix);
+        // Process the posted records with the device's shift configuration, overridden by the request's
+        const { records, shiftConfig: overrides } = req.body;
+        const shiftConfig = { ...shiftService.getShiftConfig(prefix), ...(overrides || {}) };
+        const now = new Date();
+        const data = shiftService.processShiftData(records, shiftConfig, now);
         const responseTime = Date.now() - startTime;
         
         res.status(200).json({
@@ -191,8 +223,8 @@ async function processShiftData(req, res) {
             timestamp: new Date().toISOString(),
             devicePrefix: prefix,
             message: 'Shift data processed successfully',
-            data: shiftData.data,
-            shiftConfig: shiftData.shiftConfig,
+            data,
+            shiftConfig: { ...shiftConfig, ...shiftService.describeNow(now, shiftConfig) },
             responseTime,
             requestId: req.headers['x-request-id']
         });
@@ -259,6 +291,398 @@ async function getAllDevicesShift(req, res) {
     }
 }
 
+/**
+ * Get shift data for a past shift date for a specific device
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getShiftByDate(req, res) {
+    const startTime = Date.now();
+    const { prefix, date } = req.params;
+    
+    try {
+        const validationError = validateShiftDates(date);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: validationError,
+                devicePrefix: prefix
+            });
+        }
+        
+        logger.info(`Getting shift data for device: ${prefix} on ${date}`);
+        
+        const shiftData = await shiftService.getShiftByDate(prefix, date);
+        const responseTime = Date.now() - startTime;
+        
+        res.status(200).json({
+            ...shiftData,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+        
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+        
+        errorTracker.trackError(ERROR_STEPS.SHIFT_CONTROLLER, 'getShiftByDate', error.message);
+        
+        logger.error(`Failed to get shift data for ${prefix} on ${date}`, {
+            devicePrefix: prefix,
+            error: error.message,
+            responseTime
+        });
+        
+        res.status(500).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            devicePrefix: prefix,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+    }
+}
+
+/**
+ * Get detailed shift data (every punch paired into IN/OUT segments with breaks) for a specific device
+ * Serves both the current shift (no date) and a past shift date.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getShiftDetail(req, res) {
+    const startTime = Date.now();
+    const { prefix, date = null } = req.params;
+    
+    try {
+        if (date) {
+            const validationError = validateShiftDates(date);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    timestamp: new Date().toISOString(),
+                    error: validationError,
+                    devicePrefix: prefix
+                });
+            }
+        }
+        
+        logger.info(`Getting detailed shift data for device: ${prefix}${date ? ` on ${date}` : ''}`);
+        
+        const shiftData = await shiftService.getShiftDetail(prefix, date);
+        const responseTime = Date.now() - startTime;
+        
+        res.status(200).json({
+            ...shiftData,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+        
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+        
+        errorTracker.trackError(ERROR_STEPS.SHIFT_CONTROLLER, 'getShiftDetail', error.message);
+        
+        logger.error(`Failed to get detailed shift data for ${prefix}`, {
+            devicePrefix: prefix,
+            shiftDate: date,
+            error: error.message,
+            responseTime
+        });
+        
+        res.status(500).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            devicePrefix: prefix,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+    }
+}
+
+/**
+ * Get shift data for a range of shift dates for a specific device
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getShiftRange(req, res) {
+    const startTime = Date.now();
+    const { prefix, start, end } = req.params;
+    
+    try {
+        const validationError = validateShiftDates(start, end);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: validationError,
+                devicePrefix: prefix
+            });
+        }
+        
+        logger.info(`Getting shift data for device: ${prefix} from ${start} to ${end}`);
+        
+        const shiftData = await shiftService.getShiftRange(prefix, start, end);
+        const responseTime = Date.now() - startTime;
+        
+        res.status(200).json({
+            ...shiftData,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+        
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+        
+        errorTracker.trackError(ERROR_STEPS.SHIFT_CONTROLLER, 'getShiftRange', error.message);
+        
+        logger.error(`Failed to get shift data for ${prefix} from ${start} to ${end}`, {
+            devicePrefix: prefix,
+            error: error.message,
+            responseTime
+        });
+        
+        res.status(500).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            devicePrefix: prefix,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+    }
+}
+
+/**
+ * Get shift data for a past shift date from all devices (fleet-level)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getAllDevicesShiftByDate(req, res) {
+    const startTime = Date.now();
+    const { date } = req.params;
+    
+    try {
+        const validationError = validateShiftDates(date);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: validationError
+            });
+        }
+        
+        logger.info(`Getting shift data from all devices on ${date}`);
+        
+        const allDevicesData = await shiftService.getAllDevicesShiftByDate(date);
+        const responseTime = Date.now() - startTime;
+        
+        res.status(200).json({
+            ...allDevicesData,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+        
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+        
+        errorTracker.trackError(ERROR_STEPS.SHIFT_CONTROLLER, 'getAllDevicesShiftByDate', error.message);
+        
+        logger.error(`Failed to get shift data from all devices on ${date}`, {
+            error: error.message,
+            responseTime
+        });
+        
+        res.status(500).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+    }
+}
+
+/**
+ * Get the roster for a device on a date: which shift each employee is expected to work
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getRoster(req, res) {
+    const startTime = Date.now();
+    const { prefix, date } = req.params;
+    
+    try {
+        if (!deviceService.validateDeviceId(prefix)) {
+            return res.status(404).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: `Device not found: ${prefix}`,
+                devicePrefix: prefix
+            });
+        }
+        
+        const validationError = validateShiftDates(date);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: validationError,
+                devicePrefix: prefix
+            });
+        }
+        
+        logger.info(`Getting roster for device: ${prefix} on ${date}`);
+        
+        const roster = await rosterService.getRoster(prefix, date);
+        const responseTime = Date.now() - startTime;
+        
+        res.status(200).json({
+            ...roster,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+        
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+        
+        errorTracker.trackError(ERROR_STEPS.SHIFT_CONTROLLER, 'getRoster', error.message);
+        
+        logger.error(`Failed to get roster for ${prefix} on ${date}`, {
+            devicePrefix: prefix,
+            error: error.message,
+            responseTime
+        });
+        
+        res.status(500).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            devicePrefix: prefix,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+    }
+}
+
+/**
+ * Get the daily exception report (absent, late, missing punches, unexpected punches) for a device
+ * Serves both the shift date in progress (no date) and a past shift date.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getDailyExceptions(req, res) {
+    const startTime = Date.now();
+    const { prefix, date = null } = req.params;
+    
+    try {
+        if (!deviceService.validateDeviceId(prefix)) {
+            return res.status(404).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: `Device not found: ${prefix}`,
+                devicePrefix: prefix
+            });
+        }
+        
+        const validationError = date ? validateShiftDates(date) : null;
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: validationError,
+                devicePrefix: prefix
+            });
+        }
+        
+        logger.info(`Getting exception report for device: ${prefix}${date ? ` on ${date}` : ''}`);
+        
+        const report = await exceptionService.getDailyExceptions(prefix, date);
+        const responseTime = Date.now() - startTime;
+        
+        res.status(200).json({
+            ...report,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+        
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+        
+        errorTracker.trackError(ERROR_STEPS.SHIFT_CONTROLLER, 'getDailyExceptions', error.message);
+        
+        logger.error(`Failed to get exception report for ${prefix}`, {
+            devicePrefix: prefix,
+            shiftDate: date,
+            error: error.message,
+            responseTime
+        });
+        
+        res.status(500).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            devicePrefix: prefix,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+    }
+}
+
+/**
+ * Get the daily exception report for every device in a country
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getCountryExceptions(req, res) {
+    const startTime = Date.now();
+    const { code, date = null } = req.params;
+    
+    try {
+        const validationError = date ? validateShiftDates(date) : null;
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: validationError,
+                country: code
+            });
+        }
+        
+        logger.info(`Getting exception report for country: ${code}${date ? ` on ${date}` : ''}`);
+        
+        const report = await exceptionService.getCountryExceptions(code, date);
+        const responseTime = Date.now() - startTime;
+        
+        res.status(200).json({
+            ...report,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+        
+    } catch (error) {
+        const responseTime = Date.now() - startTime;
+        
+        errorTracker.trackError(ERROR_STEPS.SHIFT_CONTROLLER, 'getCountryExceptions', error.message);
+        
+        logger.error(`Failed to get exception report for country ${code}`, {
+            country: code,
+            error: error.message,
+            responseTime
+        });
+        
+        res.status(500).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            country: code,
+            responseTime,
+            requestId: req.headers['x-request-id']
+        });
+    }
+}
+
 /**
  * Get shift configuration for a specific device
  * @param {Object} req - Express request object
@@ -319,5 +743,12 @@ module.exports = {
     getShiftCheckout,
     processShiftData,
     getAllDevicesShift,
+    getShiftByDate,
+    getShiftRange,
+    getShiftDetail,
+    getAllDevicesShiftByDate,
+    getRoster,
+    getDailyExceptions,
+    getCountryExceptions,
     getShiftConfig
 };
@@ -0,0 +1,354 @@
+// src/controllers/shiftTemplateController.js
+// HTTP controllers for shift template and shift assignment endpoints
+
+const shiftTemplateService = require('../services/shiftTemplateService');
+const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+const timezone = require('../utils/timezone');
+
+/**
+ * Build a failed response from a caught error
+ * @param {Error} error - Caught error
+ * @returns {Object} Error response
+ */
+function buildErrorResponse(error) {
+    if (errorTracker.hasError()) {
+        return errorTracker.getErrorResponse();
+    }
+    
+    return {
+        success: false,
+        timestamp: new Date().toISOString(),
+        error: error.message,
+        requestId: errorTracker.requestId
+    };
+}
+
+/**
+ * Check that a request body is a JSON object
+ * @param {*} body - Request body
+ */
+function requireObjectBody(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw errorTracker.setError(ERROR_STEPS.SHIFT_TEMPLATE_CONTROLLER, 'Request body must be a JSON object');
+    }
+}
+
+/**
+ * List shift templates
+ * @returns {Object} Templates response
+ */
+function getTemplates() {
+    try {
+        errorTracker.reset();
+        
+        const templates = shiftTemplateService.getTemplates();
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: templates,
+            summary: {
+                totalTemplates: templates.length
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Create a shift template
+ * @param {Object} body - Template fields
+ * @returns {Promise<Object>} Created template response
+ */
+async function createTemplate(body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const template = await shiftTemplateService.createTemplate(body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: template,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Update a shift template
+ * @param {string} templateId - Template ID
+ * @param {Object} body - Fields to change
+ * @returns {Promise<Object>} Updated template response
+ */
+async function updateTemplate(templateId, body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const template = await shiftTemplateService.updateTemplate(templateId, body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: template,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Delete a shift template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Deleted template response
+ */
+async function deleteTemplate(templateId) {
+    try {
+        errorTracker.reset();
+        
+        const template = await shiftTemplateService.deleteTemplate(templateId);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: {
+                deleted: true,
+                template
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * List rosters
+ * @returns {Object} Rosters response
+ */
+function getRosters() {
+    try {
+        errorTracker.reset();
+        
+        const rosters = shiftTemplateService.getRosters();
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: rosters,
+            summary: {
+                totalRosters: rosters.length
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Create a roster
+ * @param {Object} body - Roster fields
+ * @returns {Promise<Object>} Created roster response
+ */
+async function createRoster(body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const roster = await shiftTemplateService.createRoster(body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: roster,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Update a roster
+ * @param {string} rosterId - Roster ID
+ * @param {Object} body - Fields to change
+ * @returns {Promise<Object>} Updated roster response
+ */
+async function updateRoster(rosterId, body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const roster = await shiftTemplateService.updateRoster(rosterId, body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: roster,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Delete a roster
+ * @param {string} rosterId - Roster ID
+ * @returns {Promise<Object>} Deleted roster response
+ */
+async function deleteRoster(rosterId) {
+    try {
+        errorTracker.reset();
+        
+        const roster = await shiftTemplateService.deleteRoster(rosterId);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: {
+                deleted: true,
+                roster
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * List shift assignments
+ * @param {Object} query - Filters ({ deviceUserId, devicePrefix, employeeId, templateId, date })
+ * @returns {Object} Assignments response
+ */
+function getAssignments(query = {}) {
+    try {
+        errorTracker.reset();
+        
+        if (query.date && !timezone.isDateKey(query.date)) {
+            throw errorTracker.setError(ERROR_STEPS.SHIFT_TEMPLATE_CONTROLLER, 'Invalid date format. Use YYYY-MM-DD');
+        }
+        
+        const assignments = shiftTemplateService.getAssignments(query);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: assignments,
+            summary: {
+                totalAssignments: assignments.length
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Assign an employee to a shift template
+ * @param {Object} body - Assignment fields
+ * @returns {Promise<Object>} Created assignment response
+ */
+async function createAssignment(body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const assignment = await shiftTemplateService.createAssignment(body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: assignment,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Update a shift assignment
+ * @param {string} assignmentId - Assignment ID
+ * @param {Object} body - Fields to change
+ * @returns {Promise<Object>} Updated assignment response
+ */
+async function updateAssignment(assignmentId, body) {
+    try {
+        errorTracker.reset();
+        requireObjectBody(body);
+        
+        const assignment = await shiftTemplateService.updateAssignment(assignmentId, body);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: assignment,
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+/**
+ * Delete a shift assignment
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Promise<Object>} Deleted assignment response
+ */
+async function deleteAssignment(assignmentId) {
+    try {
+        errorTracker.reset();
+        
+        const assignment = await shiftTemplateService.deleteAssignment(assignmentId);
+        
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: {
+                deleted: true,
+                assignment
+            },
+            requestId: errorTracker.requestId
+        };
+        
+    } catch (error) {
+        return buildErrorResponse(error);
+    }
+}
+
+module.exports = {
+    getTemplates,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    getRosters,
+    createRoster,
+    updateRoster,
+    deleteRoster,
+    getAssignments,
+    createAssignment,
+    updateAssignment,
+    deleteAssignment
+};
@@ -0,0 +1,106 @@
+// src/controllers/streamController.js
+// HTTP controllers for real-time punch streaming (Server-Sent Events)
+
+const config = require('../config');
+const deviceService = require('../services/deviceService');
+const realtimeService = require('../services/realtimeService');
+
+/**
+ * Open a Server-Sent Events stream of real-time punches
+ * Events: 'ready' (listener status), 'punch' (each punch), 'status' (listener status changes)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string|null} prefix - Device prefix, or null for the whole fleet
+ */
+function openStream(req, res, prefix) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    let eventId = 0;
+    const send = (event, data) => {
+        eventId++;
+        res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const unsubscribe = realtimeService.subscribe(prefix, {
+        onPunch: punch => send('punch', punch),
+        onStatus: status => send('status', status)
+    });
+
+    send('ready', {
+        scope: prefix || 'fleet',
+        requestId: req.headers['x-request-id'],
+        ...realtimeService.getStatus(prefix)
+    });
+
+    // Comment lines keep proxies from closing idle connections
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), config.REALTIME.SSE_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        console.log(`🔌 Real-time stream closed (${prefix || 'fleet'})`);
+    });
+
+    console.log(`📡 Real-time stream opened (${prefix || 'fleet'})`);
+}
+
+/**
+ * Stream real-time punches for a single device
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function streamDevice(req, res) {
+    const { prefix } = req.params;
+
+    if (!deviceService.validateDeviceId(prefix)) {
+        return res.status(404).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: `Device not found: ${prefix}`,
+            requestId: req.headers['x-request-id']
+        });
+    }
+
+    if (!realtimeService.supportsRealtime(prefix)) {
+        return res.status(400).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: `Device ${prefix} does not support real-time punches`,
+            requestId: req.headers['x-request-id']
+        });
+    }
+
+    openStream(req, res, prefix);
+}
+
+/**
+ * Stream real-time punches for every configured device
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function streamFleet(req, res) {
+    openStream(req, res, null);
+}
+
+/**
+ * Get real-time listener status for the fleet
+ * @returns {Object} Listener status response
+ */
+function getStatus() {
+    return {
+        success: true,
+        timestamp: new Date().toISOString(),
+        data: realtimeService.getStatus()
+    };
+}
+
+module.exports = {
+    streamDevice,
+    streamFleet,
+    getStatus
+};
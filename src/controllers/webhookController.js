@@ -7,7 +7,7 @@ const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
 /**
  * Trigger webhook for a specific device
  * @param {string} prefix - Device prefix
- * @param {string} type - Webhook type ('today', 'todayShift', 'date')
+ * @param {string} type - Webhook type ('today', 'todayShift', 'date', 'exceptions')
  * @param {Object} options - Additional options
  * @returns {Object} Webhook trigger response
  */
@@ -54,7 +54,7 @@ async function triggerDeviceWebhook(prefix, type, options = {}) {
 
 /**
  * Trigger webhook for all devices or by selector
- * @param {string} type - Webhook type ('today', 'todayShift')
+ * @param {string} type - Webhook type ('today', 'todayShift', 'exceptions')
  * @param {Object} selector - Device selector (country, deviceIds)
  * @returns {Object} Fleet webhook response
  */
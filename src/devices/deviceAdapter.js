@@ -0,0 +1,104 @@
+// src/devices/deviceAdapter.js
+// Device adapter contract shared by every attendance source (ZKTeco terminals, file imports, ...)
+
+/**
+ * Device Adapter
+ * Base class for attendance sources. Services only talk to devices through this
+ * contract, so a new terminal type only needs a new adapter registered in src/devices/index.js.
+ *
+ * An adapter instance represents one session with one device:
+ *   connect() → getInfo() / getUsers() / getAttendances() → disconnect()
+ *
+ * Record shapes:
+ *  - users:       { userId, name, role, cardno }
+ *  - attendances: { userSn?, deviceUserId, recordTime, ip?, punchState?, employeeName?, employeeRole?, employeeCardNo? }
+ *                 userSn is the device log sequence when the source has one; punchState is one of
+ *                 DeviceAdapter.PUNCH_STATES when the source records it
+ */
+class DeviceAdapter {
+    /**
+     * @param {Object} device - Device configuration from config.ENV.DEVICES
+     */
+    constructor(device) {
+        this.device = device;
+        this.deviceId = device.id;
+    }
+
+    /**
+     * Driver name (matches the device `driver` field)
+     * @returns {string} Driver name
+     */
+    static get driver() {
+        throw new Error('Device adapters must define a driver name');
+    }
+
+    /**
+     * Human-readable description of the device endpoint for logs
+     * @returns {string} Description
+     */
+    describe() {
+        return `${this.constructor.driver} device ${this.deviceId}`;
+    }
+
+    /**
+     * Open a session with the device
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        throw new Error(`${this.constructor.name} does not implement connect()`);
+    }
+
+    /**
+     * Close the session (never throws)
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        throw new Error(`${this.constructor.name} does not implement disconnect()`);
+    }
+
+    /**
+     * Get device information
+     * @returns {Promise<Object>} { userCounts, logCounts, logCapacity, ... }
+     */
+    async getInfo() {
+        throw new Error(`${this.constructor.name} does not implement getInfo()`);
+    }
+
+    /**
+     * Get the users enrolled on the device
+     * @returns {Promise<Object>} { data: users, err }
+     */
+    async getUsers() {
+        throw new Error(`${this.constructor.name} does not implement getUsers()`);
+    }
+
+    /**
+     * Get the attendance log, enriched with employee names where available
+     * Adapters that read the user list to enrich the log return it as `users` so the sync can keep it.
+     * @returns {Promise<Object>} { data: attendances, err, users? }
+     */
+    async getAttendances() {
+        throw new Error(`${this.constructor.name} does not implement getAttendances()`);
+    }
+
+    /**
+     * Check that the device is reachable without opening a full session
+     * @returns {Promise<Object>} { reachable, latency, protocol, error? }
+     */
+    async health() {
+        throw new Error(`${this.constructor.name} does not implement health()`);
+    }
+
+    /**
+     * Create a real-time punch listener for the device
+     * @returns {EventEmitter|null} Listener emitting 'punch' and 'status', or null when unsupported
+     */
+    createRealtimeListener() {
+        return null;
+    }
+}
+
+// Punch states a terminal records with each punch, indexed by the state code it sends
+DeviceAdapter.PUNCH_STATES = Object.freeze(['checkIn', 'checkOut', 'breakOut', 'breakIn', 'overtimeIn', 'overtimeOut']);
+
+module.exports = DeviceAdapter;
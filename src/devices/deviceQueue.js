@@ -0,0 +1,151 @@
+// src/devices/deviceQueue.js
+// Per-device work queue (one session with a device at a time) and single-flight coalescing of identical device work
+
+const config = require('../config');
+
+// Per device: { tail (settles when the last queued task is done), pending (running + waiting), active }
+const queues = new Map();
+
+// Shared promise of work in flight, by key ("pk01:attendance", ...)
+const inFlight = new Map();
+
+// Long-lived session per device (a real-time listener) with pause() and resume(); other sessions pause it while they run
+const holders = new Map();
+
+/**
+ * Get (or create) the queue of a device
+ * @param {string} deviceId - Device ID
+ * @returns {Object} Queue
+ */
+function getQueue(deviceId) {
+    if (!queues.has(deviceId)) {
+        queues.set(deviceId, { tail: Promise.resolve(), pending: 0, active: false });
+    }
+    return queues.get(deviceId);
+}
+
+/**
+ * Register the long-lived session of a device
+ * Tasks pause it before they run and it is resumed once the device's queue is empty.
+ * @param {string} deviceId - Device ID
+ * @param {Object} holder - { pause: async () => void, resume: () => void }
+ * @returns {Function} Unregister function
+ */
+function registerHolder(deviceId, holder) {
+    holders.set(deviceId, holder);
+    return () => {
+        if (holders.get(deviceId) === holder) {
+            holders.delete(deviceId);
+        }
+    };
+}
+
+/**
+ * Run a task once every earlier task for the same device has finished
+ * Terminals cope badly with overlapping sessions (downloads come back truncated), so everything that opens
+ * a session goes through here. A task still waiting after the wait timeout is dropped with a DEVICE_BUSY error.
+ * @param {string} deviceId - Device ID
+ * @param {Function} task - Async work holding the device
+ * @param {Object} options - { waitTimeoutMs, holder (the registered holder when it runs the task itself) }
+ * @returns {Promise<*>} Task result
+ */
+function runExclusive(deviceId, task, options = {}) {
+    const waitTimeoutMs = options.waitTimeoutMs || config.DEVICE_MANAGEMENT.QUEUE_WAIT_TIMEOUT_MS;
+    const queue = getQueue(deviceId);
+    const ahead = queue.pending;
+    queue.pending++;
+
+    const previous = queue.tail;
+    let release;
+    const slot = new Promise(resolve => {
+        release = resolve;
+    });
+    queue.tail = slot;
+
+    return new Promise((resolve, reject) => {
+        let timedOut = false;
+        let timer = null;
+
+        if (ahead > 0) {
+            console.log(`⏳ [${deviceId}] Waiting for ${ahead} device session(s) ahead`);
+            timer = setTimeout(() => {
+                timedOut = true;
+                const error = new Error(`Device ${deviceId} is busy: still waiting after ${waitTimeoutMs}ms for ${ahead} earlier session(s)`);
+                error.code = 'DEVICE_BUSY';
+                reject(error);
+            }, waitTimeoutMs);
+        }
+
+        previous.then(async () => {
+            clearTimeout(timer);
+            if (!timedOut) {
+                queue.active = true;
+                try {
+                    const holder = holders.get(deviceId);
+                    if (holder && holder !== options.holder) {
+                        await holder.pause();
+                    }
+                    resolve(await task());
+                } catch (error) {
+                    reject(error);
+                } finally {
+                    queue.active = false;
+                }
+            }
+
+            queue.pending--;
+            const idle = queue.pending === 0 && queue.tail === slot;
+            if (idle) {
+                queues.delete(deviceId);
+            }
+            release();
+
+            // A paused listener reconnects once no other session is running or waiting
+            if (idle && holders.has(deviceId)) {
+                holders.get(deviceId).resume();
+            }
+        });
+    });
+}
+
+/**
+ * Share one run of a task between everyone asking for the same key while it is in flight
+ * Callers arriving after it settles start a new run.
+ * @param {string} key - Work key, e.g. "pk01:attendance"
+ * @param {Function} task - Async work
+ * @returns {Promise<*>} Task result
+ */
+function coalesce(key, task) {
+    if (inFlight.has(key)) {
+        console.log(`🔁 Joining in-flight ${key}`);
+        return inFlight.get(key);
+    }
+
+    const promise = Promise.resolve()
+        .then(task)
+        .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+}
+
+/**
+ * Get the queue state of every device with work running or waiting
+ * @returns {Object} { devices: { [deviceId]: { active, waiting } }, inFlight: [key] }
+ */
+function getQueueStatus() {
+    const devices = {};
+    queues.forEach((queue, deviceId) => {
+        devices[deviceId] = {
+            active: queue.active,
+            waiting: queue.pending - (queue.active ? 1 : 0)
+        };
+    });
+    return { devices, inFlight: [...inFlight.keys()] };
+}
+
+module.exports = {
+    registerHolder,
+    runExclusive,
+    coalesce,
+    getQueueStatus
+};
@@ -0,0 +1,308 @@
+// src/devices/file/fileImportAdapter.js
+// Device adapter for CSV drop folders (sites without networked terminals)
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const DeviceAdapter = require('../deviceAdapter');
+const timezone = require('../../utils/timezone');
+
+// Optional employee list in the drop folder; every other *.csv file holds punches
+const USERS_FILE = 'users.csv';
+
+// Accepted header names (compared lowercase with non-alphanumerics removed)
+const COLUMN_ALIASES = {
+    userId: ['userid', 'deviceuserid', 'employeeid', 'empid', 'pin', 'id'],
+    recordTime: ['recordtime', 'timestamp', 'datetime', 'punchtime', 'checktime'],
+    date: ['date'],
+    time: ['time'],
+    name: ['name', 'employeename'],
+    role: ['role'],
+    cardNo: ['cardno', 'card', 'cardnumber'],
+    punchState: ['punchstate', 'state', 'status', 'checktype']
+};
+
+// Punch state spellings found in terminal exports (normalized like headers), mapped to DeviceAdapter.PUNCH_STATES
+const PUNCH_STATE_NAMES = {
+    i: 'checkIn', in: 'checkIn', cin: 'checkIn', checkin: 'checkIn',
+    o: 'checkOut', out: 'checkOut', cout: 'checkOut', checkout: 'checkOut',
+    breakout: 'breakOut', breakin: 'breakIn',
+    otin: 'overtimeIn', overtimein: 'overtimeIn', otout: 'overtimeOut', overtimeout: 'overtimeOut'
+};
+
+/**
+ * Parse CSV text into rows (supports quoted fields, escaped quotes and CRLF)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Map logical columns to their index in a header row
+ * @param {Array<string>} header - Header fields
+ * @returns {Object} { userId: 0, recordTime: 1, ... } for the columns present
+ */
+function mapColumns(header) {
+    const normalized = header.map(name => name.toLowerCase().replace(/[^a-z0-9]/g, ''));
+    const columns = {};
+
+    Object.entries(COLUMN_ALIASES).forEach(([column, aliases]) => {
+        const index = normalized.findIndex(name => aliases.includes(name));
+        if (index !== -1) {
+            columns[column] = index;
+        }
+    });
+
+    return columns;
+}
+
+// Date-time without an offset: "2025-01-15 09:02", "2025-01-15T09:02:11"
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * Parse a punch timestamp; date-times without an offset are device-local, like ZK logs
+ * @param {string} value - Timestamp ("2025-01-15 09:02:11", ISO 8601, ...)
+ * @param {string} timeZone - Device timezone for date-times without an offset
+ * @returns {Date|null} Parsed date or null when invalid
+ */
+function parseRecordTime(value, timeZone) {
+    const trimmed = String(value || '').trim();
+    if (!trimmed) {
+        return null;
+    }
+
+    const local = trimmed.match(LOCAL_DATE_TIME);
+    if (local) {
+        const [, year, month, day, hour, minute, second = 0] = local.map(part => (part === undefined ? undefined : Number(part)));
+        if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+            return null;
+        }
+        return timezone.zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone);
+    }
+
+    const date = new Date(trimmed);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse a punch state ("C/In", "Break Out", "OT In", or the device code 0-5)
+ * @param {string} value - State column value
+ * @returns {string|null} One of DeviceAdapter.PUNCH_STATES, or null when blank or unknown
+ */
+function parsePunchState(value) {
+    const normalized = String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (/^\d+$/.test(normalized)) {
+        return DeviceAdapter.PUNCH_STATES[Number(normalized)] || null;
+    }
+    return PUNCH_STATE_NAMES[normalized] || null;
+}
+
+/**
+ * File Import Adapter
+ * Reads punches from CSV files dropped into a folder (one folder per device).
+ * Files are read in full on every pull; the punch store deduplicates, so files
+ * can simply accumulate or be replaced with a fresh export.
+ *
+ * Punch files need a user ID column and either a timestamp column or date + time columns.
+ * An optional state column carries the punch state; an optional users.csv (userId, name, role, cardNo)
+ * supplies employee names.
+ */
+class FileImportAdapter extends DeviceAdapter {
+    static get driver() {
+        return 'file';
+    }
+
+    constructor(device) {
+        super(device);
+        this.directory = device.importDir || path.join(config.STORAGE.DATA_DIR, 'imports', device.id);
+    }
+
+    describe() {
+        return `import folder ${this.directory}`;
+    }
+
+    async connect() {
+        let stats;
+        try {
+            stats = await fs.promises.stat(this.directory);
+        } catch (error) {
+            throw new Error(`Import folder not found: ${this.directory}`);
+        }
+        if (!stats.isDirectory()) {
+            throw new Error(`Import path is not a folder: ${this.directory}`);
+        }
+    }
+
+    async disconnect() {
+        // Nothing to release
+    }
+
+    /**
+     * List the punch files in the drop folder
+     * @returns {Promise<Array<string>>} File names, sorted
+     */
+    async listPunchFiles() {
+        const entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+        return entries
+            .filter(entry => entry.isFile() && entry.name.toLowerCase().endsWith('.csv') && entry.name.toLowerCase() !== USERS_FILE)
+            .map(entry => entry.name)
+            .sort();
+    }
+
+    async readCsv(fileName) {
+        const text = await fs.promises.readFile(path.join(this.directory, fileName), 'utf8');
+        // Strip a UTF-8 BOM left by spreadsheet exports
+        return parseCsv(text.replace(/^\uFEFF/, ''));
+    }
+
+    async getInfo() {
+        const [users, attendances, files] = await Promise.all([this.getUsers(), this.getAttendances(), this.listPunchFiles()]);
+        return {
+            userCounts: users.data.length,
+            logCounts: attendances.data.length,
+            logCapacity: null,
+            files: files.length,
+            directory: this.directory
+        };
+    }
+
+    async getUsers() {
+        let rows;
+        try {
+            rows = await this.readCsv(USERS_FILE);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { data: [], err: null };
+            }
+            throw error;
+        }
+
+        const [header = [], ...body] = rows;
+        const columns = mapColumns(header);
+        if (columns.userId === undefined) {
+            return { data: [], err: new Error(`${USERS_FILE} has no user ID column`) };
+        }
+
+        const users = body
+            .map(fields => ({
+                userId: String(fields[columns.userId] || '').trim(),
+                name: columns.name !== undefined ? String(fields[columns.name] || '').trim() : '',
+                role: columns.role !== undefined ? parseInt(fields[columns.role], 10) || 0 : 0,
+                cardno: columns.cardNo !== undefined ? parseInt(fields[columns.cardNo], 10) || 0 : 0
+            }))
+            .filter(user => user.userId);
+
+        return { data: users, err: null };
+    }
+
+    async getAttendances() {
+        const users = await this.getUsers();
+        const userMap = {};
+        users.data.forEach(user => {
+            userMap[user.userId] = user;
+        });
+
+        const zone = timezone.resolveTimeZone(this.device.timezone);
+        const records = [];
+        let skipped = 0;
+
+        for (const fileName of await this.listPunchFiles()) {
+            const [header = [], ...body] = await this.readCsv(fileName);
+            const columns = mapColumns(header);
+            const hasTime = columns.recordTime !== undefined || (columns.date !== undefined && columns.time !== undefined);
+
+            if (columns.userId === undefined || !hasTime) {
+                console.log(`⚠️ [${this.deviceId}] Skipping ${fileName}: needs a user ID column and a timestamp (or date + time) column`);
+                skipped += body.length;
+                continue;
+            }
+
+            body.forEach(fields => {
+                const deviceUserId = String(fields[columns.userId] || '').trim();
+                const recordTime = columns.recordTime !== undefined
+                    ? parseRecordTime(fields[columns.recordTime], zone)
+                    : parseRecordTime(`${String(fields[columns.date] || '').trim()} ${String(fields[columns.time] || '').trim()}`, zone);
+
+                if (!deviceUserId || !recordTime) {
+                    skipped++;
+                    return;
+                }
+
+                const user = userMap[deviceUserId];
+                const nameInFile = columns.name !== undefined ? String(fields[columns.name] || '').trim() : '';
+                records.push({
+                    deviceUserId,
+                    recordTime,
+                    timezone: zone,
+                    ip: null,
+                    punchState: columns.punchState !== undefined ? parsePunchState(fields[columns.punchState]) : null,
+                    employeeName: nameInFile || (user && user.name) || 'Unknown Employee',
+                    employeeRole: user ? user.role : 0,
+                    employeeCardNo: user ? user.cardno : 0
+                });
+            });
+        }
+
+        if (skipped > 0) {
+            console.log(`⚠️ [${this.deviceId}] Skipped ${skipped} unreadable rows in ${this.directory}`);
+        }
+
+        records.sort((a, b) => a.recordTime - b.recordTime);
+        return { data: records, err: null, skipped, users: users.data };
+    }
+
+    async health() {
+        const startTime = Date.now();
+        try {
+            await this.connect();
+            await fs.promises.access(this.directory, fs.constants.R_OK);
+            return { reachable: true, latency: Date.now() - startTime, protocol: 'FILE', directory: this.directory };
+        } catch (error) {
+            return { reachable: false, error: error.message, protocol: 'FILE', directory: this.directory };
+        }
+    }
+}
+
+module.exports = FileImportAdapter;
@@ -0,0 +1,88 @@
+// src/devices/index.js
+// Device adapter registry: selects the adapter for a device from its `driver` field
+
+const config = require('../config');
+const ZKAdapter = require('./zk/zkAdapter');
+const FileImportAdapter = require('./file/fileImportAdapter');
+const deviceQueue = require('./deviceQueue');
+
+// Registered adapters by driver name
+const DRIVERS = {
+    [ZKAdapter.driver]: ZKAdapter,
+    [FileImportAdapter.driver]: FileImportAdapter
+};
+
+/**
+ * Register an adapter class for a driver name
+ * @param {Function} AdapterClass - DeviceAdapter subclass with a static `driver` name
+ */
+function registerDriver(AdapterClass) {
+    DRIVERS[AdapterClass.driver] = AdapterClass;
+}
+
+/**
+ * Get the names of all registered drivers
+ * @returns {Array<string>} Driver names
+ */
+function getDriverNames() {
+    return Object.keys(DRIVERS);
+}
+
+/**
+ * Create an adapter (one device session) for a configured device
+ * @param {string} deviceId - Device ID (e.g., 'pk01', 'us01')
+ * @returns {DeviceAdapter} Adapter for the device's driver
+ */
+function createAdapter(deviceId) {
+    const device = config.ENV.DEVICES.find(d => d.id === deviceId);
+    if (!device) {
+        throw new Error(`Device not found: ${deviceId}`);
+    }
+
+    const AdapterClass = DRIVERS[device.driver];
+    if (!AdapterClass) {
+        throw new Error(`Unknown driver "${device.driver}" for device ${deviceId}. Available drivers: ${getDriverNames().join(', ')}`);
+    }
+
+    return new AdapterClass(device);
+}
+
+/**
+ * Run work in a session with a device, after any other session with the same device has ended
+ * Connects the device's adapter, hands it to the work and always disconnects afterwards.
+ * @param {string} deviceId - Device ID
+ * @param {Function} work - async (adapter) => result
+ * @returns {Promise<*>} Work result
+ */
+function withSession(deviceId, work) {
+    return deviceQueue.runExclusive(deviceId, async () => {
+        const adapter = createAdapter(deviceId);
+        try {
+            console.log(`🔗 [${deviceId}] Connecting to ${adapter.describe()}...`);
+            await adapter.connect();
+            return await work(adapter);
+        } finally {
+            await adapter.disconnect();
+        }
+    });
+}
+
+/**
+ * Probe a device's reachability without overlapping a session with it
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object>} { reachable, latency, protocol, error? }
+ */
+function probe(deviceId) {
+    return deviceQueue.coalesce(`${deviceId}:health`, () =>
+        deviceQueue.runExclusive(deviceId, () => createAdapter(deviceId).health()));
+}
+
+module.exports = {
+    registerDriver,
+    getDriverNames,
+    createAdapter,
+    withSession,
+    probe,
+    coalesce: deviceQueue.coalesce,
+    getQueueStatus: deviceQueue.getQueueStatus
+};
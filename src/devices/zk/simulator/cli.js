@@ -0,0 +1,106 @@
+// src/devices/zk/simulator/cli.js
+// Run a ZK device simulator from the command line
+//
+//   npm run simulator -- --port 4370 --fixture ./fixtures/default.json --control-port 5370
+//
+// Options:
+//   --name <name>            Name used in logs (default: zk-sim)
+//   --host <address>         Bind address (default: 127.0.0.1)
+//   --port <port>            TCP/UDP device port (default: 4370)
+//   --transport <mode>       tcp, udp or both (default: both)
+//   --fixture <file>         Fixture JSON with users and attendances (default: fixtures/default.json)
+//   --control-port <port>    HTTP control API port (default: device port + 1000, 0 to disable)
+//   --timeout <targets>      Never answer: connect, users, attendances, info, realtime or all
+//   --truncate <targets>     Cut bulk transfers short: users, attendances or all
+//   --latency <ms>           Delay every reply
+//   --refuse                 Start with connections refused
+//   --punch-every <seconds>  Log a punch for a random user at this interval
+
+const path = require('path');
+const { ZKSimulator } = require('./zkSimulator');
+const { createControlServer } = require('./controlServer');
+
+/**
+ * Parse --key value / --flag arguments
+ * @param {Array<string>} argv - Arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            continue;
+        }
+        const key = arg.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            options[key] = true;
+        } else {
+            options[key] = next;
+            i++;
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const port = parseInt(args.port || '4370', 10);
+    const controlPort = args['control-port'] !== undefined ? parseInt(args['control-port'], 10) : port + 1000;
+
+    const simulator = new ZKSimulator({
+        name: args.name,
+        host: args.host,
+        port,
+        transport: args.transport,
+        fixture: args.fixture ? path.resolve(args.fixture) : path.join(__dirname, 'fixtures', 'default.json'),
+        faults: {
+            refuse: Boolean(args.refuse),
+            timeout: args.timeout,
+            truncate: args.truncate,
+            latencyMs: args.latency
+        }
+    });
+
+    await simulator.start();
+    const state = simulator.getState();
+    console.log(`🧪 ZK simulator "${state.name}" ready: ${state.userCount} users, ${state.attendanceCount} attendance records`);
+    console.log(`   Point a device at it, e.g. PK01_IP=${state.host} PK01_PORT=${state.port}`);
+
+    let controlServer = null;
+    if (controlPort > 0) {
+        controlServer = createControlServer(simulator);
+        controlServer.listen(controlPort, state.host, () => {
+            console.log(`🎛️ Control API: http://${state.host}:${controlPort}/state`);
+        });
+    }
+
+    let punchTimer = null;
+    if (args['punch-every'] && simulator.users.length > 0) {
+        const intervalMs = parseFloat(args['punch-every']) * 1000;
+        punchTimer = setInterval(() => {
+            const user = simulator.users[Math.floor(Math.random() * simulator.users.length)];
+            simulator.punch(user.userId);
+        }, intervalMs);
+    }
+
+    const shutdown = async () => {
+        console.log('\n🛑 Stopping ZK simulator...');
+        if (punchTimer) {
+            clearInterval(punchTimer);
+        }
+        if (controlServer) {
+            controlServer.close();
+        }
+        await simulator.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('❌ Failed to start ZK simulator:', error.message);
+    process.exit(1);
+});
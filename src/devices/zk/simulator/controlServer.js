@@ -0,0 +1,103 @@
+// src/devices/zk/simulator/controlServer.js
+// HTTP control API for a running ZK simulator (punches, faults, log clears)
+
+const http = require('http');
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body (empty object when there is no body)
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            if (!body.trim()) {
+                resolve({});
+                return;
+            }
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new Error('Request body must be valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload, null, 2));
+}
+
+/**
+ * Create the control server for a simulator
+ *
+ *   GET    /state   - Simulator state
+ *   POST   /punch   - { userId, recordTime?, state? } log a punch and push it to real-time subscribers
+ *   PUT    /faults  - { refuse, timeout, truncate, latencyMs } replace active faults
+ *   DELETE /faults  - Clear all faults
+ *   POST   /drop    - Drop every open session
+ *   POST   /clear   - Clear the attendance log
+ *
+ * @param {ZKSimulator} simulator - Simulator instance
+ * @returns {http.Server} Control server (not yet listening)
+ */
+function createControlServer(simulator) {
+    return http.createServer(async (req, res) => {
+        const route = `${req.method} ${req.url.split('?')[0]}`;
+
+        try {
+            switch (route) {
+                case 'GET /state':
+                    return sendJson(res, 200, { success: true, data: simulator.getState() });
+
+                case 'POST /punch': {
+                    const { userId, recordTime, state = 0 } = await readJsonBody(req);
+                    if (!userId) {
+                        return sendJson(res, 400, { success: false, error: 'userId is required' });
+                    }
+                    if (!Number.isInteger(state) || state < 0 || state > 5) {
+                        return sendJson(res, 400, { success: false, error: 'state must be a punch state code from 0 to 5' });
+                    }
+                    const time = recordTime ? new Date(recordTime) : new Date();
+                    if (Number.isNaN(time.getTime())) {
+                        return sendJson(res, 400, { success: false, error: 'Invalid recordTime' });
+                    }
+                    const record = simulator.punch(userId, time, state);
+                    return sendJson(res, 201, { success: true, data: record });
+                }
+
+                case 'PUT /faults': {
+                    const faults = await simulator.setFaults(await readJsonBody(req));
+                    return sendJson(res, 200, { success: true, data: faults });
+                }
+
+                case 'DELETE /faults': {
+                    const faults = await simulator.setFaults({});
+                    return sendJson(res, 200, { success: true, data: faults });
+                }
+
+                case 'POST /drop':
+                    simulator.dropConnections();
+                    return sendJson(res, 200, { success: true, data: simulator.getState() });
+
+                case 'POST /clear':
+                    return sendJson(res, 200, { success: true, data: { cleared: simulator.clearAttendances() } });
+
+                default:
+                    return sendJson(res, 404, { success: false, error: `Unknown control endpoint: ${route}` });
+            }
+        } catch (error) {
+            return sendJson(res, 400, { success: false, error: error.message });
+        }
+    });
+}
+
+module.exports = {
+    createControlServer
+};
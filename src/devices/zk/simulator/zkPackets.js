@@ -0,0 +1,257 @@
+// src/devices/zk/simulator/zkPackets.js
+// ZK protocol packet and record encoding used by the device simulator
+
+const { COMMANDS, USHRT_MAX } = require('node-zklib/constants');
+
+// Every TCP packet starts with this magic, followed by the UInt16LE body length
+const TCP_MAGIC = Buffer.from([0x50, 0x50, 0x82, 0x7d]);
+
+const TCP_PREFIX_SIZE = 8;
+const HEADER_SIZE = 8;
+
+// Record sizes as decoded by node-zklib
+const RECORD_SIZES = {
+    TCP_USER: 72,
+    TCP_ATTENDANCE: 40,
+    UDP_USER: 28,
+    UDP_ATTENDANCE: 16,
+    TCP_REALTIME_EVENT: 52
+};
+
+/**
+ * Compute the ZK packet checksum
+ * @param {Buffer} buf - Header and payload with a zero checksum field
+ * @returns {number} Checksum
+ */
+function createChecksum(buf) {
+    let checksum = 0;
+    for (let i = 0; i < buf.length; i += 2) {
+        if (i === buf.length - 1) {
+            checksum += buf[i];
+        } else {
+            checksum += buf.readUInt16LE(i);
+        }
+        checksum %= USHRT_MAX;
+    }
+    return USHRT_MAX - checksum - 1;
+}
+
+/**
+ * Build a packet without the TCP prefix (UDP datagram / TCP body)
+ * @param {number} command - Command or reply code
+ * @param {number} sessionId - Session ID (or event flag for real-time events)
+ * @param {number} replyId - Reply ID
+ * @param {Buffer} payload - Packet payload
+ * @returns {Buffer} Packet
+ */
+function encodePacket(command, sessionId, replyId, payload = Buffer.alloc(0)) {
+    const buf = Buffer.alloc(HEADER_SIZE + payload.length);
+    buf.writeUInt16LE(command, 0);
+    buf.writeUInt16LE(0, 2);
+    buf.writeUInt16LE(sessionId & 0xffff, 4);
+    buf.writeUInt16LE(replyId & 0xffff, 6);
+    payload.copy(buf, HEADER_SIZE);
+    buf.writeUInt16LE(createChecksum(buf), 2);
+    return buf;
+}
+
+/**
+ * Build a TCP packet (prefix + packet)
+ * @param {number} command - Command or reply code
+ * @param {number} sessionId - Session ID
+ * @param {number} replyId - Reply ID
+ * @param {Buffer} payload - Packet payload
+ * @returns {Buffer} TCP packet
+ */
+function encodeTcpPacket(command, sessionId, replyId, payload) {
+    const body = encodePacket(command, sessionId, replyId, payload);
+    const prefix = Buffer.alloc(TCP_PREFIX_SIZE);
+    TCP_MAGIC.copy(prefix, 0);
+    prefix.writeUInt16LE(body.length, 4);
+    return Buffer.concat([prefix, body]);
+}
+
+/**
+ * Decode a packet header and payload
+ * @param {Buffer} buf - Packet without TCP prefix
+ * @returns {Object} { command, sessionId, replyId, payload }
+ */
+function decodePacket(buf) {
+    return {
+        command: buf.readUInt16LE(0),
+        sessionId: buf.readUInt16LE(4),
+        replyId: buf.readUInt16LE(6),
+        payload: buf.subarray(HEADER_SIZE)
+    };
+}
+
+/**
+ * Split complete TCP packets off a receive buffer
+ * @param {Buffer} buffer - Accumulated bytes
+ * @returns {Object} { packets, rest } where rest is an incomplete trailing packet
+ */
+function splitTcpPackets(buffer) {
+    const packets = [];
+    let rest = buffer;
+
+    while (rest.length >= TCP_PREFIX_SIZE) {
+        if (rest.compare(TCP_MAGIC, 0, 4, 0, 4) !== 0) {
+            throw new Error('Invalid TCP packet prefix');
+        }
+        const bodyLength = rest.readUInt16LE(4);
+        if (rest.length < TCP_PREFIX_SIZE + bodyLength) {
+            break;
+        }
+        packets.push(decodePacket(rest.subarray(TCP_PREFIX_SIZE, TCP_PREFIX_SIZE + bodyLength)));
+        rest = rest.subarray(TCP_PREFIX_SIZE + bodyLength);
+    }
+
+    return { packets, rest };
+}
+
+/**
+ * Encode a date as a ZK packed timestamp (device local time)
+ * @param {Date} date - Timestamp
+ * @returns {number} Packed timestamp
+ */
+function encodeTime(date) {
+    return ((((((date.getFullYear() - 2000) * 12 + date.getMonth()) * 31 + (date.getDate() - 1)) * 24 +
+        date.getHours()) * 60 + date.getMinutes()) * 60 + date.getSeconds());
+}
+
+/**
+ * Encode a date as the 6-byte timestamp used in real-time events
+ * @param {Date} date - Timestamp
+ * @returns {Buffer} [year - 2000, month, day, hour, minute, second]
+ */
+function encodeEventTime(date) {
+    return Buffer.from([
+        date.getFullYear() - 2000,
+        date.getMonth() + 1,
+        date.getDate(),
+        date.getHours(),
+        date.getMinutes(),
+        date.getSeconds()
+    ]);
+}
+
+/**
+ * Write a zero-padded ASCII string into a buffer
+ * @param {Buffer} buf - Target buffer
+ * @param {string} value - String value
+ * @param {number} offset - Start offset
+ * @param {number} length - Field length
+ */
+function writeString(buf, value, offset, length) {
+    buf.write(String(value || '').slice(0, length), offset, length, 'ascii');
+}
+
+/**
+ * Encode a user record
+ * @param {Object} user - { uid, role, password, name, cardNo, userId }
+ * @param {string} transport - 'tcp' or 'udp'
+ * @returns {Buffer} User record
+ */
+function encodeUser(user, transport) {
+    if (transport === 'udp') {
+        const buf = Buffer.alloc(RECORD_SIZES.UDP_USER);
+        buf.writeUInt16LE(user.uid, 0);
+        buf.writeUInt8(user.role || 0, 2);
+        writeString(buf, user.name, 8, 8);
+        buf.writeUInt32LE(Number(user.userId) || 0, 24);
+        return buf;
+    }
+
+    const buf = Buffer.alloc(RECORD_SIZES.TCP_USER);
+    buf.writeUInt16LE(user.uid, 0);
+    buf.writeUInt8(user.role || 0, 2);
+    writeString(buf, user.password, 3, 8);
+    writeString(buf, user.name, 11, 24);
+    buf.writeUInt32LE(user.cardNo || 0, 35);
+    writeString(buf, user.userId, 48, 9);
+    return buf;
+}
+
+/**
+ * Encode an attendance record
+ * @param {Object} record - { userSn, userId, recordTime, state }
+ * @param {string} transport - 'tcp' or 'udp'
+ * @returns {Buffer} Attendance record (only TCP records carry the punch state)
+ */
+function encodeAttendance(record, transport) {
+    if (transport === 'udp') {
+        const buf = Buffer.alloc(RECORD_SIZES.UDP_ATTENDANCE);
+        buf.writeUInt16LE((Number(record.userId) || 0) & 0xffff, 0);
+        buf.writeUInt32LE(encodeTime(record.recordTime), 4);
+        return buf;
+    }
+
+    const buf = Buffer.alloc(RECORD_SIZES.TCP_ATTENDANCE);
+    buf.writeUInt16LE(record.userSn & 0xffff, 0);
+    writeString(buf, record.userId, 2, 9);
+    buf.writeUInt8(1, 26); // verify type: fingerprint
+    buf.writeUInt32LE(encodeTime(record.recordTime), 27);
+    buf.writeUInt8(record.state || 0, 31);
+    return buf;
+}
+
+/**
+ * Build a bulk data buffer (4-byte size header + records)
+ * @param {Array<Buffer>} records - Encoded records
+ * @returns {Buffer} Data buffer as sent in CMD_DATA_RDY chunks
+ */
+function encodeDataBuffer(records) {
+    const body = Buffer.concat(records);
+    const header = Buffer.alloc(4);
+    header.writeUInt32LE(body.length, 0);
+    return Buffer.concat([header, body]);
+}
+
+/**
+ * Encode the payload of a CMD_GET_FREE_SIZES reply
+ * @param {Object} counts - { userCount, logCount, logCapacity }
+ * @returns {Buffer} Payload
+ */
+function encodeFreeSizes({ userCount, logCount, logCapacity }) {
+    const buf = Buffer.alloc(92);
+    buf.writeUInt32LE(userCount, 16);
+    buf.writeUInt32LE(logCount, 32);
+    buf.writeUInt32LE(logCapacity, 64);
+    return buf;
+}
+
+/**
+ * Encode a real-time attendance event
+ * @param {Object} record - { userId, recordTime }
+ * @param {string} transport - 'tcp' or 'udp'
+ * @returns {Buffer} Event packet
+ */
+function encodeRealtimeEvent(record, transport) {
+    if (transport === 'udp') {
+        const payload = Buffer.alloc(10);
+        payload.writeUInt8((Number(record.userId) || 0) & 0xff, 0);
+        encodeEventTime(record.recordTime).copy(payload, 4);
+        return encodePacket(COMMANDS.CMD_REG_EVENT, COMMANDS.EF_ATTLOG, 0, payload);
+    }
+
+    const payload = Buffer.alloc(RECORD_SIZES.TCP_REALTIME_EVENT);
+    writeString(payload, record.userId, 0, 9);
+    payload.writeUInt8(1, 24); // verify type: fingerprint
+    encodeEventTime(record.recordTime).copy(payload, 26);
+    return encodeTcpPacket(COMMANDS.CMD_REG_EVENT, COMMANDS.EF_ATTLOG, 0, payload);
+}
+
+module.exports = {
+    COMMANDS,
+    HEADER_SIZE,
+    encodePacket,
+    encodeTcpPacket,
+    decodePacket,
+    splitTcpPackets,
+    encodeTime,
+    encodeUser,
+    encodeAttendance,
+    encodeDataBuffer,
+    encodeFreeSizes,
+    encodeRealtimeEvent
+};
@@ -0,0 +1,616 @@
+// src/devices/zk/simulator/zkSimulator.js
+// Local ZK TCP/UDP protocol simulator for offline development and testing
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const net = require('net');
+const dgram = require('dgram');
+const packets = require('./zkPackets');
+
+const { COMMANDS } = packets;
+
+// node-zklib request bodies identify the table in their second byte
+const DATA_TABLES = {
+    [COMMANDS.CMD_ATTLOG_RRQ]: 'attendances',
+    [COMMANDS.CMD_USERTEMP_RRQ]: 'users'
+};
+
+// Fault targets matched against incoming commands
+const FAULT_TARGETS = ['connect', 'users', 'attendances', 'info', 'realtime'];
+
+// Pause between bulk transfer chunks; node-zklib reads one chunk per TCP 'data' event
+const CHUNK_INTERVAL_MS = 20;
+
+// UDP devices split each chunk into packets of this size
+const UDP_PACKET_SIZE = 1024;
+
+/**
+ * Create the default (fault-free) fault configuration
+ * @returns {Object} Fault configuration
+ */
+function createDefaultFaults() {
+    return {
+        refuse: false,      // Stop listening so connections are refused
+        timeout: [],        // Targets that never get a reply
+        truncate: [],       // Targets whose bulk transfers are cut short and the connection dropped
+        latencyMs: 0        // Delay before every reply
+    };
+}
+
+/**
+ * Normalize a fault target list ('users', ['users', 'info'], 'all')
+ * @param {string|Array} value - Target or targets
+ * @returns {Array<string>} Targets
+ */
+function normalizeTargets(value) {
+    if (!value) {
+        return [];
+    }
+    const targets = Array.isArray(value) ? value : String(value).split(',');
+    return targets.map(target => String(target).trim()).filter(Boolean);
+}
+
+/**
+ * Validate and normalize a fault configuration
+ * @param {Object} faults - { refuse, timeout, truncate, latencyMs }
+ * @returns {Object} Fault configuration
+ */
+function normalizeFaults(faults = {}) {
+    const normalized = createDefaultFaults();
+    normalized.refuse = Boolean(faults.refuse);
+    normalized.timeout = normalizeTargets(faults.timeout);
+    normalized.truncate = normalizeTargets(faults.truncate);
+    normalized.latencyMs = Math.max(parseInt(faults.latencyMs, 10) || 0, 0);
+
+    const unknown = [...normalized.timeout, ...normalized.truncate].filter(target => target !== 'all' && !FAULT_TARGETS.includes(target));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown fault target(s): ${unknown.join(', ')}. Use ${FAULT_TARGETS.join(', ')} or all`);
+    }
+
+    return normalized;
+}
+
+/**
+ * Resolve a fixture timestamp
+ * Accepts an absolute device-local time ("2025-01-15 09:02:11") or a relative
+ * day ({ daysAgo: 1, time: "18:02" }) so fixtures stay current.
+ * @param {Object} entry - Fixture attendance entry
+ * @returns {Date} Record time
+ */
+function resolveRecordTime(entry) {
+    if (entry.recordTime) {
+        const recordTime = new Date(String(entry.recordTime).replace(' ', 'T'));
+        if (Number.isNaN(recordTime.getTime())) {
+            throw new Error(`Invalid recordTime in fixture: ${entry.recordTime}`);
+        }
+        return recordTime;
+    }
+
+    const [hours = 0, minutes = 0, seconds = 0] = String(entry.time || '00:00').split(':').map(Number);
+    const recordTime = new Date();
+    recordTime.setDate(recordTime.getDate() - (entry.daysAgo || 0));
+    recordTime.setHours(hours, minutes, seconds, 0);
+    return recordTime;
+}
+
+/**
+ * Load a simulator fixture
+ * @param {string|Object} source - Fixture file path or fixture object
+ * @returns {Object} { device, users, attendances, faults }
+ */
+function loadFixture(source) {
+    const fixture = typeof source === 'string'
+        ? JSON.parse(fs.readFileSync(source, 'utf8'))
+        : (source || {});
+
+    const users = (fixture.users || []).map((user, index) => ({
+        uid: user.uid || index + 1,
+        userId: String(user.userId),
+        name: user.name || '',
+        role: user.role || 0,
+        cardNo: user.cardNo || 0,
+        password: user.password || ''
+    }));
+
+    const attendances = (fixture.attendances || [])
+        .map(entry => ({
+            userId: String(entry.userId),
+            recordTime: resolveRecordTime(entry),
+            state: entry.state || 0
+        }))
+        .sort((a, b) => a.recordTime - b.recordTime);
+
+    return {
+        device: fixture.device || {},
+        users,
+        attendances,
+        faults: fixture.faults || {}
+    };
+}
+
+/**
+ * ZK Device Simulator
+ * Speaks enough of the ZK protocol (over TCP and UDP) for node-zklib to connect,
+ * read device info, users and attendance logs, subscribe to real-time events and
+ * disconnect. Faults can be injected at startup or while running.
+ *
+ * Events:
+ *  - 'punch' ({ userSn, userId, recordTime, state }) - a simulated punch was logged
+ */
+class ZKSimulator extends EventEmitter {
+    /**
+     * @param {Object} options - Simulator options
+     * @param {string} options.name - Name used in logs
+     * @param {string} options.host - Bind address
+     * @param {number} options.port - TCP and UDP port
+     * @param {string} options.transport - 'tcp', 'udp' or 'both'
+     * @param {string|Object} options.fixture - Fixture file path or fixture object
+     * @param {Object} options.faults - Initial faults (merged over the fixture's faults)
+     * @param {boolean} options.quiet - Suppress console logging
+     */
+    constructor(options = {}) {
+        super();
+        this.name = options.name || 'zk-sim';
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port || 4370;
+        this.transport = options.transport || 'both';
+        this.quiet = options.quiet || false;
+
+        const fixture = loadFixture(options.fixture);
+        this.device = {
+            serialNumber: fixture.device.serialNumber || 'SIM0000000001',
+            logCapacity: fixture.device.logCapacity || 100000
+        };
+        this.users = fixture.users;
+        this.attendances = [];
+        this.nextUserSn = 1;
+        fixture.attendances.forEach(record => this.appendAttendance(record.userId, record.recordTime, record.state));
+
+        this.faults = normalizeFaults({ ...fixture.faults, ...(options.faults || {}) });
+
+        this.tcpServer = null;
+        this.udpServer = null;
+        this.sessions = new Set();
+        this.udpSessions = new Map();
+        this.nextSessionId = 1;
+        this.started = false;
+    }
+
+    log(message) {
+        if (!this.quiet) {
+            console.log(`🧪 [${this.name}] ${message}`);
+        }
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.started = true;
+        await this.syncListeners();
+    }
+
+    /**
+     * Stop listening and drop every connection
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.started = false;
+        await this.syncListeners();
+    }
+
+    /**
+     * Open or close the listeners to match the started state and the refuse fault
+     * @returns {Promise<void>}
+     */
+    async syncListeners() {
+        const shouldListen = this.started && !this.faults.refuse;
+
+        if (!shouldListen) {
+            this.dropConnections();
+            await this.closeListeners();
+            return;
+        }
+
+        if (this.transport !== 'udp' && !this.tcpServer) {
+            await this.listenTcp();
+        }
+        if (this.transport !== 'tcp' && !this.udpServer) {
+            await this.listenUdp();
+        }
+    }
+
+    listenTcp() {
+        return new Promise((resolve, reject) => {
+            const server = net.createServer(socket => this.handleTcpConnection(socket));
+            server.once('error', reject);
+            server.listen(this.port, this.host, () => {
+                server.removeListener('error', reject);
+                this.tcpServer = server;
+                this.log(`TCP listening on ${this.host}:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    listenUdp() {
+        return new Promise((resolve, reject) => {
+            const server = dgram.createSocket('udp4');
+            server.once('error', reject);
+            server.on('message', (message, remote) => this.handleUdpMessage(message, remote));
+            server.bind(this.port, this.host, () => {
+                server.removeListener('error', reject);
+                this.udpServer = server;
+                this.log(`UDP listening on ${this.host}:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    async closeListeners() {
+        if (this.tcpServer) {
+            const server = this.tcpServer;
+            this.tcpServer = null;
+            await new Promise(resolve => server.close(() => resolve()));
+        }
+        if (this.udpServer) {
+            const server = this.udpServer;
+            this.udpServer = null;
+            await new Promise(resolve => server.close(() => resolve()));
+        }
+    }
+
+    /**
+     * Drop every open session (simulates the device going away mid-session)
+     */
+    dropConnections() {
+        this.sessions.forEach(session => session.close(false));
+        this.sessions.clear();
+        this.udpSessions.clear();
+    }
+
+    /**
+     * Replace the active faults
+     * @param {Object} faults - { refuse, timeout, truncate, latencyMs }
+     * @returns {Promise<Object>} Active faults
+     */
+    async setFaults(faults = {}) {
+        this.faults = normalizeFaults(faults);
+        this.log(`Faults: ${JSON.stringify(this.faults)}`);
+        await this.syncListeners();
+        return this.faults;
+    }
+
+    /**
+     * Check whether a fault list applies to a target
+     * @param {Array<string>} targets - Fault targets
+     * @param {string} target - Command target
+     * @returns {boolean} True when the fault applies
+     */
+    hasFault(targets, target) {
+        return Boolean(target) && (targets.includes('all') || targets.includes(target));
+    }
+
+    /**
+     * Append an attendance record to the device log
+     * @param {string} userId - Device user ID
+     * @param {Date} recordTime - Punch time
+     * @param {number} state - Punch state code (0 check-in, 1 check-out, 2/3 break out/in, 4/5 overtime in/out)
+     * @returns {Object} Stored record
+     */
+    appendAttendance(userId, recordTime, state = 0) {
+        const record = {
+            userSn: this.nextUserSn++,
+            userId: String(userId),
+            recordTime,
+            state
+        };
+        this.attendances.push(record);
+        return record;
+    }
+
+    /**
+     * Simulate an employee punching: log the record and push it to real-time subscribers
+     * @param {string} userId - Device user ID
+     * @param {Date} recordTime - Punch time (defaults to now)
+     * @param {number} state - Punch state code (defaults to check-in)
+     * @returns {Object} Stored record
+     */
+    punch(userId, recordTime = new Date(), state = 0) {
+        const record = this.appendAttendance(userId, recordTime, state);
+        let delivered = 0;
+
+        this.sessions.forEach(session => {
+            if (session.realtime && !this.hasFault(this.faults.timeout, 'realtime')) {
+                session.send(packets.encodeRealtimeEvent(record, session.transport));
+                delivered++;
+            }
+        });
+
+        this.emit('punch', record);
+        this.log(`Punch: user ${record.userId} at ${recordTime.toISOString()} (userSn ${record.userSn}, ${delivered} real-time subscribers)`);
+        return record;
+    }
+
+    /**
+     * Clear the attendance log; the device log sequence restarts like on real hardware
+     * @returns {number} Number of records cleared
+     */
+    clearAttendances() {
+        const cleared = this.attendances.length;
+        this.attendances = [];
+        this.nextUserSn = 1;
+        this.log(`Attendance log cleared (${cleared} records)`);
+        return cleared;
+    }
+
+    /**
+     * Get simulator state
+     * @returns {Object} Simulator state
+     */
+    getState() {
+        const last = this.attendances[this.attendances.length - 1];
+        return {
+            name: this.name,
+            host: this.host,
+            port: this.port,
+            transport: this.transport,
+            listening: {
+                tcp: Boolean(this.tcpServer),
+                udp: Boolean(this.udpServer)
+            },
+            userCount: this.users.length,
+            attendanceCount: this.attendances.length,
+            lastUserSn: last ? last.userSn : null,
+            lastRecordTime: last ? last.recordTime.toISOString() : null,
+            sessions: this.sessions.size,
+            realtimeSessions: [...this.sessions].filter(session => session.realtime).length,
+            faults: this.faults
+        };
+    }
+
+    handleTcpConnection(socket) {
+        let buffer = Buffer.alloc(0);
+        const session = this.createSession('tcp', buf => {
+            if (!socket.destroyed) {
+                socket.write(buf);
+            }
+        }, graceful => (graceful ? socket.end() : socket.destroy()));
+
+        this.log(`TCP client connected from ${socket.remoteAddress}:${socket.remotePort}`);
+
+        socket.on('data', data => {
+            buffer = Buffer.concat([buffer, data]);
+            try {
+                const { packets: received, rest } = packets.splitTcpPackets(buffer);
+                buffer = rest;
+                received.forEach(packet => this.handleCommand(session, packet));
+            } catch (error) {
+                this.log(`Dropping TCP client: ${error.message}`);
+                socket.destroy();
+            }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            this.sessions.delete(session);
+            this.log('TCP client disconnected');
+        });
+    }
+
+    handleUdpMessage(message, remote) {
+        const key = `${remote.address}:${remote.port}`;
+        let session = this.udpSessions.get(key);
+
+        if (!session) {
+            session = this.createSession('udp', buf => {
+                if (this.udpServer) {
+                    this.udpServer.send(buf, remote.port, remote.address);
+                }
+            }, () => {
+                this.sessions.delete(session);
+                this.udpSessions.delete(key);
+            });
+            this.udpSessions.set(key, session);
+            this.log(`UDP client ${key} connected`);
+        }
+
+        if (message.length < packets.HEADER_SIZE) {
+            return;
+        }
+        this.handleCommand(session, packets.decodePacket(message));
+    }
+
+    createSession(transport, send, close) {
+        const session = {
+            transport,
+            sessionId: 0,
+            realtime: false,
+            pendingData: null,
+            pendingTarget: null,
+            chunkQueue: Promise.resolve(),
+            send,
+            close,   // close(graceful): graceful flushes pending replies first
+            reply: (command, replyId, payload) => {
+                const buf = transport === 'tcp'
+                    ? packets.encodeTcpPacket(command, session.sessionId, replyId, payload)
+                    : packets.encodePacket(command, session.sessionId, replyId, payload);
+                send(buf);
+            }
+        };
+        this.sessions.add(session);
+        return session;
+    }
+
+    /**
+     * Map a command to its fault target
+     * @param {Object} packet - Decoded packet
+     * @returns {string|null} Fault target
+     */
+    getFaultTarget(packet) {
+        switch (packet.command) {
+            case COMMANDS.CMD_CONNECT:
+                return 'connect';
+            case COMMANDS.CMD_GET_FREE_SIZES:
+                return 'info';
+            case COMMANDS.CMD_REG_EVENT:
+                return 'realtime';
+            case COMMANDS.CMD_DATA_WRRQ:
+                return DATA_TABLES[packet.payload[1]] || null;
+            default:
+                return null;
+        }
+    }
+
+    handleCommand(session, packet) {
+        const target = this.getFaultTarget(packet);
+        if (this.hasFault(this.faults.timeout, target)) {
+            this.log(`Fault: not answering ${target} request`);
+            return;
+        }
+
+        if (this.faults.latencyMs > 0) {
+            setTimeout(() => this.executeCommand(session, packet, target), this.faults.latencyMs);
+        } else {
+            this.executeCommand(session, packet, target);
+        }
+    }
+
+    executeCommand(session, packet, target) {
+        const { command, replyId, payload } = packet;
+
+        switch (command) {
+            case COMMANDS.CMD_CONNECT:
+                session.sessionId = this.nextSessionId;
+                this.nextSessionId = this.nextSessionId % 0xfffe + 1;
+                session.reply(COMMANDS.CMD_ACK_OK, replyId);
+                break;
+
+            case COMMANDS.CMD_EXIT:
+                session.reply(COMMANDS.CMD_ACK_OK, replyId);
+                session.close(true);
+                break;
+
+            case COMMANDS.CMD_FREE_DATA:
+                session.pendingData = null;
+                session.reply(COMMANDS.CMD_ACK_OK, replyId);
+                break;
+
+            case COMMANDS.CMD_ENABLEDEVICE:
+            case COMMANDS.CMD_DISABLEDEVICE:
+            case COMMANDS.CMD_REFRESHDATA:
+                session.reply(COMMANDS.CMD_ACK_OK, replyId);
+                break;
+
+            case COMMANDS.CMD_GET_FREE_SIZES:
+                session.reply(COMMANDS.CMD_ACK_OK, replyId, packets.encodeFreeSizes({
+                    userCount: this.users.length,
+                    logCount: this.attendances.length,
+                    logCapacity: this.device.logCapacity
+                }));
+                break;
+
+            case COMMANDS.CMD_CLEAR_ATTLOG:
+                this.clearAttendances();
+                session.reply(COMMANDS.CMD_ACK_OK, replyId);
+                break;
+
+            case COMMANDS.CMD_REG_EVENT:
+                session.realtime = true;
+                session.reply(COMMANDS.CMD_ACK_OK, replyId);
+                this.log(`${session.transport.toUpperCase()} client subscribed to real-time events`);
+                break;
+
+            case COMMANDS.CMD_DATA_WRRQ:
+                this.prepareData(session, replyId, target);
+                break;
+
+            case COMMANDS.CMD_DATA_RDY:
+                this.queueChunk(session, replyId, payload.readUInt32LE(0), payload.readUInt32LE(4));
+                break;
+
+            default:
+                this.log(`Unsupported command ${command}`);
+                session.reply(COMMANDS.CMD_ACK_UNKNOWN, replyId);
+        }
+    }
+
+    /**
+     * Answer a bulk read request with the size of the data that follows
+     */
+    prepareData(session, replyId, target) {
+        let records;
+        if (target === 'users') {
+            records = this.users.map(user => packets.encodeUser(user, session.transport));
+        } else if (target === 'attendances') {
+            records = this.attendances.map(record => packets.encodeAttendance(record, session.transport));
+        } else {
+            session.reply(COMMANDS.CMD_ACK_ERROR, replyId);
+            return;
+        }
+
+        session.pendingData = packets.encodeDataBuffer(records);
+        session.pendingTarget = target;
+        this.log(`Sending ${target}: ${records.length} records (${session.pendingData.length} bytes) over ${session.transport.toUpperCase()}`);
+
+        const info = Buffer.alloc(9);
+        info.writeUInt32LE(session.pendingData.length, 1);
+        session.reply(COMMANDS.CMD_ACK_OK, replyId, info);
+    }
+
+    /**
+     * Serve chunk requests one at a time
+     */
+    queueChunk(session, replyId, start, size) {
+        session.chunkQueue = session.chunkQueue.then(() => new Promise(resolve => {
+            setTimeout(() => {
+                this.sendChunk(session, replyId, start, size);
+                resolve();
+            }, CHUNK_INTERVAL_MS);
+        }));
+    }
+
+    sendChunk(session, replyId, start, size) {
+        if (!session.pendingData || size === 0) {
+            return;
+        }
+
+        const chunk = session.pendingData.subarray(start, start + size);
+        const truncate = this.hasFault(this.faults.truncate, session.pendingTarget);
+
+        if (session.transport === 'tcp') {
+            const header = Buffer.alloc(8);
+            header.writeUInt32LE(start, 0);
+            header.writeUInt32LE(size, 4);
+            const packet = packets.encodeTcpPacket(COMMANDS.CMD_DATA, session.sessionId, replyId, Buffer.concat([header, chunk]));
+
+            if (truncate) {
+                this.log(`Fault: truncating ${session.pendingTarget} transfer and dropping the connection`);
+                session.send(packet.subarray(0, Math.floor(packet.length / 2)));
+                session.close(true);
+                return;
+            }
+            session.send(packet);
+            return;
+        }
+
+        session.reply(COMMANDS.CMD_PREPARE_DATA, replyId);
+        const sendUntil = truncate ? Math.floor(chunk.length / 2) : chunk.length;
+        for (let offset = 0; offset < sendUntil; offset += UDP_PACKET_SIZE) {
+            session.reply(COMMANDS.CMD_DATA, replyId, chunk.subarray(offset, Math.min(offset + UDP_PACKET_SIZE, sendUntil)));
+        }
+
+        if (truncate) {
+            // The client waits for the rest and gives up with partial data
+            this.log(`Fault: truncating ${session.pendingTarget} transfer`);
+            return;
+        }
+        session.reply(COMMANDS.CMD_ACK_OK, replyId);
+    }
+}
+
+module.exports = {
+    ZKSimulator,
+    loadFixture,
+    FAULT_TARGETS
+};
@@ -0,0 +1,115 @@
+// src/devices/zk/zkAdapter.js
+// Device adapter for ZKTeco terminals (node-zklib over TCP/UDP)
+
+const net = require('net');
+const DeviceAdapter = require('../deviceAdapter');
+const zkClient = require('./zkClient');
+const ZKRealtimeListener = require('./zkRealtimeListener');
+const timezone = require('../../utils/timezone');
+
+// Connectivity probe timeout
+const HEALTH_TIMEOUT_MS = 5000;
+
+/**
+ * ZK Adapter
+ * Wraps zkClient behind the device adapter contract
+ */
+class ZKAdapter extends DeviceAdapter {
+    static get driver() {
+        return 'zk';
+    }
+
+    constructor(device) {
+        super(device);
+        this.zkInstance = null;
+    }
+
+    describe() {
+        return `ZK device ${this.device.ip}:${this.device.port}`;
+    }
+
+    async connect() {
+        // Create ZK instance with better error handling
+        try {
+            this.zkInstance = zkClient.createZKInstance(this.deviceId);
+        } catch (zkError) {
+            console.error(`❌ [${this.deviceId}] Failed to create ZK instance:`, zkError);
+            throw new Error(`Failed to create ZK instance: ${zkError.message || 'Unknown error'}`);
+        }
+
+        // Connect to socket with better error handling
+        try {
+            await this.zkInstance.createSocket();
+            console.log(`✅ [${this.deviceId}] Connected to ZK device successfully`);
+        } catch (socketError) {
+            console.error(`❌ [${this.deviceId}] Failed to connect socket:`, socketError);
+            throw new Error(`Failed to connect socket: ${zkClient.getErrorMessage(socketError)}`);
+        }
+    }
+
+    async disconnect() {
+        const zkInstance = this.zkInstance;
+        this.zkInstance = null;
+        await zkClient.safeDisconnect(zkInstance);
+    }
+
+    async getInfo() {
+        try {
+            return await this.zkInstance.getInfo();
+        } catch (error) {
+            throw new Error(zkClient.getErrorMessage(error));
+        }
+    }
+
+    async getUsers() {
+        try {
+            return await this.zkInstance.getUsers();
+        } catch (error) {
+            throw new Error(zkClient.getErrorMessage(error));
+        }
+    }
+
+    async getAttendances() {
+        // Retries, validation and employee-name enrichment live in zkClient
+        const logs = await zkClient.getAttendanceDataWithRetry(this.zkInstance, this.deviceId, 3);
+
+        // node-zklib builds dates from the device wall clock in server-local time
+        const zone = timezone.resolveTimeZone(this.device.timezone);
+        logs.data = logs.data.map(({ state, ...record }) => ({
+            ...record,
+            recordTime: timezone.deviceWallClockToUtc(record.recordTime, zone),
+            timezone: zone,
+            punchState: DeviceAdapter.PUNCH_STATES[state] || null
+        }));
+        return logs;
+    }
+
+    /**
+     * TCP connectivity probe
+     * @returns {Promise<Object>} Connectivity status
+     */
+    health() {
+        const { ip, port } = this.device;
+        const startTime = Date.now();
+
+        return new Promise((resolve) => {
+            const socket = new net.Socket();
+            const done = (result) => {
+                socket.destroy();
+                resolve({ protocol: 'TCP', port, ...result });
+            };
+
+            socket.setTimeout(HEALTH_TIMEOUT_MS);
+            socket.on('connect', () => done({ reachable: true, latency: Date.now() - startTime }));
+            socket.on('timeout', () => done({ reachable: false, error: 'Connection timeout' }));
+            socket.on('error', (error) => done({ reachable: false, error: error.message }));
+            socket.connect(port, ip);
+        });
+    }
+
+    createRealtimeListener() {
+        return new ZKRealtimeListener(this.deviceId);
+    }
+}
+
+module.exports = ZKAdapter;
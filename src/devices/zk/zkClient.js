@@ -1,7 +1,10 @@
 // utils/zkHelper.js - Shared ZK device helper functions for multi-device support
 const ZKLib = require('node-zklib');
+const { REQUEST_DATA } = require('node-zklib/constants');
+const { decodeRecordData40 } = require('node-zklib/utils');
 const config = require('../../config');
 const { errorTracker, ERROR_STEPS } = require('../../utils/errorTracker');
+const deviceQueue = require('../deviceQueue');
 
 /**
  * Create a new ZK instance for a specific device
@@ -109,6 +112,39 @@ function isValidDeviceId(deviceId) {
     return config.ENV.DEVICES.some(device => device.id === deviceId);
 }
 
+/**
+ * Get a readable message from a device error
+ * ZKLib rejects with ZKError objects, which wrap the cause instead of extending Error
+ * @param {Error|Object} error - Error or ZKError
+ * @returns {string} Error message
+ */
+function getErrorMessage(error) {
+    if (!error) {
+        return 'Unknown error';
+    }
+    if (error.err) {
+        const cause = error.err.message || error.err.code || 'Unknown error';
+        // ZKLib does not name every command, leaving "[TCP] undefined"
+        const command = String(error.command || '').replace('undefined', '').trim();
+        return command ? `${command}: ${cause}` : cause;
+    }
+    return error.message || String(error);
+}
+
+/**
+ * Check whether a ZK instance has an open session
+ * ZKLib keeps its sockets on the transport it connected with, not on the instance itself
+ * @param {ZKLib} zkInstance - ZK instance
+ * @returns {boolean} True if the instance has an open TCP or UDP socket
+ */
+function isConnected(zkInstance) {
+    if (!zkInstance || !zkInstance.connectionType) {
+        return false;
+    }
+    const transport = zkInstance.connectionType === 'tcp' ? zkInstance.zklibTcp : zkInstance.zklibUdp;
+    return Boolean(transport && transport.socket && !transport.socket.destroyed);
+}
+
 /**
  * Safely disconnect from ZK device
  * @param {ZKLib} zkInstance - ZK instance to disconnect
@@ -117,7 +153,7 @@ async function safeDisconnect(zkInstance) {
     if (zkInstance) {
         try {
             // Check if socket exists and is not already destroyed
-            if (zkInstance.socket && !zkInstance.socket.destroyed) {
+            if (isConnected(zkInstance)) {
                 await zkInstance.disconnect();
                 console.log('✅ ZKTeco connection closed safely');
             } else {
@@ -132,6 +168,43 @@ async function safeDisconnect(zkInstance) {
     }
 }
 
+// Size of one attendance record in a TCP log dump
+const TCP_ATTENDANCE_RECORD_SIZE = 40;
+
+// Offset of the punch state byte (check-in, check-out, break, overtime) in a TCP attendance record
+const PUNCH_STATE_OFFSET = 31;
+
+/**
+ * Read the attendance log including the punch state of each record
+ * node-zklib drops the state byte, so TCP dumps are decoded here. UDP records carry no state.
+ * @param {ZKLib} zkInstance - Connected ZK instance
+ * @returns {Promise<Object>} { data: [{ userSn, deviceUserId, recordTime, state, ip }], err }
+ */
+async function readAttendanceLog(zkInstance) {
+    if (zkInstance.connectionType !== 'tcp') {
+        return zkInstance.getAttendances();
+    }
+    
+    const tcp = zkInstance.zklibTcp;
+    if (!tcp.socket) {
+        throw new Error('Socket isn\'t connected !');
+    }
+    
+    await tcp.freeData();
+    const response = await tcp.readWithBuffer(REQUEST_DATA.GET_ATTENDANCE_LOGS);
+    await tcp.freeData();
+    
+    const records = [];
+    let recordData = response.data.subarray(4);
+    while (recordData.length >= TCP_ATTENDANCE_RECORD_SIZE) {
+        const raw = recordData.subarray(0, TCP_ATTENDANCE_RECORD_SIZE);
+        records.push({ ...decodeRecordData40(raw), state: raw.readUInt8(PUNCH_STATE_OFFSET), ip: zkInstance.ip });
+        recordData = recordData.subarray(TCP_ATTENDANCE_RECORD_SIZE);
+    }
+    
+    return { data: records, err: response.err };
+}
+
 /**
  * Get attendance data with retry mechanism and validation for specific device
  * @param {ZKLib} zkInstance - ZK instance
@@ -149,13 +222,13 @@ async function getAttendanceDataWithRetry(zkInstance, deviceId = 'unknown', maxR
             console.log(`📥 [${deviceId}] Attempting to fetch attendance logs (attempt ${retryCount + 1}/${maxRetries})...`);
             
             // Check if ZK instance is still connected
-            if (!zkInstance || !zkInstance.socket || zkInstance.socket.destroyed) {
+            if (!isConnected(zkInstance)) {
                 console.log(`⚠️ [${deviceId}] ZK instance not connected, reconnecting...`);
                 await zkInstance.createSocket();
             }
             
             //Getting the Attendance Data
-            const logs = await zkInstance.getAttendances();
+            const logs = await readAttendanceLog(zkInstance);
             
             // Fetch user data to enrich attendance records
             let userList = null;
@@ -195,6 +268,9 @@ async function getAttendanceDataWithRetry(zkInstance, deviceId = 'unknown', maxR
                     };
                 });
                 
+                // Hand the user list on so the sync can keep it
+                logs.users = userList.data;
+                
                 console.log(`✅ [${deviceId}] Successfully enriched attendance data with employee names`);
             } else {
                 console.log(`⚠️ [${deviceId}] No user data available, returning attendance data without names`);
@@ -223,20 +299,21 @@ async function getAttendanceDataWithRetry(zkInstance, deviceId = 'unknown', maxR
                 lastError = new Error('No attendance data received');
             }
         } catch (error) {
-            const errorMsg = error.message || 'Unknown error';
+            const errorMsg = getErrorMessage(error);
             console.log(`❌ [${deviceId}] Error fetching attendance logs (attempt ${retryCount + 1}): ${errorMsg}`);
             console.log(`❌ [${deviceId}] Error details:`, error);
-            lastError = error;
+            lastError = new Error(errorMsg);
             
             // If it's a connection error, try to reconnect
-            if (error.message && (error.message.includes('connection') || error.message.includes('socket') || error.message.includes('undefined'))) {
+            const lowerMsg = errorMsg.toLowerCase();
+            if (lowerMsg.includes('connection') || lowerMsg.includes('socket') || lowerMsg.includes('undefined')) {
                 try {
                     console.log(`🔄 [${deviceId}] Attempting to reconnect...`);
                     await zkInstance.disconnect();
                     await zkInstance.createSocket();
                     console.log(`✅ [${deviceId}] Reconnected successfully`);
                 } catch (reconnectError) {
-                    console.log(`❌ [${deviceId}] Reconnection failed: ${reconnectError.message}`);
+                    console.log(`❌ [${deviceId}] Reconnection failed: ${getErrorMessage(reconnectError)}`);
                 }
             }
         }
@@ -282,7 +359,7 @@ async function getAttendanceDataFromMultipleDevices(deviceIds, maxConcurrent = 3
     // Process devices in batches to avoid overwhelming the system
     for (let i = 0; i < deviceIds.length; i += maxConcurrent) {
         const batch = deviceIds.slice(i, i + maxConcurrent);
-        const batchPromises = batch.map(async (deviceId) => {
+        const batchPromises = batch.map(deviceId => deviceQueue.runExclusive(deviceId, async () => {
             let zkInstance = null;
             try {
                 zkInstance = createZKInstance(deviceId);
@@ -303,14 +380,22 @@ async function getAttendanceDataFromMultipleDevices(deviceIds, maxConcurrent = 3
             } catch (error) {
                 results.devices[deviceId] = {
                     success: false,
-                    error: error.message,
+                    error: getErrorMessage(error),
                     deviceInfo: getDeviceConfig(deviceId)
                 };
                 results.summary.failedDevices++;
             } finally {
                 await safeDisconnect(zkInstance);
             }
-        });
+        }).catch(error => {
+            // Only a device busy beyond the queue wait timeout gets here
+            results.devices[deviceId] = {
+                success: false,
+                error: error.message,
+                deviceInfo: getDeviceConfig(deviceId)
+            };
+            results.summary.failedDevices++;
+        }));
         
         await Promise.all(batchPromises);
     }
@@ -324,16 +409,32 @@ async function getAttendanceDataFromMultipleDevices(deviceIds, maxConcurrent = 3
  * @returns {Promise<Object>} Device health information
  */
 async function getDeviceHealth(deviceId) {
+    if (!getDeviceConfig(deviceId)) {
+        return {
+            success: false,
+            error: `Device not found: ${deviceId}`,
+            deviceId
+        };
+    }
+    
+    return deviceQueue.runExclusive(deviceId, () => readDeviceHealth(deviceId)).catch(error => ({
+        success: false,
+        deviceId,
+        error: error.message,
+        status: 'busy',
+        timestamp: new Date().toISOString()
+    }));
+}
+
+/**
+ * Open a session and read device info (see getDeviceHealth)
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object>} Device health information
+ */
+async function readDeviceHealth(deviceId) {
     let zkInstance = null;
     try {
         const device = getDeviceConfig(deviceId);
-        if (!device) {
-            return {
-                success: false,
-                error: `Device not found: ${deviceId}`,
-                deviceId
-            };
-        }
         
         zkInstance = createZKInstance(deviceId);
         await zkInstance.createSocket();
@@ -354,7 +455,7 @@ async function getDeviceHealth(deviceId) {
         return {
             success: false,
             deviceId,
-            error: error.message,
+            error: getErrorMessage(error),
             status: 'offline',
             timestamp: new Date().toISOString()
         };
@@ -367,10 +468,13 @@ module.exports = {
     createZKInstance,
     createZKInstanceWith,
     safeDisconnect,
+    isConnected,
+    getErrorMessage,
     getDeviceConfig,
     getAllDeviceConfigs,
     getDevicesByCountry,
     isValidDeviceId,
+    readAttendanceLog,
     getAttendanceDataWithRetry,
     getAttendanceDataFromMultipleDevices,
     getDeviceHealth
@@ -0,0 +1,267 @@
+// src/devices/zk/zkRealtimeListener.js
+// Long-lived real-time punch listener for a single ZK device
+
+const EventEmitter = require('events');
+const config = require('../../config');
+const zkClient = require('./zkClient');
+const deviceQueue = require('../deviceQueue');
+const timezone = require('../../utils/timezone');
+
+/**
+ * ZK Real-time Listener
+ * Holds a device session open, subscribes to real-time attendance events and
+ * reconnects with exponential backoff whenever the session drops.
+ * The session is opened through the device queue, and closed ('paused') while any other
+ * session with the device runs; it reopens once the queue is empty again.
+ *
+ * Events:
+ *  - 'punch'  ({ deviceId, deviceUserId, recordTime, employeeName, receivedAt })
+ *  - 'status' ({ deviceId, status, error })
+ */
+class ZKRealtimeListener extends EventEmitter {
+    constructor(deviceId) {
+        super();
+        this.deviceId = deviceId;
+        this.zkInstance = null;
+        this.userMap = {};
+        this.status = 'stopped';
+        this.stopped = true;
+        this.paused = false;
+        this.unregister = null;
+        this.reconnectTimer = null;
+        this.reconnecting = false;
+        this.reconnectAttempts = 0;
+        this.connectedAt = null;
+        this.lastPunchAt = null;
+        this.lastError = null;
+        this.punchCount = 0;
+    }
+
+    /**
+     * Start listening (no-op if already started)
+     */
+    start() {
+        if (!this.stopped) {
+            return;
+        }
+        this.stopped = false;
+        this.paused = false;
+        this.unregister = deviceQueue.registerHolder(this.deviceId, this);
+        this.connect();
+    }
+
+    /**
+     * Stop listening and close the device session
+     */
+    async stop() {
+        this.stopped = true;
+        if (this.unregister) {
+            this.unregister();
+            this.unregister = null;
+        }
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.reconnecting = false;
+        await this.closeSession();
+        this.setStatus('stopped');
+    }
+
+    /**
+     * Close the session while another session with the device runs (called by the device queue)
+     * Punches made meanwhile are not streamed; the session that paused the listener reads the device log.
+     */
+    async pause() {
+        if (this.stopped || this.paused) {
+            return;
+        }
+        this.paused = true;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.reconnecting = false;
+        this.connectedAt = null;
+        await this.closeSession();
+        this.setStatus('paused');
+    }
+
+    /**
+     * Reopen the session after a pause (called by the device queue once it is empty)
+     */
+    resume() {
+        if (this.stopped || !this.paused) {
+            return;
+        }
+        this.paused = false;
+        this.connect();
+    }
+
+    /**
+     * Open a device session and register for real-time events, waiting for other sessions with the device to end
+     * @returns {Promise<void>}
+     */
+    connect() {
+        this.setStatus('connecting');
+        return deviceQueue.runExclusive(this.deviceId, () => this.openSession(), { holder: this })
+            .catch(error => this.handleDisconnect(error));
+    }
+
+    /**
+     * Open the device session (see connect)
+     */
+    async openSession() {
+        this.zkInstance = zkClient.createZKInstance(this.deviceId);
+
+        const onDrop = (error) => this.handleDisconnect(error);
+        await this.zkInstance.createSocket(onDrop, () => onDrop(new Error('Device closed the connection')));
+
+        // Load employee names once per session so punches can be enriched
+        try {
+            const users = await this.zkInstance.getUsers();
+            this.userMap = {};
+            (users.data || []).forEach(user => {
+                if (user.userId) {
+                    this.userMap[user.userId] = user.name || 'Unknown';
+                }
+            });
+        } catch (userError) {
+            console.log(`⚠️ [${this.deviceId}] Real-time listener could not load users: ${zkClient.getErrorMessage(userError)}`);
+        }
+
+        // node-zklib only attaches its event handler when the TCP socket has no other
+        // 'data' listeners, and bulk reads (getUsers) leave theirs registered
+        const tcpSocket = this.zkInstance.connectionType === 'tcp' && this.zkInstance.zklibTcp.socket;
+        if (tcpSocket) {
+            tcpSocket.removeAllListeners('data');
+        }
+
+        await this.zkInstance.getRealTimeLogs(log => this.handleLog(log));
+
+        // Detect half-open TCP sessions on idle links
+        if (tcpSocket) {
+            tcpSocket.setKeepAlive(true, 30000);
+        }
+
+        if (this.stopped) {
+            await this.closeSession();
+            return;
+        }
+
+        this.reconnectAttempts = 0;
+        this.connectedAt = new Date().toISOString();
+        this.lastError = null;
+        this.setStatus('connected');
+        console.log(`📡 [${this.deviceId}] Real-time listener connected`);
+    }
+
+    /**
+     * Handle a real-time attendance event from the device
+     * @param {Object} log - Decoded real-time log ({ userId, attTime })
+     */
+    handleLog(log) {
+        if (!log || !log.userId) {
+            return;
+        }
+
+        // The device reports its wall clock; resolve it in the device's timezone
+        const device = zkClient.getDeviceConfig(this.deviceId);
+        const recordTime = timezone.deviceWallClockToUtc(new Date(log.attTime), device ? device.timezone : null);
+        const deviceUserId = String(log.userId);
+        const punch = {
+            deviceId: this.deviceId,
+            deviceUserId,
+            recordTime: Number.isNaN(recordTime.getTime()) ? null : recordTime.toISOString(),
+            employeeName: this.userMap[deviceUserId] || 'Unknown Employee',
+            receivedAt: new Date().toISOString()
+        };
+
+        this.punchCount++;
+        this.lastPunchAt = punch.receivedAt;
+        this.emit('punch', punch);
+    }
+
+    /**
+     * Handle a dropped or failed session by scheduling a reconnect
+     * @param {Error} error - Cause of the disconnect
+     */
+    handleDisconnect(error) {
+        if (this.stopped || this.paused || this.reconnecting) {
+            return;
+        }
+
+        this.reconnecting = true;
+        this.lastError = error ? zkClient.getErrorMessage(error) : null;
+        this.connectedAt = null;
+
+        const { RECONNECT_BASE_DELAY_MS, RECONNECT_MAX_DELAY_MS } = config.REALTIME;
+        const delay = Math.min(RECONNECT_BASE_DELAY_MS * Math.pow(2, this.reconnectAttempts), RECONNECT_MAX_DELAY_MS);
+        this.reconnectAttempts++;
+
+        console.log(`🔄 [${this.deviceId}] Real-time listener disconnected (${this.lastError || 'unknown reason'}), reconnecting in ${delay}ms`);
+        this.setStatus('reconnecting');
+
+        this.closeSession().finally(() => {
+            if (this.stopped) {
+                this.reconnecting = false;
+                return;
+            }
+            this.reconnectTimer = setTimeout(() => {
+                this.reconnectTimer = null;
+                this.reconnecting = false;
+                this.connect();
+            }, delay);
+        });
+    }
+
+    /**
+     * Close the current device session, ignoring errors
+     */
+    async closeSession() {
+        const zkInstance = this.zkInstance;
+        this.zkInstance = null;
+        if (!zkInstance) {
+            return;
+        }
+        try {
+            await zkInstance.disconnect();
+        } catch (error) {
+            // Session is already gone
+        }
+    }
+
+    /**
+     * Update and broadcast the listener status
+     * @param {string} status - New status
+     */
+    setStatus(status) {
+        if (this.status === status) {
+            return;
+        }
+        this.status = status;
+        this.emit('status', {
+            deviceId: this.deviceId,
+            status,
+            error: this.lastError
+        });
+    }
+
+    /**
+     * Get listener status
+     * @returns {Object} Listener status
+     */
+    getStatus() {
+        return {
+            deviceId: this.deviceId,
+            status: this.status,
+            connectedAt: this.connectedAt,
+            lastPunchAt: this.lastPunchAt,
+            punchCount: this.punchCount,
+            reconnectAttempts: this.reconnectAttempts,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = ZKRealtimeListener;
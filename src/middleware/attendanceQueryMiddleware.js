@@ -0,0 +1,33 @@
+// src/middleware/attendanceQueryMiddleware.js
+// Validates attendance filter, sort, field and pagination parameters before a listing is read
+
+const attendanceQueryService = require('../services/attendanceQueryService');
+const { errorTracker } = require('../utils/errorTracker');
+
+/**
+ * Parse the attendance query into req.attendanceQuery (null without query parameters)
+ * Invalid parameters are rejected with 400 before any device is read.
+ */
+function parseAttendanceQuery(req, res, next) {
+    try {
+        errorTracker.reset();
+        req.attendanceQuery = attendanceQueryService.parseQuery(req.query);
+        next();
+        
+    } catch (error) {
+        if (errorTracker.hasError()) {
+            return res.status(400).json(errorTracker.getErrorResponse());
+        }
+        
+        res.status(400).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: error.message,
+            requestId: req.headers['x-request-id']
+        });
+    }
+}
+
+module.exports = {
+    parseAttendanceQuery
+};
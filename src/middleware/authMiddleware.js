@@ -0,0 +1,131 @@
+// src/middleware/authMiddleware.js
+// API key authentication: scope per route class and country/device restrictions, with every decision audited
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const apiKeyService = require('../services/apiKeyService');
+
+// Reachable without a key: the API index and the liveness check used by the platform
+const PUBLIC_ROUTES = ['/', '/api-docs', '/health'];
+
+// Scope a request needs; the first matching rule wins
+const ROUTE_SCOPES = [
+    { pattern: /^\/(api-keys|audit\/api-keys|cache)(\/|$)/i, scope: 'admin' },
+    { pattern: /(^|\/)webhook(\/|$)/i, scope: 'webhooks:trigger' },
+    // Recomputes a shift with a posted configuration; nothing is written
+    { methods: ['POST'], pattern: /^\/[^/]+\/attendance\/todayShift\/process\/?$/i, scope: 'attendance:read' },
+    { methods: ['GET', 'HEAD'], pattern: /.*/, scope: 'attendance:read' },
+    { pattern: /.*/, scope: 'admin' }
+];
+
+/**
+ * Get the scope a request needs
+ * @param {Object} req - Express request object
+ * @returns {string} Scope
+ */
+function getRequiredScope(req) {
+    const rule = ROUTE_SCOPES.find(entry =>
+        (!entry.methods || entry.methods.includes(req.method)) && entry.pattern.test(req.path));
+    return rule.scope;
+}
+
+/**
+ * Get the devices and countries a request is limited to
+ * Taken only from the path (/:prefix/... or /country/:code/...): query and body filters are not honoured
+ * by every fleet route, so they cannot narrow a request. A request without either is fleet-wide.
+ * @param {Object} req - Express request object
+ * @returns {Object} { devices, countries }
+ */
+function getRequestTarget(req) {
+    const countryPath = req.path.match(/^\/country\/([^/]+)/i);
+    
+    return {
+        devices: req.devicePrefix ? [req.devicePrefix] : [],
+        countries: countryPath ? [countryPath[1]] : []
+    };
+}
+
+/**
+ * Read the API key from Authorization: Bearer or X-API-Key
+ * @param {Object} req - Express request object
+ * @returns {string|null} API key
+ */
+function getPresentedKey(req) {
+    const authorization = req.headers.authorization || '';
+    const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+    if (bearer) {
+        return bearer[1];
+    }
+    return req.headers['x-api-key'] || null;
+}
+
+/**
+ * API key authentication middleware
+ * Sets req.apiKey ({ id, name, scopes, countries, devices }) for the routes.
+ */
+function authMiddleware(req, res, next) {
+    if (!config.AUTH.ENABLED || req.method === 'OPTIONS') {
+        return next();
+    }
+    if ((req.method === 'GET' || req.method === 'HEAD') && PUBLIC_ROUTES.includes(req.path)) {
+        return next();
+    }
+    
+    const startTime = Date.now();
+    const presented = getPresentedKey(req);
+    const scope = getRequiredScope(req);
+    const audit = {
+        at: new Date().toISOString(),
+        keyId: null,
+        keyPrefix: presented ? presented.slice(0, 10) : null,
+        method: req.method,
+        path: req.path,
+        scope,
+        ip: req.ip,
+        requestId: req.headers['x-request-id'] || null
+    };
+    
+    const deny = (status, reason) => {
+        apiKeyService.recordUsage({ ...audit, status, outcome: 'denied', reason, durationMs: Date.now() - startTime });
+        logger.warn(`API request denied: ${req.method} ${req.path}`, { keyId: audit.keyId, reason });
+        if (status === 401) {
+            res.setHeader('WWW-Authenticate', 'Bearer realm="api"');
+        }
+        return res.status(status).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: reason,
+            requiredScope: scope,
+            requestId: req.headers['x-request-id']
+        });
+    };
+    
+    if (!presented) {
+        return deny(401, 'API key required (Authorization: Bearer <key> or X-API-Key header)');
+    }
+    
+    const { key, error } = apiKeyService.authenticate(presented);
+    if (!key) {
+        return deny(401, error);
+    }
+    audit.keyId = key.id;
+    
+    if (!key.scopes.includes(scope)) {
+        return deny(403, `API key lacks the ${scope} scope`);
+    }
+    const restriction = apiKeyService.checkRestrictions(key, getRequestTarget(req));
+    if (restriction) {
+        return deny(403, restriction);
+    }
+    
+    req.apiKey = key;
+    res.on('finish', () => {
+        apiKeyService.recordUsage({ ...audit, status: res.statusCode, outcome: 'allowed', reason: null, durationMs: Date.now() - startTime });
+    });
+    next();
+}
+
+module.exports = {
+    authMiddleware,
+    getRequiredScope
+};
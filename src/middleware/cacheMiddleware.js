@@ -0,0 +1,57 @@
+// src/middleware/cacheMiddleware.js
+// ?fresh=true cache bypass and the X-Cache / Cache-Control headers of responses built from cached device reads
+
+const config = require('../config');
+const requestContext = require('../utils/requestContext');
+
+// Most telling outcome first: a response is only a HIT when every device read in it was one
+const CACHE_STATUSES = ['BYPASS', 'MISS', 'STALE', 'HIT'];
+
+/**
+ * Set the cache headers for the device reads a request made
+ * @param {Object} res - Express response object
+ * @param {Array} lookups - { status, maxAge } per cached read
+ */
+function setCacheHeaders(res, lookups) {
+    const status = CACHE_STATUSES.find(candidate => lookups.some(lookup => lookup.status === candidate));
+    res.setHeader('X-Cache', status);
+    
+    if (status === 'BYPASS') {
+        res.setHeader('Cache-Control', 'private, no-cache');
+    } else {
+        const maxAge = Math.min(...lookups.map(lookup => lookup.maxAge));
+        res.setHeader('Cache-Control', `private, max-age=${maxAge}, stale-while-revalidate=${config.CACHE.STALE_SECONDS}`);
+    }
+}
+
+/**
+ * Cache middleware
+ * Lets GET requests skip cached device reads with ?fresh=true and labels responses built from them
+ * (X-Cache: HIT, STALE, MISS or BYPASS). Reads report into the request context (see cacheService.deviceRead).
+ */
+function cacheMiddleware(req, res, next) {
+    const context = requestContext.getContext();
+    if (!context || !['GET', 'HEAD'].includes(req.method)) {
+        return next();
+    }
+    
+    const state = { fresh: req.query.fresh === 'true', lookups: [] };
+    context.cache = state;
+    
+    // Headers go out with the status line, after the route has made its reads
+    const originalWriteHead = res.writeHead;
+    res.writeHead = function(...args) {
+        const statusCode = typeof args[0] === 'number' ? args[0] : res.statusCode;
+        if (state.lookups.length > 0 && statusCode < 400) {
+            setCacheHeaders(res, state.lookups);
+        }
+        
+        return originalWriteHead.apply(this, args);
+    };
+    
+    next();
+}
+
+module.exports = {
+    cacheMiddleware
+};
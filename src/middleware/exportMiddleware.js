@@ -0,0 +1,181 @@
+// src/middleware/exportMiddleware.js
+// Content negotiation for attendance endpoints: JSON, CSV, NDJSON (streamed) and XLSX
+
+const { Readable, pipeline } = require('stream');
+const spreadsheet = require('../utils/spreadsheet');
+const timezone = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+// Media type served for each export format
+const EXPORT_FORMATS = {
+    json: 'application/json',
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Accept header media types, in order of preference when the client weighs them equally
+const ACCEPTED_TYPES = {
+    'application/json': 'json',
+    'text/csv': 'csv',
+    'application/x-ndjson': 'ndjson',
+    'application/ndjson': 'ndjson',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
+};
+
+// Columns of CSV and XLSX attendance exports
+const ATTENDANCE_COLUMNS = [
+    { header: 'deviceId', value: record => record.deviceId },
+    { header: 'userSn', value: record => record.userSn },
+    { header: 'deviceUserId', value: record => record.deviceUserId },
+    { header: 'employeeId', value: record => record.employeeId },
+    { header: 'employeeCode', value: record => record.employeeCode },
+    { header: 'employeeName', value: record => record.employeeName },
+    { header: 'department', value: record => record.department },
+    { header: 'recordTime', value: record => record.recordTime },
+    { header: 'localTime', value: record => formatLocalTime(record) },
+    { header: 'punchState', value: record => record.punchState },
+    { header: 'timezone', value: record => record.timezone },
+    { header: 'ip', value: record => record.ip },
+    { header: 'correction', value: record => (record.correction ? record.correction.action : null) },
+    { header: 'correctionId', value: record => (record.correction ? record.correction.id : null) },
+    { header: 'originalRecordTime', value: record => record.originalRecordTime }
+];
+
+/**
+ * Format a punch on the device clock as "YYYY-MM-DD HH:mm:ss", which spreadsheets read as a date
+ * @param {Object} record - Attendance record
+ * @returns {string} Local time
+ */
+function formatLocalTime(record) {
+    const parts = timezone.getZonedParts(record.recordTime, record.timezone);
+    const pad = value => String(value).padStart(2, '0');
+    return `${parts.dateKey} ${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+}
+
+/**
+ * Pick the export columns: the requested fields in their order, or every attendance column
+ * localTime is derived rather than a record field, so only full exports carry it.
+ * @param {Array<string>|null} fields - Fields the query kept (page.fields)
+ * @returns {Array<Object>} Columns
+ */
+function selectColumns(fields) {
+    if (!fields) {
+        return ATTENDANCE_COLUMNS;
+    }
+    return fields.map(field => ATTENDANCE_COLUMNS.find(column => column.header === field)
+        || { header: field, value: record => record[field] });
+}
+
+/**
+ * Negotiate the response format from ?format= or the Accept header
+ * An unknown ?format= is rejected; an Accept header without a supported type falls back to JSON.
+ */
+function negotiateExportFormat(req, res, next) {
+    const requested = req.query.format ? String(req.query.format).toLowerCase() : null;
+    
+    if (requested) {
+        if (!EXPORT_FORMATS[requested]) {
+            return res.status(400).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+                requestId: req.headers['x-request-id']
+            });
+        }
+        req.exportFormat = requested;
+    } else {
+        const accepted = req.accepts(Object.keys(ACCEPTED_TYPES));
+        req.exportFormat = accepted ? ACCEPTED_TYPES[accepted] : 'json';
+    }
+    
+    res.vary('Accept');
+    next();
+}
+
+/**
+ * Collect the records of an attendance response
+ * Device responses carry them in data.data; fleet responses per device in data[deviceId].data.data.
+ * @param {Object} result - Controller response
+ * @returns {Object} { records, failedDevices }
+ */
+function collectRecords(result) {
+    if (result.data && Array.isArray(result.data.data)) {
+        return { records: result.data.data, failedDevices: [] };
+    }
+    
+    const records = [];
+    const failedDevices = [];
+    Object.entries(Array.isArray(result.data) ? {} : result.data || {}).forEach(([deviceId, device]) => {
+        if (device.success && device.data && Array.isArray(device.data.data)) {
+            records.push(...device.data.data);
+        } else {
+            failedDevices.push(deviceId);
+        }
+    });
+    return { records, failedDevices };
+}
+
+/**
+ * Send an attendance response in the negotiated format
+ * CSV and NDJSON are written record by record as the client reads them; XLSX is built in memory.
+ * @param {Object} req - Express request object (after negotiateExportFormat)
+ * @param {Object} res - Express response object
+ * @param {Object} result - Successful controller response
+ * @param {string} name - Download file name without extension
+ */
+function sendAttendance(req, res, result, name) {
+    const format = req.exportFormat || 'json';
+    if (format === 'json') {
+        return res.json(result);
+    }
+    
+    const { records, failedDevices } = collectRecords(result);
+    const columns = selectColumns(result.page ? result.page.fields : null);
+    const toRow = record => columns.map(column => {
+        const value = column.value(record);
+        return value === undefined ? null : value;
+    });
+    
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.${format}"`);
+    res.setHeader('X-Record-Count', String(records.length));
+    // Exports carry no per-device status, so flag the devices whose records are missing
+    if (failedDevices.length > 0) {
+        res.setHeader('X-Failed-Devices', failedDevices.join(','));
+    }
+    // Paged listings hand the next cursor over in a header, as files have no envelope to carry it
+    if (result.page && result.page.nextCursor) {
+        res.setHeader('X-Next-Cursor', result.page.nextCursor);
+    }
+    
+    if (format === 'xlsx') {
+        const headers = columns.map(column => column.header);
+        return res.send(spreadsheet.toXlsx([{ name: 'Attendance', headers, rows: records.map(toRow) }]));
+    }
+    
+    function* lines() {
+        if (format === 'csv') {
+            yield spreadsheet.toCsvRow(columns.map(column => column.header));
+            for (const record of records) {
+                yield spreadsheet.toCsvRow(toRow(record));
+            }
+        } else {
+            for (const record of records) {
+                yield `${JSON.stringify(record)}\n`;
+            }
+        }
+    }
+    
+    pipeline(Readable.from(lines()), res, error => {
+        if (error) {
+            logger.warn(`Attendance ${format} export ended early`, { path: req.path, error: error.message });
+        }
+    });
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    negotiateExportFormat,
+    sendAttendance
+};
@@ -2,6 +2,8 @@
 // Performance monitoring middleware for response time tracking
 
 const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const deviceService = require('../services/deviceService');
 
 /**
  * Performance monitoring middleware
@@ -59,18 +61,19 @@ function performanceMiddleware(req, res, next) {
 
 /**
  * Request correlation middleware
- * Ensures all requests have a correlation ID
+ * Ensures all requests have a correlation ID and runs the rest of the request
+ * in its own context (errorTracker state, logger correlation, webhook headers)
  */
 function correlationMiddleware(req, res, next) {
     // Generate correlation ID if not present
     if (!req.headers['x-request-id']) {
-        req.headers['x-request-id'] = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        req.headers['x-request-id'] = requestContext.generateRequestId();
     }
     
     // Add correlation ID to response headers
     res.setHeader('X-Request-ID', req.headers['x-request-id']);
     
-    next();
+    requestContext.run({ requestId: req.headers['x-request-id'] }, next);
 }
 
 /**
@@ -78,9 +81,15 @@ function correlationMiddleware(req, res, next) {
  * Extracts device prefix from URL parameters
  */
 function devicePrefixMiddleware(req, res, next) {
-    // Extract device prefix from URL if present
-    if (req.params.prefix) {
-        req.devicePrefix = req.params.prefix;
+    // Route params are not parsed yet at app level, so match the first path segment
+    const segment = req.path.split('/')[1];
+    if (deviceService.validateDeviceId(segment)) {
+        req.devicePrefix = segment;
+        
+        const context = requestContext.getContext();
+        if (context) {
+            context.devicePrefix = segment;
+        }
     }
     
     next();
@@ -1,7 +1,25 @@
 // src/middleware/rateLimitMiddleware.js
 // Rate limiting middleware for API security
 
+const config = require('../config');
 const logger = require('../utils/logger');
+const RedisRateLimitStore = require('../storage/redisRateLimitStore');
+
+// Route classes, first match wins: webhook triggers, requests that can reach a terminal (a device pull, or a
+// stream holding a device connection), and everything else, which is answered from stored data
+const ROUTE_CLASSES = [
+    { name: 'webhook', patterns: [/(^|\/)webhook(\/|$)/i] },
+    {
+        name: 'device',
+        patterns: [
+            /^\/[^/]+\/(attendance|device\/info|health|reports\/timesheet)(\/|$)/i,
+            /^\/(attendance|reports\/timesheet|health\/devices|health\/report)(\/|$)/i,
+            /^\/country\/[^/]+\/attendance(\/|$)/i,
+            /^\/employees\/[^/]+\/attendance(\/|$)/i
+        ]
+    },
+    { name: 'read', patterns: [/.*/] }
+];
 
 /**
  * Rate Limiter Class
@@ -10,6 +28,7 @@ const logger = require('../utils/logger');
 class RateLimiter {
     constructor() {
         this.requests = new Map();
+        this.store = null; // Shared store (Redis); requests are counted in this.requests without one
         this.defaultLimit = 100; // requests per window
         this.defaultWindow = 15 * 60 * 1000; // 15 minutes
         this.cleanupInterval = 5 * 60 * 1000; // 5 minutes
@@ -57,8 +76,9 @@ class RateLimiter {
                 this.requests.set(identifier, validRequests);
             }
             
-            const remaining = Math.max(0, limit - currentCount);
-            const resetTime = new Date(now + window).toISOString();
+            // Remaining after this request; a slot frees up when the oldest request leaves the window
+            const remaining = Math.max(0, limit - currentCount - (isAllowed ? 1 : 0));
+            const resetTime = new Date((validRequests[0] || now) + window).toISOString();
             
             const result = {
                 isAllowed,
@@ -106,6 +126,55 @@ class RateLimiter {
         }
     }
 
+    /**
+     * Use a shared store for the counters so every machine enforces one limit
+     * @param {Object|null} store - Store with hit(identifier, limit, window) and reset(identifier), e.g. RedisRateLimitStore
+     */
+    setStore(store) {
+        this.store = store;
+        logger.info(`Rate limiter using ${store ? 'shared' : 'in-memory'} store`);
+    }
+
+    /**
+     * Count a request against the limit, in the shared store when one is set
+     * Falls back to this machine's counters while the shared store is unreachable.
+     * @param {string} identifier - Request identifier
+     * @param {number} limit - Request limit per window
+     * @param {number} window - Time window in milliseconds
+     * @returns {Promise<Object>} Rate limit status (see checkLimit)
+     */
+    async consume(identifier, limit = this.defaultLimit, window = this.defaultWindow) {
+        if (!this.store) {
+            return this.checkLimit(identifier, limit, window);
+        }
+        
+        try {
+            const { isAllowed, currentCount, oldest, now } = await this.store.hit(identifier, limit, window);
+            
+            if (!isAllowed) {
+                logger.warn(`Rate limit exceeded`, { identifier, currentCount, limit, window });
+            }
+            
+            // oldest and now are on the store's clock; carry the time left over to this machine's clock
+            const resetIn = Math.max(0, oldest + window - now);
+            
+            return {
+                isAllowed,
+                currentCount,
+                limit,
+                remaining: Math.max(0, limit - currentCount - (isAllowed ? 1 : 0)),
+                resetTime: new Date(Date.now() + resetIn).toISOString(),
+                window
+            };
+        } catch (error) {
+            logger.debug(`Shared rate limit store unavailable, counting locally`, {
+                identifier,
+                error: error.message
+            });
+            return this.checkLimit(identifier, limit, window);
+        }
+    }
+
     /**
      * Get rate limit info for identifier
      * @param {string} identifier - Request identifier
@@ -166,6 +235,11 @@ class RateLimiter {
      */
     resetLimit(identifier) {
         try {
+            if (this.store) {
+                this.store.reset(identifier).catch(error => {
+                    logger.error(`Failed to reset shared rate limit`, { identifier, error: error.message });
+                });
+            }
             const deleted = this.requests.delete(identifier);
             if (deleted) {
                 logger.info(`Rate limit reset for ${identifier}`);
@@ -257,6 +331,7 @@ class RateLimiter {
         }
         
         return {
+            store: this.store ? 'shared' : 'memory',
             totalIdentifiers,
             totalRequests,
             timestamp: new Date().toISOString()
@@ -267,6 +342,55 @@ class RateLimiter {
 // Create singleton instance
 const rateLimiter = new RateLimiter();
 
+if (config.RATE_LIMIT.REDIS_URL) {
+    rateLimiter.setStore(new RedisRateLimitStore(config.RATE_LIMIT.REDIS_URL, {
+        keyPrefix: config.RATE_LIMIT.REDIS_KEY_PREFIX,
+        timeoutMs: config.RATE_LIMIT.REDIS_TIMEOUT_MS
+    }));
+}
+
+/**
+ * Set the standard RateLimit-* response headers
+ * (RateLimit-Reset and Retry-After are seconds from now, per the IETF RateLimit header fields draft)
+ * @param {Object} res - Express response object
+ * @param {Object} limitInfo - Rate limit status
+ */
+function setRateLimitHeaders(res, limitInfo) {
+    const resetSeconds = Math.max(0, Math.ceil((new Date(limitInfo.resetTime).getTime() - Date.now()) / 1000));
+    
+    res.setHeader('RateLimit-Policy', `${limitInfo.limit};w=${Math.ceil(limitInfo.window / 1000)}`);
+    res.setHeader('RateLimit-Limit', limitInfo.limit);
+    res.setHeader('RateLimit-Remaining', limitInfo.remaining);
+    res.setHeader('RateLimit-Reset', resetSeconds);
+    
+    if (!limitInfo.isAllowed) {
+        res.setHeader('Retry-After', resetSeconds);
+    }
+}
+
+/**
+ * Answer a request over its limit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} limitInfo - Rate limit status
+ * @param {string} errorMessage - Error message
+ * @param {number} errorCode - HTTP status
+ */
+function sendRateLimitExceeded(req, res, limitInfo, errorMessage, errorCode = 429) {
+    return res.status(errorCode).json({
+        success: false,
+        timestamp: new Date().toISOString(),
+        error: errorMessage,
+        rateLimit: {
+            limit: limitInfo.limit,
+            remaining: 0,
+            resetTime: limitInfo.resetTime,
+            retryAfter: Number(res.getHeader('Retry-After'))
+        },
+        requestId: req.headers['x-request-id']
+    });
+}
+
 /**
  * Rate limiting middleware factory
  * @param {Object} options - Rate limiting options
@@ -276,14 +400,14 @@ function createRateLimitMiddleware(options = {}) {
     const {
         limit = 100,
         window = 15 * 60 * 1000, // 15 minutes
-        identifier = 'ip', // 'ip', 'user', 'device', or custom function
+        identifier = 'ip', // 'ip', 'user', 'device', 'apiKey', or custom function
         skipSuccessfulRequests = false,
         skipFailedRequests = false,
         errorMessage = 'Rate limit exceeded',
         errorCode = 429
     } = options;
 
-    return function rateLimitMiddleware(req, res, next) {
+    return async function rateLimitMiddleware(req, res, next) {
         try {
             // Generate identifier based on configuration
             let requestIdentifier;
@@ -298,6 +422,9 @@ function createRateLimitMiddleware(options = {}) {
                 case 'device':
                     requestIdentifier = req.params.prefix || req.headers['x-device-id'] || 'unknown';
                     break;
+                case 'apiKey':
+                    requestIdentifier = getClientIdentifier(req);
+                    break;
                 case 'custom':
                     requestIdentifier = options.getIdentifier ? options.getIdentifier(req) : 'custom';
                     break;
@@ -306,13 +433,10 @@ function createRateLimitMiddleware(options = {}) {
             }
             
             // Check rate limit
-            const limitInfo = rateLimiter.checkLimit(requestIdentifier, limit, window);
+            const limitInfo = await rateLimiter.consume(requestIdentifier, limit, window);
             
             // Add rate limit headers
-            res.setHeader('X-RateLimit-Limit', limit);
-            res.setHeader('X-RateLimit-Remaining', limitInfo.remaining);
-            res.setHeader('X-RateLimit-Reset', limitInfo.resetTime);
-            res.setHeader('X-RateLimit-Reset-Timestamp', new Date(limitInfo.resetTime).getTime());
+            setRateLimitHeaders(res, limitInfo);
             
             if (!limitInfo.isAllowed) {
                 // Rate limit exceeded
@@ -324,17 +448,7 @@ function createRateLimitMiddleware(options = {}) {
                     currentCount: limitInfo.currentCount
                 });
                 
-                return res.status(errorCode).json({
-                    success: false,
-                    timestamp: new Date().toISOString(),
-                    error: errorMessage,
-                    rateLimit: {
-                        limit,
-                        remaining: 0,
-                        resetTime: limitInfo.resetTime,
-                        retryAfter: Math.ceil(window / 1000)
-                    }
-                });
+                return sendRateLimitExceeded(req, res, limitInfo, errorMessage, errorCode);
             }
             
             // Rate limit check passed
@@ -366,7 +480,7 @@ function createRateLimitMiddleware(options = {}) {
  * Different limits for different device types
  */
 function createDeviceRateLimitMiddleware() {
-    return function deviceRateLimitMiddleware(req, res, next) {
+    return async function deviceRateLimitMiddleware(req, res, next) {
         try {
             const devicePrefix = req.params.prefix;
             
@@ -392,12 +506,10 @@ function createDeviceRateLimitMiddleware() {
             }
             
             const requestIdentifier = `device:${devicePrefix}`;
-            const limitInfo = rateLimiter.checkLimit(requestIdentifier, limit, window);
+            const limitInfo = await rateLimiter.consume(requestIdentifier, limit, window);
             
             // Add rate limit headers
-            res.setHeader('X-RateLimit-Limit', limit);
-            res.setHeader('X-RateLimit-Remaining', limitInfo.remaining);
-            res.setHeader('X-RateLimit-Reset', limitInfo.resetTime);
+            setRateLimitHeaders(res, limitInfo);
             
             if (!limitInfo.isAllowed) {
                 logger.warn(`Device rate limit exceeded for ${devicePrefix}`, {
@@ -406,17 +518,7 @@ function createDeviceRateLimitMiddleware() {
                     currentCount: limitInfo.currentCount
                 });
                 
-                return res.status(429).json({
-                    success: false,
-                    timestamp: new Date().toISOString(),
-                    error: 'Device rate limit exceeded',
-                    rateLimit: {
-                        limit,
-                        remaining: 0,
-                        resetTime: limitInfo.resetTime,
-                        retryAfter: Math.ceil(window / 1000)
-                    }
-                });
+                return sendRateLimitExceeded(req, res, limitInfo, 'Device rate limit exceeded');
             }
             
             next();
@@ -438,7 +540,7 @@ function createDeviceRateLimitMiddleware() {
  * Higher limits for admin operations
  */
 function createAdminRateLimitMiddleware() {
-    return function adminRateLimitMiddleware(req, res, next) {
+    return async function adminRateLimitMiddleware(req, res, next) {
         try {
             // Check if this is an admin operation
             const isAdminOperation = req.path.includes('/admin') || 
@@ -454,12 +556,10 @@ function createAdminRateLimitMiddleware() {
             const window = 5 * 60 * 1000; // 5 minutes
             
             const requestIdentifier = `admin:${req.ip || 'unknown'}`;
-            const limitInfo = rateLimiter.checkLimit(requestIdentifier, limit, window);
+            const limitInfo = await rateLimiter.consume(requestIdentifier, limit, window);
             
             // Add rate limit headers
-            res.setHeader('X-RateLimit-Limit', limit);
-            res.setHeader('X-RateLimit-Remaining', limitInfo.remaining);
-            res.setHeader('X-RateLimit-Reset', limitInfo.resetTime);
+            setRateLimitHeaders(res, limitInfo);
             
             if (!limitInfo.isAllowed) {
                 logger.warn(`Admin rate limit exceeded`, {
@@ -469,17 +569,7 @@ function createAdminRateLimitMiddleware() {
                     currentCount: limitInfo.currentCount
                 });
                 
-                return res.status(429).json({
-                    success: false,
-                    timestamp: new Date().toISOString(),
-                    error: 'Admin rate limit exceeded',
-                    rateLimit: {
-                        limit,
-                        remaining: 0,
-                        resetTime: limitInfo.resetTime,
-                        retryAfter: Math.ceil(window / 1000)
-                    }
-                });
+                return sendRateLimitExceeded(req, res, limitInfo, 'Admin rate limit exceeded');
             }
             
             next();
@@ -496,9 +586,57 @@ function createAdminRateLimitMiddleware() {
     };
 }
 
+/**
+ * Identify the client: its API key (set by authMiddleware), or its IP for requests without one
+ * @param {Object} req - Express request object
+ * @returns {string} Client identifier
+ */
+function getClientIdentifier(req) {
+    return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip || 'unknown'}`;
+}
+
+/**
+ * Get the route class of a request
+ * @param {Object} req - Express request object
+ * @returns {string} 'webhook', 'device' or 'read'
+ */
+function getRouteClass(req) {
+    return ROUTE_CLASSES.find(routeClass => routeClass.patterns.some(pattern => pattern.test(req.path))).name;
+}
+
+/**
+ * Route class rate limiting middleware
+ * Applies the read, device or webhook limit from config.RATE_LIMIT, counted per API key (after authMiddleware)
+ * and separately per class, so a burst of webhook triggers does not use up a key's read allowance.
+ */
+function createRouteClassRateLimitMiddleware() {
+    const { WINDOW_MS, READ_LIMIT, DEVICE_LIMIT, WEBHOOK_LIMIT } = config.RATE_LIMIT;
+    const limits = { read: READ_LIMIT, device: DEVICE_LIMIT, webhook: WEBHOOK_LIMIT };
+    
+    const limiters = {};
+    Object.entries(limits).forEach(([routeClass, limit]) => {
+        limiters[routeClass] = createRateLimitMiddleware({
+            limit,
+            window: WINDOW_MS,
+            identifier: 'custom',
+            getIdentifier: req => `${routeClass}:${getClientIdentifier(req)}`,
+            errorMessage: `Rate limit exceeded for ${routeClass} requests (${limit} per ${Math.ceil(WINDOW_MS / 1000)}s)`
+        });
+    });
+    
+    return function routeClassRateLimitMiddleware(req, res, next) {
+        if (!config.RATE_LIMIT.ENABLED || req.method === 'OPTIONS') {
+            return next();
+        }
+        return limiters[getRouteClass(req)](req, res, next);
+    };
+}
+
 module.exports = {
     rateLimiter,
+    getRouteClass,
     createRateLimitMiddleware,
+    createRouteClassRateLimitMiddleware,
     createDeviceRateLimitMiddleware,
     createAdminRateLimitMiddleware
 };
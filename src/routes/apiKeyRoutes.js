@@ -0,0 +1,86 @@
+// src/routes/apiKeyRoutes.js
+// Express routes for API key management (admin scope)
+
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+
+/**
+ * ID of the key making the request, recorded as creator or revoker
+ * @param {Object} req - Express request object
+ * @returns {string|null} Key ID
+ */
+function getRequestKeyId(req) {
+    return req.apiKey ? req.apiKey.id : null;
+}
+
+// GET /api-keys - List API keys (hashes are never returned)
+router.get('/api-keys', (req, res) => {
+    const result = apiKeyController.getKeys();
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(500).json(result);
+    }
+});
+
+// GET /api-keys/:keyId - Get an API key
+router.get('/api-keys/:keyId', (req, res) => {
+    const { keyId } = req.params;
+    const result = apiKeyController.getKey(keyId);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(404).json(result);
+    }
+});
+
+// POST /api-keys - Create an API key (name, scopes, countries, devices, expiresAt); the key is returned once
+router.post('/api-keys', async (req, res) => {
+    const result = await apiKeyController.createKey(req.body, getRequestKeyId(req));
+    
+    if (result.success) {
+        res.status(201).json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// PATCH /api-keys/:keyId - Change an API key's name, scopes, restrictions or expiry
+router.patch('/api-keys/:keyId', async (req, res) => {
+    const { keyId } = req.params;
+    const result = await apiKeyController.updateKey(keyId, req.body);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// POST /api-keys/:keyId/revoke - Revoke an API key
+router.post('/api-keys/:keyId/revoke', async (req, res) => {
+    const { keyId } = req.params;
+    const result = await apiKeyController.revokeKey(keyId, getRequestKeyId(req));
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// GET /audit/api-keys?keyId=&outcome=allowed|denied&from=&to=&limit= - API key usage, newest first
+router.get('/audit/api-keys', async (req, res) => {
+    const result = await apiKeyController.getUsage(req.query);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+module.exports = router;
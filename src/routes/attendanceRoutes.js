@@ -4,48 +4,77 @@
 const express = require('express');
 const router = express.Router();
 const attendanceController = require('../controllers/attendanceController');
+const { negotiateExportFormat, sendAttendance } = require('../middleware/exportMiddleware');
+const { parseAttendanceQuery } = require('../middleware/attendanceQueryMiddleware');
 
 // Device-scoped attendance endpoints
+// Record listings answer as JSON, CSV, NDJSON or XLSX (?format= or the Accept header) and take
+// filters (deviceUserId, employeeId, name, state, origin, from, to), sort, fields, and limit/cursor pagination
 // GET /:prefix/attendance - Get latest attendance for device
-router.get('/:prefix/attendance', async (req, res) => {
+router.get('/:prefix/attendance', negotiateExportFormat, parseAttendanceQuery, async (req, res) => {
     const { prefix } = req.params;
-    const result = await attendanceController.getLatest(prefix);
+    const result = await attendanceController.getLatest(prefix, req.attendanceQuery);
     
     if (result.success) {
-        res.json(result);
+        sendAttendance(req, res, result, `attendance-${prefix}`);
     } else {
         res.status(404).json(result);
     }
 });
 
 // GET /:prefix/attendance/date/:date - Get date-specific attendance
-router.get('/:prefix/attendance/date/:date', async (req, res) => {
+router.get('/:prefix/attendance/date/:date', negotiateExportFormat, parseAttendanceQuery, async (req, res) => {
     const { prefix, date } = req.params;
-    const result = await attendanceController.getByDate(prefix, date);
+    const result = await attendanceController.getByDate(prefix, date, req.attendanceQuery);
     
     if (result.success) {
-        res.json(result);
+        sendAttendance(req, res, result, `attendance-${prefix}-${date}`);
     } else {
         res.status(400).json(result);
     }
 });
 
 // GET /:prefix/attendance/filter/:start/:end - Get filtered attendance
-router.get('/:prefix/attendance/filter/:start/:end', async (req, res) => {
+router.get('/:prefix/attendance/filter/:start/:end', negotiateExportFormat, parseAttendanceQuery, async (req, res) => {
     const { prefix, start, end } = req.params;
-    const result = await attendanceController.getByRange(prefix, start, end);
+    const result = await attendanceController.getByRange(prefix, start, end, req.attendanceQuery);
     
     if (result.success) {
-        res.json(result);
+        sendAttendance(req, res, result, `attendance-${prefix}-${start}-${end}`);
     } else {
         res.status(400).json(result);
     }
 });
 
 // GET /:prefix/attendance/today - Get today's attendance
-router.get('/:prefix/attendance/today', async (req, res) => {
+router.get('/:prefix/attendance/today', negotiateExportFormat, parseAttendanceQuery, async (req, res) => {
+    const { prefix } = req.params;
+    const result = await attendanceController.getToday(prefix, req.attendanceQuery);
+    
+    if (result.success) {
+        sendAttendance(req, res, result, `attendance-${prefix}-${result.data.date}`);
+    } else {
+        res.status(404).json(result);
+    }
+});
+
+// GET /:prefix/attendance/new?cursor=&since=&limit= - Get punches stored since the cursor of the previous call
+router.get('/:prefix/attendance/new', async (req, res) => {
+    const { prefix } = req.params;
+    const { cursor, since, limit } = req.query;
+    const result = await attendanceController.getNewPunches(prefix, { cursor, since, limit });
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// GET /:prefix/attendance/sync - Get the device sync state (watermark, last sync status)
+router.get('/:prefix/attendance/sync', async (req, res) => {
     const { prefix } = req.params;
-    const result = await attendanceController.getToday(prefix);
+    const result = await attendanceController.getSyncState(prefix);
     
     if (result.success) {
         res.json(result);
@@ -54,28 +83,39 @@ router.get('/:prefix/attendance/today', async (req, res) => {
     }
 });
 
-// Fleet-level attendance endpoints
+// Fleet-level attendance endpoints (the same formats, records of every device in one table)
 // GET /attendance/all-devices - Get attendance from all devices
-router.get('/attendance/all-devices', async (req, res) => {
-    const result = await attendanceController.getAllDevices();
+router.get('/attendance/all-devices', negotiateExportFormat, parseAttendanceQuery, async (req, res) => {
+    const result = await attendanceController.getAllDevices(req.attendanceQuery);
     
     if (result.success) {
-        res.json(result);
+        sendAttendance(req, res, result, 'attendance-all-devices');
     } else {
         res.status(500).json(result);
     }
 });
 
 // GET /country/:code/attendance - Get attendance by country
-router.get('/country/:code/attendance', async (req, res) => {
+router.get('/country/:code/attendance', negotiateExportFormat, parseAttendanceQuery, async (req, res) => {
     const { code } = req.params;
-    const result = await attendanceController.getByCountry(code);
+    const result = await attendanceController.getByCountry(code, req.attendanceQuery);
     
     if (result.success) {
-        res.json(result);
+        sendAttendance(req, res, result, `attendance-${code.toUpperCase()}`);
     } else {
         res.status(400).json(result);
     }
 });
 
+// GET /attendance/sync - Get the sync state report for all devices
+router.get('/attendance/sync', async (req, res) => {
+    const result = await attendanceController.getAllSyncStates();
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(500).json(result);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,54 @@
+// src/routes/cacheRoutes.js
+// Express routes for the attendance and shift read cache (admin scope)
+
+const express = require('express');
+const router = express.Router();
+const cacheController = require('../controllers/cacheController');
+
+// GET /cache?devicePrefix= - Cache statistics, settings and entries (values left out)
+router.get('/cache', (req, res) => {
+    const result = cacheController.getCache(req.query);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// GET /cache/entries/:key - Get a cache entry with its value (URL-encode the key)
+router.get('/cache/entries/:key', (req, res) => {
+    const { key } = req.params;
+    const result = cacheController.getEntry(key);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(404).json(result);
+    }
+});
+
+// DELETE /cache?devicePrefix= - Purge the whole cache, or the entries of one device
+router.delete('/cache', (req, res) => {
+    const result = cacheController.purgeCache(req.query);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// DELETE /cache/entries/:key - Purge a cache entry
+router.delete('/cache/entries/:key', (req, res) => {
+    const { key } = req.params;
+    const result = cacheController.purgeEntry(key);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(404).json(result);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// src/routes/correctionRoutes.js
+// Express routes for manual punch corrections
+
+const express = require('express');
+const router = express.Router();
+const correctionController = require('../controllers/correctionController');
+
+// GET /corrections?devicePrefix=&deviceUserId=&action=&status= - List punch corrections
+router.get('/corrections', (req, res) => {
+    const result = correctionController.getCorrections(req.query);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// GET /corrections/:correctionId - Get a correction with its audit events
+router.get('/corrections/:correctionId', (req, res) => {
+    const { correctionId } = req.params;
+    const result = correctionController.getCorrection(correctionId);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(404).json(result);
+    }
+});
+
+// POST /corrections - Add, void or adjust a punch (devicePrefix, action, reason, author, ...)
+router.post('/corrections', async (req, res) => {
+    const result = await correctionController.createCorrection(req.body);
+    
+    if (result.success) {
+        res.status(201).json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// POST /corrections/:correctionId/revoke - Revoke a correction (author, reason)
+router.post('/corrections/:correctionId/revoke', async (req, res) => {
+    const { correctionId } = req.params;
+    const result = await correctionController.revokeCorrection(correctionId, req.body);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// GET /audit/corrections?devicePrefix=&deviceUserId=&author=&correctionId=&from=&to= - Correction audit trail
+router.get('/audit/corrections', (req, res) => {
+    const result = correctionController.getAuditTrail(req.query);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+module.exports = router;
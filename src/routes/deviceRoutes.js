@@ -37,4 +37,39 @@ router.get('/:prefix/validate', (req, res) => {
     res.json(result);
 });
 
+// POST /devices - Add a device to the registry
+router.post('/devices', async (req, res) => {
+    const result = await deviceController.createDevice(req.body);
+    
+    if (result.success) {
+        res.status(201).json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// PATCH /:prefix - Update a device's configuration
+router.patch('/:prefix', async (req, res) => {
+    const { prefix } = req.params;
+    const result = await deviceController.updateDevice(prefix, req.body);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// DELETE /:prefix - Remove a device from the registry
+router.delete('/:prefix', async (req, res) => {
+    const { prefix } = req.params;
+    const result = await deviceController.deleteDevice(prefix);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(404).json(result);
+    }
+});
+
 module.exports = router;
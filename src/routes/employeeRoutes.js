@@ -0,0 +1,90 @@
+// src/routes/employeeRoutes.js
+// Express routes for the employee directory
+
+const express = require('express');
+const router = express.Router();
+const employeeController = require('../controllers/employeeController');
+
+// GET /employees?devicePrefix=&department=&search= - List employees
+router.get('/employees', (req, res) => {
+    const result = employeeController.getEmployees(req.query);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(500).json(result);
+    }
+});
+
+// GET /employees/:employeeId - Get an employee and the device users mapped to them
+router.get('/employees/:employeeId', (req, res) => {
+    const { employeeId } = req.params;
+    const result = employeeController.getEmployee(employeeId);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(404).json(result);
+    }
+});
+
+// GET /employees/:employeeId/attendance?from=&to= - Punches and daily shift summaries across all the employee's devices
+router.get('/employees/:employeeId/attendance', async (req, res) => {
+    const { employeeId } = req.params;
+    const result = await employeeController.getEmployeeAttendance(employeeId, req.query);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// POST /employees - Add an employee (name, optional employeeCode, department, email, devices)
+router.post('/employees', async (req, res) => {
+    const result = await employeeController.createEmployee(req.body);
+    
+    if (result.success) {
+        res.status(201).json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// POST /employees/:employeeId/merge - Merge another employee ({ employeeId }) into this one
+router.post('/employees/:employeeId/merge', async (req, res) => {
+    const { employeeId } = req.params;
+    const result = await employeeController.mergeEmployees(employeeId, req.body);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// PATCH /employees/:employeeId - Update an employee
+router.patch('/employees/:employeeId', async (req, res) => {
+    const { employeeId } = req.params;
+    const result = await employeeController.updateEmployee(employeeId, req.body);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// DELETE /employees/:employeeId - Delete an employee
+router.delete('/employees/:employeeId', async (req, res) => {
+    const { employeeId } = req.params;
+    const result = await employeeController.deleteEmployee(employeeId);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+module.exports = router;
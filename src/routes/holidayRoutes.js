@@ -0,0 +1,77 @@
+// src/routes/holidayRoutes.js
+// Express routes for holiday calendars
+
+const express = require('express');
+const router = express.Router();
+const holidayController = require('../controllers/holidayController');
+
+// GET /holidays?country=&year=&from=&to= - List holidays
+router.get('/holidays', (req, res) => {
+    const result = holidayController.getHolidays(req.query);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// POST /holidays - Add a holiday (country, date, optional endDate, name)
+router.post('/holidays', async (req, res) => {
+    const result = await holidayController.createHoliday(req.body);
+    
+    if (result.success) {
+        res.status(201).json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// POST /holidays/reload - Reload the calendar files in $DATA_DIR/holidays
+router.post('/holidays/reload', async (req, res) => {
+    const result = await holidayController.reloadCalendarFiles();
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(500).json(result);
+    }
+});
+
+// POST /holidays/import/:country - Replace a country's imported calendar ({ ics } or { holidays })
+router.post('/holidays/import/:country', async (req, res) => {
+    const { country } = req.params;
+    const result = await holidayController.importCalendar(country, req.body);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// PATCH /holidays/:holidayId - Update a holiday
+router.patch('/holidays/:holidayId', async (req, res) => {
+    const { holidayId } = req.params;
+    const result = await holidayController.updateHoliday(holidayId, req.body);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// DELETE /holidays/:holidayId - Delete a holiday
+router.delete('/holidays/:holidayId', async (req, res) => {
+    const { holidayId } = req.params;
+    const result = await holidayController.deleteHoliday(holidayId);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(404).json(result);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+// src/routes/reportRoutes.js
+// Express routes for monthly timesheets and payroll exports
+
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+
+// GET /reports/timesheet?month=YYYY-MM&country=&format=json|csv|xlsx&layout=standard|payroll - Timesheet across devices, one row per employee
+router.get('/reports/timesheet', reportController.getTimesheet);
+
+// GET /reports/payroll-template - Get the payroll-import column layout
+router.get('/reports/payroll-template', reportController.getPayrollTemplate);
+
+// PUT /reports/payroll-template - Replace the payroll-import column layout
+router.put('/reports/payroll-template', reportController.updatePayrollTemplate);
+
+// GET /:prefix/reports/timesheet?month=YYYY-MM&format=&layout= - Timesheet of one device
+router.get('/:prefix/reports/timesheet', reportController.getDeviceTimesheet);
+
+module.exports = router;
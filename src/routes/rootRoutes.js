@@ -20,21 +20,88 @@ router.get('/', (req, res) => {
             'GET /:prefix/device/info': 'Device information',
             'GET /devices': 'List all configured devices',
             'GET /country/:code/devices': 'Devices by country',
+            'POST /devices': 'Add a device to the registry',
+            'PATCH /:prefix': 'Update a device',
+            'DELETE /:prefix': 'Remove a device',
             
             // Attendance endpoints
-            'GET /:prefix/attendance': 'Latest attendance for device',
-            'GET /:prefix/attendance/date/:date': 'Date-specific attendance',
-            'GET /:prefix/attendance/filter/:start/:end': 'Filtered attendance',
-            'GET /:prefix/attendance/today': 'Today\'s attendance',
-            'GET /attendance/all-devices': 'Attendance from all devices',
-            'GET /country/:code/attendance': 'Attendance by country',
+            'GET /:prefix/attendance': 'Latest attendance for device (format: json, csv, ndjson, xlsx; filters, sort, fields, limit/cursor)',
+            'GET /:prefix/attendance/date/:date': 'Date-specific attendance (format: json, csv, ndjson, xlsx; filters, sort, fields, limit/cursor)',
+            'GET /:prefix/attendance/filter/:start/:end': 'Filtered attendance (format: json, csv, ndjson, xlsx; filters, sort, fields, limit/cursor)',
+            'GET /:prefix/attendance/today': 'Today\'s attendance (format: json, csv, ndjson, xlsx; filters, sort, fields, limit/cursor)',
+            'GET /attendance/all-devices': 'Attendance from all devices (format: json, csv, ndjson, xlsx; filters, sort, fields, limit/cursor)',
+            'GET /country/:code/attendance': 'Attendance by country (format: json, csv, ndjson, xlsx; filters, sort, fields, limit/cursor)',
+            'GET /:prefix/attendance/new?cursor=': 'Punches stored since the cursor of the previous call',
+            'GET /:prefix/attendance/sync': 'Device sync state (watermark, last sync)',
+            'GET /attendance/sync': 'Sync state for all devices',
+            'GET /:prefix/attendance/stream': 'Real-time punch stream for device (SSE)',
+            'GET /attendance/stream': 'Real-time punch stream for all devices (SSE)',
+            'GET /attendance/stream/status': 'Real-time listener status',
             
             // Shift endpoints
             'GET /:prefix/attendance/todayShift': 'Today\'s shift data (spanning midnight)',
             'GET /:prefix/attendance/todayShift/checkin': 'Shift check-in data',
             'GET /:prefix/attendance/todayShift/checkout': 'Shift check-out data',
+            'GET /:prefix/attendance/todayShift/detail': 'Current shift with every punch paired into IN/OUT segments and breaks',
             'GET /attendance/all-devices/todayShift': 'Shift data from all devices',
+            'GET /:prefix/attendance/shift/:date': 'Shift data for a past shift date',
+            'GET /:prefix/attendance/shift/:date/detail': 'Paired punches and breaks for a past shift date',
+            'GET /:prefix/attendance/shift/:start/:end': 'Shift data for a range of shift dates',
+            'GET /attendance/all-devices/shift/:date': 'Shift data for a past shift date from all devices',
             'POST /:prefix/attendance/todayShift/process': 'Process shift data with custom config',
+            'GET /shifts/templates': 'List shift templates',
+            'POST /shifts/templates': 'Create a shift template',
+            'PATCH /shifts/templates/:templateId': 'Update a shift template',
+            'DELETE /shifts/templates/:templateId': 'Delete a shift template',
+            'GET /shifts/assignments': 'List employee shift assignments',
+            'POST /shifts/assignments': 'Assign an employee to a shift template',
+            'PATCH /shifts/assignments/:assignmentId': 'Update a shift assignment',
+            'DELETE /shifts/assignments/:assignmentId': 'Delete a shift assignment',
+            'GET /shifts/rosters': 'List rotating rosters',
+            'POST /shifts/rosters': 'Create a rotating roster',
+            'PATCH /shifts/rosters/:rosterId': 'Update a rotating roster',
+            'DELETE /shifts/rosters/:rosterId': 'Delete a rotating roster',
+            'GET /:prefix/roster/:date': 'Expected shift for each employee on a date',
+            'GET /:prefix/attendance/exceptions': 'Exception report (absent, late, missing punches) for the current shift date',
+            'GET /:prefix/attendance/exceptions/:date': 'Exception report for a past shift date',
+            'GET /country/:code/attendance/exceptions': 'Exception reports for every device in a country',
+            'GET /country/:code/attendance/exceptions/:date': 'Exception reports for every device in a country on a shift date',
+            'GET /holidays': 'List holidays (filter by country, year, from, to)',
+            'POST /holidays': 'Add a holiday to a country calendar',
+            'PATCH /holidays/:holidayId': 'Update a holiday',
+            'DELETE /holidays/:holidayId': 'Delete a holiday',
+            'POST /holidays/import/:country': 'Import a country calendar from iCalendar or JSON',
+            'POST /holidays/reload': 'Reload holiday calendar files',
+            'GET /employees': 'List the employee directory (filter by devicePrefix, department, search)',
+            'GET /employees/:employeeId': 'Employee with the device users mapped to them',
+            'GET /employees/:employeeId/attendance': 'Employee punches and daily shift summaries across devices (from, to)',
+            'POST /employees': 'Add an employee',
+            'PATCH /employees/:employeeId': 'Update an employee (HR fields, mapped device users)',
+            'DELETE /employees/:employeeId': 'Delete an employee',
+            'POST /employees/:employeeId/merge': 'Merge another employee into this one (same person on several devices)',
+            'GET /corrections': 'List punch corrections (filter by devicePrefix, deviceUserId, action, status)',
+            'GET /corrections/:correctionId': 'Punch correction with its audit events',
+            'POST /corrections': 'Add, void or adjust a punch (raw device records are never changed)',
+            'POST /corrections/:correctionId/revoke': 'Revoke a punch correction',
+            'GET /audit/corrections': 'Audit trail of punch corrections',
+            'GET /reports/timesheet': 'Monthly timesheet per employee (month, country, format json|csv|xlsx, layout standard|payroll)',
+            'GET /:prefix/reports/timesheet': 'Monthly timesheet of one device',
+            'GET /reports/payroll-template': 'Payroll-import column layout',
+            'PUT /reports/payroll-template': 'Replace the payroll-import column layout',
+            
+            // API key endpoints (admin scope)
+            'GET /api-keys': 'List API keys',
+            'GET /api-keys/:keyId': 'Get an API key',
+            'POST /api-keys': 'Create an API key (name, scopes, countries, devices, expiresAt); the key is shown once',
+            'PATCH /api-keys/:keyId': 'Change an API key\'s name, scopes, restrictions or expiry',
+            'POST /api-keys/:keyId/revoke': 'Revoke an API key',
+            'GET /audit/api-keys': 'API key usage audit (filter by keyId, outcome, from, to)',
+            
+            // Read cache endpoints (admin scope); add ?fresh=true to an attendance or shift read to skip the cache
+            'GET /cache': 'Cache statistics, settings and entries (filter by devicePrefix)',
+            'GET /cache/entries/:key': 'Get a cache entry with its value',
+            'DELETE /cache': 'Purge the cache, or one device\'s entries with ?devicePrefix=',
+            'DELETE /cache/entries/:key': 'Purge a cache entry',
             
             // Webhook endpoints
             'GET /:prefix/attendance/webhook/todayShift': 'Trigger webhook with shift data',
@@ -42,6 +109,8 @@ router.get('/', (req, res) => {
             'POST /:prefix/attendance/webhook/date': 'Trigger webhook with specific date',
             'POST /devices/webhook/todayShift': 'Trigger webhook for all devices',
             'POST /devices/webhook/today': 'Trigger webhook for all devices with today\'s data',
+            'POST /:prefix/attendance/webhook/exceptions': 'Trigger webhook with the daily exception report',
+            'POST /devices/webhook/exceptions': 'Trigger webhook with daily exception reports for all devices',
             'GET /webhook/test': 'Test webhook functionality',
             'POST /webhook/validate': 'Validate webhook URL',
             'POST /webhook/send': 'Send data to custom webhook'
@@ -51,7 +120,19 @@ router.get('/', (req, res) => {
             apiPort: config.ENV.API_PORT,
             totalDevices: config.ENV.DEVICES.length,
             deviceTypes: [...new Set(config.ENV.DEVICES.map(d => d.model))],
-            countries: [...new Set(config.ENV.DEVICES.map(d => d.country))]
+            countries: [...new Set(config.ENV.DEVICES.map(d => d.country))],
+            authentication: config.AUTH.ENABLED ? 'API key (Authorization: Bearer <key> or X-API-Key)' : 'disabled',
+            rateLimits: config.RATE_LIMIT.ENABLED ? {
+                windowSeconds: config.RATE_LIMIT.WINDOW_MS / 1000,
+                read: config.RATE_LIMIT.READ_LIMIT,
+                device: config.RATE_LIMIT.DEVICE_LIMIT,
+                webhook: config.RATE_LIMIT.WEBHOOK_LIMIT
+            } : 'disabled',
+            cache: config.CACHE.ENABLED ? {
+                ttlSeconds: config.CACHE.TTL_SECONDS,
+                staleSeconds: config.CACHE.STALE_SECONDS,
+                deviceTtlSeconds: config.CACHE.DEVICE_TTL_SECONDS
+            } : 'disabled'
         },
         examples: {
             deviceScoped: '/pk01/attendance/today',
@@ -140,6 +221,41 @@ router.get('/api-docs', (req, res) => {
                     description: 'Get attendance by country',
                     parameters: { code: 'Country code (e.g., PK, US)' },
                     response: 'Attendance data from devices in the country'
+                },
+                'GET /:prefix/attendance/new': {
+                    description: 'Sync the device and get the punches stored since the cursor of the previous call',
+                    parameters: {
+                        prefix: 'Device prefix (e.g., pk01, us01)',
+                        cursor: 'Optional; pass summary.nextCursor from the previous call (omit for the whole store)',
+                        since: 'Optional ISO 8601 timestamp; only punches recorded after it',
+                        limit: 'Optional page size (default 1000, at most 5000)'
+                    },
+                    response: 'Punches in the order they were stored, with nextCursor and hasMore'
+                },
+                'GET /:prefix/attendance/sync': {
+                    description: 'Get the sync state for a device',
+                    parameters: { prefix: 'Device prefix (e.g., pk01, us01)' },
+                    response: 'Watermark (last userSn / recordTime), last sync status and punch store statistics'
+                },
+                'GET /attendance/sync': {
+                    description: 'Get the sync state for all devices',
+                    parameters: 'None',
+                    response: 'Per-device sync state with a fleet summary'
+                },
+                'GET /:prefix/attendance/stream': {
+                    description: 'Stream real-time punches from a device as Server-Sent Events',
+                    parameters: { prefix: 'Device prefix (e.g., pk01, us01)' },
+                    response: 'text/event-stream with ready, punch and status events'
+                },
+                'GET /attendance/stream': {
+                    description: 'Stream real-time punches from all devices as Server-Sent Events',
+                    parameters: 'None',
+                    response: 'text/event-stream with ready, punch and status events'
+                },
+                'GET /attendance/stream/status': {
+                    description: 'Get real-time listener status for all devices',
+                    parameters: 'None',
+                    response: 'Per-device listener status (connection, subscribers, punch count) with a fleet summary'
                 }
             }
         },
@@ -151,7 +267,7 @@ router.get('/api-docs', (req, res) => {
                 'GET /:prefix/attendance/todayShift': {
                     description: 'Get today\'s shift data (spanning midnight)',
                     parameters: { prefix: 'Device prefix (e.g., pk01, us01)' },
-                    response: 'Shift data with check-in/check-out times'
+                    response: 'Shift data with check-in/check-out times, lateness, early departure, worked time and overtime'
                 },
                 'GET /:prefix/attendance/todayShift/checkin': {
                     description: 'Get shift check-in data',
@@ -168,6 +284,36 @@ router.get('/api-docs', (req, res) => {
                     parameters: 'None',
                     response: 'Combined shift data from all devices'
                 },
+                'GET /:prefix/attendance/shift/:date': {
+                    description: 'Recompute shift data for a past shift date (the day check-in falls on) from the punch store',
+                    parameters: { 
+                        prefix: 'Device prefix (e.g., pk01, us01)',
+                        date: 'Shift date in YYYY-MM-DD format'
+                    },
+                    response: 'Shift data with check-in/check-out times and status counts'
+                },
+                'GET /:prefix/attendance/shift/:date/detail': {
+                    description: 'Pair every punch in each employee\'s shift into IN/OUT segments (also /todayShift/detail for the current shift)',
+                    parameters: { 
+                        prefix: 'Device prefix (e.g., pk01, us01)',
+                        date: 'Shift date in YYYY-MM-DD format'
+                    },
+                    response: 'Per-employee punches, segments, breaks, on-premises and break minutes, and odd punch count flags'
+                },
+                'GET /:prefix/attendance/shift/:start/:end': {
+                    description: 'Recompute shift data for each shift date in a range (up to 31 days)',
+                    parameters: { 
+                        prefix: 'Device prefix (e.g., pk01, us01)',
+                        start: 'First shift date in YYYY-MM-DD format',
+                        end: 'Last shift date in YYYY-MM-DD format'
+                    },
+                    response: 'Shift data per shift date'
+                },
+                'GET /attendance/all-devices/shift/:date': {
+                    description: 'Recompute shift data for a past shift date on all devices',
+                    parameters: { date: 'Shift date in YYYY-MM-DD format' },
+                    response: 'Combined shift data from all devices'
+                },
                 'POST /:prefix/attendance/todayShift/process': {
                     description: 'Process shift data with custom configuration',
                     parameters: { 
@@ -175,6 +321,71 @@ router.get('/api-docs', (req, res) => {
                         body: { records: 'Array of attendance records', shiftConfig: 'Optional shift configuration' }
                     },
                     response: 'Processed shift data with custom settings'
+                },
+                'POST /shifts/templates': {
+                    description: 'Create a named shift template',
+                    parameters: {
+                        body: {
+                            id: 'Template ID (e.g., day, evening, overnight)',
+                            name: 'Display name',
+                            startHour: 'Shift start hour (0-24)',
+                            endHour: 'Shift end hour (0-24)',
+                            checkInBufferStart: 'Check-in window start hour',
+                            checkInBufferEnd: 'Check-in window end hour',
+                            checkOutBufferStart: 'Check-out window start hour',
+                            checkOutBufferEnd: 'Check-out window end hour',
+                            graceMinutes: 'Optional late-arrival grace period in minutes (default 0)',
+                            earlyLeaveGraceMinutes: 'Optional early-departure grace period in minutes (default 0)',
+                            overtimeMinimumMinutes: 'Optional minimum overtime counted, in minutes (default 0)',
+                            roundingMinutes: 'Optional rounding step for worked time and overtime (default 0 = exact)',
+                            roundingMode: 'Optional rounding mode: nearest, up or down (default nearest)'
+                        }
+                    },
+                    response: 'Created template'
+                },
+                'POST /shifts/assignments': {
+                    description: 'Assign an employee to a shift template for a period',
+                    parameters: {
+                        body: {
+                            deviceUserId: 'Device user ID (or employeeId for a global employee ID)',
+                            devicePrefix: 'Optional device the deviceUserId belongs to (any device when omitted)',
+                            templateId: 'Shift template ID',
+                            effectiveFrom: 'First shift date (YYYY-MM-DD)',
+                            effectiveTo: 'Optional last shift date (YYYY-MM-DD)'
+                        }
+                    },
+                    response: 'Created assignment; shift results report the template each employee was evaluated against'
+                },
+                'POST /shifts/rosters': {
+                    description: 'Create a repeating pattern of shift templates and off days',
+                    parameters: {
+                        body: {
+                            id: 'Roster ID (e.g., four-on-three-off)',
+                            name: 'Display name',
+                            anchorDate: 'Date the first cycle day falls on (YYYY-MM-DD)',
+                            cycle: 'Array of template IDs, null for an off day (up to 56 days)'
+                        }
+                    },
+                    response: 'Created roster; assign it with rosterId in POST /shifts/assignments'
+                },
+                'POST /holidays/import/:country': {
+                    description: 'Replace a country\'s imported holiday calendar',
+                    parameters: {
+                        country: 'Country code (PK, US, UK, AE)',
+                        body: {
+                            ics: 'iCalendar text (one holiday per VEVENT)',
+                            holidays: 'Or an array of { date, endDate, name }'
+                        }
+                    },
+                    response: 'Imported holidays; shift results report holiday shifts with status holiday'
+                },
+                'GET /:prefix/roster/:date': {
+                    description: 'Resolve which shift each employee is expected to work on a date',
+                    parameters: {
+                        prefix: 'Device prefix (e.g., pk01, us01)',
+                        date: 'Date in YYYY-MM-DD format'
+                    },
+                    response: 'Per-employee shift (roster, assignment or device default), off-day flag and expected start/end'
                 }
             }
         },
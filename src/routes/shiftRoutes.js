@@ -4,62 +4,56 @@
 const express = require('express');
 const router = express.Router();
 const shiftController = require('../controllers/shiftController');
+const timezone = require('../utils/timezone');
 
 // Device-scoped shift endpoints
 // GET /:prefix/attendance/todayShift - Get today's shift data (spanning midnight)
-router.get('/:prefix/attendance/todayShift', async (req, res) => {
-    const { prefix } = req.params;
-    const result = await shiftController.getTodayShift(prefix);
-    
-    if (result.success) {
-        res.json(result);
-    } else {
-        res.status(404).json(result);
-    }
-});
+router.get('/:prefix/attendance/todayShift', shiftController.getTodayShift);
 
 // GET /:prefix/attendance/todayShift/checkin - Get shift check-in data
-router.get('/:prefix/attendance/todayShift/checkin', async (req, res) => {
-    const { prefix } = req.params;
-    const result = await shiftController.getShiftCheckin(prefix);
-    
-    if (result.success) {
-        res.json(result);
-    } else {
-        res.status(404).json(result);
-    }
-});
+router.get('/:prefix/attendance/todayShift/checkin', shiftController.getShiftCheckin);
 
 // GET /:prefix/attendance/todayShift/checkout - Get shift check-out data
-router.get('/:prefix/attendance/todayShift/checkout', async (req, res) => {
-    const { prefix } = req.params;
-    const result = await shiftController.getShiftCheckout(prefix);
-    
-    if (result.success) {
-        res.json(result);
-    } else {
-        res.status(404).json(result);
-    }
-});
+router.get('/:prefix/attendance/todayShift/checkout', shiftController.getShiftCheckout);
+
+// GET /:prefix/attendance/todayShift/detail - Get every punch of the current shift paired into IN/OUT segments
+router.get('/:prefix/attendance/todayShift/detail', shiftController.getShiftDetail);
+
+// GET /:prefix/attendance/shift/:date/detail - Get paired punches and breaks for a past shift date
+// (registered before /shift/:start/:end, which would otherwise match "detail" as an end date)
+router.get('/:prefix/attendance/shift/:date/detail', shiftController.getShiftDetail);
+
+// GET /:prefix/attendance/shift/:date - Get shift data for a past shift date (the day check-in falls on)
+router.get('/:prefix/attendance/shift/:date', shiftController.getShiftByDate);
+
+// GET /:prefix/attendance/shift/:start/:end - Get shift data for each shift date in a range
+router.get('/:prefix/attendance/shift/:start/:end', shiftController.getShiftRange);
+
+// GET /:prefix/roster/:date - Get the shift each employee is expected to work on a date
+router.get('/:prefix/roster/:date', shiftController.getRoster);
+
+// GET /:prefix/attendance/exceptions - Get the exception report for the shift date in progress
+router.get('/:prefix/attendance/exceptions', shiftController.getDailyExceptions);
+
+// GET /:prefix/attendance/exceptions/:date - Get the exception report (absent, late, missing punches) for a shift date
+router.get('/:prefix/attendance/exceptions/:date', shiftController.getDailyExceptions);
+
+// GET /country/:code/attendance/exceptions/:date - Get the exception report for every device in a country
+router.get('/country/:code/attendance/exceptions', shiftController.getCountryExceptions);
+router.get('/country/:code/attendance/exceptions/:date', shiftController.getCountryExceptions);
 
 // Fleet-level shift endpoints
 // GET /attendance/all-devices/todayShift - Get shift data from all devices
-router.get('/attendance/all-devices/todayShift', async (req, res) => {
-    const result = await shiftController.getAllDevicesShift();
-    
-    if (result.success) {
-        res.json(result);
-    } else {
-        res.status(500).json(result);
-    }
-});
+router.get('/attendance/all-devices/todayShift', shiftController.getAllDevicesShift);
+
+// GET /attendance/all-devices/shift/:date - Get shift data for a past shift date from all devices
+router.get('/attendance/all-devices/shift/:date', shiftController.getAllDevicesShiftByDate);
 
 // POST /:prefix/attendance/todayShift/process - Process shift data with custom config
 router.post('/:prefix/attendance/todayShift/process', async (req, res) => {
-    const { prefix } = req.params;
-    const { records, shiftConfig } = req.body;
+    const { records, shiftConfig } = req.body || {};
     
-    if (!records) {
+    if (!Array.isArray(records)) {
         return res.status(400).json({
             success: false,
             timestamp: new Date().toISOString(),
@@ -67,13 +61,15 @@ router.post('/:prefix/attendance/todayShift/process', async (req, res) => {
         });
     }
     
-    const result = shiftController.processShiftData(records, shiftConfig);
-    
-    if (result.success) {
-        res.json(result);
-    } else {
-        res.status(400).json(result);
+    if (shiftConfig && shiftConfig.timezone && !timezone.isValidTimeZone(shiftConfig.timezone)) {
+        return res.status(400).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: `Invalid timezone: ${shiftConfig.timezone}`
+        });
     }
+    
+    await shiftController.processShiftData(req, res);
 });
 
 module.exports = router;
@@ -0,0 +1,146 @@
+// src/routes/shiftTemplateRoutes.js
+// Express routes for shift templates, rosters and per-employee shift assignments
+
+const express = require('express');
+const router = express.Router();
+const shiftTemplateController = require('../controllers/shiftTemplateController');
+
+// GET /shifts/templates - List shift templates
+router.get('/shifts/templates', (req, res) => {
+    const result = shiftTemplateController.getTemplates();
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(500).json(result);
+    }
+});
+
+// POST /shifts/templates - Create a shift template
+router.post('/shifts/templates', async (req, res) => {
+    const result = await shiftTemplateController.createTemplate(req.body);
+    
+    if (result.success) {
+        res.status(201).json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// PATCH /shifts/templates/:templateId - Update a shift template
+router.patch('/shifts/templates/:templateId', async (req, res) => {
+    const { templateId } = req.params;
+    const result = await shiftTemplateController.updateTemplate(templateId, req.body);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// DELETE /shifts/templates/:templateId - Delete a shift template no assignment uses
+router.delete('/shifts/templates/:templateId', async (req, res) => {
+    const { templateId } = req.params;
+    const result = await shiftTemplateController.deleteTemplate(templateId);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// GET /shifts/rosters - List rosters
+router.get('/shifts/rosters', (req, res) => {
+    const result = shiftTemplateController.getRosters();
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(500).json(result);
+    }
+});
+
+// POST /shifts/rosters - Create a roster (repeating cycle of templates from an anchor date)
+router.post('/shifts/rosters', async (req, res) => {
+    const result = await shiftTemplateController.createRoster(req.body);
+    
+    if (result.success) {
+        res.status(201).json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// PATCH /shifts/rosters/:rosterId - Update a roster
+router.patch('/shifts/rosters/:rosterId', async (req, res) => {
+    const { rosterId } = req.params;
+    const result = await shiftTemplateController.updateRoster(rosterId, req.body);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// DELETE /shifts/rosters/:rosterId - Delete a roster no assignment uses
+router.delete('/shifts/rosters/:rosterId', async (req, res) => {
+    const { rosterId } = req.params;
+    const result = await shiftTemplateController.deleteRoster(rosterId);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// GET /shifts/assignments?deviceUserId=&devicePrefix=&employeeId=&templateId=&rosterId=&date= - List shift assignments
+router.get('/shifts/assignments', (req, res) => {
+    const result = shiftTemplateController.getAssignments(req.query);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// POST /shifts/assignments - Assign an employee to a shift template
+router.post('/shifts/assignments', async (req, res) => {
+    const result = await shiftTemplateController.createAssignment(req.body);
+    
+    if (result.success) {
+        res.status(201).json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// PATCH /shifts/assignments/:assignmentId - Update a shift assignment
+router.patch('/shifts/assignments/:assignmentId', async (req, res) => {
+    const { assignmentId } = req.params;
+    const result = await shiftTemplateController.updateAssignment(assignmentId, req.body);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+});
+
+// DELETE /shifts/assignments/:assignmentId - Delete a shift assignment
+router.delete('/shifts/assignments/:assignmentId', async (req, res) => {
+    const { assignmentId } = req.params;
+    const result = await shiftTemplateController.deleteAssignment(assignmentId);
+    
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(404).json(result);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// src/routes/streamRoutes.js
+// Express routes for real-time punch streaming endpoints
+
+const express = require('express');
+const router = express.Router();
+const streamController = require('../controllers/streamController');
+
+// GET /attendance/stream/status - Real-time listener status for all devices
+router.get('/attendance/stream/status', (req, res) => {
+    res.json(streamController.getStatus());
+});
+
+// GET /attendance/stream - Server-Sent Events stream of punches from all devices
+router.get('/attendance/stream', streamController.streamFleet);
+
+// GET /:prefix/attendance/stream - Server-Sent Events stream of punches from one device
+router.get('/:prefix/attendance/stream', streamController.streamDevice);
+
+module.exports = router;
@@ -113,6 +113,34 @@ router.post('/:prefix/attendance/webhook/all', async (req, res) => {
     }
 });
 
+// POST /:prefix/attendance/webhook/exceptions - Trigger webhook with the daily exception report
+router.post('/:prefix/attendance/webhook/exceptions', async (req, res) => {
+    try {
+        const { prefix } = req.params;
+        const date = req.body?.date || null;
+        const webhookUrl = req.body?.webhookUrl || null;
+        
+        const options = { date, webhookUrl };
+        const result = await webhookController.triggerDeviceWebhook(prefix, 'exceptions', options);
+        
+        res.setHeader('Content-Type', 'application/json');
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(500).json(result);
+        }
+    } catch (error) {
+        console.error('💥 Error in /:prefix/attendance/webhook/exceptions route:', error);
+        res.setHeader('Content-Type', 'application/json');
+        res.status(500).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: 'Internal server error',
+            requestId: req.headers['x-request-id'] || 'unknown'
+        });
+    }
+});
+
 // Fleet-level webhook endpoints
 // POST /devices/webhook/todayShift - Trigger webhook for all devices
 router.post('/devices/webhook/todayShift', async (req, res) => {
@@ -174,6 +202,40 @@ router.post('/devices/webhook/today', async (req, res) => {
     }
 });
 
+// POST /devices/webhook/exceptions - Trigger webhook for all devices with their daily exception reports
+router.post('/devices/webhook/exceptions', async (req, res) => {
+    try {
+        const country = req.body?.country;
+        const deviceIds = req.body?.deviceIds;
+        const date = req.body?.date;
+        const webhookUrl = req.body?.webhookUrl;
+        
+        const selector = {};
+        if (country) selector.country = country;
+        if (deviceIds) selector.deviceIds = deviceIds;
+        if (date) selector.date = date;
+        if (webhookUrl) selector.webhookUrl = webhookUrl;
+        
+        const result = await webhookController.triggerFleetWebhook('exceptions', selector);
+        
+        res.setHeader('Content-Type', 'application/json');
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(500).json(result);
+        }
+    } catch (error) {
+        console.error('💥 Error in /devices/webhook/exceptions route:', error);
+        res.setHeader('Content-Type', 'application/json');
+        res.status(500).json({
+            success: false,
+            timestamp: new Date().toISOString(),
+            error: 'Internal server error',
+            requestId: req.headers['x-request-id'] || 'unknown'
+        });
+    }
+});
+
 // Utility endpoints
 // GET /webhook/test - Test webhook functionality
 router.get('/webhook/test', async (req, res) => {
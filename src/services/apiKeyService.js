@@ -0,0 +1,368 @@
+// src/services/apiKeyService.js
+// API keys (stored as SHA-256 hashes) with scopes, country/device restrictions and a usage audit log
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../storage/jsonFileStore');
+const deviceService = require('./deviceService');
+
+// { keys: [key] }; only the hash of a key is kept, the key itself is shown once when created
+const keyStore = new JsonFileStore('api-keys.json', () => ({ keys: [] }));
+
+// Scopes a key can hold
+const API_KEY_SCOPES = {
+    'attendance:read': 'Read attendance, shifts, reports, employees, devices and health',
+    'webhooks:trigger': 'Trigger N8N webhooks and send data through /webhook/send',
+    admin: 'Manage devices, shift templates, holidays, employees, corrections, templates and API keys'
+};
+
+const KEY_FIELDS = ['name', 'scopes', 'countries', 'devices', 'expiresAt'];
+
+// Identifies the key from API_BOOTSTRAP_KEY in the audit log
+const BOOTSTRAP_KEY_ID = 'bootstrap';
+
+const usageLogPath = path.join(config.STORAGE.DATA_DIR, config.AUTH.USAGE_LOG_FILE);
+let usageWriteQueue = Promise.resolve();
+const lastUsedWrites = new Map();
+
+/**
+ * Hash an API key for storage and lookup
+ * Keys are 32 random bytes, so a fast hash is enough; there is nothing to brute-force.
+ * @param {string} apiKey - API key
+ * @returns {string} Hex SHA-256
+ */
+function hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Hide the hash from API responses
+ * @param {Object} key - Stored key
+ * @returns {Object} Key without its hash
+ */
+function toPublicKey(key) {
+    const { hash, ...rest } = key;
+    return rest;
+}
+
+/**
+ * Check the fields of a key
+ * @param {Object} input - Key fields
+ * @param {boolean} partial - Whether fields may be left out (updates)
+ * @returns {Array<string>} Error messages
+ */
+function validateKeyFields(input, partial) {
+    const errors = [];
+
+    Object.keys(input).forEach(field => {
+        if (!KEY_FIELDS.includes(field)) {
+            errors.push(`Unknown field: ${field}`);
+        }
+    });
+    if ((!partial || input.name !== undefined) && (typeof input.name !== 'string' || input.name.trim() === '')) {
+        errors.push('name is required');
+    }
+    if (!partial || input.scopes !== undefined) {
+        if (!Array.isArray(input.scopes) || input.scopes.length === 0) {
+            errors.push(`scopes must be a non-empty array of: ${Object.keys(API_KEY_SCOPES).join(', ')}`);
+        } else {
+            input.scopes.filter(scope => !API_KEY_SCOPES[scope]).forEach(scope => errors.push(`Unknown scope: ${scope}`));
+        }
+    }
+    if (input.countries !== undefined && input.countries !== null) {
+        if (!Array.isArray(input.countries) || input.countries.some(code => typeof code !== 'string' || !/^[A-Za-z]{2}$/.test(code))) {
+            errors.push('countries must be an array of two-letter country codes, or null');
+        }
+    }
+    if (input.devices !== undefined && input.devices !== null) {
+        if (!Array.isArray(input.devices)) {
+            errors.push('devices must be an array of device prefixes, or null');
+        } else {
+            input.devices.filter(prefix => !deviceService.validateDeviceId(prefix)).forEach(prefix => errors.push(`Device not found: ${prefix}`));
+        }
+    }
+    if (input.expiresAt !== undefined && input.expiresAt !== null
+        && (typeof input.expiresAt !== 'string' || Number.isNaN(new Date(input.expiresAt).getTime()))) {
+        errors.push('expiresAt must be an ISO 8601 time, or null');
+    }
+    return errors;
+}
+
+/**
+ * Normalize restriction lists (empty means unrestricted)
+ * @param {Array|null} list - Country codes or device prefixes
+ * @param {Function} normalize - Item normalizer
+ * @returns {Array|null} Sorted unique list, or null
+ */
+function normalizeList(list, normalize) {
+    if (!list || list.length === 0) {
+        return null;
+    }
+    return [...new Set(list.map(normalize))].sort();
+}
+
+/**
+ * List API keys
+ * @returns {Array} Keys without hashes, newest first
+ */
+function getKeys() {
+    return keyStore.get().keys
+        .map(toPublicKey)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get an API key
+ * @param {string} keyId - Key ID
+ * @returns {Object|null} Key without its hash
+ */
+function getKey(keyId) {
+    const key = keyStore.get().keys.find(entry => entry.id === keyId);
+    return key ? toPublicKey(key) : null;
+}
+
+/**
+ * Create an API key
+ * @param {Object} input - { name, scopes, countries, devices, expiresAt }
+ * @param {string|null} createdBy - ID of the key that made the request
+ * @returns {Promise<Object>} { key, apiKey } where apiKey is the secret, returned only this once
+ */
+async function createKey(input = {}, createdBy = null) {
+    const errors = validateKeyFields(input, false);
+    if (errors.length > 0) {
+        throw new Error(`Invalid API key: ${errors.join('; ')}`);
+    }
+
+    const apiKey = `bm_${crypto.randomBytes(32).toString('base64url')}`;
+    const now = new Date().toISOString();
+    const key = {
+        id: `key_${crypto.randomBytes(6).toString('hex')}`,
+        name: input.name.trim(),
+        keyPrefix: apiKey.slice(0, 10),
+        hash: hashKey(apiKey),
+        scopes: [...new Set(input.scopes)],
+        countries: normalizeList(input.countries, code => code.toUpperCase()),
+        devices: normalizeList(input.devices, prefix => prefix),
+        expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null,
+        createdAt: now,
+        createdBy,
+        updatedAt: now,
+        revokedAt: null,
+        revokedBy: null,
+        lastUsedAt: null
+    };
+
+    await keyStore.update(document => {
+        document.keys.push(key);
+    });
+
+    logger.info(`API key created: ${key.id} (${key.name}) with ${key.scopes.join(', ')}`);
+    return { key: toPublicKey(key), apiKey };
+}
+
+/**
+ * Update an API key's name, scopes, restrictions or expiry
+ * @param {string} keyId - Key ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} Updated key
+ */
+async function updateKey(keyId, changes = {}) {
+    const existing = keyStore.get().keys.find(entry => entry.id === keyId);
+    if (!existing) {
+        throw new Error(`API key not found: ${keyId}`);
+    }
+    if (existing.revokedAt) {
+        throw new Error(`API key ${keyId} is revoked`);
+    }
+    const errors = validateKeyFields(changes, true);
+    if (errors.length > 0) {
+        throw new Error(`Invalid API key: ${errors.join('; ')}`);
+    }
+
+    let updated = null;
+    await keyStore.update(document => {
+        const key = document.keys.find(entry => entry.id === keyId);
+        if (changes.name !== undefined) key.name = changes.name.trim();
+        if (changes.scopes !== undefined) key.scopes = [...new Set(changes.scopes)];
+        if (changes.countries !== undefined) key.countries = normalizeList(changes.countries, code => code.toUpperCase());
+        if (changes.devices !== undefined) key.devices = normalizeList(changes.devices, prefix => prefix);
+        if (changes.expiresAt !== undefined) key.expiresAt = changes.expiresAt ? new Date(changes.expiresAt).toISOString() : null;
+        key.updatedAt = new Date().toISOString();
+        updated = key;
+    });
+
+    logger.info(`API key updated: ${keyId}`);
+    return toPublicKey(updated);
+}
+
+/**
+ * Revoke an API key; it stays listed for the audit trail
+ * @param {string} keyId - Key ID
+ * @param {string|null} revokedBy - ID of the key that made the request
+ * @returns {Promise<Object>} Revoked key
+ */
+async function revokeKey(keyId, revokedBy = null) {
+    const existing = keyStore.get().keys.find(entry => entry.id === keyId);
+    if (!existing) {
+        throw new Error(`API key not found: ${keyId}`);
+    }
+    if (existing.revokedAt) {
+        throw new Error(`API key ${keyId} is already revoked`);
+    }
+
+    let revoked = null;
+    await keyStore.update(document => {
+        const key = document.keys.find(entry => entry.id === keyId);
+        key.revokedAt = new Date().toISOString();
+        key.revokedBy = revokedBy;
+        revoked = key;
+    });
+
+    logger.info(`API key revoked: ${keyId}`);
+    return toPublicKey(revoked);
+}
+
+/**
+ * Look up the key presented with a request
+ * @param {string} apiKey - Key from the request
+ * @returns {Object} { key, error } with key null when the request cannot be authenticated
+ */
+function authenticate(apiKey) {
+    const hash = hashKey(apiKey);
+    const bootstrap = config.AUTH.BOOTSTRAP_KEY;
+    if (bootstrap && crypto.timingSafeEqual(Buffer.from(hashKey(bootstrap), 'hex'), Buffer.from(hash, 'hex'))) {
+        return {
+            key: { id: BOOTSTRAP_KEY_ID, name: 'Bootstrap key (API_BOOTSTRAP_KEY)', scopes: Object.keys(API_KEY_SCOPES), countries: null, devices: null },
+            error: null
+        };
+    }
+
+    const key = keyStore.get().keys.find(entry => entry.hash === hash);
+    if (!key) {
+        return { key: null, error: 'Invalid API key' };
+    }
+    if (key.revokedAt) {
+        return { key: null, error: 'API key has been revoked' };
+    }
+    if (key.expiresAt && new Date(key.expiresAt) <= new Date()) {
+        return { key: null, error: 'API key has expired' };
+    }
+
+    // lastUsedAt is written back at most once per interval so busy keys do not rewrite the store on every request
+    const now = Date.now();
+    if (now - (lastUsedWrites.get(key.id) || 0) >= config.AUTH.LAST_USED_WRITE_INTERVAL_MS) {
+        lastUsedWrites.set(key.id, now);
+        keyStore.update(document => {
+            const stored = document.keys.find(entry => entry.id === key.id);
+            if (stored) {
+                stored.lastUsedAt = new Date(now).toISOString();
+            }
+        }).catch(error => logger.error('Failed to record API key use', { keyId: key.id, error: error.message }));
+    }
+
+    return { key: toPublicKey(key), error: null };
+}
+
+/**
+ * Check whether a key may reach the devices or countries a request targets
+ * @param {Object} key - Authenticated key
+ * @param {Object|null} target - { devices, countries } the request is limited to, or null for fleet-wide requests
+ * @returns {string|null} Reason for refusal, or null when allowed
+ */
+function checkRestrictions(key, target) {
+    if (!key.countries && !key.devices) {
+        return null;
+    }
+    if (!target || (target.devices.length === 0 && target.countries.length === 0)) {
+        return 'This API key is restricted to specific devices or countries; use a device (/:prefix/...) or country (/country/:code/...) endpoint';
+    }
+
+    const allowedDevice = prefix => {
+        if (key.devices && key.devices.includes(prefix)) {
+            return true;
+        }
+        const device = deviceService.getDeviceConfig(prefix);
+        return Boolean(key.countries && device && key.countries.includes(String(device.country).toUpperCase()));
+    };
+    const deniedDevice = target.devices.find(prefix => !allowedDevice(prefix));
+    if (deniedDevice) {
+        return `This API key has no access to device ${deniedDevice}`;
+    }
+    const deniedCountry = target.countries.find(code => !key.countries || !key.countries.includes(code.toUpperCase()));
+    if (deniedCountry) {
+        return `This API key has no access to country ${deniedCountry.toUpperCase()}`;
+    }
+    return null;
+}
+
+/**
+ * Append a request to the usage audit log
+ * @param {Object} entry - { at, keyId, keyPrefix, method, path, status, outcome, reason, ip, requestId }
+ */
+function recordUsage(entry) {
+    usageWriteQueue = usageWriteQueue.then(async () => {
+        await fs.promises.mkdir(path.dirname(usageLogPath), { recursive: true });
+        const stats = await fs.promises.stat(usageLogPath).catch(() => null);
+        if (stats && stats.size >= config.AUTH.USAGE_LOG_MAX_BYTES) {
+            await fs.promises.rename(usageLogPath, `${usageLogPath}.1`);
+        }
+        await fs.promises.appendFile(usageLogPath, `${JSON.stringify(entry)}\n`, 'utf8');
+    }).catch(error => {
+        logger.error('Failed to write API key usage', { error: error.message });
+    });
+}
+
+/**
+ * Read the usage audit log
+ * @param {Object} filters - { keyId, outcome ('allowed' or 'denied'), from, to, limit }
+ * @returns {Promise<Array>} Entries, newest first
+ */
+async function getUsage(filters = {}) {
+    await usageWriteQueue;
+    let content = '';
+    try {
+        content = await fs.promises.readFile(usageLogPath, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    const from = filters.from ? new Date(filters.from).toISOString() : null;
+    const to = filters.to ? new Date(filters.to).toISOString() : null;
+    const entries = [];
+    content.split('\n').forEach(line => {
+        if (!line.trim()) {
+            return;
+        }
+        try {
+            const entry = JSON.parse(line);
+            if (filters.keyId && entry.keyId !== filters.keyId) return;
+            if (filters.outcome && entry.outcome !== filters.outcome) return;
+            if (from && entry.at < from) return;
+            if (to && entry.at > to) return;
+            entries.push(entry);
+        } catch (error) {
+            // A torn last line from a crash mid-write is skipped
+        }
+    });
+
+    return entries.reverse().slice(0, filters.limit || entries.length);
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    BOOTSTRAP_KEY_ID,
+    getKeys,
+    getKey,
+    createKey,
+    updateKey,
+    revokeKey,
+    authenticate,
+    checkRestrictions,
+    recordUsage,
+    getUsage
+};
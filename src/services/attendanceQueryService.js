@@ -0,0 +1,284 @@
+// src/services/attendanceQueryService.js
+// Filtering, sorting, field selection and cursor pagination of attendance records
+
+const DeviceAdapter = require('../devices/deviceAdapter');
+const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+
+// Query parameters this service reads; a request without any of them gets every record unchanged
+const QUERY_PARAMS = ['limit', 'cursor', 'sort', 'fields', 'deviceUserId', 'employeeId', 'name', 'state', 'origin', 'from', 'to'];
+
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 5000;
+
+// Fields records can be sorted by
+const SORT_FIELDS = ['recordTime', 'deviceId', 'deviceUserId', 'employeeId', 'employeeName', 'userSn', 'punchState'];
+
+// Appended to every sort so records with equal sort values keep one order between pages
+const TIEBREAK_FIELDS = ['recordTime', 'deviceId', 'deviceUserId', 'userSn'];
+
+// Fields a record can be trimmed to
+const RECORD_FIELDS = [
+    'deviceId', 'userSn', 'deviceUserId', 'recordTime', 'punchState', 'timezone', 'ip', 'ingestedAt', 'seq',
+    'employeeName', 'employeeRole', 'employeeCardNo', 'employeeId', 'employeeCode', 'department',
+    'correction', 'originalRecordTime'
+];
+
+// Punch origins: a raw device punch or one added or moved by a correction
+const PUNCH_ORIGINS = {
+    device: record => !record.correction,
+    corrected: record => Boolean(record.correction),
+    add: record => Boolean(record.correction) && record.correction.action === 'add',
+    adjust: record => Boolean(record.correction) && record.correction.action === 'adjust'
+};
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Split a comma-separated query value
+ * @param {string|Array} value - Query value (repeated parameters arrive as an array)
+ * @returns {Array<string>} Non-empty items
+ */
+function splitList(value) {
+    return [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Compare two sort values; missing values sort last
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {number} Comparison result
+ */
+function compareValues(a, b) {
+    const missingA = a === null || a === undefined;
+    const missingB = b === null || b === undefined;
+    if (missingA || missingB) {
+        return missingA === missingB ? 0 : (missingA ? 1 : -1);
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * Parse the sort parameter ("-recordTime,deviceUserId")
+ * @param {string} value - Sort parameter
+ * @returns {Array<Object>} [{ field, direction }] including the tiebreak fields
+ */
+function parseSort(value) {
+    const keys = splitList(value || 'recordTime').map(item => ({
+        field: item.replace(/^[-+]/, ''),
+        direction: item.startsWith('-') ? -1 : 1
+    }));
+
+    const invalid = keys.find(key => !SORT_FIELDS.includes(key.field));
+    if (invalid) {
+        throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_CONTROLLER,
+            `Cannot sort by ${invalid.field}. Sort fields: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`);
+    }
+
+    TIEBREAK_FIELDS
+        .filter(field => !keys.some(key => key.field === field))
+        .forEach(field => keys.push({ field, direction: 1 }));
+    return keys;
+}
+
+/**
+ * Build the cursor that resumes after a record
+ * @param {Object} record - Last record of the page
+ * @param {Array<Object>} sort - Parsed sort
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(record, sort) {
+    const cursor = {
+        s: sort.map(key => `${key.direction < 0 ? '-' : ''}${key.field}`).join(','),
+        k: sort.map(key => (record[key.field] === undefined ? null : record[key.field]))
+    };
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Read a cursor back
+ * @param {string} value - Cursor from a previous page
+ * @param {Array<Object>} sort - Parsed sort of this request
+ * @returns {Array} Sort values of the record the previous page ended with
+ */
+function decodeCursor(value, sort) {
+    let cursor;
+    try {
+        cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    } catch (error) {
+        cursor = null;
+    }
+
+    const spec = sort.map(key => `${key.direction < 0 ? '-' : ''}${key.field}`).join(',');
+    if (!cursor || !Array.isArray(cursor.k) || cursor.k.length !== sort.length) {
+        throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_CONTROLLER, 'Invalid cursor');
+    }
+    if (cursor.s !== spec) {
+        throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_CONTROLLER, 'The cursor belongs to a different sort order');
+    }
+    return cursor.k;
+}
+
+/**
+ * Parse attendance query parameters
+ * @param {Object} query - Request query
+ * @returns {Object|null} Query options, or null when the request has no query parameters
+ */
+function parseQuery(query = {}) {
+    if (!QUERY_PARAMS.some(param => query[param] !== undefined)) {
+        return null;
+    }
+
+    const options = {
+        sort: parseSort(query.sort),
+        cursor: null,
+        limit: null,
+        fields: null,
+        filters: {}
+    };
+
+    if (query.limit !== undefined || query.cursor !== undefined) {
+        const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_CONTROLLER, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+        options.limit = limit;
+    }
+    if (query.cursor !== undefined) {
+        options.cursor = decodeCursor(String(query.cursor), options.sort);
+    }
+
+    if (query.fields !== undefined) {
+        options.fields = splitList(query.fields);
+        const unknown = options.fields.filter(field => !RECORD_FIELDS.includes(field));
+        if (options.fields.length === 0 || unknown.length > 0) {
+            throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_CONTROLLER,
+                `Unknown field(s): ${unknown.join(', ') || '(none given)'}. Fields: ${RECORD_FIELDS.join(', ')}`);
+        }
+    }
+
+    if (query.deviceUserId !== undefined) {
+        options.filters.deviceUserIds = splitList(query.deviceUserId);
+    }
+    if (query.employeeId !== undefined) {
+        options.filters.employeeIds = splitList(query.employeeId);
+    }
+    if (query.name !== undefined) {
+        options.filters.name = String(query.name).trim().toLowerCase();
+    }
+    if (query.state !== undefined) {
+        options.filters.states = splitList(query.state).map(value => (/^\d+$/.test(value)
+            ? DeviceAdapter.PUNCH_STATES[Number(value)]
+            : DeviceAdapter.PUNCH_STATES.find(state => state.toLowerCase() === value.toLowerCase())));
+        if (options.filters.states.length === 0 || options.filters.states.includes(undefined)) {
+            throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_CONTROLLER,
+                `state must list punch states: ${DeviceAdapter.PUNCH_STATES.join(', ')} (or their codes 0-${DeviceAdapter.PUNCH_STATES.length - 1})`);
+        }
+    }
+    if (query.origin !== undefined) {
+        options.filters.origin = String(query.origin).toLowerCase();
+        if (!PUNCH_ORIGINS[options.filters.origin]) {
+            throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_CONTROLLER, `origin must be one of: ${Object.keys(PUNCH_ORIGINS).join(', ')}`);
+        }
+    }
+    ['from', 'to'].forEach(field => {
+        if (query[field] !== undefined) {
+            if (!ISO_DATE_TIME.test(String(query[field])) || Number.isNaN(new Date(query[field]).getTime())) {
+                throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_CONTROLLER,
+                    `Invalid ${field}. Use an ISO 8601 date-time with an offset (e.g. 2026-10-19T09:00:00+05:00)`);
+            }
+            options.filters[field] = new Date(query[field]);
+        }
+    });
+    if (options.filters.from && options.filters.to && options.filters.from >= options.filters.to) {
+        throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_CONTROLLER, 'from must be before to');
+    }
+
+    return options;
+}
+
+/**
+ * Check a record against the filters
+ * @param {Object} record - Attendance record
+ * @param {Object} filters - Parsed filters
+ * @returns {boolean} Whether the record matches
+ */
+function matchesFilters(record, filters) {
+    if (filters.deviceUserIds && !filters.deviceUserIds.includes(record.deviceUserId)) {
+        return false;
+    }
+    if (filters.employeeIds && !filters.employeeIds.includes(record.employeeId)) {
+        return false;
+    }
+    if (filters.name && !(record.employeeName || '').toLowerCase().includes(filters.name)) {
+        return false;
+    }
+    if (filters.states && !filters.states.includes(record.punchState)) {
+        return false;
+    }
+    if (filters.origin && !PUNCH_ORIGINS[filters.origin](record)) {
+        return false;
+    }
+    const time = new Date(record.recordTime);
+    if ((filters.from && time < filters.from) || (filters.to && time >= filters.to)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Filter, sort, page and trim attendance records
+ * @param {Array} records - Attendance records
+ * @param {Object} options - parseQuery result
+ * @returns {Object} { records, selected, page } where selected holds the returned records before trimming to
+ *   fields, and page describes the slice returned (total before filters, matched after them)
+ */
+function applyQuery(records, options) {
+    const compare = (a, b) => {
+        for (const key of options.sort) {
+            const result = compareValues(a[key.field], b[key.field]) * key.direction;
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return 0;
+    };
+    const cursorRecord = options.cursor
+        ? Object.fromEntries(options.sort.map((key, index) => [key.field, options.cursor[index]]))
+        : null;
+
+    const matched = records.filter(record => matchesFilters(record, options.filters)).sort(compare);
+    const remaining = cursorRecord ? matched.filter(record => compare(record, cursorRecord) > 0) : matched;
+    const slice = options.limit ? remaining.slice(0, options.limit) : remaining;
+    const hasMore = slice.length < remaining.length;
+
+    const trim = record => (options.fields
+        ? Object.fromEntries(options.fields.filter(field => record[field] !== undefined).map(field => [field, record[field]]))
+        : record);
+
+    return {
+        records: slice.map(trim),
+        selected: slice,
+        page: {
+            sort: options.sort.map(key => `${key.direction < 0 ? '-' : ''}${key.field}`).join(','),
+            limit: options.limit,
+            fields: options.fields,
+            total: records.length,
+            matched: matched.length,
+            returned: slice.length,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(slice[slice.length - 1], options.sort) : null
+        }
+    };
+}
+
+module.exports = {
+    QUERY_PARAMS,
+    SORT_FIELDS,
+    RECORD_FIELDS,
+    PUNCH_ORIGINS,
+    parseQuery,
+    applyQuery
+};
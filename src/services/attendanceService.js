@@ -3,8 +3,96 @@
 
 const config = require('../config');
 const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+const requestContext = require('../utils/requestContext');
 const deviceService = require('./deviceService');
-const zkClient = require('../devices/zk/zkClient');
+const syncService = require('./syncService');
+const employeeService = require('./employeeService');
+const correctionService = require('./correctionService');
+const cacheService = require('./cacheService');
+const punchStore = require('../storage/punchStore');
+const timezone = require('../utils/timezone');
+
+// Cached reads of an edited or removed device may no longer match its timezone or shift
+deviceService.onDevicesChanged(({ deviceId }) => {
+    cacheService.invalidateDevice(deviceId);
+});
+
+/**
+ * Read attendance records for a device, served from the cache while the device's cache TTL lasts
+ * Every attendance and shift read goes through here, so repeated reads do not pull the device again.
+ * @param {string} prefix - Device prefix
+ * @param {Object} range - Optional { from, to } bounds
+ * @returns {Promise<Object>} Stored records, sync status and store statistics
+ */
+async function readFromStore(prefix, range = {}) {
+    const params = {
+        from: range.from ? new Date(range.from).toISOString() : null,
+        to: range.to ? new Date(range.to).toISOString() : null
+    };
+    return cacheService.deviceRead(prefix, 'attendance', params, () => loadFromStore(prefix, range));
+}
+
+/**
+ * Load attendance records for a device from the punch store,
+ * syncing from the device first when SYNC_ON_READ is enabled.
+ * Manual corrections are applied on top of the raw punches, and records carry the
+ * employee's global identity from the employee directory.
+ * @param {string} prefix - Device prefix
+ * @param {Object} range - Optional { from, to } bounds
+ * @returns {Promise<Object>} Stored records, sync status and store statistics
+ */
+async function loadFromStore(prefix, range = {}) {
+    let sync = { success: false, skipped: true };
+    
+    if (config.STORAGE.SYNC_ON_READ) {
+        try {
+            const { newRecords, ...summary } = await syncService.syncDevice(prefix);
+            sync = summary;
+        } catch (error) {
+            sync = { success: false, error: error.message };
+        }
+    }
+    
+    const store = await punchStore.getStats(prefix);
+    
+    // Nothing stored and the device could not be reached: nothing to answer with
+    if (!sync.success && sync.error && store.totalRecords === 0) {
+        throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_SERVICE, `Failed to fetch attendance data from device ${prefix}: ${sync.error}`);
+    }
+    
+    if (!sync.success && sync.error) {
+        console.log(`⚠️ [${prefix}] Device unreachable, answering from punch store (${store.totalRecords} stored records)`);
+    }
+    
+    const raw = await punchStore.query(prefix, range);
+    const records = employeeService.attachIdentity(prefix, correctionService.applyCorrections(prefix, raw, range));
+    
+    return {
+        records,
+        sync,
+        store,
+        source: sync.success ? 'device' : 'store'
+    };
+}
+
+/**
+ * Get day boundaries for a YYYY-MM-DD date in the device's timezone
+ * @param {string} prefix - Device prefix
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object} { from, to } where to is exclusive
+ */
+function getDayBounds(prefix, date) {
+    return timezone.getDayBounds(date, punchStore.getDeviceTimeZone(prefix));
+}
+
+/**
+ * Count distinct employees in a record set
+ * @param {Array} records - Attendance records
+ * @returns {number} Unique employee count
+ */
+function countUniqueEmployees(records) {
+    return new Set(records.map(record => record.deviceUserId)).size;
+}
 
 /**
  * Get latest attendance data from a specific device
@@ -25,76 +113,33 @@ async function getLatest(prefix) {
             throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_SERVICE, `Device not found: ${prefix}`);
         }
         
-        // Connect to ZK device and fetch real attendance data
-        let zkInstance = null;
-        try {
-            console.log(`🔗 [${prefix}] Connecting to ZK device ${deviceConfig.ip}:${deviceConfig.port}...`);
-            
-            // Create ZK instance with better error handling
-            try {
-                zkInstance = zkClient.createZKInstance(prefix);
-            } catch (zkError) {
-                console.error(`❌ [${prefix}] Failed to create ZK instance:`, zkError);
-                throw new Error(`Failed to create ZK instance: ${zkError.message || 'Unknown error'}`);
-            }
-            
-            // Connect to socket with better error handling
-            try {
-                await zkInstance.createSocket();
-                console.log(`✅ [${prefix}] Connected to ZK device successfully`);
-            } catch (socketError) {
-                console.error(`❌ [${prefix}] Failed to connect socket:`, socketError);
-                throw new Error(`Failed to connect socket: ${socketError.message || 'Unknown error'}`);
-            }
-            
-            // Fetch attendance data with retry mechanism
-            const attendanceLogs = await zkClient.getAttendanceDataWithRetry(zkInstance, prefix, 3);
-            
-            // Process the attendance data
-            const realData = {
+        const { records, sync, store, source } = await readFromStore(prefix);
+        
+        const realData = {
+            deviceId: prefix,
+            deviceName: deviceConfig.name,
+            location: deviceConfig.location,
+            country: deviceConfig.country,
+            lastFetch: sync.success ? sync.fetchedAt : store.lastIngestedAt,
+            source,
+            sync,
+            recordCount: records.length,
+            uniqueEmployees: countUniqueEmployees(records),
+            data: records
+        };
+        
+        return {
+            success: true,
+            data: realData,
+            summary: {
                 deviceId: prefix,
-                deviceName: deviceConfig.name,
-                location: deviceConfig.location,
-                country: deviceConfig.country,
-                lastFetch: new Date().toISOString(),
-                recordCount: attendanceLogs.data.length,
-                uniqueEmployees: new Set(attendanceLogs.data.map(log => log.uid)).size,
-                data: attendanceLogs.data
-            };
-            
-            console.log(`📊 [${prefix}] Retrieved ${realData.recordCount} attendance records`);
-            
-            return {
-                success: true,
-                data: realData,
-                summary: {
-                    deviceId: prefix,
-                    recordCount: realData.recordCount,
-                    uniqueEmployees: realData.uniqueEmployees,
-                    lastFetch: realData.lastFetch
-                }
-            };
-            
-        } catch (error) {
-            console.error(`❌ [${prefix}] Failed to fetch attendance data: ${error.message}`);
-            
-            // Provide more specific error messages
-            let errorMessage = error.message || 'Unknown error occurred';
-            if (errorMessage === 'undefined') {
-                errorMessage = 'Connection lost or device unreachable';
-            } else if (errorMessage.includes('timeout')) {
-                errorMessage = 'Device connection timeout';
-            } else if (errorMessage.includes('connection')) {
-                errorMessage = 'Failed to establish connection with device';
+                recordCount: realData.recordCount,
+                uniqueEmployees: realData.uniqueEmployees,
+                lastFetch: realData.lastFetch,
+                source,
+                storedRecords: store.totalRecords
             }
-            
-            throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_SERVICE, `Failed to fetch attendance data from device ${prefix}: ${errorMessage}`);
-        } finally {
-            // Always disconnect safely
-            if (zkInstance) {
-                await zkClient.safeDisconnect(zkInstance);
-            }
-        }
+        };
         
     } catch (error) {
         if (errorTracker.hasError()) {
@@ -123,9 +168,8 @@ async function getByDate(prefix, date) {
             throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_SERVICE, 'Device prefix and date are required');
         }
         
-        // Validate date format
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (!dateRegex.test(date)) {
+        // Validate date format (rejects dates that do not exist, like 2025-13-45)
+        if (!timezone.isDateKey(date)) {
             throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_SERVICE, 'Invalid date format. Use YYYY-MM-DD');
         }
         
@@ -135,24 +179,28 @@ async function getByDate(prefix, date) {
             throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_SERVICE, `Device not found: ${prefix}`);
         }
         
-        // TODO: Implement actual date-specific data fetch
-        const mockData = {
+        const { records, sync, source } = await readFromStore(prefix, getDayBounds(prefix, date));
+        
+        const dateData = {
             deviceId: prefix,
             deviceName: deviceConfig.name,
             date: date,
-            recordCount: 0,
-            uniqueEmployees: 0,
-            data: []
+            source,
+            sync,
+            recordCount: records.length,
+            uniqueEmployees: countUniqueEmployees(records),
+            data: records
         };
         
         return {
             success: true,
-            data: mockData,
+            data: dateData,
             summary: {
                 deviceId: prefix,
                 date: date,
-                recordCount: mockData.recordCount,
-                uniqueEmployees: mockData.uniqueEmployees
+                recordCount: dateData.recordCount,
+                uniqueEmployees: dateData.uniqueEmployees,
+                source
             }
         };
         
@@ -185,8 +233,7 @@ async function getByRange(prefix, startDate, endDate) {
         }
         
         // Validate date formats
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (!dateRegex.test(startDate) || !dateRegex.test(endDate)) {
+        if (!timezone.isDateKey(startDate) || !timezone.isDateKey(endDate)) {
             throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_SERVICE, 'Invalid date format. Use YYYY-MM-DD');
         }
         
@@ -201,26 +248,34 @@ async function getByRange(prefix, startDate, endDate) {
             throw errorTracker.setError(ERROR_STEPS.ATTENDANCE_SERVICE, `Device not found: ${prefix}`);
         }
         
-        // TODO: Implement actual date range data fetch
-        const mockData = {
+        const range = {
+            from: getDayBounds(prefix, startDate).from,
+            to: getDayBounds(prefix, endDate).to
+        };
+        const { records, sync, source } = await readFromStore(prefix, range);
+        
+        const rangeData = {
             deviceId: prefix,
             deviceName: deviceConfig.name,
             startDate: startDate,
             endDate: endDate,
-            recordCount: 0,
-            uniqueEmployees: 0,
-            data: []
+            source,
+            sync,
+            recordCount: records.length,
+            uniqueEmployees: countUniqueEmployees(records),
+            data: records
         };
         
         return {
             success: true,
-            data: mockData,
+            data: rangeData,
             summary: {
                 deviceId: prefix,
                 startDate: startDate,
                 endDate: endDate,
-                recordCount: mockData.recordCount,
-                uniqueEmployees: mockData.uniqueEmployees
+                recordCount: rangeData.recordCount,
+                uniqueEmployees: rangeData.uniqueEmployees,
+                source
             }
         };
         
@@ -244,7 +299,7 @@ async function getByRange(prefix, startDate, endDate) {
  */
 async function getToday(prefix) {
     try {
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+        const today = timezone.getDateKey(new Date(), punchStore.getDeviceTimeZone(prefix)); // YYYY-MM-DD on the device
         return await getByDate(prefix, today);
     } catch (error) {
         return {
@@ -280,7 +335,8 @@ async function getAllDevices() {
         // Process each device
         for (const device of devices) {
             try {
-                const deviceData = await getLatest(device.id);
+                // Each device reports into its own context so one failure never leaks into another
+                const deviceData = await requestContext.runChild({ devicePrefix: device.id }, () => getLatest(device.id));
                 
                 if (deviceData.success) {
                     results.devices[device.id] = {
@@ -294,7 +350,7 @@ async function getAllDevices() {
                 } else {
                     results.devices[device.id] = {
                         success: false,
-                        error: deviceData.error
+                        error: deviceData.error || deviceData.failedBecause
                     };
                     results.summary.failedDevices++;
                 }
@@ -366,7 +422,8 @@ async function getByCountry(countryCode) {
         // Process devices in the country
         for (const device of devices) {
             try {
-                const deviceData = await getLatest(device.id);
+                // Each device reports into its own context so one failure never leaks into another
+                const deviceData = await requestContext.runChild({ devicePrefix: device.id }, () => getLatest(device.id));
                 
                 if (deviceData.success) {
                     results.devices[device.id] = {
@@ -380,7 +437,7 @@ async function getByCountry(countryCode) {
                 } else {
                     results.devices[device.id] = {
                         success: false,
-                        error: deviceData.error
+                        error: deviceData.error || deviceData.failedBecause
                     };
                     results.summary.failedDevices++;
                 }
@@ -409,6 +466,7 @@ async function getByCountry(countryCode) {
 }
 
 module.exports = {
+    readFromStore,
     getLatest,
     getByDate,
     getByRange,
@@ -1,7 +1,23 @@
 // src/services/cacheService.js
 // Caching service for performance optimization
 
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
 const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+
+// Set while a cached read loads its value, so reads nested inside it are not reported as the request's outcome
+const lookupScope = new AsyncLocalStorage();
+
+/**
+ * Get the cache TTL of a device
+ * @param {string} prefix - Device prefix
+ * @returns {number} TTL in seconds (0 = not cached)
+ */
+function getDeviceTtlSeconds(prefix) {
+    const override = config.CACHE.DEVICE_TTL_SECONDS[prefix];
+    return override === undefined || override === null ? config.CACHE.TTL_SECONDS : override;
+}
 
 /**
  * Cache Service
@@ -15,12 +31,19 @@ class CacheService {
             misses: 0,
             sets: 0,
             deletes: 0,
+            staleHits: 0,
+            bypasses: 0,
+            refreshes: 0,
+            refreshFailures: 0,
             totalRequests: 0
         };
         this.defaultTTL = 5 * 60 * 1000; // 5 minutes default
-        this.maxSize = 1000; // Maximum cache entries
+        this.maxSize = config.CACHE.MAX_ENTRIES; // Maximum cache entries
         this.cleanupInterval = 60 * 1000; // 1 minute cleanup interval
         
+        // Loads in progress by key, shared by every caller asking while one runs
+        this.inFlight = new Map();
+        
         // Start cleanup timer
         this.startCleanupTimer();
         
@@ -36,9 +59,10 @@ class CacheService {
      * @param {string} key - Cache key
      * @param {any} value - Value to cache
      * @param {number} ttl - Time to live in milliseconds
+     * @param {number} staleTtl - How long after expiring the value may still be served stale, in milliseconds
      * @returns {boolean} Success status
      */
-    set(key, value, ttl = this.defaultTTL) {
+    set(key, value, ttl = this.defaultTTL, staleTtl = 0) {
         try {
             // Check if cache is full
             if (this.cache.size >= this.maxSize) {
@@ -49,6 +73,7 @@ class CacheService {
             this.cache.set(key, {
                 value,
                 expiry,
+                staleUntil: expiry + staleTtl,
                 createdAt: Date.now(),
                 accessCount: 0
             });
@@ -88,9 +113,11 @@ class CacheService {
                 return null;
             }
             
-            // Check if expired
+            // Check if expired (stale entries are kept for getOrRefresh)
             if (Date.now() > entry.expiry) {
-                this.cache.delete(key);
+                if (Date.now() > entry.staleUntil) {
+                    this.cache.delete(key);
+                }
                 this.stats.misses++;
                 return null;
             }
@@ -132,7 +159,9 @@ class CacheService {
             
             // Check if expired
             if (Date.now() > entry.expiry) {
-                this.cache.delete(key);
+                if (Date.now() > entry.staleUntil) {
+                    this.cache.delete(key);
+                }
                 return false;
             }
             
@@ -168,16 +197,42 @@ class CacheService {
         }
     }
 
+    /**
+     * Delete every entry under a key prefix
+     * @param {string} prefix - Key prefix, e.g. a device prefix
+     * @returns {number} Number of deleted entries
+     */
+    deleteByPrefix(prefix) {
+        let deletedCount = 0;
+        
+        for (const key of this.cache.keys()) {
+            if (key === prefix || key.startsWith(`${prefix}:`)) {
+                this.cache.delete(key);
+                deletedCount++;
+            }
+        }
+        
+        this.stats.deletes += deletedCount;
+        if (deletedCount > 0) {
+            logger.debug(`Cache delete by prefix: ${prefix}`, { prefix, deleted: deletedCount });
+        }
+        
+        return deletedCount;
+    }
+
     /**
      * Clear all cache entries
+     * @returns {number} Number of cleared entries
      */
     clear() {
         try {
             const size = this.cache.size;
             this.cache.clear();
             logger.info(`Cache cleared`, { previousSize: size });
+            return size;
         } catch (error) {
             logger.error(`Failed to clear cache`, { error: error.message });
+            return 0;
         }
     }
 
@@ -229,9 +284,11 @@ class CacheService {
                 key,
                 value: entry.value,
                 isExpired,
+                isStale: isExpired && now <= entry.staleUntil,
                 age,
                 ttl,
                 expiry: new Date(entry.expiry).toISOString(),
+                staleUntil: new Date(entry.staleUntil).toISOString(),
                 createdAt: new Date(entry.createdAt).toISOString(),
                 lastAccessed: entry.lastAccessed ? new Date(entry.lastAccessed).toISOString() : null,
                 accessCount: entry.accessCount
@@ -325,7 +382,7 @@ class CacheService {
             let expiredCount = 0;
             
             for (const [key, entry] of this.cache.entries()) {
-                if (now > entry.expiry) {
+                if (now > entry.staleUntil) {
                     this.cache.delete(key);
                     expiredCount++;
                 }
@@ -346,9 +403,11 @@ class CacheService {
      * Start cleanup timer
      */
     startCleanupTimer() {
-        setInterval(() => {
+        this.cleanupTimer = setInterval(() => {
             this.evictExpired();
         }, this.cleanupInterval);
+        // Never keep the process alive just to clean up
+        this.cleanupTimer.unref();
         
         logger.info(`Cache cleanup timer started`, { interval: this.cleanupInterval });
     }
@@ -371,16 +430,13 @@ class CacheService {
      * @returns {string} Generated cache key
      */
     generateKey(prefix, params = {}) {
-        if (Object.keys(params).length === 0) {
-            return prefix;
-        }
-        
         const sortedParams = Object.keys(params)
+            .filter(key => params[key] !== undefined && params[key] !== null)
             .sort()
             .map(key => `${key}:${params[key]}`)
             .join('|');
         
-        return `${prefix}:${sortedParams}`;
+        return sortedParams ? `${prefix}:${sortedParams}` : prefix;
     }
 
     /**
@@ -413,6 +469,181 @@ class CacheService {
             return await fn();
         }
     }
+
+    /**
+     * Get a value, loading it on a miss and refreshing it in the background once it has expired
+     * An expired entry is still answered with until its stale window ends (stale-while-revalidate).
+     * @param {string} key - Cache key
+     * @param {Function} loader - Async function producing the value
+     * @param {Object} options - { ttl, staleTtl } in milliseconds, and fresh to skip the cached value
+     * @returns {Promise<Object>} { value, status: 'HIT'|'STALE'|'MISS'|'BYPASS', maxAge } with maxAge the
+     *   seconds the value stays fresh
+     */
+    async getOrRefresh(key, loader, options = {}) {
+        const { ttl = this.defaultTTL, staleTtl = 0, fresh = false } = options;
+        this.stats.totalRequests++;
+        
+        const entry = fresh ? null : this.cache.get(key);
+        const now = Date.now();
+        
+        if (entry && now <= entry.staleUntil) {
+            entry.accessCount++;
+            entry.lastAccessed = now;
+            this.stats.hits++;
+            
+            if (now <= entry.expiry) {
+                return { value: entry.value, status: 'HIT', maxAge: Math.ceil((entry.expiry - now) / 1000) };
+            }
+            
+            this.stats.staleHits++;
+            this.refreshInBackground(key, loader, ttl, staleTtl);
+            return { value: entry.value, status: 'STALE', maxAge: 0 };
+        }
+        
+        if (fresh) {
+            this.stats.bypasses++;
+        } else {
+            this.stats.misses++;
+        }
+        
+        const value = await this.load(key, loader, ttl, staleTtl);
+        return { value, status: fresh ? 'BYPASS' : 'MISS', maxAge: Math.ceil(ttl / 1000) };
+    }
+
+    /**
+     * Run a loader and cache its value; callers asking for the same key meanwhile share the run
+     * A loader that fails caches nothing.
+     * @param {string} key - Cache key
+     * @param {Function} loader - Async function producing the value
+     * @param {number} ttl - Time to live in milliseconds
+     * @param {number} staleTtl - Stale window in milliseconds
+     * @returns {Promise<any>} Loaded value
+     */
+    load(key, loader, ttl, staleTtl) {
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+        
+        const promise = Promise.resolve()
+            .then(loader)
+            .then(value => {
+                this.set(key, value, ttl, staleTtl);
+                return value;
+            })
+            .finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Reload a stale entry without holding up the request that found it
+     * The stale value stays in place if the reload fails.
+     * @param {string} key - Cache key
+     * @param {Function} loader - Async function producing the value
+     * @param {number} ttl - Time to live in milliseconds
+     * @param {number} staleTtl - Stale window in milliseconds
+     */
+    refreshInBackground(key, loader, ttl, staleTtl) {
+        if (this.inFlight.has(key)) {
+            return;
+        }
+        
+        this.stats.refreshes++;
+        
+        // The refresh outlives the request, so it reports into a context of its own
+        const context = requestContext.getContext();
+        requestContext.run({ devicePrefix: context ? context.devicePrefix : null }, () => this.load(key, loader, ttl, staleTtl))
+            .catch(error => {
+                this.stats.refreshFailures++;
+                logger.warn(`Cache refresh failed: ${key}`, {
+                    key,
+                    error: error.message
+                });
+            });
+    }
+
+    /**
+     * Read device data through the cache on behalf of the current request
+     * Uses the device's TTL, skips the cached value for ?fresh=true requests and records the outcome for the
+     * X-Cache and Cache-Control response headers (see cacheMiddleware). Reads nested inside another cached
+     * read are cached the same way, but the outer read is the one reported.
+     * Cached values are shared between callers, so they must not be modified.
+     * @param {string} prefix - Device prefix
+     * @param {string} name - What is read, e.g. 'attendance' or 'shift:today'
+     * @param {Object} params - Parameters telling one read of the device from another (part of the key)
+     * @param {Function} loader - Async function reading the data
+     * @returns {Promise<any>} Cached or freshly read data
+     */
+    async deviceRead(prefix, name, params, loader) {
+        const context = requestContext.getContext();
+        const state = context ? context.cache : null;
+        const nested = lookupScope.getStore() === true;
+        const ttl = config.CACHE.ENABLED ? getDeviceTtlSeconds(prefix) * 1000 : 0;
+        const scopedLoader = () => lookupScope.run(true, loader);
+        
+        let result;
+        if (ttl > 0) {
+            result = await this.getOrRefresh(this.generateKey(`${prefix}:${name}`, params), scopedLoader, {
+                ttl,
+                staleTtl: config.CACHE.STALE_SECONDS * 1000,
+                fresh: Boolean(state && state.fresh)
+            });
+        } else {
+            result = { value: await scopedLoader(), status: 'BYPASS', maxAge: 0 };
+        }
+        
+        if (state && !nested) {
+            state.lookups.push({ status: result.status, maxAge: result.maxAge });
+        }
+        
+        return result.value;
+    }
+
+    /**
+     * Drop every cached read of a device
+     * @param {string} prefix - Device prefix
+     * @returns {number} Number of deleted entries
+     */
+    invalidateDevice(prefix) {
+        return this.deleteByPrefix(prefix);
+    }
+
+    /**
+     * Drop every cached read of several devices
+     * @param {Array<string>} prefixes - Device prefixes (repeats are skipped)
+     * @returns {number} Number of deleted entries
+     */
+    invalidateDevices(prefixes) {
+        return [...new Set(prefixes)].reduce((total, prefix) => total + this.invalidateDevice(prefix), 0);
+    }
+
+    /**
+     * Describe cache entries without their values
+     * @param {string|null} prefix - Only entries under this key prefix (e.g. a device prefix)
+     * @returns {Array} Entry info, oldest first
+     */
+    getEntries(prefix = null) {
+        return this.getKeys()
+            .filter(key => !prefix || key === prefix || key.startsWith(`${prefix}:`))
+            .map(key => {
+                const { value, ...info } = this.getEntryInfo(key);
+                return { ...info, refreshing: this.inFlight.has(key) };
+            });
+    }
+
+    /**
+     * Get the cache settings in effect
+     * @returns {Object} { enabled, ttlSeconds, staleSeconds, deviceTtlSeconds, maxEntries }
+     */
+    getSettings() {
+        return {
+            enabled: config.CACHE.ENABLED,
+            ttlSeconds: config.CACHE.TTL_SECONDS,
+            staleSeconds: config.CACHE.STALE_SECONDS,
+            deviceTtlSeconds: config.CACHE.DEVICE_TTL_SECONDS,
+            maxEntries: this.maxSize
+        };
+    }
 }
 
 // Create singleton instance
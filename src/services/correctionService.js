@@ -0,0 +1,381 @@
+// src/services/correctionService.js
+// Manual punch corrections (add, void, adjust) kept apart from raw device data and applied as an overlay on reads
+
+const crypto = require('crypto');
+const timezone = require('../utils/timezone');
+const JsonFileStore = require('../storage/jsonFileStore');
+const punchStore = require('../storage/punchStore');
+const deviceService = require('./deviceService');
+const cacheService = require('./cacheService');
+
+// { corrections: [correction], audit: [event] }; the audit trail is append-only and
+// a revoked correction stays listed with its revocation
+const correctionStore = new JsonFileStore('corrections.json', () => ({ corrections: [], audit: [] }));
+
+const CORRECTION_ACTIONS = ['add', 'void', 'adjust'];
+const CORRECTION_FIELDS = ['devicePrefix', 'action', 'deviceUserId', 'recordTime', 'target', 'reason', 'author'];
+
+// Wall-clock time without an offset, read on the device's clock
+const WALL_CLOCK_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * Generate a correction ID
+ * @returns {string} Correction ID
+ */
+function generateId() {
+    return `cor_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Parse a punch time
+ * Times with an offset (or Z) are instants; times without one are wall-clock times on the device.
+ * @param {*} value - Time supplied in the request
+ * @param {string} devicePrefix - Device prefix
+ * @returns {Date|null} Instant, or null when not a time
+ */
+function parsePunchTime(value, devicePrefix) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const wallClock = value.match(WALL_CLOCK_PATTERN);
+    if (wallClock) {
+        const [, year, month, day, hour, minute, second = '0'] = wallClock;
+        if (timezone.addDays(`${year}-${month}-${day}`, 0) !== `${year}-${month}-${day}` || Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59) {
+            return null;
+        }
+        return timezone.zonedTimeToUtc({
+            year: Number(year),
+            month: Number(month),
+            day: Number(day),
+            hour: Number(hour),
+            minute: Number(minute),
+            second: Number(second)
+        }, punchStore.getDeviceTimeZone(devicePrefix));
+    }
+    const time = new Date(value);
+    return /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(time.getTime()) ? time : null;
+}
+
+/**
+ * Check whether a string field is filled in
+ * @param {*} value - Value
+ * @returns {boolean} True for a non-empty string
+ */
+function isFilled(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Find the raw punch a void or adjust correction targets
+ * @param {string} devicePrefix - Device prefix
+ * @param {Object} target - { deviceUserId, recordTime }
+ * @returns {Promise<Object|null>} Stored punch
+ */
+async function findPunch(devicePrefix, target) {
+    const time = parsePunchTime(target.recordTime, devicePrefix);
+    if (!time) {
+        return null;
+    }
+    const matches = await punchStore.query(devicePrefix, { from: time, to: new Date(time.getTime() + 1000) });
+    return matches.find(record => record.deviceUserId === String(target.deviceUserId)) || null;
+}
+
+/**
+ * Get the identity of the raw punch a void or adjust correction targets
+ * Corrections recorded before punch IDs existed carry only the dedup key, so the ID is rebuilt from their copy of the punch.
+ * @param {Object} correction - Correction with an original punch
+ * @returns {string} Punch ID
+ */
+function getPunchId(correction) {
+    return correction.original.punchId || punchStore.buildPunchId(correction.devicePrefix, correction.original);
+}
+
+/**
+ * Get the active corrections, optionally for one device
+ * @param {string} devicePrefix - Device prefix (optional)
+ * @returns {Array} Corrections not revoked
+ */
+function getActiveCorrections(devicePrefix = null) {
+    return correctionStore.get().corrections.filter(correction =>
+        !correction.revokedAt && (!devicePrefix || correction.devicePrefix === devicePrefix));
+}
+
+/**
+ * Get corrections, optionally filtered
+ * @param {Object} filters - { devicePrefix, deviceUserId, action, status ('active' or 'revoked') }
+ * @returns {Array} Corrections, newest first
+ */
+function getCorrections(filters = {}) {
+    return correctionStore.get().corrections
+        .filter(correction => {
+            if (filters.devicePrefix && correction.devicePrefix !== filters.devicePrefix) return false;
+            if (filters.deviceUserId && correction.deviceUserId !== String(filters.deviceUserId)) return false;
+            if (filters.action && correction.action !== filters.action) return false;
+            if (filters.status === 'active' && correction.revokedAt) return false;
+            if (filters.status === 'revoked' && !correction.revokedAt) return false;
+            return true;
+        })
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get a correction
+ * @param {string} correctionId - Correction ID
+ * @returns {Object|null} Correction
+ */
+function getCorrection(correctionId) {
+    return correctionStore.get().corrections.find(correction => correction.id === correctionId) || null;
+}
+
+/**
+ * Get the audit trail
+ * @param {Object} filters - { devicePrefix, deviceUserId, author, correctionId, from, to } (from/to are ISO timestamps)
+ * @returns {Array} Audit events, newest first
+ */
+function getAuditTrail(filters = {}) {
+    return correctionStore.get().audit
+        .filter(event => {
+            if (filters.devicePrefix && event.devicePrefix !== filters.devicePrefix) return false;
+            if (filters.deviceUserId && event.deviceUserId !== String(filters.deviceUserId)) return false;
+            if (filters.author && event.author !== filters.author) return false;
+            if (filters.correctionId && event.correctionId !== filters.correctionId) return false;
+            if (filters.from && event.at < new Date(filters.from).toISOString()) return false;
+            if (filters.to && event.at > new Date(filters.to).toISOString()) return false;
+            return true;
+        })
+        .sort((a, b) => b.at.localeCompare(a.at));
+}
+
+/**
+ * Record a correction
+ * - add: a punch the device never recorded ({ deviceUserId, recordTime })
+ * - void: a raw punch to ignore ({ target: { deviceUserId, recordTime } })
+ * - adjust: a raw punch to read at another time ({ target, recordTime })
+ * Times without an offset are read on the device's clock.
+ * @param {Object} input - Correction fields (devicePrefix, action, reason and author are always required)
+ * @returns {Promise<Object>} Created correction
+ */
+async function createCorrection(input = {}) {
+    const errors = [];
+
+    Object.keys(input).forEach(field => {
+        if (!CORRECTION_FIELDS.includes(field)) {
+            errors.push(`Unknown field: ${field}`);
+        }
+    });
+    if (!deviceService.validateDeviceId(input.devicePrefix)) {
+        errors.push(`Device not found: ${input.devicePrefix}`);
+    }
+    if (!CORRECTION_ACTIONS.includes(input.action)) {
+        errors.push(`action must be one of: ${CORRECTION_ACTIONS.join(', ')}`);
+    }
+    if (!isFilled(input.reason)) {
+        errors.push('reason is required');
+    }
+    if (!isFilled(input.author)) {
+        errors.push('author is required');
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid correction: ${errors.join('; ')}`);
+    }
+
+    const { devicePrefix, action } = input;
+    const now = new Date().toISOString();
+    const correction = {
+        id: generateId(),
+        devicePrefix,
+        action,
+        deviceUserId: null,
+        recordTime: null,
+        original: null,
+        employeeName: null,
+        reason: input.reason.trim(),
+        author: input.author.trim(),
+        createdAt: now,
+        revokedAt: null,
+        revokedBy: null,
+        revokeReason: null
+    };
+
+    if (action === 'add' || action === 'adjust') {
+        const time = parsePunchTime(input.recordTime, devicePrefix);
+        if (!time) {
+            errors.push('recordTime must be an ISO 8601 time (without an offset it is read on the device clock)');
+        }
+        correction.recordTime = time ? time.toISOString() : null;
+    } else if (input.recordTime !== undefined) {
+        errors.push('recordTime does not apply to void corrections');
+    }
+
+    if (action === 'add') {
+        if (!isFilled(input.deviceUserId) && typeof input.deviceUserId !== 'number') {
+            errors.push('deviceUserId is required');
+        }
+        if (input.target !== undefined) {
+            errors.push('target does not apply to add corrections');
+        }
+        correction.deviceUserId = String(input.deviceUserId);
+    } else {
+        const target = input.target;
+        if (!target || typeof target !== 'object' || target.deviceUserId === undefined || !target.recordTime) {
+            errors.push('target { deviceUserId, recordTime } of the punch to correct is required');
+        } else {
+            const original = await findPunch(devicePrefix, target);
+            if (!original) {
+                errors.push(`No punch by ${target.deviceUserId} at ${target.recordTime} on ${devicePrefix}`);
+            } else {
+                const punchId = punchStore.buildPunchId(devicePrefix, original);
+                const existing = getActiveCorrections(devicePrefix).find(entry => entry.original && getPunchId(entry) === punchId);
+                if (existing) {
+                    errors.push(`Punch already corrected by ${existing.id}; revoke it first`);
+                }
+                correction.deviceUserId = original.deviceUserId;
+                correction.original = { punchId, ...original };
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid correction: ${errors.join('; ')}`);
+    }
+
+    // Added punches take the name the device last recorded for the user
+    if (action === 'add') {
+        const employee = (await punchStore.getEmployees(devicePrefix)).find(entry => entry.deviceUserId === correction.deviceUserId);
+        correction.employeeName = employee ? employee.employeeName : null;
+    }
+
+    await correctionStore.update(document => {
+        document.corrections.push(correction);
+        document.audit.push({
+            at: now,
+            event: 'created',
+            correctionId: correction.id,
+            devicePrefix,
+            deviceUserId: correction.deviceUserId,
+            action,
+            author: correction.author,
+            reason: correction.reason,
+            recordTime: correction.recordTime,
+            originalRecordTime: correction.original ? correction.original.recordTime : null
+        });
+    });
+    // Cached reads of the device predate the correction
+    cacheService.invalidateDevice(devicePrefix);
+
+    console.log(`📝 [${devicePrefix}] Punch correction ${correction.id} (${action}) by ${correction.author}: ${correction.reason}`);
+    return correction;
+}
+
+/**
+ * Revoke a correction; the raw punch reads as recorded again
+ * @param {string} correctionId - Correction ID
+ * @param {Object} input - { author, reason }
+ * @returns {Promise<Object>} Revoked correction
+ */
+async function revokeCorrection(correctionId, input = {}) {
+    const existing = getCorrection(correctionId);
+    if (!existing) {
+        throw new Error(`Correction not found: ${correctionId}`);
+    }
+    if (existing.revokedAt) {
+        throw new Error(`Correction already revoked: ${correctionId}`);
+    }
+    const errors = [];
+    if (!isFilled(input.reason)) {
+        errors.push('reason is required');
+    }
+    if (!isFilled(input.author)) {
+        errors.push('author is required');
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid revocation: ${errors.join('; ')}`);
+    }
+
+    const now = new Date().toISOString();
+    const revoked = {
+        ...existing,
+        revokedAt: now,
+        revokedBy: input.author.trim(),
+        revokeReason: input.reason.trim()
+    };
+
+    await correctionStore.update(document => {
+        document.corrections = document.corrections.map(correction => (correction.id === correctionId ? revoked : correction));
+        document.audit.push({
+            at: now,
+            event: 'revoked',
+            correctionId,
+            devicePrefix: existing.devicePrefix,
+            deviceUserId: existing.deviceUserId,
+            action: existing.action,
+            author: revoked.revokedBy,
+            reason: revoked.revokeReason,
+            recordTime: existing.recordTime,
+            originalRecordTime: existing.original ? existing.original.recordTime : null
+        });
+    });
+    cacheService.invalidateDevice(existing.devicePrefix);
+
+    console.log(`↩️ [${existing.devicePrefix}] Punch correction ${correctionId} revoked by ${revoked.revokedBy}`);
+    return revoked;
+}
+
+/**
+ * Apply the active corrections to a device's records
+ * Voided and adjusted punches drop out; added punches and the new times of adjusted ones come in when they fall in the range.
+ * @param {string} devicePrefix - Device prefix
+ * @param {Array} records - Raw records read from the punch store for the range
+ * @param {Object} range - The { from, to } the records were read for
+ * @returns {Array} Corrected records ordered by recordTime
+ */
+function applyCorrections(devicePrefix, records, range = {}) {
+    const corrections = getActiveCorrections(devicePrefix);
+    if (corrections.length === 0) {
+        return records;
+    }
+
+    const from = range.from ? new Date(range.from).toISOString() : null;
+    const to = range.to ? new Date(range.to).toISOString() : null;
+    const inRange = recordTime => (!from || recordTime >= from) && (!to || recordTime < to);
+
+    // Matched on the punch ID: a timezone change re-resolves the stored recordTime the dedup key is built from
+    const replaced = new Set(corrections.filter(correction => correction.original).map(getPunchId));
+    const corrected = records.filter(record => !replaced.has(punchStore.buildPunchId(devicePrefix, record)));
+    const zone = punchStore.getDeviceTimeZone(devicePrefix);
+
+    corrections
+        .filter(correction => correction.recordTime && inRange(correction.recordTime))
+        .forEach(correction => {
+            const summary = { id: correction.id, action: correction.action, reason: correction.reason, author: correction.author };
+            if (correction.action === 'adjust') {
+                const { key, punchId, ...original } = correction.original;
+                // The copy was taken before any later timezone change; read it the way the store does now
+                punchStore.resolveInZone(original, zone);
+                corrected.push({ ...original, recordTime: correction.recordTime, originalRecordTime: original.recordTime, correction: summary });
+            } else {
+                corrected.push({
+                    deviceId: devicePrefix,
+                    userSn: null,
+                    deviceUserId: correction.deviceUserId,
+                    recordTime: correction.recordTime,
+                    timezone: punchStore.getDeviceTimeZone(devicePrefix),
+                    ip: null,
+                    employeeName: correction.employeeName,
+                    correction: summary
+                });
+            }
+        });
+
+    return corrected.sort((a, b) => a.recordTime.localeCompare(b.recordTime));
+}
+
+module.exports = {
+    CORRECTION_ACTIONS,
+    getCorrections,
+    getCorrection,
+    getAuditTrail,
+    createCorrection,
+    revokeCorrection,
+    applyCorrections
+};
@@ -1,8 +1,294 @@
 // src/services/deviceService.js
-// Business logic for device management
+// Business logic for device management, including the persisted device registry
 
+const EventEmitter = require('events');
+const net = require('net');
 const config = require('../config');
 const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+const JsonFileStore = require('../storage/jsonFileStore');
+const deviceAdapters = require('../devices');
+const timezone = require('../utils/timezone');
+
+// Devices added or edited through the API: { devices: { [id]: device }, removed: [ids of deleted env devices] }
+const registryStore = new JsonFileStore('devices.json', () => ({ devices: {}, removed: [] }));
+
+// Devices configured through environment variables; they seed the registry
+const envDevices = config.ENV.DEVICES.map(device => ({ ...device, source: 'env' }));
+
+// Notifies services that keep per-device state when the device list changes
+const deviceEvents = new EventEmitter();
+deviceEvents.setMaxListeners(0);
+
+// Location-coded prefixes (pk01, us02, ...); keeps device routes clear of the fixed top-level paths
+const DEVICE_ID_PATTERN = /^[a-z]{2,4}\d{2,3}$/;
+const HOSTNAME_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+
+// Editable device fields (id is fixed once created)
+const TEXT_FIELDS = ['name', 'model', 'location', 'description', 'importDir'];
+const DEVICE_FIELDS = ['id', 'prefix', 'driver', 'ip', 'port', 'timeout', 'inport', 'country', 'timezone', 'weekendDays', 'shift', ...TEXT_FIELDS];
+const SHIFT_HOUR_FIELDS = ['startHour', 'endHour', 'checkInBufferStart', 'checkInBufferEnd', 'checkOutBufferStart', 'checkOutBufferEnd'];
+// Attendance rules in minutes, with their upper limits (roundingMinutes 0 = exact minutes)
+const SHIFT_MINUTE_LIMITS = { graceMinutes: 240, earlyLeaveGraceMinutes: 240, overtimeMinimumMinutes: 240, roundingMinutes: 60 };
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+const SHIFT_FIELDS = [...SHIFT_HOUR_FIELDS, ...Object.keys(SHIFT_MINUTE_LIMITS), 'roundingMode', 'description', 'timezone'];
+
+/**
+ * Merge the env seed devices with the persisted registry
+ * Registry entries replace env devices with the same ID; deleted env devices stay removed.
+ * @returns {Array} Device configurations
+ */
+function buildDeviceList() {
+    const { devices, removed } = registryStore.get();
+    const seeds = envDevices.filter(device => !devices[device.id] && !removed.includes(device.id));
+    return [...seeds, ...Object.values(devices)];
+}
+
+/**
+ * Reload config.ENV.DEVICES in place so every module reading it sees the change
+ */
+function reloadDevices() {
+    const devices = buildDeviceList();
+    config.ENV.DEVICES.splice(0, config.ENV.DEVICES.length, ...devices);
+}
+
+/**
+ * Register a listener for device list changes
+ * @param {Function} listener - Receives { action: 'created'|'updated'|'deleted', deviceId, device }
+ * @returns {Function} Function removing the listener
+ */
+function onDevicesChanged(listener) {
+    deviceEvents.on('change', listener);
+    return () => deviceEvents.off('change', listener);
+}
+
+/**
+ * Check that a value is an integer within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Minimum (inclusive)
+ * @param {number} max - Maximum (inclusive)
+ * @returns {boolean} True when valid
+ */
+function isIntegerInRange(value, min, max) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return Number.isInteger(number) && number >= min && number <= max;
+}
+
+/**
+ * Validate device fields from an API request
+ * @param {Object} input - Device fields
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateDeviceFields(input) {
+    const errors = [];
+
+    Object.keys(input).forEach(field => {
+        if (!DEVICE_FIELDS.includes(field)) {
+            errors.push(`Unknown field: ${field}`);
+        }
+    });
+
+    if (input.driver !== undefined && !deviceAdapters.getDriverNames().includes(input.driver)) {
+        errors.push(`driver must be one of: ${deviceAdapters.getDriverNames().join(', ')}`);
+    }
+    if (input.ip !== undefined && input.ip !== null &&
+        (typeof input.ip !== 'string' || (net.isIP(input.ip) === 0 && !HOSTNAME_PATTERN.test(input.ip)))) {
+        errors.push('ip must be an IP address or hostname');
+    }
+    if (input.port !== undefined && input.port !== null && !isIntegerInRange(input.port, 1, 65535)) {
+        errors.push('port must be an integer between 1 and 65535');
+    }
+    if (input.inport !== undefined && !isIntegerInRange(input.inport, 1, 65535)) {
+        errors.push('inport must be an integer between 1 and 65535');
+    }
+    if (input.timeout !== undefined && !isIntegerInRange(input.timeout, 1000, 120000)) {
+        errors.push('timeout must be an integer between 1000 and 120000 (milliseconds)');
+    }
+    if (input.country !== undefined && (typeof input.country !== 'string' || !/^[a-z]{2}$/i.test(input.country))) {
+        errors.push('country must be a two-letter country code');
+    }
+    if (input.timezone !== undefined && input.timezone !== null &&
+        (typeof input.timezone !== 'string' || !timezone.isValidTimeZone(input.timezone))) {
+        errors.push('timezone must be an IANA timezone (e.g., Asia/Karachi, America/New_York)');
+    }
+    if (input.weekendDays !== undefined && input.weekendDays !== null &&
+        (!Array.isArray(input.weekendDays) || input.weekendDays.some(day => !isIntegerInRange(day, 0, 6)))) {
+        errors.push('weekendDays must be an array of weekdays from 0 (Sunday) to 6 (Saturday)');
+    }
+    TEXT_FIELDS.forEach(field => {
+        if (input[field] !== undefined && input[field] !== null && typeof input[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+    });
+
+    if (input.shift !== undefined && input.shift !== null) {
+        if (typeof input.shift !== 'object' || Array.isArray(input.shift)) {
+            errors.push('shift must be an object');
+        } else {
+            Object.entries(input.shift).forEach(([field, value]) => {
+                if (!SHIFT_FIELDS.includes(field)) {
+                    errors.push(`Unknown shift field: ${field}`);
+                } else if (SHIFT_HOUR_FIELDS.includes(field) && !isIntegerInRange(value, 0, 24)) {
+                    errors.push(`shift.${field} must be an hour between 0 and 24`);
+                } else if (SHIFT_MINUTE_LIMITS[field] !== undefined && !isIntegerInRange(value, 0, SHIFT_MINUTE_LIMITS[field])) {
+                    errors.push(`shift.${field} must be an integer between 0 and ${SHIFT_MINUTE_LIMITS[field]}`);
+                } else if (field === 'roundingMode' && !ROUNDING_MODES.includes(value)) {
+                    errors.push(`shift.roundingMode must be one of: ${ROUNDING_MODES.join(', ')}`);
+                } else if (!SHIFT_HOUR_FIELDS.includes(field) && SHIFT_MINUTE_LIMITS[field] === undefined && typeof value !== 'string') {
+                    errors.push(`shift.${field} must be a string`);
+                } else if (field === 'timezone' && !timezone.isValidTimeZone(value)) {
+                    errors.push('shift.timezone must be an IANA timezone (e.g., Asia/Karachi, America/New_York)');
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Build a complete device configuration (same shape as env devices)
+ * @param {Object} input - Validated device fields
+ * @param {Object} base - Existing device configuration when updating
+ * @returns {Object} Device configuration
+ */
+function buildDevice(input, base = {}) {
+    const merged = { ...base, ...input };
+    const driver = merged.driver || 'zk';
+    const country = (merged.country || 'PK').toUpperCase();
+    const id = merged.id;
+
+    return {
+        id,
+        prefix: id,
+        driver,
+        name: merged.name || (driver === 'file' ? `File Import ${id.toUpperCase()}` : `ZKTeco Device ${id.toUpperCase()}`),
+        model: merged.model || (driver === 'file' ? 'CSV Import' : 'MB460'),
+        ip: merged.ip || null,
+        port: merged.port !== undefined && merged.port !== null ? parseInt(merged.port, 10) : null,
+        timeout: parseInt(merged.timeout || '10000', 10),
+        inport: String(merged.inport || '4000'),
+        importDir: merged.importDir || null,
+        timezone: merged.timezone || null,
+        weekendDays: merged.weekendDays ? [...new Set(merged.weekendDays.map(Number))] : null,
+        location: merged.location || country,
+        country,
+        description: merged.description || `${merged.location || country} Device ${id}`,
+        shift: input.shift === null ? null : (base.shift || input.shift ? { ...base.shift, ...input.shift } : null),
+        source: 'api',
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Check the fields a driver needs
+ * @param {Object} device - Device configuration
+ * @returns {Array<string>} Validation errors
+ */
+function validateDriverRequirements(device) {
+    if (device.driver === 'zk' && (!device.ip || !device.port)) {
+        return ['ip and port are required for zk devices'];
+    }
+    return [];
+}
+
+/**
+ * Add a device to the registry
+ * @param {Object} input - Device fields (id required)
+ * @returns {Promise<Object>} Created device configuration
+ */
+async function createDevice(input = {}) {
+    const id = typeof input.id === 'string' ? input.id.trim().toLowerCase() : input.id;
+    const errors = [];
+
+    if (!id) {
+        errors.push('id is required');
+    } else if (typeof id !== 'string' || !DEVICE_ID_PATTERN.test(id)) {
+        errors.push('id must be a location code followed by a number (e.g., pk04, us10)');
+    } else if (validateDeviceId(id)) {
+        throw new Error(`Device already exists: ${id}`);
+    }
+    if (input.prefix !== undefined && input.prefix !== input.id) {
+        errors.push('prefix must match id');
+    }
+    errors.push(...validateDeviceFields(input));
+
+    const device = errors.length === 0 ? buildDevice({ ...input, id }) : null;
+    if (device) {
+        errors.push(...validateDriverRequirements(device));
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid device: ${errors.join('; ')}`);
+    }
+
+    await registryStore.update(document => {
+        document.devices[id] = device;
+        document.removed = document.removed.filter(removedId => removedId !== id);
+    });
+    reloadDevices();
+
+    console.log(`➕ [${id}] Device added to registry (${device.driver})`);
+    deviceEvents.emit('change', { action: 'created', deviceId: id, device });
+    return device;
+}
+
+/**
+ * Update a device; env devices are copied into the registry on their first edit
+ * @param {string} deviceId - Device ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} Updated device configuration
+ */
+async function updateDevice(deviceId, changes = {}) {
+    const existing = getDeviceConfig(deviceId);
+    if (!existing) {
+        throw new Error(`Device not found: ${deviceId}`);
+    }
+
+    const errors = validateDeviceFields(changes);
+    if ((changes.id !== undefined && changes.id !== deviceId) || (changes.prefix !== undefined && changes.prefix !== deviceId)) {
+        errors.push('id cannot be changed');
+    }
+
+    const device = errors.length === 0 ? buildDevice({ ...changes, id: deviceId }, existing) : null;
+    if (device) {
+        errors.push(...validateDriverRequirements(device));
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid device: ${errors.join('; ')}`);
+    }
+
+    await registryStore.update(document => {
+        document.devices[deviceId] = device;
+    });
+    reloadDevices();
+
+    console.log(`✏️ [${deviceId}] Device updated`);
+    deviceEvents.emit('change', { action: 'updated', deviceId, device });
+    return device;
+}
+
+/**
+ * Remove a device; env devices are remembered as removed so the seed does not bring them back
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object>} Removed device configuration
+ */
+async function deleteDevice(deviceId) {
+    const existing = getDeviceConfig(deviceId);
+    if (!existing) {
+        throw new Error(`Device not found: ${deviceId}`);
+    }
+
+    await registryStore.update(document => {
+        delete document.devices[deviceId];
+        if (envDevices.some(device => device.id === deviceId) && !document.removed.includes(deviceId)) {
+            document.removed.push(deviceId);
+        }
+    });
+    reloadDevices();
+
+    console.log(`➖ [${deviceId}] Device removed from registry`);
+    deviceEvents.emit('change', { action: 'deleted', deviceId, device: existing });
+    return existing;
+}
 
 /**
  * Validate if a device ID exists in configuration
@@ -36,6 +322,7 @@ function getAllDevices() {
     return config.ENV.DEVICES.map(device => ({
         id: device.id,
         prefix: device.prefix,
+        driver: device.driver,
         name: device.name,
         model: device.model,
         location: device.location,
@@ -44,7 +331,10 @@ function getAllDevices() {
         ip: device.ip,
         port: device.port,
         timeout: device.timeout,
-        inport: device.inport
+        inport: device.inport,
+        timezone: device.timezone,
+        weekendDays: device.weekendDays,
+        source: device.source
     }));
 }
 
@@ -64,6 +354,7 @@ function getDevicesByCountry(countryCode) {
         .map(device => ({
             id: device.id,
             prefix: device.prefix,
+            driver: device.driver,
             name: device.name,
             model: device.model,
             location: device.location,
@@ -88,14 +379,22 @@ function getDeviceSummary() {
             devices: devices.filter(d => d.country === country).map(d => d.id)
         })),
         models: [...new Set(devices.map(d => d.model))],
+        drivers: [...new Set(devices.map(d => d.driver))],
         locations: [...new Set(devices.map(d => d.location))]
     };
 }
 
+// Apply registry changes persisted by earlier runs
+reloadDevices();
+
 module.exports = {
     validateDeviceId,
     getDeviceConfig,
     getAllDevices,
     getDevicesByCountry,
-    getDeviceSummary
+    getDeviceSummary,
+    createDevice,
+    updateDevice,
+    deleteDevice,
+    onDevicesChanged
 };
@@ -0,0 +1,210 @@
+// src/services/employeeAttendanceService.js
+// One employee's punches and daily shift summaries across every device they are enrolled on
+
+const timezone = require('../utils/timezone');
+const requestContext = require('../utils/requestContext');
+const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+const logger = require('../utils/logger');
+const deviceService = require('./deviceService');
+const attendanceService = require('./attendanceService');
+const employeeService = require('./employeeService');
+const ShiftService = require('./shiftService');
+
+// Shift pairing and resolution (assignments, rosters, holidays) live in ShiftService
+const shiftService = new ShiftService();
+
+/**
+ * List the dates from one YYYY-MM-DD date to another, inclusive
+ * @param {string} from - First date
+ * @param {string} to - Last date
+ * @returns {Array<string>} Dates
+ */
+function listDates(from, to) {
+    const dates = [];
+    for (let date = from; date <= to; date = timezone.addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+/**
+ * Read an employee's punches and shifts from one device
+ * @param {string} prefix - Device prefix
+ * @param {Array<string>} deviceUserIds - The employee's user IDs on the device
+ * @param {Array<string>} dates - Shift dates
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { source, punches, shifts } where shifts are processShiftData entries with a punch
+ */
+async function readDevice(prefix, deviceUserIds, dates, now) {
+    const shiftConfig = shiftService.getShiftConfig(prefix);
+    const from = dates[0];
+    const to = dates[dates.length - 1];
+
+    // The range plus the following day, so overnight shifts find their check-outs
+    const range = {
+        from: timezone.startOfDay(from, shiftConfig.timezone),
+        to: timezone.startOfDay(timezone.addDays(to, 2), shiftConfig.timezone)
+    };
+    const { records, source } = await attendanceService.readFromStore(prefix, range);
+    const employeeRecords = records.filter(record => deviceUserIds.includes(record.deviceUserId));
+
+    // Punches listed are those on the requested calendar days; the extra day only serves check-outs
+    const listedUntil = timezone.startOfDay(timezone.addDays(to, 1), shiftConfig.timezone);
+    const punches = employeeRecords
+        .filter(record => new Date(record.recordTime) < listedUntil)
+        .map(record => shiftService.formatRecord(record, shiftConfig.timezone));
+
+    const shifts = [];
+    dates.forEach(shiftDate => {
+        shiftService.processShiftData(employeeRecords, shiftConfig, now, shiftDate)
+            .filter(entry => entry.shiftCheckIn || entry.shiftCheckOut)
+            .forEach(entry => shifts.push({ devicePrefix: prefix, ...entry }));
+    });
+
+    return { source, punches, shifts };
+}
+
+/**
+ * Summarize one day for the employee
+ * @param {string} date - Shift date (YYYY-MM-DD)
+ * @param {Array} shifts - Shifts worked on the date, on any device
+ * @param {Object} home - { devicePrefix, deviceUserId } the expected shift is taken from
+ * @param {string} employeeId - Employee ID
+ * @param {Date} now - Current time
+ * @returns {Object} Day summary
+ */
+function summarizeDay(date, shifts, home, employeeId, now) {
+    const shiftConfig = shiftService.getShiftConfig(home.devicePrefix);
+    const employeeShift = shiftService.resolveEmployeeShift(shiftConfig, { deviceUserId: home.deviceUserId, employeeId }, now, date);
+    const { shift } = employeeShift;
+    const scheduled = shift.offDay ? null : shiftService.getScheduledTimes(employeeShift.shiftConfig, date);
+
+    let status;
+    if (shifts.length > 0) {
+        status = 'worked';
+    } else if (shift.offDay) {
+        status = shift.holiday ? 'holiday' : 'off-day';
+    } else {
+        // Not absent until the grace period after the scheduled start has run out
+        const absentFrom = new Date(scheduled.start.getTime() + (employeeShift.shiftConfig.graceMinutes || 0) * 60000);
+        status = now >= absentFrom ? 'absent' : 'scheduled';
+    }
+
+    const total = field => shifts.reduce((sum, entry) => sum + ((entry.workTime && entry.workTime[field]) || 0), 0);
+
+    return {
+        date,
+        status,
+        expected: {
+            devicePrefix: home.devicePrefix,
+            name: shift.name,
+            offDay: shift.offDay,
+            holiday: shift.holiday ? shift.holiday.name : null,
+            start: scheduled ? scheduled.start.toISOString() : null,
+            end: scheduled ? scheduled.end.toISOString() : null
+        },
+        lateMinutes: total('lateMinutes'),
+        earlyLeaveMinutes: total('earlyLeaveMinutes'),
+        workedMinutes: total('workedMinutes'),
+        overtimeMinutes: total('overtimeMinutes'),
+        shifts: shifts.map(entry => ({
+            devicePrefix: entry.devicePrefix,
+            deviceUserId: entry.deviceUserId,
+            shift: entry.shift,
+            shiftStatus: entry.shiftStatus,
+            checkIn: entry.shiftCheckIn,
+            checkOut: entry.shiftCheckOut,
+            workTime: entry.workTime
+        }))
+    };
+}
+
+/**
+ * Get an employee's punches and daily shift summaries across all their devices
+ * @param {string} employeeId - Employee ID
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Attendance history
+ */
+async function getEmployeeAttendance(employeeId, from, to) {
+    try {
+        const employee = employeeService.getEmployee(employeeId);
+        if (!employee) {
+            throw new Error(`Employee not found: ${employeeId}`);
+        }
+
+        // Device users per device; users on devices since removed from the fleet are skipped
+        const userIdsByDevice = new Map();
+        employee.devices
+            .filter(device => deviceService.validateDeviceId(device.devicePrefix))
+            .forEach(device => {
+                userIdsByDevice.set(device.devicePrefix, [...(userIdsByDevice.get(device.devicePrefix) || []), device.deviceUserId]);
+            });
+
+        const now = new Date();
+        const dates = listDates(from, to);
+        const devices = {};
+        const punches = [];
+        const shifts = [];
+
+        for (const [prefix, deviceUserIds] of userIdsByDevice) {
+            try {
+                const result = await requestContext.runChild({ devicePrefix: prefix }, () => readDevice(prefix, deviceUserIds, dates, now));
+                devices[prefix] = { success: true, deviceUserIds, source: result.source, punches: result.punches.length };
+                punches.push(...result.punches);
+                shifts.push(...result.shifts);
+            } catch (error) {
+                logger.error(`Failed to read attendance for ${employeeId} from ${prefix}`, { error: error.message });
+                devices[prefix] = { success: false, deviceUserIds, error: error.message };
+            }
+        }
+        punches.sort((a, b) => a.recordTime.localeCompare(b.recordTime));
+
+        // Expected shifts come from the device whose user list most recently listed the employee
+        const home = [...employee.devices]
+            .filter(device => userIdsByDevice.has(device.devicePrefix))
+            .sort((a, b) => (b.lastSeenAt || '').localeCompare(a.lastSeenAt || ''))[0] || null;
+
+        const days = dates.map(date => {
+            const worked = shifts.filter(entry => entry.shiftDate === date);
+            // Without a device in the fleet there is nothing to expect or to have worked
+            return home
+                ? summarizeDay(date, worked, home, employeeId, now)
+                : { date, status: null, expected: null, lateMinutes: 0, earlyLeaveMinutes: 0, workedMinutes: 0, overtimeMinutes: 0, shifts: [] };
+        });
+
+        const countStatus = status => days.filter(day => day.status === status).length;
+        const total = field => days.reduce((sum, day) => sum + (day[field] || 0), 0);
+
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            employee,
+            from,
+            to,
+            devices,
+            summary: {
+                days: days.length,
+                worked: countStatus('worked'),
+                absent: countStatus('absent'),
+                offDays: countStatus('off-day'),
+                holidays: countStatus('holiday'),
+                late: days.filter(day => day.lateMinutes > 0).length,
+                leftEarly: days.filter(day => day.earlyLeaveMinutes > 0).length,
+                punches: punches.length,
+                workedMinutes: total('workedMinutes'),
+                overtimeMinutes: total('overtimeMinutes')
+            },
+            days,
+            punches
+        };
+
+    } catch (error) {
+        errorTracker.trackError(ERROR_STEPS.EMPLOYEE_ATTENDANCE_SERVICE, 'getEmployeeAttendance', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    getEmployeeAttendance
+};
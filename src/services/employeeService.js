@@ -0,0 +1,391 @@
+// src/services/employeeService.js
+// Employee directory: one global employee per person, mapped to their user ID on each device, with HR fields
+
+const crypto = require('crypto');
+const JsonFileStore = require('../storage/jsonFileStore');
+const cacheService = require('./cacheService');
+const deviceService = require('./deviceService');
+
+// { employees: [employee] } where employee.devices lists the device users mapped to it
+const employeeStore = new JsonFileStore('employees.json', () => ({ employees: [] }));
+
+const EMPLOYEE_FIELDS = ['name', 'employeeCode', 'department', 'email', 'devices'];
+const HR_FIELDS = ['employeeCode', 'department', 'email'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Generate an employee ID
+ * @returns {string} Employee ID
+ */
+function generateId() {
+    return `emp_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Normalize a device user reference
+ * @param {Object} device - { devicePrefix, deviceUserId }
+ * @returns {Object} { devicePrefix, deviceUserId } with the user ID as a string
+ */
+function normalizeDeviceUser(device) {
+    return {
+        devicePrefix: device.devicePrefix,
+        deviceUserId: device.deviceUserId === undefined || device.deviceUserId === null ? device.deviceUserId : String(device.deviceUserId)
+    };
+}
+
+/**
+ * Check whether an employee has a device user
+ * @param {Object} employee - Employee
+ * @param {string} devicePrefix - Device prefix
+ * @param {string} deviceUserId - User ID on the device
+ * @returns {boolean} True when mapped
+ */
+function hasDeviceUser(employee, devicePrefix, deviceUserId) {
+    return employee.devices.some(device => device.devicePrefix === devicePrefix && device.deviceUserId === deviceUserId);
+}
+
+/**
+ * Validate employee fields
+ * @param {Object} employee - Complete employee (after merging changes)
+ * @param {Object} input - Fields supplied in the request
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateEmployee(employee, input) {
+    const errors = [];
+    const others = employeeStore.get().employees.filter(entry => entry.id !== employee.id);
+
+    Object.keys(input).forEach(field => {
+        if (!EMPLOYEE_FIELDS.includes(field)) {
+            errors.push(`Unknown field: ${field}`);
+        }
+    });
+
+    if (typeof employee.name !== 'string' || employee.name.trim() === '') {
+        errors.push('name is required');
+    }
+    HR_FIELDS.forEach(field => {
+        if (employee[field] !== null && typeof employee[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+    });
+    if (typeof employee.email === 'string' && !EMAIL_PATTERN.test(employee.email)) {
+        errors.push('email must be an email address');
+    }
+    if (employee.employeeCode && others.some(entry => entry.employeeCode === employee.employeeCode)) {
+        errors.push(`employeeCode already in use: ${employee.employeeCode}`);
+    }
+
+    if (!Array.isArray(employee.devices)) {
+        errors.push('devices must be a list of { devicePrefix, deviceUserId }');
+        return errors;
+    }
+    employee.devices.forEach(({ devicePrefix, deviceUserId }, index) => {
+        if (!deviceService.validateDeviceId(devicePrefix)) {
+            errors.push(`devices[${index}]: device not found: ${devicePrefix}`);
+        }
+        if (typeof deviceUserId !== 'string' || deviceUserId === '') {
+            errors.push(`devices[${index}]: deviceUserId is required`);
+        }
+        if (employee.devices.findIndex(device => device.devicePrefix === devicePrefix && device.deviceUserId === deviceUserId) !== index) {
+            errors.push(`devices[${index}]: listed twice`);
+        }
+        const owner = others.find(entry => hasDeviceUser(entry, devicePrefix, deviceUserId));
+        if (owner) {
+            errors.push(`devices[${index}]: ${devicePrefix}/${deviceUserId} already belongs to ${owner.id}`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Build a complete employee
+ * @param {Object} input - Employee fields
+ * @param {Object} base - Existing employee when updating
+ * @returns {Object} Employee
+ */
+function buildEmployee(input, base = {}) {
+    const merged = { ...base, ...input };
+    const now = new Date().toISOString();
+    const previous = new Map((base.devices || []).map(device => [`${device.devicePrefix}/${device.deviceUserId}`, device]));
+
+    return {
+        id: merged.id,
+        name: typeof merged.name === 'string' ? merged.name.trim() : merged.name,
+        employeeCode: merged.employeeCode || null,
+        department: merged.department || null,
+        email: merged.email || null,
+        // Keep what the device reported for users that stay mapped
+        devices: Array.isArray(merged.devices)
+            ? merged.devices.map(device => {
+                const reference = normalizeDeviceUser(device || {});
+                return { ...previous.get(`${reference.devicePrefix}/${reference.deviceUserId}`), ...reference };
+            })
+            : merged.devices,
+        source: merged.source || 'api',
+        createdAt: merged.createdAt || now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Get employees, optionally filtered
+ * @param {Object} filters - { devicePrefix, department, search } (search matches name, code and email)
+ * @returns {Array} Matching employees, by name
+ */
+function getEmployees(filters = {}) {
+    const search = filters.search ? String(filters.search).toLowerCase() : null;
+
+    return employeeStore.get().employees
+        .filter(employee => {
+            if (filters.devicePrefix && !employee.devices.some(device => device.devicePrefix === filters.devicePrefix)) return false;
+            if (filters.department && employee.department !== filters.department) return false;
+            if (search && ![employee.name, employee.employeeCode, employee.email]
+                .some(value => value && value.toLowerCase().includes(search))) return false;
+            return true;
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get an employee
+ * @param {string} employeeId - Employee ID
+ * @returns {Object|null} Employee
+ */
+function getEmployee(employeeId) {
+    return employeeStore.get().employees.find(employee => employee.id === employeeId) || null;
+}
+
+/**
+ * Find the employee a device user is mapped to
+ * @param {string} devicePrefix - Device prefix
+ * @param {string} deviceUserId - User ID on the device
+ * @returns {Object|null} Employee
+ */
+function findByDeviceUser(devicePrefix, deviceUserId) {
+    const userId = String(deviceUserId);
+    return employeeStore.get().employees.find(employee => hasDeviceUser(employee, devicePrefix, userId)) || null;
+}
+
+/**
+ * The identity fields attendance and shift responses carry
+ * @param {Object|null} employee - Employee
+ * @returns {Object} { employeeId, employeeCode, department }
+ */
+function getIdentity(employee) {
+    return {
+        employeeId: employee ? employee.id : null,
+        employeeCode: employee ? employee.employeeCode : null,
+        department: employee ? employee.department : null
+    };
+}
+
+/**
+ * Add the global employee identity to a device's records
+ * @param {string} devicePrefix - Device prefix
+ * @param {Array} records - Records with a deviceUserId
+ * @returns {Array} Records with employeeId, employeeCode and department
+ */
+function attachIdentity(devicePrefix, records) {
+    // One pass over the directory instead of a lookup per record
+    const byUserId = new Map();
+    employeeStore.get().employees.forEach(employee => {
+        employee.devices
+            .filter(device => device.devicePrefix === devicePrefix)
+            .forEach(device => byUserId.set(device.deviceUserId, employee));
+    });
+
+    return records.map(record => ({
+        ...record,
+        ...getIdentity(byUserId.get(String(record.deviceUserId)) || null)
+    }));
+}
+
+/**
+ * Drop the cached reads of the devices some employees are enrolled on (their records carry the employee identity)
+ * @param {...Object} employees - Employees before and after the change
+ */
+function invalidateEmployeeReads(...employees) {
+    cacheService.invalidateDevices(employees.flatMap(employee => employee.devices.map(device => device.devicePrefix)));
+}
+
+/**
+ * Add an employee
+ * @param {Object} input - Employee fields (name required; employeeCode, department, email, devices optional)
+ * @returns {Promise<Object>} Created employee
+ */
+async function createEmployee(input = {}) {
+    const employee = buildEmployee({ devices: [], ...input, id: generateId(), source: 'api' });
+    const errors = validateEmployee(employee, input);
+    if (errors.length > 0) {
+        throw new Error(`Invalid employee: ${errors.join('; ')}`);
+    }
+
+    await employeeStore.update(document => {
+        document.employees.push(employee);
+    });
+
+    invalidateEmployeeReads(employee);
+    console.log(`➕ Employee added: ${employee.id} (${employee.name})`);
+    return employee;
+}
+
+/**
+ * Update an employee
+ * @param {string} employeeId - Employee ID
+ * @param {Object} changes - Fields to change (devices replaces the mapped device users)
+ * @returns {Promise<Object>} Updated employee
+ */
+async function updateEmployee(employeeId, changes = {}) {
+    const existing = getEmployee(employeeId);
+    if (!existing) {
+        throw new Error(`Employee not found: ${employeeId}`);
+    }
+
+    const employee = buildEmployee({ ...changes, id: employeeId, source: existing.source }, existing);
+    const errors = validateEmployee(employee, changes);
+    if (errors.length > 0) {
+        throw new Error(`Invalid employee: ${errors.join('; ')}`);
+    }
+
+    await employeeStore.update(document => {
+        document.employees = document.employees.map(entry => (entry.id === employeeId ? employee : entry));
+    });
+
+    invalidateEmployeeReads(existing, employee);
+    console.log(`✏️ Employee updated: ${employeeId}`);
+    return employee;
+}
+
+/**
+ * Delete an employee
+ * Device users still enrolled come back as new directory entries on the next sync.
+ * @param {string} employeeId - Employee ID
+ * @returns {Promise<Object>} Deleted employee
+ */
+async function deleteEmployee(employeeId) {
+    const existing = getEmployee(employeeId);
+    if (!existing) {
+        throw new Error(`Employee not found: ${employeeId}`);
+    }
+
+    await employeeStore.update(document => {
+        document.employees = document.employees.filter(employee => employee.id !== employeeId);
+    });
+
+    invalidateEmployeeReads(existing);
+    console.log(`➖ Employee removed: ${employeeId}`);
+    return existing;
+}
+
+/**
+ * Merge one employee into another (the same person enrolled on several devices)
+ * The target keeps its ID and fields, takes over the source's device users and fills its blank HR fields from the source.
+ * @param {string} targetId - Employee ID that remains
+ * @param {string} sourceId - Employee ID merged away
+ * @returns {Promise<Object>} Merged employee
+ */
+async function mergeEmployees(targetId, sourceId) {
+    const target = getEmployee(targetId);
+    const source = getEmployee(sourceId);
+    if (!target) {
+        throw new Error(`Employee not found: ${targetId}`);
+    }
+    if (!source) {
+        throw new Error(`Employee not found: ${sourceId}`);
+    }
+    if (targetId === sourceId) {
+        throw new Error('Cannot merge an employee into itself');
+    }
+
+    const merged = {
+        ...target,
+        devices: [...target.devices, ...source.devices],
+        updatedAt: new Date().toISOString()
+    };
+    HR_FIELDS.forEach(field => {
+        merged[field] = target[field] || source[field];
+    });
+
+    await employeeStore.update(document => {
+        document.employees = document.employees
+            .filter(employee => employee.id !== sourceId)
+            .map(employee => (employee.id === targetId ? merged : employee));
+    });
+
+    invalidateEmployeeReads(merged);
+    console.log(`🔗 Employee ${sourceId} merged into ${targetId}`);
+    return merged;
+}
+
+/**
+ * Merge a device's user list into the directory
+ * Mapped users get their device details refreshed. A new user joins the employee already holding
+ * the same card number on another device, or becomes a new employee.
+ * @param {string} devicePrefix - Device prefix
+ * @param {Array} users - Device users ({ userId, name, role, cardno })
+ * @returns {Promise<Object>} { added, linked, updated }
+ */
+async function syncDeviceUsers(devicePrefix, users) {
+    const counts = { added: 0, linked: 0, updated: 0 };
+    const now = new Date().toISOString();
+
+    await employeeStore.update(document => {
+        users.forEach(user => {
+            const deviceUserId = String(user.userId);
+            const details = { name: user.name || null, cardno: user.cardno || 0, lastSeenAt: now };
+            const owner = document.employees.find(employee => hasDeviceUser(employee, devicePrefix, deviceUserId));
+
+            if (owner) {
+                owner.devices = owner.devices.map(device =>
+                    (device.devicePrefix === devicePrefix && device.deviceUserId === deviceUserId ? { ...device, ...details } : device));
+                counts.updated++;
+                return;
+            }
+
+            const device = { devicePrefix, deviceUserId, ...details };
+            const sameCard = details.cardno
+                ? document.employees.find(employee => employee.devices.some(entry => entry.devicePrefix !== devicePrefix && entry.cardno === details.cardno))
+                : null;
+
+            if (sameCard) {
+                sameCard.devices.push(device);
+                sameCard.updatedAt = now;
+                counts.linked++;
+                return;
+            }
+
+            document.employees.push({
+                id: generateId(),
+                name: details.name || `${devicePrefix}/${deviceUserId}`,
+                employeeCode: null,
+                department: null,
+                email: null,
+                devices: [device],
+                source: 'device',
+                createdAt: now,
+                updatedAt: now
+            });
+            counts.added++;
+        });
+    });
+
+    if (counts.added > 0 || counts.linked > 0) {
+        cacheService.invalidateDevice(devicePrefix);
+        console.log(`👥 [${devicePrefix}] Employee directory: ${counts.added} added, ${counts.linked} linked by card number`);
+    }
+    return counts;
+}
+
+module.exports = {
+    getEmployees,
+    getEmployee,
+    findByDeviceUser,
+    getIdentity,
+    attachIdentity,
+    createEmployee,
+    updateEmployee,
+    deleteEmployee,
+    mergeEmployees,
+    syncDeviceUsers
+};
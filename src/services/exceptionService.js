@@ -0,0 +1,296 @@
+// src/services/exceptionService.js
+// Expected-vs-actual attendance and the daily exception report (absent, late, missing punches, unexpected punches)
+
+const timezone = require('../utils/timezone');
+const requestContext = require('../utils/requestContext');
+const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+const logger = require('../utils/logger');
+const punchStore = require('../storage/punchStore');
+const deviceService = require('./deviceService');
+const attendanceService = require('./attendanceService');
+const syncService = require('./syncService');
+const employeeService = require('./employeeService');
+const shiftTemplateService = require('./shiftTemplateService');
+const ShiftService = require('./shiftService');
+
+// Shift pairing and resolution (assignments, rosters, holidays) live in ShiftService
+const shiftService = new ShiftService();
+
+// Exception types, in report order
+const EXCEPTION_TYPES = ['absent', 'late', 'missing-check-in', 'missing-check-out', 'unexpected-punch'];
+
+/**
+ * Collect the employees a device should account for on a date
+ * Enrolled device users and employees assigned to this device; punch-store employees stand in
+ * for the user list when it could never be pulled.
+ * @param {string} prefix - Device prefix
+ * @param {string} date - Shift date (YYYY-MM-DD)
+ * @param {Object} userList - Result of syncService.getDeviceUsers
+ * @returns {Promise<Map>} deviceUserId → { deviceUserId, employeeName, enrolled }
+ */
+async function collectEmployees(prefix, date, userList) {
+    const employees = new Map();
+    const add = (deviceUserId, employeeName, enrolled) => {
+        if (!employees.has(deviceUserId)) {
+            employees.set(deviceUserId, { deviceUserId, employeeName: employeeName || null, enrolled });
+        }
+    };
+
+    userList.users.forEach(user => add(user.userId, user.name, true));
+
+    if (userList.source === 'none') {
+        (await punchStore.getEmployees(prefix)).forEach(employee => add(employee.deviceUserId, employee.employeeName, null));
+    }
+
+    shiftTemplateService.getAssignments({ devicePrefix: prefix, date })
+        .filter(assignment => assignment.deviceUserId && assignment.devicePrefix === prefix)
+        .forEach(assignment => add(assignment.deviceUserId, null, userList.source === 'none' ? null : false));
+
+    return employees;
+}
+
+/**
+ * Evaluate one employee's shift against what was expected
+ * @param {Object} employee - { deviceUserId, employeeId, employeeCode, department, employeeName, enrolled }
+ * @param {Object|null} shiftEntry - The employee's processShiftData entry, or null without punches
+ * @param {Object} shiftConfig - Device shift configuration
+ * @param {string} shiftDate - Shift date (YYYY-MM-DD)
+ * @param {Date} now - Current time
+ * @returns {Object} { attendance, exceptions }
+ */
+function evaluateEmployee(employee, shiftEntry, shiftConfig, shiftDate, now) {
+    const employeeShift = shiftService.resolveEmployeeShift(shiftConfig, employee, now, shiftDate);
+    const { shift } = employeeShift;
+    const checkIn = shiftEntry ? shiftEntry.shiftCheckIn : null;
+    const checkOut = shiftEntry ? shiftEntry.shiftCheckOut : null;
+    const punched = Boolean(checkIn || checkOut);
+    const scheduled = shift.offDay ? null : shiftService.getScheduledTimes(employeeShift.shiftConfig, shiftDate);
+    const window = shiftService.getPunchWindow(employeeShift.shiftConfig, shiftDate);
+
+    const base = {
+        deviceUserId: employee.deviceUserId,
+        employeeId: employee.employeeId,
+        employeeCode: employee.employeeCode,
+        department: employee.department,
+        employeeName: (shiftEntry && shiftEntry.employeeName) || employee.employeeName,
+        shift: {
+            name: shift.name,
+            source: shift.source,
+            templateId: shift.templateId,
+            rosterId: shift.rosterId,
+            holiday: shift.holiday ? shift.holiday.name : null
+        }
+    };
+    const exceptions = [];
+    const exception = (type, details) => exceptions.push({ type, ...base, details });
+
+    let status;
+    if (shift.offDay) {
+        status = shift.holiday ? 'holiday' : 'off-day';
+        if (punched) {
+            exception('unexpected-punch', {
+                reason: shift.holiday ? 'holiday' : 'off-day',
+                checkIn: checkIn ? checkIn.recordTime : null,
+                checkOut: checkOut ? checkOut.recordTime : null
+            });
+        }
+    } else if (!punched) {
+        // Not absent until the grace period after the scheduled start has run out
+        const absentFrom = new Date(scheduled.start.getTime() + (employeeShift.shiftConfig.graceMinutes || 0) * 60000);
+        status = now >= absentFrom ? 'absent' : 'pending';
+        if (status === 'absent') {
+            exception('absent', { scheduledStart: scheduled.start.toISOString(), scheduledEnd: scheduled.end.toISOString() });
+        }
+    } else {
+        status = 'present';
+        const workTime = shiftEntry.workTime || {};
+        if (workTime.lateMinutes > 0) {
+            exception('late', { lateMinutes: workTime.lateMinutes, scheduledStart: workTime.scheduledStart, checkIn: checkIn.recordTime });
+        }
+        if (!checkIn) {
+            exception('missing-check-in', { checkOut: checkOut.recordTime });
+        }
+        // A check-out can still come while the check-out window is open
+        if (checkIn && !checkOut && now >= window.end) {
+            exception('missing-check-out', { checkIn: checkIn.recordTime, checkOutWindowEnd: window.end.toISOString() });
+        }
+    }
+
+    if (punched && employee.enrolled === false) {
+        exception('unexpected-punch', {
+            reason: 'not-enrolled',
+            checkIn: checkIn ? checkIn.recordTime : null,
+            checkOut: checkOut ? checkOut.recordTime : null
+        });
+    }
+
+    return {
+        attendance: {
+            ...base,
+            enrolled: employee.enrolled,
+            expected: !shift.offDay,
+            status,
+            shiftStatus: shiftEntry ? shiftEntry.shiftStatus : null,
+            scheduledStart: scheduled ? scheduled.start.toISOString() : null,
+            scheduledEnd: scheduled ? scheduled.end.toISOString() : null,
+            checkIn: checkIn ? checkIn.recordTime : null,
+            checkOut: checkOut ? checkOut.recordTime : null
+        },
+        exceptions
+    };
+}
+
+/**
+ * Count exceptions by type
+ * @param {Array} exceptions - Exceptions
+ * @returns {Object} { absent, late, missingCheckIn, missingCheckOut, unexpectedPunch }
+ */
+function countExceptions(exceptions) {
+    const counts = { absent: 0, late: 0, missingCheckIn: 0, missingCheckOut: 0, unexpectedPunch: 0 };
+    exceptions.forEach(({ type }) => {
+        const key = type.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        counts[key]++;
+    });
+    return counts;
+}
+
+/**
+ * Get the daily exception report for a device
+ * @param {string} prefix - Device prefix
+ * @param {string} date - Shift date (YYYY-MM-DD), defaults to the shift date in progress
+ * @returns {Promise<Object>} Expected-vs-actual attendance and exceptions
+ */
+async function getDailyExceptions(prefix, date = null) {
+    try {
+        const shiftConfig = shiftService.getShiftConfig(prefix);
+        const now = new Date();
+        const shiftDate = date || shiftService.getCurrentShiftDate(shiftConfig, now);
+
+        // The shift date through the end of the following day covers overnight check-outs
+        const range = {
+            from: timezone.startOfDay(shiftDate, shiftConfig.timezone),
+            to: timezone.startOfDay(timezone.addDays(shiftDate, 2), shiftConfig.timezone)
+        };
+        const { records, source } = await attendanceService.readFromStore(prefix, range);
+        const userList = await syncService.getDeviceUsers(prefix);
+
+        const shiftEntries = new Map(shiftService.processShiftData(records, shiftConfig, now, shiftDate)
+            .map(entry => [entry.deviceUserId, entry]));
+        const employees = await collectEmployees(prefix, shiftDate, userList);
+
+        // Anyone who punched this shift is accounted for, enrolled or not
+        shiftEntries.forEach((entry, deviceUserId) => {
+            if (!employees.has(deviceUserId) && (entry.shiftCheckIn || entry.shiftCheckOut)) {
+                employees.set(deviceUserId, {
+                    deviceUserId,
+                    employeeName: entry.employeeName,
+                    enrolled: userList.source === 'none' ? null : false
+                });
+            }
+        });
+
+        const attendance = [];
+        const exceptions = [];
+        employeeService.attachIdentity(prefix, [...employees.values()])
+            .sort((a, b) => a.deviceUserId.localeCompare(b.deviceUserId, undefined, { numeric: true }))
+            .forEach(employee => {
+                const result = evaluateEmployee(employee, shiftEntries.get(employee.deviceUserId) || null, shiftConfig, shiftDate, now);
+                attendance.push(result.attendance);
+                exceptions.push(...result.exceptions);
+            });
+        exceptions.sort((a, b) => EXCEPTION_TYPES.indexOf(a.type) - EXCEPTION_TYPES.indexOf(b.type));
+
+        const countStatus = status => attendance.filter(entry => entry.status === status).length;
+
+        return {
+            success: true,
+            timestamp: new Date().toISOString(),
+            devicePrefix: prefix,
+            shiftDate,
+            timezone: timezone.resolveTimeZone(shiftConfig.timezone),
+            source,
+            userList: {
+                source: userList.source,
+                fetchedAt: userList.fetchedAt,
+                enrolledUsers: userList.users.length,
+                error: userList.error
+            },
+            summary: {
+                employees: attendance.length,
+                expected: attendance.filter(entry => entry.expected).length,
+                present: countStatus('present'),
+                absent: countStatus('absent'),
+                pending: countStatus('pending'),
+                offDay: countStatus('off-day'),
+                holiday: countStatus('holiday'),
+                exceptions: countExceptions(exceptions)
+            },
+            exceptions,
+            attendance
+        };
+
+    } catch (error) {
+        errorTracker.trackError(ERROR_STEPS.EXCEPTION_SERVICE, 'getDailyExceptions', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get the daily exception report for every device in a country
+ * @param {string} countryCode - Country code (e.g., 'PK')
+ * @param {string} date - Shift date (YYYY-MM-DD), defaults to each device's shift date in progress
+ * @returns {Promise<Object>} Per-device reports with combined totals
+ */
+async function getCountryExceptions(countryCode, date = null) {
+    const devices = deviceService.getDevicesByCountry(countryCode);
+    const results = {};
+    const summary = {
+        totalDevices: devices.length,
+        successfulDevices: 0,
+        failedDevices: 0,
+        employees: 0,
+        expected: 0,
+        present: 0,
+        absent: 0,
+        exceptions: countExceptions([])
+    };
+
+    for (const device of devices) {
+        try {
+            const report = await requestContext.runChild({ devicePrefix: device.id }, () => getDailyExceptions(device.id, date));
+            results[device.id] = report;
+            summary.successfulDevices++;
+            ['employees', 'expected', 'present', 'absent'].forEach(field => {
+                summary[field] += report.summary[field];
+            });
+            Object.keys(summary.exceptions).forEach(type => {
+                summary.exceptions[type] += report.summary.exceptions[type];
+            });
+        } catch (error) {
+            logger.error(`Failed to build exception report for ${device.id}`, { error: error.message });
+            results[device.id] = {
+                success: false,
+                error: error.message,
+                devicePrefix: device.id
+            };
+            summary.failedDevices++;
+        }
+    }
+
+    return {
+        success: true,
+        timestamp: new Date().toISOString(),
+        country: countryCode.toUpperCase(),
+        shiftDate: date,
+        summary,
+        results
+    };
+}
+
+module.exports = {
+    EXCEPTION_TYPES,
+    collectEmployees,
+    evaluateEmployee,
+    getDailyExceptions,
+    getCountryExceptions
+};
@@ -4,6 +4,7 @@
 const config = require('../config');
 const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
 const deviceService = require('./deviceService');
+const deviceAdapters = require('../devices');
 
 /**
  * Health Service
@@ -136,6 +137,8 @@ class HealthService {
                 healthyDevices,
                 unhealthyDevices,
                 devices: deviceHealth,
+                // Device sessions running or waiting their turn, and downloads being shared
+                sessionQueue: deviceAdapters.getQueueStatus(),
                 lastChecked: new Date().toISOString()
             };
             
@@ -192,6 +195,7 @@ class HealthService {
                     location: device.location,
                     country: device.country,
                     model: device.model,
+                    driver: device.driver,
                     connectivity,
                     deviceInfo
                 }
@@ -220,52 +224,14 @@ class HealthService {
      */
     async checkDeviceConnectivity(device) {
         try {
-            // Simple TCP connection test
-            const net = require('net');
-            
-            return new Promise((resolve) => {
-                const socket = new net.Socket();
-                const timeout = 5000; // 5 second timeout
-                
-                socket.setTimeout(timeout);
-                
-                socket.on('connect', () => {
-                    socket.destroy();
-                    resolve({
-                        reachable: true,
-                        latency: Date.now() - Date.now(), // Placeholder for actual latency
-                        protocol: 'TCP',
-                        port: device.port
-                    });
-                });
-                
-                socket.on('timeout', () => {
-                    socket.destroy();
-                    resolve({
-                        reachable: false,
-                        error: 'Connection timeout',
-                        protocol: 'TCP',
-                        port: device.port
-                    });
-                });
-                
-                socket.on('error', (error) => {
-                    resolve({
-                        reachable: false,
-                        error: error.message,
-                        protocol: 'TCP',
-                        port: device.port
-                    });
-                });
-                
-                socket.connect(device.port, device.ip);
-            });
-            
+            // Probe through the device's adapter (TCP for ZK terminals, folder access for file imports),
+            // queued behind any session with the device
+            return await deviceAdapters.probe(device.prefix);
         } catch (error) {
             return {
                 reachable: false,
                 error: error.message,
-                protocol: 'TCP',
+                protocol: null,
                 port: device.port
             };
         }
@@ -282,6 +248,7 @@ class HealthService {
             // For now, return configuration-based info
             return {
                 model: device.model,
+                driver: device.driver,
                 firmware: 'Unknown', // Would come from device
                 serialNumber: 'Unknown', // Would come from device
                 lastSeen: new Date().toISOString(),
@@ -289,7 +256,8 @@ class HealthService {
                     ip: device.ip,
                     port: device.port,
                     timeout: device.timeout,
-                    inport: device.inport
+                    inport: device.inport,
+                    importDir: device.importDir
                 }
             };
         } catch (error) {
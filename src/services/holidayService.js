@@ -0,0 +1,382 @@
+// src/services/holidayService.js
+// Public holiday and non-working-day calendars per country, managed through the API or loaded from iCalendar/JSON files
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const JsonFileStore = require('../storage/jsonFileStore');
+const timezone = require('../utils/timezone');
+const cacheService = require('./cacheService');
+
+// { holidays: [holiday] }
+const holidayStore = new JsonFileStore('holidays.json', () => ({ holidays: [] }));
+
+const HOLIDAY_FIELDS = ['country', 'date', 'endDate', 'name'];
+
+// Calendar files: PK.ics, US.json, PK-2026.ics, ... (the country code comes first)
+const CALENDAR_FILE_PATTERN = /^([a-z]{2})([-_.][^/]*)?\.(ics|json)$/i;
+
+/**
+ * Get the supported country codes (the fleet's location prefixes)
+ * @returns {Array<string>} Country codes
+ */
+function getCountryCodes() {
+    return Object.keys(config.DEVICE_MANAGEMENT.LOCATION_PREFIXES);
+}
+
+/**
+ * Drop the cached shift and attendance reads of the devices in some countries
+ * @param {Array<string>} countries - Country codes whose holidays changed
+ */
+function invalidateCountries(countries) {
+    const prefixes = config.ENV.DEVICES
+        .filter(device => countries.includes(device.country))
+        .map(device => device.id);
+    cacheService.invalidateDevices(prefixes);
+}
+
+/**
+ * Normalize a country code
+ * @param {*} country - Country code in any case
+ * @returns {*} Uppercase code, or the value unchanged when not a string
+ */
+function normalizeCountry(country) {
+    return typeof country === 'string' ? country.trim().toUpperCase() : country;
+}
+
+/**
+ * Validate holiday fields
+ * @param {Object} holiday - Complete holiday (after merging changes)
+ * @param {Object} input - Fields supplied in the request
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateHoliday(holiday, input) {
+    const errors = [];
+
+    Object.keys(input).forEach(field => {
+        if (!HOLIDAY_FIELDS.includes(field)) {
+            errors.push(`Unknown field: ${field}`);
+        }
+    });
+
+    if (!getCountryCodes().includes(holiday.country)) {
+        errors.push(`country must be one of: ${getCountryCodes().join(', ')}`);
+    }
+    if (typeof holiday.name !== 'string' || holiday.name.trim() === '') {
+        errors.push('name is required');
+    }
+    if (!timezone.isDateKey(holiday.date)) {
+        errors.push('date must be a date in YYYY-MM-DD format');
+    }
+    if (!timezone.isDateKey(holiday.endDate)) {
+        errors.push('endDate must be a date in YYYY-MM-DD format');
+    } else if (timezone.isDateKey(holiday.date) && holiday.endDate < holiday.date) {
+        errors.push('endDate must be on or after date');
+    }
+
+    return errors;
+}
+
+/**
+ * Build a complete holiday
+ * @param {Object} input - Holiday fields
+ * @param {Object} base - Existing holiday when updating
+ * @returns {Object} Holiday
+ */
+function buildHoliday(input, base = {}) {
+    const merged = { ...base, ...input };
+    return {
+        id: merged.id,
+        country: normalizeCountry(merged.country),
+        date: merged.date,
+        // Single-day holidays end on their own date
+        endDate: merged.endDate || merged.date,
+        name: typeof merged.name === 'string' ? merged.name.trim() : merged.name,
+        source: merged.source || 'api',
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Generate a holiday ID
+ * @returns {string} Holiday ID
+ */
+function generateId() {
+    return `hol_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Get holidays, optionally filtered
+ * @param {Object} filters - { country, year, from, to } (from/to are YYYY-MM-DD, inclusive)
+ * @returns {Array} Matching holidays, by date
+ */
+function getHolidays(filters = {}) {
+    const country = normalizeCountry(filters.country);
+    const from = filters.year ? `${filters.year}-01-01` : filters.from;
+    const to = filters.year ? `${filters.year}-12-31` : filters.to;
+
+    return holidayStore.get().holidays
+        .filter(holiday => {
+            if (country && holiday.country !== country) return false;
+            if (from && holiday.endDate < from) return false;
+            if (to && holiday.date > to) return false;
+            return true;
+        })
+        .sort((a, b) => a.date.localeCompare(b.date) || a.country.localeCompare(b.country));
+}
+
+/**
+ * Get the holiday a country observes on a date
+ * @param {string} country - Country code
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object|null} Holiday or null on ordinary days
+ */
+function getHoliday(country, date) {
+    const code = normalizeCountry(country);
+    if (!code) {
+        return null;
+    }
+    return holidayStore.get().holidays.find(holiday =>
+        holiday.country === code && holiday.date <= date && holiday.endDate >= date) || null;
+}
+
+/**
+ * Add a holiday
+ * @param {Object} input - Holiday fields (country, date, name required; endDate for multi-day holidays)
+ * @returns {Promise<Object>} Created holiday
+ */
+async function createHoliday(input = {}) {
+    const holiday = buildHoliday({ ...input, id: generateId(), source: 'api' });
+    const errors = validateHoliday(holiday, input);
+    if (errors.length > 0) {
+        throw new Error(`Invalid holiday: ${errors.join('; ')}`);
+    }
+
+    await holidayStore.update(document => {
+        document.holidays.push(holiday);
+    });
+
+    invalidateCountries([holiday.country]);
+    console.log(`➕ Holiday added: ${holiday.country} ${holiday.date}${holiday.endDate !== holiday.date ? ` to ${holiday.endDate}` : ''} (${holiday.name})`);
+    return holiday;
+}
+
+/**
+ * Update a holiday
+ * @param {string} holidayId - Holiday ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} Updated holiday
+ */
+async function updateHoliday(holidayId, changes = {}) {
+    const existing = holidayStore.get().holidays.find(holiday => holiday.id === holidayId);
+    if (!existing) {
+        throw new Error(`Holiday not found: ${holidayId}`);
+    }
+
+    // Moving a single-day holiday moves its end date with it
+    const base = existing.endDate === existing.date && changes.date && !changes.endDate
+        ? { ...existing, endDate: changes.date }
+        : existing;
+    const holiday = buildHoliday({ ...changes, id: holidayId, source: existing.source }, base);
+    const errors = validateHoliday(holiday, changes);
+    if (errors.length > 0) {
+        throw new Error(`Invalid holiday: ${errors.join('; ')}`);
+    }
+
+    await holidayStore.update(document => {
+        document.holidays = document.holidays.map(entry => (entry.id === holidayId ? holiday : entry));
+    });
+
+    invalidateCountries([existing.country, holiday.country]);
+    console.log(`✏️ Holiday updated: ${holidayId}`);
+    return holiday;
+}
+
+/**
+ * Delete a holiday
+ * @param {string} holidayId - Holiday ID
+ * @returns {Promise<Object>} Deleted holiday
+ */
+async function deleteHoliday(holidayId) {
+    const existing = holidayStore.get().holidays.find(holiday => holiday.id === holidayId);
+    if (!existing) {
+        throw new Error(`Holiday not found: ${holidayId}`);
+    }
+
+    await holidayStore.update(document => {
+        document.holidays = document.holidays.filter(holiday => holiday.id !== holidayId);
+    });
+
+    invalidateCountries([existing.country]);
+    console.log(`➖ Holiday removed: ${holidayId}`);
+    return existing;
+}
+
+/**
+ * Parse an iCalendar date or date-time value (DTSTART/DTEND) into YYYY-MM-DD
+ * @param {string} value - 20260323, 20260323T000000 or 20260323T000000Z
+ * @returns {string|null} Date key or null when unreadable
+ */
+function parseIcsDate(value) {
+    const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Parse holidays from iCalendar text (one holiday per VEVENT)
+ * All-day DTEND is exclusive, so a one-day event ends the day before it.
+ * @param {string} text - iCalendar content
+ * @returns {Array<Object>} { date, endDate, name }
+ */
+function parseIcs(text) {
+    // Unfold continuation lines (a line starting with a space or tab continues the previous one)
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const holidays = [];
+    let event = null;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            if (event && event.start) {
+                const allDay = event.end && event.endIsDate;
+                let endDate = event.end || event.start;
+                if (allDay && endDate > event.start) {
+                    const [year, month, day] = endDate.split('-').map(Number);
+                    endDate = new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+                }
+                holidays.push({ date: event.start, endDate, name: event.name || 'Holiday' });
+            }
+            event = null;
+            return;
+        }
+        if (!event) {
+            return;
+        }
+
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            return;
+        }
+        const [property, ...params] = line.slice(0, separator).split(';');
+        const value = line.slice(separator + 1);
+
+        if (property === 'DTSTART') {
+            event.start = parseIcsDate(value);
+        } else if (property === 'DTEND') {
+            event.end = parseIcsDate(value);
+            event.endIsDate = params.includes('VALUE=DATE') || /^\d{8}$/.test(value.trim());
+        } else if (property === 'SUMMARY') {
+            event.name = value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+        }
+    });
+
+    return holidays;
+}
+
+/**
+ * Read holidays from a JSON calendar: [{ date, endDate?, name }] or { holidays: [...] }
+ * @param {*} value - Parsed JSON
+ * @returns {Array<Object>} { date, endDate, name }
+ */
+function parseJsonCalendar(value) {
+    const list = Array.isArray(value) ? value : (value && value.holidays);
+    if (!Array.isArray(list)) {
+        throw new Error('JSON calendar must be an array of holidays or { "holidays": [...] }');
+    }
+    return list.map(entry => ({ date: entry && entry.date, endDate: entry && entry.endDate, name: entry && entry.name }));
+}
+
+/**
+ * Replace a country's holidays from one source with a calendar
+ * Re-importing the same source (a file, or the import endpoint) replaces what it imported before;
+ * holidays added one by one through the API are kept.
+ * @param {string} country - Country code
+ * @param {Object} calendar - { ics: 'BEGIN:VCALENDAR...' } or { holidays: [...] }
+ * @param {string} source - Source name ('import', 'file:PK.ics', ...)
+ * @returns {Promise<Object>} { country, source, imported, holidays }
+ */
+async function importCalendar(country, calendar = {}, source = 'import') {
+    const code = normalizeCountry(country);
+    if (!getCountryCodes().includes(code)) {
+        throw new Error(`Invalid holiday calendar: country must be one of: ${getCountryCodes().join(', ')}`);
+    }
+
+    let entries;
+    if (typeof calendar.ics === 'string') {
+        entries = parseIcs(calendar.ics);
+    } else if (calendar.holidays !== undefined) {
+        entries = parseJsonCalendar(calendar);
+    } else {
+        throw new Error('Invalid holiday calendar: provide ics (iCalendar text) or holidays (array)');
+    }
+
+    const holidays = entries.map(entry => buildHoliday({ ...entry, country: code, id: generateId(), source }));
+    const errors = [];
+    holidays.forEach((holiday, index) => {
+        validateHoliday(holiday, {}).forEach(error => errors.push(`holidays[${index}]: ${error}`));
+    });
+    if (errors.length > 0) {
+        throw new Error(`Invalid holiday calendar: ${errors.join('; ')}`);
+    }
+
+    await holidayStore.update(document => {
+        document.holidays = document.holidays
+            .filter(holiday => !(holiday.country === code && holiday.source === source))
+            .concat(holidays);
+    });
+
+    invalidateCountries([code]);
+    console.log(`📅 Holiday calendar ${source} loaded for ${code}: ${holidays.length} holidays`);
+    return { country: code, source, imported: holidays.length, holidays };
+}
+
+/**
+ * Load every calendar file from the holidays folder ($DATA_DIR/holidays/PK.ics, US.json, ...)
+ * @returns {Promise<Array<Object>>} Per-file results ({ file, country, imported } or { file, error })
+ */
+async function loadCalendarFiles() {
+    const directory = path.join(config.STORAGE.DATA_DIR, config.STORAGE.HOLIDAYS_DIR);
+    let files;
+    try {
+        files = await fs.promises.readdir(directory);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const results = [];
+    for (const file of files.sort()) {
+        const match = file.match(CALENDAR_FILE_PATTERN);
+        if (!match) {
+            continue;
+        }
+        try {
+            const text = await fs.promises.readFile(path.join(directory, file), 'utf8');
+            const calendar = match[3].toLowerCase() === 'ics' ? { ics: text } : { holidays: parseJsonCalendar(JSON.parse(text)) };
+            const { country, imported } = await importCalendar(match[1], calendar, `file:${file}`);
+            results.push({ file, country, imported });
+        } catch (error) {
+            console.log(`⚠️ Skipping holiday calendar ${file}: ${error.message}`);
+            results.push({ file, error: error.message });
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    getCountryCodes,
+    getHolidays,
+    getHoliday,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday,
+    parseIcs,
+    importCalendar,
+    loadCalendarFiles
+};
@@ -0,0 +1,88 @@
+// src/services/punchPairingService.js
+// Pairs an employee's punches within a shift into IN/OUT segments with breaks between them
+
+// Punches this close to the previous one are repeated taps on the terminal, not a new IN or OUT
+const DUPLICATE_PUNCH_SECONDS = 60;
+
+/**
+ * Whole minutes between two instants
+ * @param {Date|string} from - Start
+ * @param {Date|string} to - End
+ * @returns {number} Minutes (rounded down)
+ */
+function minutesBetween(from, to) {
+    return Math.floor((new Date(to) - new Date(from)) / 60000);
+}
+
+/**
+ * Drop repeated taps: punches within DUPLICATE_PUNCH_SECONDS of the previous kept punch
+ * @param {Array} records - Punch records sorted by time
+ * @returns {Object} { punches, duplicates } where duplicates counts the dropped taps
+ */
+function dedupePunches(records) {
+    const punches = [];
+    records.forEach(record => {
+        const previous = punches[punches.length - 1];
+        if (previous && new Date(record.recordTime) - new Date(previous.recordTime) < DUPLICATE_PUNCH_SECONDS * 1000) {
+            return;
+        }
+        punches.push(record);
+    });
+    return { punches, duplicates: records.length - punches.length };
+}
+
+/**
+ * Pair punches into IN/OUT segments
+ * Terminals do not record a direction, so punches alternate IN, OUT, IN, OUT from the first one.
+ * An odd number of punches leaves the last segment open (still on premises, or a missed punch).
+ * @param {Array} records - One employee's punch records for one shift
+ * @returns {Object} { punches, segments, breaks, totals, oddPunchCount }
+ */
+function pairPunches(records) {
+    const sorted = [...records].sort((a, b) => new Date(a.recordTime) - new Date(b.recordTime));
+    const { punches, duplicates } = dedupePunches(sorted);
+
+    const segments = [];
+    for (let i = 0; i < punches.length; i += 2) {
+        const punchIn = punches[i];
+        const punchOut = punches[i + 1] || null;
+        segments.push({
+            in: punchIn,
+            out: punchOut,
+            minutes: punchOut ? minutesBetween(punchIn.recordTime, punchOut.recordTime) : null
+        });
+    }
+
+    // A break runs from one segment's OUT to the next segment's IN
+    const breaks = [];
+    for (let i = 1; i < segments.length; i++) {
+        const start = segments[i - 1].out.recordTime;
+        const end = segments[i].in.recordTime;
+        breaks.push({ start, end, minutes: minutesBetween(start, end) });
+    }
+
+    const first = punches[0];
+    const last = punches[punches.length - 1];
+
+    return {
+        punches,
+        segments,
+        breaks,
+        totals: {
+            punchCount: punches.length,
+            duplicatePunches: duplicates,
+            segmentCount: segments.length,
+            onPremiseMinutes: segments.reduce((total, segment) => total + (segment.minutes || 0), 0),
+            breakCount: breaks.length,
+            breakMinutes: breaks.reduce((total, pause) => total + pause.minutes, 0),
+            spanMinutes: first ? minutesBetween(first.recordTime, last.recordTime) : 0
+        },
+        oddPunchCount: punches.length % 2 === 1
+    };
+}
+
+module.exports = {
+    DUPLICATE_PUNCH_SECONDS,
+    dedupePunches,
+    pairPunches
+};
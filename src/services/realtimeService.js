@@ -0,0 +1,280 @@
+// src/services/realtimeService.js
+// Real-time punch fan-out: manages per-device listeners and their subscribers
+
+const EventEmitter = require('events');
+const config = require('../config');
+const deviceService = require('./deviceService');
+const employeeService = require('./employeeService');
+const webhookService = require('./webhookService');
+const deviceAdapters = require('../devices');
+const requestContext = require('../utils/requestContext');
+
+/**
+ * Realtime Service
+ * Keeps one listener per device, created by the device's adapter (drivers without
+ * real-time support, such as file imports, are reported as 'unsupported').
+ * Listeners are started when the first subscriber
+ * arrives and stopped once a device has had no subscribers for IDLE_STOP_DELAY_MS,
+ * unless REALTIME_ENABLED keeps every device listening permanently.
+ *
+ * Events:
+ *  - 'punch'  (punch)  - every punch from every device
+ *  - 'status' (status) - listener status changes
+ */
+class RealtimeService extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0);
+        this.listeners = new Map();
+        this.unsupported = new Set();
+        this.subscriberCounts = new Map();
+        this.idleTimers = new Map();
+        this.alwaysOn = false;
+
+        deviceService.onDevicesChanged(change => this.handleDeviceChange(change));
+    }
+
+    /**
+     * Restart or drop a device's listener after the device was added, edited or removed
+     * @param {Object} change - { action, deviceId }
+     * @returns {Promise<void>}
+     */
+    async handleDeviceChange({ action, deviceId }) {
+        const listener = this.listeners.get(deviceId);
+        this.listeners.delete(deviceId);
+        this.unsupported.delete(deviceId);
+
+        if (listener) {
+            await listener.stop();
+            listener.removeAllListeners();
+        }
+
+        if (action === 'deleted') {
+            this.subscriberCounts.delete(deviceId);
+            return;
+        }
+
+        // Resume streaming with the new settings when someone is listening
+        if (this.alwaysOn || this.subscriberCounts.get(deviceId) > 0) {
+            const replacement = this.getListener(deviceId);
+            if (replacement) {
+                requestContext.detach(() => replacement.start());
+            }
+        }
+    }
+
+    /**
+     * Check whether a device's driver supports real-time punches
+     * @param {string} prefix - Device prefix
+     * @returns {boolean} True when a listener can be created
+     */
+    supportsRealtime(prefix) {
+        return this.getListener(prefix) !== null;
+    }
+
+    /**
+     * Get (or create) the listener for a device
+     * @param {string} prefix - Device prefix
+     * @returns {EventEmitter|null} Device listener, or null when the driver has no real-time support
+     */
+    getListener(prefix) {
+        if (this.unsupported.has(prefix)) {
+            return null;
+        }
+
+        let listener = this.listeners.get(prefix);
+        if (!listener) {
+            listener = deviceAdapters.createAdapter(prefix).createRealtimeListener();
+            if (!listener) {
+                this.unsupported.add(prefix);
+                return null;
+            }
+            listener.on('punch', punch => this.handlePunch(punch));
+            listener.on('status', status => this.emit('status', status));
+            this.listeners.set(prefix, listener);
+        }
+        return listener;
+    }
+
+    /**
+     * Fan a punch out to subscribers and the optional real-time webhook, with the employee's global identity
+     * @param {Object} listenerPunch - Real-time punch from the device listener
+     */
+    handlePunch(listenerPunch) {
+        const employee = employeeService.findByDeviceUser(listenerPunch.deviceId, listenerPunch.deviceUserId);
+        const punch = { ...listenerPunch, ...employeeService.getIdentity(employee) };
+        console.log(`👤 [${punch.deviceId}] Real-time punch: ${punch.employeeName} (${punch.deviceUserId}) at ${punch.recordTime}`);
+        this.emit('punch', punch);
+
+        if (config.REALTIME.WEBHOOK_URL) {
+            webhookService.sendToN8N({ type: 'punch', punch }, config.REALTIME.WEBHOOK_URL)
+                .then(result => {
+                    if (!result.success) {
+                        console.log(`⚠️ [${punch.deviceId}] Real-time webhook delivery failed: ${result.error}`);
+                    }
+                });
+        }
+    }
+
+    /**
+     * Subscribe to real-time punches
+     * @param {string|null} prefix - Device prefix, or null for every real-time capable device
+     * @param {Object} handlers - { onPunch, onStatus }
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(prefix, { onPunch, onStatus } = {}) {
+        const prefixes = (prefix ? [prefix] : deviceService.getAllDevices().map(device => device.id))
+            .filter(id => this.supportsRealtime(id));
+
+        const punchHandler = punch => {
+            if (!prefix || punch.deviceId === prefix) {
+                onPunch(punch);
+            }
+        };
+        const statusHandler = status => {
+            if (!prefix || status.deviceId === prefix) {
+                onStatus(status);
+            }
+        };
+
+        if (onPunch) this.on('punch', punchHandler);
+        if (onStatus) this.on('status', statusHandler);
+        prefixes.forEach(id => this.acquire(id));
+
+        let active = true;
+        return () => {
+            if (!active) {
+                return;
+            }
+            active = false;
+            this.off('punch', punchHandler);
+            this.off('status', statusHandler);
+            prefixes.forEach(id => this.release(id));
+        };
+    }
+
+    /**
+     * Register a subscriber for a device and make sure its listener runs
+     * @param {string} prefix - Device prefix
+     */
+    acquire(prefix) {
+        this.subscriberCounts.set(prefix, (this.subscriberCounts.get(prefix) || 0) + 1);
+
+        const idleTimer = this.idleTimers.get(prefix);
+        if (idleTimer) {
+            clearTimeout(idleTimer);
+            this.idleTimers.delete(prefix);
+        }
+
+        // Listeners outlive the request that starts them, so they run outside its context
+        const listener = this.getListener(prefix);
+        requestContext.detach(() => listener.start());
+    }
+
+    /**
+     * Release a subscriber; stop the listener after the idle delay when nobody is left
+     * @param {string} prefix - Device prefix
+     */
+    release(prefix) {
+        const count = Math.max((this.subscriberCounts.get(prefix) || 0) - 1, 0);
+        this.subscriberCounts.set(prefix, count);
+
+        if (count > 0 || this.alwaysOn || this.idleTimers.has(prefix)) {
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            this.idleTimers.delete(prefix);
+            const listener = this.listeners.get(prefix);
+            if (listener && !this.subscriberCounts.get(prefix) && !this.alwaysOn) {
+                console.log(`💤 [${prefix}] No real-time subscribers, stopping listener`);
+                listener.stop();
+            }
+        }, config.REALTIME.IDLE_STOP_DELAY_MS);
+        timer.unref();
+        this.idleTimers.set(prefix, timer);
+    }
+
+    /**
+     * Start listeners for every configured device and keep them running
+     */
+    startAll() {
+        this.alwaysOn = true;
+        const devices = deviceService.getAllDevices();
+        console.log(`📡 Starting real-time listeners for ${devices.length} devices...`);
+        devices.forEach(device => {
+            const listener = this.getListener(device.id);
+            if (listener) {
+                listener.start();
+            } else {
+                console.log(`ℹ️ [${device.id}] ${device.driver} driver has no real-time support, skipping`);
+            }
+        });
+    }
+
+    /**
+     * Stop every listener
+     * @returns {Promise<void>}
+     */
+    async stopAll() {
+        this.alwaysOn = false;
+        this.idleTimers.forEach(timer => clearTimeout(timer));
+        this.idleTimers.clear();
+        await Promise.all([...this.listeners.values()].map(listener => listener.stop()));
+    }
+
+    /**
+     * Get listener status for one device or the fleet
+     * @param {string|null} prefix - Device prefix, or null for every configured device
+     * @returns {Object} Listener status report
+     */
+    getStatus(prefix = null) {
+        const prefixes = prefix ? [prefix] : deviceService.getAllDevices().map(device => device.id);
+        const devices = {};
+        const summary = {
+            alwaysOn: this.alwaysOn,
+            totalDevices: prefixes.length,
+            connected: 0,
+            reconnecting: 0,
+            paused: 0,
+            stopped: 0,
+            unsupported: 0,
+            subscribers: 0
+        };
+
+        prefixes.forEach(id => {
+            const listener = this.listeners.get(id);
+            const status = listener ? listener.getStatus() : {
+                deviceId: id,
+                status: this.unsupported.has(id) ? 'unsupported' : 'stopped',
+                connectedAt: null,
+                lastPunchAt: null,
+                punchCount: 0,
+                reconnectAttempts: 0,
+                lastError: null
+            };
+            status.subscribers = this.subscriberCounts.get(id) || 0;
+            devices[id] = status;
+
+            summary.subscribers += status.subscribers;
+            if (status.status === 'connected') {
+                summary.connected++;
+            } else if (status.status === 'paused') {
+                summary.paused++;
+            } else if (status.status === 'stopped') {
+                summary.stopped++;
+            } else if (status.status === 'unsupported') {
+                summary.unsupported++;
+            } else {
+                summary.reconnecting++;
+            }
+        });
+
+        return { devices, summary };
+    }
+}
+
+// Create singleton instance
+const realtimeService = new RealtimeService();
+
+module.exports = realtimeService;
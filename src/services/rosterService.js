@@ -0,0 +1,97 @@
+// src/services/rosterService.js
+// Expected shifts per employee and date, from rotating rosters, shift assignments and device weekends
+
+const timezone = require('../utils/timezone');
+const punchStore = require('../storage/punchStore');
+const shiftTemplateService = require('./shiftTemplateService');
+const holidayService = require('./holidayService');
+const employeeService = require('./employeeService');
+const ShiftService = require('./shiftService');
+
+// Shift resolution (assignments, rosters, weekends) lives in ShiftService
+const shiftService = new ShiftService();
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Resolve which shift an employee is expected to work on a date
+ * @param {string} prefix - Device prefix
+ * @param {Object} employee - { deviceUserId, employeeId }
+ * @param {string} date - Shift date (YYYY-MM-DD)
+ * @returns {Object} { date, shift, expected } where expected holds the shift's start and end instants
+ */
+function getExpectedShift(prefix, employee, date) {
+    const employeeShift = shiftService.resolveEmployeeShift(shiftService.getShiftConfig(prefix), employee, new Date(), date);
+    const scheduled = employeeShift.shift.offDay ? null : shiftService.getScheduledTimes(employeeShift.shiftConfig, date);
+    return {
+        date,
+        shift: employeeShift.shift,
+        expected: scheduled ? { start: scheduled.start.toISOString(), end: scheduled.end.toISOString() } : null
+    };
+}
+
+/**
+ * Get the roster for a device on a date: every known employee and the shift they are expected to work
+ * Employees are those who have punched on the device plus those assigned to it.
+ * @param {string} prefix - Device prefix
+ * @param {string} date - Shift date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Roster for the date
+ */
+async function getRoster(prefix, date) {
+    const shiftConfig = shiftService.getShiftConfig(prefix);
+    const punched = await punchStore.getEmployees(prefix);
+    
+    const known = new Set(punched.map(employee => employee.deviceUserId));
+    shiftTemplateService.getAssignments({ devicePrefix: prefix, date })
+        .filter(assignment => assignment.deviceUserId && !known.has(assignment.deviceUserId))
+        .forEach(assignment => {
+            known.add(assignment.deviceUserId);
+            punched.push({ deviceUserId: assignment.deviceUserId, employeeName: null, lastRecordTime: null });
+        });
+    
+    // The global employee ID picks up assignments made for the person rather than the device user
+    const employees = employeeService.attachIdentity(prefix, punched);
+    
+    const data = employees.map(employee => {
+        const { shift, expected } = getExpectedShift(prefix, employee, date);
+        return {
+            deviceUserId: employee.deviceUserId,
+            employeeId: employee.employeeId,
+            employeeCode: employee.employeeCode,
+            department: employee.department,
+            employeeName: employee.employeeName,
+            offDay: shift.offDay,
+            shift,
+            expected
+        };
+    });
+    
+    const holiday = holidayService.getHoliday(shiftConfig.country, date);
+    const shifts = {};
+    data.filter(entry => !entry.offDay).forEach(entry => {
+        shifts[entry.shift.name] = (shifts[entry.shift.name] || 0) + 1;
+    });
+    
+    return {
+        success: true,
+        timestamp: new Date().toISOString(),
+        devicePrefix: prefix,
+        date,
+        weekday: WEEKDAY_NAMES[timezone.getWeekday(date)],
+        timezone: timezone.resolveTimeZone(shiftConfig.timezone),
+        weekendDays: shiftConfig.weekendDays,
+        holiday,
+        summary: {
+            employees: data.length,
+            working: data.filter(entry => !entry.offDay).length,
+            offDay: data.filter(entry => entry.offDay).length,
+            shifts
+        },
+        data
+    };
+}
+
+module.exports = {
+    getExpectedShift,
+    getRoster
+};
@@ -3,11 +3,22 @@
 
 const config = require('../config');
 const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+const requestContext = require('../utils/requestContext');
 const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+const deviceService = require('./deviceService');
+const shiftTemplateService = require('./shiftTemplateService');
+const attendanceService = require('./attendanceService');
+const cacheService = require('./cacheService');
+const punchPairingService = require('./punchPairingService');
+const holidayService = require('./holidayService');
 
 /**
  * Enhanced Shift Service
- * Supports device-specific shift configurations while preserving sophisticated business logic
+ * Supports device-specific shift configurations while preserving sophisticated business logic.
+ * Shift hours, buffer zones and "today" are evaluated on the device's wall clock
+ * (shiftConfig.timezone), not the server's. Employees with a shift assignment are
+ * evaluated against their assigned template instead of the device's shift.
  */
 class ShiftService {
     constructor() {
@@ -16,6 +27,19 @@ class ShiftService {
             totalDevices: Object.keys(this.shiftConfigs).length,
             devices: Object.keys(this.shiftConfigs)
         });
+
+        // Pick up devices added or edited through the device registry
+        deviceService.onDevicesChanged(() => this.reloadShiftConfigs());
+    }
+
+    /**
+     * Rebuild shift configurations after the device list changed
+     */
+    reloadShiftConfigs() {
+        this.shiftConfigs = this.buildShiftConfigs();
+        logger.info('Shift configurations reloaded', {
+            totalDevices: Object.keys(this.shiftConfigs).length
+        });
     }
 
     /**
@@ -30,14 +54,22 @@ class ShiftService {
             
             // Default configuration (preserves pk01 logic)
             let shiftConfig = {
+                devicePrefix: prefix,
+                country: device.country,     // Holiday calendar the device observes
                 startHour: 18,        // 6 PM
                 endHour: 2,           // 2 AM next day
                 checkInBufferStart: 12, // 12 PM (noon)
                 checkInBufferEnd: 24,   // 12 AM (midnight)
                 checkOutBufferStart: 0,  // 12 AM (midnight)
                 checkOutBufferEnd: 12,   // 12 PM (noon)
+                graceMinutes: 0,             // Minutes after start before a check-in counts as late
+                earlyLeaveGraceMinutes: 0,   // Minutes before end a check-out may fall without counting as early
+                overtimeMinimumMinutes: 0,   // Overtime shorter than this is not counted
+                roundingMinutes: 0,          // Round worked time and overtime to this step (0 = exact minutes)
+                roundingMode: 'nearest',
+                weekendDays: device.weekendDays || config.SHIFT.COUNTRY_WEEKEND_DAYS[device.country] || config.SHIFT.WEEKEND_DAYS,
                 description: 'Overnight shift (6 PM - 2 AM) with buffer zones',
-                timezone: 'local'
+                timezone: device.timezone || 'local'  // <PREFIX>_TIMEZONE or the registry's device timezone
             };
             
             // Override with device-specific configurations if available
@@ -59,11 +91,28 @@ class ShiftService {
             if (process.env[`${prefix.toUpperCase()}_CHECKOUT_BUFFER_END`]) {
                 shiftConfig.checkOutBufferEnd = parseInt(process.env[`${prefix.toUpperCase()}_CHECKOUT_BUFFER_END`]);
             }
+            if (process.env[`${prefix.toUpperCase()}_GRACE_MINUTES`]) {
+                shiftConfig.graceMinutes = parseInt(process.env[`${prefix.toUpperCase()}_GRACE_MINUTES`]);
+            }
+            if (process.env[`${prefix.toUpperCase()}_EARLY_LEAVE_GRACE_MINUTES`]) {
+                shiftConfig.earlyLeaveGraceMinutes = parseInt(process.env[`${prefix.toUpperCase()}_EARLY_LEAVE_GRACE_MINUTES`]);
+            }
+            if (process.env[`${prefix.toUpperCase()}_OVERTIME_MINIMUM_MINUTES`]) {
+                shiftConfig.overtimeMinimumMinutes = parseInt(process.env[`${prefix.toUpperCase()}_OVERTIME_MINIMUM_MINUTES`]);
+            }
+            if (process.env[`${prefix.toUpperCase()}_ROUNDING_MINUTES`]) {
+                shiftConfig.roundingMinutes = parseInt(process.env[`${prefix.toUpperCase()}_ROUNDING_MINUTES`]);
+            }
+            if (process.env[`${prefix.toUpperCase()}_ROUNDING_MODE`]) {
+                shiftConfig.roundingMode = process.env[`${prefix.toUpperCase()}_ROUNDING_MODE`];
+            }
             if (process.env[`${prefix.toUpperCase()}_SHIFT_DESCRIPTION`]) {
                 shiftConfig.description = process.env[`${prefix.toUpperCase()}_SHIFT_DESCRIPTION`];
             }
-            if (process.env[`${prefix.toUpperCase()}_TIMEZONE`]) {
-                shiftConfig.timezone = process.env[`${prefix.toUpperCase()}_TIMEZONE`];
+            
+            // Shift settings saved through the device registry take precedence
+            if (device.shift) {
+                shiftConfig = { ...shiftConfig, ...device.shift };
             }
             
             configs[prefix] = shiftConfig;
@@ -91,22 +140,28 @@ class ShiftService {
     }
 
     /**
-     * Get today's shift data for a specific device (preserves original logic)
+     * Get today's shift data for a specific device, served from the cache while the device's cache TTL lasts
+     * @param {string} prefix - Device prefix
+     * @returns {Promise<Object>} Today's shift data
+     */
+    getTodayShift(prefix) {
+        return cacheService.deviceRead(prefix, 'shift:today', {}, () => this.readTodayShift(prefix));
+    }
+
+    /**
+     * Read today's shift data for a specific device (preserves original logic)
      * @param {string} prefix - Device prefix
      * @returns {Object} Today's shift data
      */
-    async getTodayShift(prefix) {
+    async readTodayShift(prefix) {
         try {
             const shiftConfig = this.getShiftConfig(prefix);
             const now = new Date();
             
-            // Calculate date boundaries based on shift configuration
-            const today = new Date(now);
-            today.setHours(0, 0, 0, 0);
-            const yesterday = new Date(today);
-            yesterday.setDate(yesterday.getDate() - 1);
-            const tomorrow = new Date(today);
-            tomorrow.setDate(tomorrow.getDate() + 1);
+            // Calculate date boundaries in the device's timezone
+            const today = timezone.getDateKey(now, shiftConfig.timezone);
+            const yesterday = timezone.startOfDay(timezone.addDays(today, -1), shiftConfig.timezone);
+            const tomorrow = timezone.startOfDay(timezone.addDays(today, 1), shiftConfig.timezone);
             
             // Get attendance data for the device
             const attendanceData = await this.getDeviceAttendanceData(prefix);
@@ -118,16 +173,17 @@ class ShiftService {
                 success: true,
                 timestamp: new Date().toISOString(),
                 devicePrefix: prefix,
+                shiftDate: this.getCurrentShiftDate(shiftConfig, now),
                 shiftConfig: {
                     ...shiftConfig,
-                    currentTime: now.toISOString(),
-                    currentHour: now.getHours()
+                    ...this.describeNow(now, shiftConfig)
                 },
                 shiftPeriod: {
                     start: yesterday.toISOString(),
                     end: tomorrow.toISOString(),
                     description: shiftConfig.description
                 },
+                summary: this.summarizeShift(shiftData),
                 data: shiftData
             };
             
@@ -138,11 +194,20 @@ class ShiftService {
     }
 
     /**
-     * Get shift check-in data for a specific device
+     * Get shift check-in data for a specific device, served from the cache while the device's cache TTL lasts
+     * @param {string} prefix - Device prefix
+     * @returns {Promise<Object>} Shift check-in data
+     */
+    getShiftCheckin(prefix) {
+        return cacheService.deviceRead(prefix, 'shift:checkin', {}, () => this.readShiftCheckin(prefix));
+    }
+
+    /**
+     * Read shift check-in data for a specific device
      * @param {string} prefix - Device prefix
      * @returns {Object} Shift check-in data
      */
-    async getShiftCheckin(prefix) {
+    async readShiftCheckin(prefix) {
         try {
             const shiftConfig = this.getShiftConfig(prefix);
             const now = new Date();
@@ -160,8 +225,7 @@ class ShiftService {
                 shiftConfig: {
                     checkInBufferStart: shiftConfig.checkInBufferStart,
                     checkInBufferEnd: shiftConfig.checkInBufferEnd,
-                    currentTime: now.toISOString(),
-                    currentHour: now.getHours()
+                    ...this.describeNow(now, shiftConfig)
                 },
                 data: checkInData
             };
@@ -173,11 +237,20 @@ class ShiftService {
     }
 
     /**
-     * Get shift check-out data for a specific device
+     * Get shift check-out data for a specific device, served from the cache while the device's cache TTL lasts
+     * @param {string} prefix - Device prefix
+     * @returns {Promise<Object>} Shift check-out data
+     */
+    getShiftCheckout(prefix) {
+        return cacheService.deviceRead(prefix, 'shift:checkout', {}, () => this.readShiftCheckout(prefix));
+    }
+
+    /**
+     * Read shift check-out data for a specific device
      * @param {string} prefix - Device prefix
      * @returns {Object} Shift check-out data
      */
-    async getShiftCheckout(prefix) {
+    async readShiftCheckout(prefix) {
         try {
             const shiftConfig = this.getShiftConfig(prefix);
             const now = new Date();
@@ -195,8 +268,7 @@ class ShiftService {
                 shiftConfig: {
                     checkOutBufferStart: shiftConfig.checkOutBufferStart,
                     checkOutBufferEnd: shiftConfig.checkOutBufferEnd,
-                    currentTime: now.toISOString(),
-                    currentHour: now.getHours()
+                    ...this.describeNow(now, shiftConfig)
                 },
                 data: checkOutData
             };
@@ -207,17 +279,33 @@ class ShiftService {
         }
     }
 
+    /**
+     * Describe the current time on the device's clock
+     * @param {Date} now - Current time
+     * @param {Object} shiftConfig - Device shift configuration
+     * @returns {Object} { timezone, currentTime, localTime, currentHour }
+     */
+    describeNow(now, shiftConfig) {
+        const zone = timezone.resolveTimeZone(shiftConfig.timezone);
+        const { hour } = timezone.getZonedParts(now, zone);
+        const formatted = timezone.formatInTimeZone(now, zone);
+        return {
+            timezone: zone,
+            currentTime: now.toISOString(),
+            localTime: `${formatted.dateTime} (${formatted.offset})`,
+            currentHour: hour
+        };
+    }
+
     /**
      * Process shift data using device-specific configuration (preserves original logic)
      * @param {Array} attendanceData - Raw attendance data
      * @param {Object} shiftConfig - Device shift configuration
      * @param {Date} now - Current time
+     * @param {string} shiftDate - Shift date (YYYY-MM-DD), defaults to each employee's shift in progress at `now`
      * @returns {Array} Processed shift data
      */
-    processShiftData(attendanceData, shiftConfig, now) {
-        const hour = now.getHours();
-        const minute = now.getMinutes();
-        
+    processShiftData(attendanceData, shiftConfig, now, shiftDate = null) {
         // Group records by employee
         const employeeRecords = {};
         attendanceData.forEach(record => {
@@ -232,18 +320,25 @@ class ShiftService {
         return Object.entries(employeeRecords).map(([deviceUserId, records]) => {
             records.sort((a, b) => new Date(a.recordTime) - new Date(b.recordTime));
             
-            // Get check-in and check-out based on current time and shift configuration
-            const checkIn = this.getCheckInRecord(records, shiftConfig, now);
-            const checkOut = this.getCheckOutRecord(records, shiftConfig, now);
+            // Pair punches against the employee's assigned shift (or the device's)
+            const employeeShift = this.resolveEmployeeShift(shiftConfig, records[0], now, shiftDate);
+            const checkIn = this.getCheckInRecord(records, employeeShift.shiftConfig, now, employeeShift.shiftDate);
+            const checkOut = this.getCheckOutRecord(records, employeeShift.shiftConfig, now, employeeShift.shiftDate);
             
             return {
                 deviceUserId,
+                employeeId: records[0].employeeId || null,
+                employeeCode: records[0].employeeCode || null,
+                department: records[0].department || null,
                 employeeName: records[0].employeeName,
                 employeeRole: records[0].employeeRole,
                 totalRecords: records.length,
-                shiftCheckIn: checkIn ? this.formatRecord(checkIn) : null,
-                shiftCheckOut: checkOut ? this.formatRecord(checkOut) : null,
-                shiftStatus: this.determineShiftStatus(checkIn, checkOut, shiftConfig)
+                shiftDate: employeeShift.shiftDate,
+                shift: employeeShift.shift,
+                shiftCheckIn: checkIn ? this.formatRecord(checkIn, shiftConfig.timezone) : null,
+                shiftCheckOut: checkOut ? this.formatRecord(checkOut, shiftConfig.timezone) : null,
+                shiftStatus: this.determineShiftStatus(checkIn, checkOut, employeeShift.shiftConfig, employeeShift.shift.offDay, Boolean(employeeShift.shift.holiday)),
+                workTime: this.calculateWorkTime(checkIn, checkOut, employeeShift)
             };
         });
     }
@@ -267,13 +362,20 @@ class ShiftService {
         
         return Object.entries(employeeRecords).map(([deviceUserId, records]) => {
             records.sort((a, b) => new Date(a.recordTime) - new Date(b.recordTime));
-            const checkIn = this.getCheckInRecord(records, shiftConfig, now);
+            const employeeShift = this.resolveEmployeeShift(shiftConfig, records[0], now);
+            const checkIn = this.getCheckInRecord(records, employeeShift.shiftConfig, now, employeeShift.shiftDate);
             
             return {
                 deviceUserId,
+                employeeId: records[0].employeeId || null,
+                employeeCode: records[0].employeeCode || null,
+                department: records[0].department || null,
                 employeeName: records[0].employeeName,
                 employeeRole: records[0].employeeRole,
-                checkIn: checkIn ? this.formatRecord(checkIn) : this.createEmptyRecord(records[0])
+                shiftDate: employeeShift.shiftDate,
+                shift: employeeShift.shift,
+                checkIn: checkIn ? this.formatRecord(checkIn, shiftConfig.timezone) : this.createEmptyRecord(records[0]),
+                lateMinutes: this.calculateWorkTime(checkIn, null, employeeShift).lateMinutes
             };
         });
     }
@@ -297,49 +399,398 @@ class ShiftService {
         
         return Object.entries(employeeRecords).map(([deviceUserId, records]) => {
             records.sort((a, b) => new Date(a.recordTime) - new Date(b.recordTime));
-            const checkOut = this.getCheckOutRecord(records, shiftConfig, now);
+            const employeeShift = this.resolveEmployeeShift(shiftConfig, records[0], now);
+            const checkOut = this.getCheckOutRecord(records, employeeShift.shiftConfig, now, employeeShift.shiftDate);
             
             return {
                 deviceUserId,
+                employeeId: records[0].employeeId || null,
+                employeeCode: records[0].employeeCode || null,
+                department: records[0].department || null,
                 employeeName: records[0].employeeName,
                 employeeRole: records[0].employeeRole,
-                checkOut: checkOut ? this.formatRecord(checkOut) : this.createEmptyRecord(records[0])
+                shiftDate: employeeShift.shiftDate,
+                shift: employeeShift.shift,
+                checkOut: checkOut ? this.formatRecord(checkOut, shiftConfig.timezone) : this.createEmptyRecord(records[0]),
+                earlyLeaveMinutes: this.calculateWorkTime(null, checkOut, employeeShift).earlyLeaveMinutes
             };
         });
     }
 
     /**
-     * Get check-in record based on device-specific configuration (preserves original logic)
-     * @param {Array} records - Employee records
+     * Apply an employee's assignment (template or roster day) to a device shift configuration
+     * @param {Object} shiftConfig - Device shift configuration
+     * @param {Object|null} resolved - { assignment, template, roster, cycleDay } from the assignment table, or null
+     * @param {string} shiftDate - Shift date (YYYY-MM-DD) being evaluated
+     * @returns {Object} { shiftConfig, shift } where shift describes what the employee is evaluated against
+     */
+    applyAssignment(shiftConfig, resolved, shiftDate) {
+        const { assignment = null, template = null, roster = null, cycleDay = null } = resolved || {};
+        const weekend = (shiftConfig.weekendDays || []).includes(timezone.getWeekday(shiftDate));
+        // A shift is a holiday shift when its shift date (the check-in day) is a holiday,
+        // so an overnight shift starting the evening before a holiday is a normal working shift
+        const holiday = holidayService.getHoliday(shiftConfig.country, shiftDate);
+        const shift = {
+            source: roster ? 'roster' : (assignment ? 'assignment' : 'device'),
+            templateId: template ? template.id : null,
+            rosterId: roster ? roster.id : null,
+            assignmentId: assignment ? assignment.id : null,
+            cycleDay,
+            holiday: holiday ? { id: holiday.id, name: holiday.name, date: holiday.date, endDate: holiday.endDate } : null,
+            // Holidays apply to everyone; rosters say explicitly which other days are off; fixed shifts follow the device's weekend
+            offDay: Boolean(holiday) || (roster ? !template : weekend)
+        };
+        
+        if (!template) {
+            const onRosterOffDay = Boolean(roster);
+            return {
+                shiftConfig,
+                shift: {
+                    ...shift,
+                    name: onRosterOffDay ? 'Off day' : shiftConfig.description,
+                    startHour: onRosterOffDay ? null : shiftConfig.startHour,
+                    endHour: onRosterOffDay ? null : shiftConfig.endHour,
+                    graceMinutes: onRosterOffDay ? null : shiftConfig.graceMinutes
+                }
+            };
+        }
+        
+        const templateConfig = { ...shiftConfig, description: template.description || template.name };
+        shiftTemplateService.HOUR_FIELDS.forEach(field => {
+            templateConfig[field] = template[field];
+        });
+        // Templates saved before a rule existed use its default
+        Object.entries(shiftTemplateService.RULE_DEFAULTS).forEach(([field, value]) => {
+            templateConfig[field] = template[field] === undefined ? value : template[field];
+        });
+        
+        return {
+            shiftConfig: templateConfig,
+            shift: {
+                ...shift,
+                name: template.name,
+                startHour: template.startHour,
+                endHour: template.endHour,
+                graceMinutes: template.graceMinutes
+            }
+        };
+    }
+
+    /**
+     * Get the instants a shift is scheduled to start and end on a shift date
+     * @param {Object} shiftConfig - Shift configuration (device or template)
+     * @param {string} shiftDate - Shift date (YYYY-MM-DD)
+     * @returns {Object} { start, end } Dates; end falls on the next day for shifts ending at or before they start
+     */
+    getScheduledTimes(shiftConfig, shiftDate) {
+        const endDate = shiftConfig.endHour <= shiftConfig.startHour ? timezone.addDays(shiftDate, 1) : shiftDate;
+        const at = (dateKey, hour) => {
+            const [year, month, day] = dateKey.split('-').map(Number);
+            return timezone.zonedTimeToUtc({ year, month, day, hour }, shiftConfig.timezone);
+        };
+        return {
+            start: at(shiftDate, shiftConfig.startHour),
+            end: at(endDate, shiftConfig.endHour)
+        };
+    }
+
+    /**
+     * Round a number of minutes by a shift's rounding rule
+     * @param {number} minutes - Minutes
+     * @param {Object} shiftConfig - Shift configuration ({ roundingMinutes, roundingMode })
+     * @returns {number} Rounded minutes
+     */
+    roundMinutes(minutes, shiftConfig) {
+        const step = shiftConfig.roundingMinutes;
+        if (!step) {
+            return minutes;
+        }
+        const round = { up: Math.ceil, down: Math.floor }[shiftConfig.roundingMode] || Math.round;
+        return round(minutes / step) * step;
+    }
+
+    /**
+     * Calculate lateness, early departure, worked time and overtime for one employee's shift
+     * Lateness beyond the grace period counts in full from the shift start; early departure likewise
+     * counts from the shift end. Worked time and overtime are rounded by the shift's rounding rule,
+     * and overtime (time worked beyond the scheduled length) below the minimum is not counted.
+     * On an off day every worked minute is overtime.
+     * @param {Object|null} checkIn - Check-in record
+     * @param {Object|null} checkOut - Check-out record
+     * @param {Object} employeeShift - { shiftConfig, shiftDate, shift } from resolveEmployeeShift
+     * @returns {Object} Minutes per measure (null when the punches needed are missing)
+     */
+    calculateWorkTime(checkIn, checkOut, employeeShift) {
+        const { shiftConfig, shiftDate, shift } = employeeShift;
+        const minutesBetween = (from, to) => Math.floor((new Date(to) - new Date(from)) / 60000);
+        const scheduled = shift.offDay ? null : this.getScheduledTimes(shiftConfig, shiftDate);
+        const scheduledMinutes = scheduled ? minutesBetween(scheduled.start, scheduled.end) : 0;
+        
+        const workTime = {
+            scheduledStart: scheduled ? scheduled.start.toISOString() : null,
+            scheduledEnd: scheduled ? scheduled.end.toISOString() : null,
+            scheduledMinutes,
+            lateMinutes: null,
+            earlyLeaveMinutes: null,
+            workedMinutes: null,
+            overtimeMinutes: null
+        };
+        
+        if (checkIn) {
+            const late = scheduled ? minutesBetween(scheduled.start, checkIn.recordTime) : 0;
+            workTime.lateMinutes = late > shiftConfig.graceMinutes ? late : 0;
+        }
+        if (checkOut) {
+            const early = scheduled ? minutesBetween(checkOut.recordTime, scheduled.end) : 0;
+            workTime.earlyLeaveMinutes = early > shiftConfig.earlyLeaveGraceMinutes ? early : 0;
+        }
+        if (checkIn && checkOut) {
+            workTime.workedMinutes = this.roundMinutes(Math.max(0, minutesBetween(checkIn.recordTime, checkOut.recordTime)), shiftConfig);
+            const overtime = this.roundMinutes(Math.max(0, workTime.workedMinutes - scheduledMinutes), shiftConfig);
+            workTime.overtimeMinutes = overtime >= shiftConfig.overtimeMinimumMinutes ? overtime : 0;
+        }
+        
+        return workTime;
+    }
+
+    /**
+     * Work out which shift an employee is evaluated against
      * @param {Object} shiftConfig - Device shift configuration
+     * @param {Object} record - One of the employee's records ({ deviceUserId, employeeId })
      * @param {Date} now - Current time
-     * @returns {Object|null} Check-in record
+     * @param {string} shiftDate - Shift date (YYYY-MM-DD), or null for the employee's shift in progress at `now`
+     * @returns {Object} { shiftConfig, shiftDate, shift }
      */
-    getCheckInRecord(records, shiftConfig, now) {
-        const hour = now.getHours();
-        const minute = now.getMinutes();
+    resolveEmployeeShift(shiftConfig, record, now, shiftDate = null) {
+        const employee = {
+            devicePrefix: shiftConfig.devicePrefix,
+            deviceUserId: record.deviceUserId,
+            employeeId: record.employeeId
+        };
+        const lookupDate = shiftDate || timezone.getDateKey(now, shiftConfig.timezone);
+        let resolved = this.applyAssignment(shiftConfig, shiftTemplateService.resolveAssignment(employee, lookupDate), lookupDate);
+        
+        if (shiftDate) {
+            return { ...resolved, shiftDate };
+        }
         
-        // Determine which day's records to use for check-in
-        let targetDate, targetRecords;
+        // An overnight shift still running belongs to yesterday, whose assignment may differ
+        const currentShiftDate = this.getCurrentShiftDate(resolved.shiftConfig, now);
+        if (currentShiftDate !== lookupDate) {
+            resolved = this.applyAssignment(shiftConfig, shiftTemplateService.resolveAssignment(employee, currentShiftDate), currentShiftDate);
+        }
+        return { ...resolved, shiftDate: currentShiftDate };
+    }
+
+    /**
+     * Check whether a shift's check-out window falls on the day after its check-in window
+     * @param {Object} shiftConfig - Device shift configuration
+     * @returns {boolean} True for shifts spanning midnight
+     */
+    isOvernightShift(shiftConfig) {
+        return shiftConfig.checkOutBufferStart < shiftConfig.checkInBufferStart;
+    }
+
+    /**
+     * Get the shift date (the device-calendar day its check-in falls on) in progress at a given time (preserves original logic)
+     * @param {Object} shiftConfig - Device shift configuration
+     * @param {Date} now - Current time
+     * @returns {string} Shift date (YYYY-MM-DD)
+     */
+    getCurrentShiftDate(shiftConfig, now) {
+        const { hour, minute, dateKey } = timezone.getZonedParts(now, shiftConfig.timezone);
         
-        if (hour < shiftConfig.checkOutBufferEnd || (hour === 0 && minute === 0)) {
-            // Use yesterday's records for check-in
-            const yesterday = new Date(now);
-            yesterday.setDate(yesterday.getDate() - 1);
-            targetDate = yesterday;
-            targetRecords = records.filter(r => this.isRecordFromDate(r, targetDate));
-        } else {
-            // Use today's records for check-in
-            const today = new Date(now);
-            today.setHours(0, 0, 0, 0);
-            targetDate = today;
-            targetRecords = records.filter(r => this.isRecordFromDate(r, targetDate));
+        // Before the check-out window closes, an overnight shift still belongs to yesterday
+        if (this.isOvernightShift(shiftConfig) && (hour < shiftConfig.checkOutBufferEnd || (hour === 0 && minute === 0))) {
+            return timezone.addDays(dateKey, -1);
+        }
+        return dateKey;
+    }
+
+    /**
+     * Get the device-calendar days a shift's check-in and check-out fall on
+     * @param {Object} shiftConfig - Device shift configuration
+     * @param {string} shiftDate - Shift date (YYYY-MM-DD)
+     * @returns {Object} { checkInDate, checkOutDate }
+     */
+    getShiftDates(shiftConfig, shiftDate) {
+        return {
+            checkInDate: shiftDate,
+            checkOutDate: this.isOvernightShift(shiftConfig) ? timezone.addDays(shiftDate, 1) : shiftDate
+        };
+    }
+
+    /**
+     * Get the period a shift's records are drawn from
+     * @param {Object} shiftConfig - Device shift configuration
+     * @param {string} shiftDate - Shift date (YYYY-MM-DD)
+     * @returns {Object} { start, end, description } with ISO timestamps, end exclusive
+     */
+    getShiftPeriod(shiftConfig, shiftDate) {
+        const { checkInDate, checkOutDate } = this.getShiftDates(shiftConfig, shiftDate);
+        return {
+            start: timezone.startOfDay(checkInDate, shiftConfig.timezone).toISOString(),
+            end: timezone.startOfDay(timezone.addDays(checkOutDate, 1), shiftConfig.timezone).toISOString(),
+            description: shiftConfig.description
+        };
+    }
+
+    /**
+     * Get the window a shift's punches fall in: check-in buffer start to check-out buffer end
+     * Consecutive shifts' windows do not overlap, so every punch belongs to at most one shift.
+     * @param {Object} shiftConfig - Shift configuration (device or template)
+     * @param {string} shiftDate - Shift date (YYYY-MM-DD)
+     * @returns {Object} { start, end } Dates, end exclusive
+     */
+    getPunchWindow(shiftConfig, shiftDate) {
+        const { checkInDate, checkOutDate } = this.getShiftDates(shiftConfig, shiftDate);
+        const at = (dateKey, hour) => {
+            const [year, month, day] = dateKey.split('-').map(Number);
+            return timezone.zonedTimeToUtc({ year, month, day, hour }, shiftConfig.timezone);
+        };
+        return {
+            start: at(checkInDate, shiftConfig.checkInBufferStart),
+            end: at(checkOutDate, shiftConfig.checkOutBufferEnd)
+        };
+    }
+
+    /**
+     * Process detailed shift data: every punch in each employee's shift paired into IN/OUT segments
+     * @param {Array} attendanceData - Raw attendance data
+     * @param {Object} shiftConfig - Device shift configuration
+     * @param {Date} now - Current time
+     * @param {string} shiftDate - Shift date (YYYY-MM-DD), defaults to each employee's shift in progress at `now`
+     * @returns {Array} Detailed shift data for employees with punches in their shift
+     */
+    processShiftDetail(attendanceData, shiftConfig, now, shiftDate = null) {
+        const employeeRecords = {};
+        attendanceData.forEach(record => {
+            const key = record.deviceUserId;
+            if (!employeeRecords[key]) {
+                employeeRecords[key] = [];
+            }
+            employeeRecords[key].push(record);
+        });
+        
+        const zone = shiftConfig.timezone;
+        return Object.entries(employeeRecords).map(([deviceUserId, records]) => {
+            records.sort((a, b) => new Date(a.recordTime) - new Date(b.recordTime));
+            
+            const employeeShift = this.resolveEmployeeShift(shiftConfig, records[0], now, shiftDate);
+            const window = this.getPunchWindow(employeeShift.shiftConfig, employeeShift.shiftDate);
+            const shiftRecords = records.filter(record => {
+                const time = new Date(record.recordTime);
+                return time >= window.start && time < window.end;
+            });
+            const pairing = punchPairingService.pairPunches(shiftRecords);
+            
+            return {
+                deviceUserId,
+                employeeId: records[0].employeeId || null,
+                employeeCode: records[0].employeeCode || null,
+                department: records[0].department || null,
+                employeeName: records[0].employeeName,
+                employeeRole: records[0].employeeRole,
+                shiftDate: employeeShift.shiftDate,
+                shift: employeeShift.shift,
+                punchWindow: {
+                    start: window.start.toISOString(),
+                    end: window.end.toISOString()
+                },
+                punches: pairing.punches.map(record => this.formatRecord(record, zone)),
+                segments: pairing.segments.map(segment => ({
+                    in: this.formatRecord(segment.in, zone),
+                    out: segment.out ? this.formatRecord(segment.out, zone) : null,
+                    minutes: segment.minutes
+                })),
+                breaks: pairing.breaks.map(pause => ({
+                    start: new Date(pause.start).toISOString(),
+                    end: new Date(pause.end).toISOString(),
+                    startTime: timezone.formatInTimeZone(pause.start, zone).time,
+                    endTime: timezone.formatInTimeZone(pause.end, zone).time,
+                    minutes: pause.minutes
+                })),
+                totals: pairing.totals,
+                oddPunchCount: pairing.oddPunchCount,
+                // An open segment is expected while the shift runs; once the window closes it means a missed punch
+                onPremises: pairing.oddPunchCount && now < window.end,
+                missingPunch: pairing.oddPunchCount && now >= window.end
+            };
+        }).filter(employee => employee.punches.length > 0);
+    }
+
+    /**
+     * Get detailed shift data, served from the cache while the device's cache TTL lasts
+     * @param {string} prefix - Device prefix
+     * @param {string} date - Shift date (YYYY-MM-DD), or null for each employee's shift in progress
+     * @returns {Promise<Object>} Detailed shift data
+     */
+    getShiftDetail(prefix, date = null) {
+        return cacheService.deviceRead(prefix, 'shift:detail', { date }, () => this.readShiftDetail(prefix, date));
+    }
+
+    /**
+     * Read detailed shift data (paired punches, breaks, on-premises time) for the current or a past shift date
+     * @param {string} prefix - Device prefix
+     * @param {string} date - Shift date (YYYY-MM-DD), or null for each employee's shift in progress
+     * @returns {Promise<Object>} Detailed shift data
+     */
+    async readShiftDetail(prefix, date = null) {
+        try {
+            const shiftConfig = this.getShiftConfig(prefix);
+            const now = new Date();
+            const shiftDate = date || this.getCurrentShiftDate(shiftConfig, now);
+            
+            // The shift date through the end of the following day covers overnight check-out windows
+            const range = {
+                from: timezone.startOfDay(timezone.addDays(shiftDate, date ? 0 : -1), shiftConfig.timezone),
+                to: timezone.startOfDay(timezone.addDays(shiftDate, 2), shiftConfig.timezone)
+            };
+            const { records, source } = await attendanceService.readFromStore(prefix, range);
+            const data = this.processShiftDetail(records, shiftConfig, now, date);
+            
+            return {
+                success: true,
+                timestamp: new Date().toISOString(),
+                devicePrefix: prefix,
+                shiftDate,
+                source,
+                shiftConfig: {
+                    ...shiftConfig,
+                    ...this.describeNow(now, shiftConfig)
+                },
+                summary: {
+                    employees: data.length,
+                    onPremises: data.filter(employee => employee.onPremises).length,
+                    missingPunch: data.filter(employee => employee.missingPunch).length,
+                    breaks: data.reduce((total, employee) => total + employee.totals.breakCount, 0),
+                    duplicatePunches: data.reduce((total, employee) => total + employee.totals.duplicatePunches, 0)
+                },
+                data
+            };
+            
+        } catch (error) {
+            errorTracker.trackError(ERROR_STEPS.SHIFT_SERVICE, 'getShiftDetail', error.message);
+            throw error;
         }
+    }
+
+    /**
+     * Get check-in record based on device-specific configuration (preserves original logic)
+     * @param {Array} records - Employee records
+     * @param {Object} shiftConfig - Device shift configuration
+     * @param {Date} now - Current time
+     * @param {string} shiftDate - Shift date (YYYY-MM-DD), defaults to the shift in progress at `now`
+     * @returns {Object|null} Check-in record
+     */
+    getCheckInRecord(records, shiftConfig, now, shiftDate = this.getCurrentShiftDate(shiftConfig, now)) {
+        const zone = shiftConfig.timezone;
+        const { checkInDate } = this.getShiftDates(shiftConfig, shiftDate);
         
-        // Filter records within check-in buffer zone
-        const filtered = targetRecords.filter(r => {
-            const recTime = new Date(r.recordTime);
-            const h = recTime.getHours();
+        // Filter the check-in day's records within the check-in buffer zone
+        const filtered = records.filter(r => {
+            if (!this.isRecordFromDate(r, checkInDate, zone)) return false;
+            const h = timezone.getZonedParts(r.recordTime, zone).hour;
             return h >= shiftConfig.checkInBufferStart && h < shiftConfig.checkInBufferEnd;
         });
         
@@ -352,33 +803,17 @@ class ShiftService {
      * @param {Array} records - Employee records
      * @param {Object} shiftConfig - Device shift configuration
      * @param {Date} now - Current time
+     * @param {string} shiftDate - Shift date (YYYY-MM-DD), defaults to the shift in progress at `now`
      * @returns {Object|null} Check-out record
      */
-    getCheckOutRecord(records, shiftConfig, now) {
-        const hour = now.getHours();
-        const minute = now.getMinutes();
-        
-        // Determine which day's records to use for check-out
-        let targetDate, targetRecords;
-        
-        if (hour < shiftConfig.checkOutBufferEnd || (hour === 0 && minute === 0)) {
-            // Use today's records for check-out
-            const today = new Date(now);
-            today.setHours(0, 0, 0, 0);
-            targetDate = today;
-            targetRecords = records.filter(r => this.isRecordFromDate(r, targetDate));
-        } else {
-            // Use tomorrow's records for check-out
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            targetDate = tomorrow;
-            targetRecords = records.filter(r => this.isRecordFromDate(r, targetDate));
-        }
+    getCheckOutRecord(records, shiftConfig, now, shiftDate = this.getCurrentShiftDate(shiftConfig, now)) {
+        const zone = shiftConfig.timezone;
+        const { checkOutDate } = this.getShiftDates(shiftConfig, shiftDate);
         
-        // Filter records within check-out buffer zone
-        const filtered = targetRecords.filter(r => {
-            const recTime = new Date(r.recordTime);
-            const h = recTime.getHours();
+        // Filter the check-out day's records within the check-out buffer zone
+        const filtered = records.filter(r => {
+            if (!this.isRecordFromDate(r, checkOutDate, zone)) return false;
+            const h = timezone.getZonedParts(r.recordTime, zone).hour;
             return h >= shiftConfig.checkOutBufferStart && h < shiftConfig.checkOutBufferEnd;
         });
         
@@ -387,39 +822,35 @@ class ShiftService {
     }
 
     /**
-     * Check if a record is from a specific date
+     * Check if a record is from a specific date on the device's calendar
      * @param {Object} record - Attendance record
-     * @param {Date} targetDate - Target date
+     * @param {string} targetDate - Target date (YYYY-MM-DD)
+     * @param {string} timeZone - Device timezone
      * @returns {boolean} Whether record is from target date
      */
-    isRecordFromDate(record, targetDate) {
+    isRecordFromDate(record, targetDate, timeZone) {
         if (!record.recordTime) return false;
         
-        const recordDate = new Date(record.recordTime);
-        return recordDate.getFullYear() === targetDate.getFullYear() &&
-               recordDate.getMonth() === targetDate.getMonth() &&
-               recordDate.getDate() === targetDate.getDate();
+        return timezone.getDateKey(record.recordTime, timeZone) === targetDate;
     }
 
     /**
-     * Format a record for consistent output
+     * Format a record for consistent output, in the device's timezone
      * @param {Object} record - Raw record
+     * @param {string} timeZone - Device timezone
      * @returns {Object} Formatted record
      */
-    formatRecord(record) {
+    formatRecord(record, timeZone) {
         if (!record) return null;
         
         try {
-            const dt = new Date(record.recordTime);
+            const formatted = timezone.formatInTimeZone(record.recordTime, timeZone);
             return {
                 ...record,
-                recordDate: dt.toLocaleDateString('en-US'),
-                recordTimeFormatted: dt.toLocaleString('en-US'),
-                timeOnly: dt.toLocaleTimeString('en-US', { 
-                    hour: '2-digit', 
-                    minute: '2-digit',
-                    hour12: true 
-                })
+                recordDate: formatted.date,
+                recordTimeFormatted: formatted.dateTime,
+                timeOnly: formatted.time,
+                utcOffset: formatted.offset
             };
         } catch (error) {
             logger.error('Failed to format record', { error: error.message, record });
@@ -436,6 +867,7 @@ class ShiftService {
         return {
             userSn: null,
             deviceUserId: baseRecord.deviceUserId,
+            employeeId: baseRecord.employeeId || null,
             employeeName: baseRecord.employeeName,
             employeeRole: baseRecord.employeeRole,
             recordTime: null,
@@ -451,15 +883,21 @@ class ShiftService {
      * @param {Object} checkIn - Check-in record
      * @param {Object} checkOut - Check-out record
      * @param {Object} shiftConfig - Shift configuration
-     * @returns {string} Shift status
+     * @param {boolean} offDay - Whether the employee is not scheduled to work this shift date
+     * @param {boolean} holiday - Whether the shift date is a public holiday
+     * @returns {string} Shift status ('completed', 'checked-in', 'checked-out', 'holiday', 'off-day' or 'not-started')
      */
-    determineShiftStatus(checkIn, checkOut, shiftConfig) {
+    determineShiftStatus(checkIn, checkOut, shiftConfig, offDay = false, holiday = false) {
         if (checkIn && checkOut) {
             return 'completed';
         } else if (checkIn && !checkOut) {
             return 'checked-in';
         } else if (!checkIn && checkOut) {
             return 'checked-out';
+        } else if (holiday) {
+            return 'holiday';
+        } else if (offDay) {
+            return 'off-day';
         } else {
             return 'not-started';
         }
@@ -475,7 +913,7 @@ class ShiftService {
             
             for (const prefix of Object.keys(this.shiftConfigs)) {
                 try {
-                    const shiftData = await this.getTodayShift(prefix);
+                    const shiftData = await requestContext.runChild({ devicePrefix: prefix }, () => this.getTodayShift(prefix));
                     results[prefix] = shiftData;
                 } catch (error) {
                     logger.error(`Failed to get shift data for ${prefix}`, { error: error.message });
@@ -501,18 +939,178 @@ class ShiftService {
     }
 
     /**
-     * Get device attendance data (placeholder - to be implemented with actual device connection)
+     * Get shift data for a past (or current) shift date
+     * @param {string} prefix - Device prefix
+     * @param {string} date - Shift date (YYYY-MM-DD), the day check-in falls on
+     * @returns {Promise<Object>} Shift data for the date
+     */
+    async getShiftByDate(prefix, date) {
+        try {
+            const result = await this.getShiftRange(prefix, date, date);
+            const [shift] = result.data;
+            
+            return {
+                success: true,
+                timestamp: result.timestamp,
+                devicePrefix: prefix,
+                shiftDate: date,
+                source: result.source,
+                shiftConfig: result.shiftConfig,
+                shiftPeriod: shift.shiftPeriod,
+                summary: shift.summary,
+                data: shift.data
+            };
+            
+        } catch (error) {
+            errorTracker.trackError(ERROR_STEPS.SHIFT_SERVICE, 'getShiftByDate', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get shift data for every shift date in a range, served from the cache while the device's cache TTL lasts
      * @param {string} prefix - Device prefix
-     * @returns {Array} Attendance data
+     * @param {string} startDate - First shift date (YYYY-MM-DD)
+     * @param {string} endDate - Last shift date (YYYY-MM-DD)
+     * @returns {Promise<Object>} Shift data per date
+     */
+    getShiftRange(prefix, startDate, endDate) {
+        return cacheService.deviceRead(prefix, 'shift:range', { startDate, endDate }, () => this.readShiftRange(prefix, startDate, endDate));
+    }
+
+    /**
+     * Read shift data for every shift date in a range
+     * Records are read once for the whole range; each shift date is paired independently.
+     * @param {string} prefix - Device prefix
+     * @param {string} startDate - First shift date (YYYY-MM-DD)
+     * @param {string} endDate - Last shift date (YYYY-MM-DD)
+     * @returns {Promise<Object>} Shift data per date
+     */
+    async readShiftRange(prefix, startDate, endDate) {
+        try {
+            const shiftConfig = this.getShiftConfig(prefix);
+            const now = new Date();
+            
+            const dates = [];
+            for (let date = startDate; date <= endDate; date = timezone.addDays(date, 1)) {
+                dates.push(date);
+            }
+            
+            // Shift dates plus the following day, so overnight templates find their check-outs
+            const range = {
+                from: timezone.startOfDay(startDate, shiftConfig.timezone),
+                to: timezone.startOfDay(timezone.addDays(endDate, 2), shiftConfig.timezone)
+            };
+            const { records, source } = await attendanceService.readFromStore(prefix, range);
+            
+            const data = dates.map(shiftDate => {
+                const shiftData = this.processShiftData(records, shiftConfig, now, shiftDate)
+                    .filter(employee => employee.shiftCheckIn || employee.shiftCheckOut);
+                return {
+                    shiftDate,
+                    shiftPeriod: this.getShiftPeriod(shiftConfig, shiftDate),
+                    summary: this.summarizeShift(shiftData),
+                    data: shiftData
+                };
+            });
+            
+            return {
+                success: true,
+                timestamp: new Date().toISOString(),
+                devicePrefix: prefix,
+                startDate,
+                endDate,
+                source,
+                shiftConfig: {
+                    ...shiftConfig,
+                    timezone: timezone.resolveTimeZone(shiftConfig.timezone)
+                },
+                totalShifts: data.length,
+                data
+            };
+            
+        } catch (error) {
+            errorTracker.trackError(ERROR_STEPS.SHIFT_SERVICE, 'getShiftRange', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get shift data for a shift date from all devices (fleet-level)
+     * @param {string} date - Shift date (YYYY-MM-DD)
+     * @returns {Promise<Object>} All devices shift data for the date
+     */
+    async getAllDevicesShiftByDate(date) {
+        try {
+            const results = {};
+            
+            for (const prefix of Object.keys(this.shiftConfigs)) {
+                try {
+                    results[prefix] = await requestContext.runChild({ devicePrefix: prefix }, () => this.getShiftByDate(prefix, date));
+                } catch (error) {
+                    logger.error(`Failed to get shift data for ${prefix} on ${date}`, { error: error.message });
+                    results[prefix] = {
+                        success: false,
+                        error: error.message,
+                        devicePrefix: prefix
+                    };
+                }
+            }
+            
+            return {
+                success: true,
+                timestamp: new Date().toISOString(),
+                shiftDate: date,
+                totalDevices: Object.keys(this.shiftConfigs).length,
+                results
+            };
+            
+        } catch (error) {
+            errorTracker.trackError(ERROR_STEPS.SHIFT_SERVICE, 'getAllDevicesShiftByDate', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Count employees per shift status
+     * @param {Array} shiftData - Processed shift data
+     * @returns {Object} Status counts
+     */
+    summarizeShift(shiftData) {
+        const summary = { employees: shiftData.length, completed: 0, checkedIn: 0, checkedOut: 0, workedOffDay: 0, workedHoliday: 0, late: 0, leftEarly: 0, workedMinutes: 0, overtimeMinutes: 0 };
+        shiftData.forEach(employee => {
+            if (employee.workTime) {
+                if (employee.workTime.lateMinutes > 0) summary.late++;
+                if (employee.workTime.earlyLeaveMinutes > 0) summary.leftEarly++;
+                summary.workedMinutes += employee.workTime.workedMinutes || 0;
+                summary.overtimeMinutes += employee.workTime.overtimeMinutes || 0;
+            }
+            if (employee.shift && employee.shift.offDay && (employee.shiftCheckIn || employee.shiftCheckOut)) summary.workedOffDay++;
+            if (employee.shift && employee.shift.holiday && (employee.shiftCheckIn || employee.shiftCheckOut)) summary.workedHoliday++;
+            if (employee.shiftStatus === 'completed') summary.completed++;
+            else if (employee.shiftStatus === 'checked-in') summary.checkedIn++;
+            else if (employee.shiftStatus === 'checked-out') summary.checkedOut++;
+        });
+        return summary;
+    }
+
+    /**
+     * Get the attendance records a shift can draw on: yesterday through tomorrow on the device's calendar
+     * @param {string} prefix - Device prefix
+     * @returns {Promise<Array>} Attendance records
      */
     async getDeviceAttendanceData(prefix) {
-        // TODO: Implement actual device connection and data retrieval
-        // For now, return mock data structure
-        logger.info(`Getting attendance data for device: ${prefix}`);
+        const zone = this.getShiftConfig(prefix).timezone;
+        const today = timezone.getDateKey(new Date(), zone);
+        const range = {
+            from: timezone.startOfDay(timezone.addDays(today, -1), zone),
+            to: timezone.startOfDay(timezone.addDays(today, 2), zone)
+        };
+        
+        logger.info(`Getting attendance data for device: ${prefix}`, { from: range.from.toISOString(), to: range.to.toISOString() });
         
-        // This would normally connect to the actual device and retrieve data
-        // For now, return empty array - actual implementation will be in device adapters
-        return [];
+        const { records } = await attendanceService.readFromStore(prefix, range);
+        return records;
     }
 }
 
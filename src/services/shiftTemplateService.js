@@ -0,0 +1,681 @@
+// src/services/shiftTemplateService.js
+// Named shift templates, rotating rosters and per-employee shift assignments with effective dates
+
+const crypto = require('crypto');
+const JsonFileStore = require('../storage/jsonFileStore');
+const cacheService = require('./cacheService');
+const deviceService = require('./deviceService');
+const employeeService = require('./employeeService');
+const timezone = require('../utils/timezone');
+
+// { templates: { [id]: template }, rosters: { [id]: roster }, assignments: [assignment] }
+const templateStore = new JsonFileStore('shift-templates.json', () => ({ templates: {}, rosters: {}, assignments: [] }));
+
+// Short lowercase names used in URLs and assignments (day, evening, overnight-a, 4on-3off, ...)
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+
+const HOUR_FIELDS = ['startHour', 'endHour', 'checkInBufferStart', 'checkInBufferEnd', 'checkOutBufferStart', 'checkOutBufferEnd'];
+// Attendance rules: late and early-leave grace, minimum overtime, and rounding of worked time
+const RULE_DEFAULTS = {
+    graceMinutes: 0,
+    earlyLeaveGraceMinutes: 0,
+    overtimeMinimumMinutes: 0,
+    roundingMinutes: 0,
+    roundingMode: 'nearest'
+};
+const RULE_FIELDS = Object.keys(RULE_DEFAULTS);
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+const TEMPLATE_FIELDS = ['id', 'name', 'description', ...RULE_FIELDS, ...HOUR_FIELDS];
+const ROSTER_FIELDS = ['id', 'name', 'description', 'anchorDate', 'cycle'];
+const ASSIGNMENT_FIELDS = ['deviceUserId', 'devicePrefix', 'employeeId', 'templateId', 'rosterId', 'effectiveFrom', 'effectiveTo', 'note'];
+
+// Longest grace period or overtime minimum a template may set
+const MAX_GRACE_MINUTES = 240;
+
+// Coarsest rounding step (an hour)
+const MAX_ROUNDING_MINUTES = 60;
+
+// Longest roster cycle (eight weeks)
+const MAX_CYCLE_DAYS = 56;
+
+/**
+ * Drop the cached shift and attendance reads a change can reach
+ * Templates and rosters may be in use anywhere; an assignment reaches its device, or its employee's devices.
+ * @param {Array<Object>} assignments - Changed assignments (none for a template or roster change)
+ */
+function invalidateShiftReads(assignments = []) {
+    const prefixes = [];
+    const everyDevice = assignments.length === 0 || assignments.some(assignment => {
+        if (assignment.devicePrefix) {
+            prefixes.push(assignment.devicePrefix);
+            return false;
+        }
+        const employee = assignment.employeeId ? employeeService.getEmployee(assignment.employeeId) : null;
+        if (employee) {
+            prefixes.push(...employee.devices.map(device => device.devicePrefix));
+            return false;
+        }
+        return true;
+    });
+
+    cacheService.invalidateDevices(everyDevice ? deviceService.getAllDevices().map(device => device.id) : prefixes);
+}
+
+/**
+ * Get the rosters map (files written before rosters existed have none)
+ * @returns {Object} Rosters by ID
+ */
+function getRosterMap() {
+    return templateStore.get().rosters || {};
+}
+
+/**
+ * Check that a value is an integer within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Minimum (inclusive)
+ * @param {number} max - Maximum (inclusive)
+ * @returns {boolean} True when valid
+ */
+function isIntegerInRange(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate template fields
+ * @param {Object} template - Complete template (after merging changes)
+ * @param {Object} input - Fields supplied in the request
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateTemplate(template, input) {
+    const errors = [];
+
+    Object.keys(input).forEach(field => {
+        if (!TEMPLATE_FIELDS.includes(field)) {
+            errors.push(`Unknown field: ${field}`);
+        }
+    });
+
+    if (typeof template.name !== 'string' || template.name.trim() === '') {
+        errors.push('name is required');
+    }
+    if (template.description !== null && typeof template.description !== 'string') {
+        errors.push('description must be a string');
+    }
+    HOUR_FIELDS.forEach(field => {
+        if (!isIntegerInRange(template[field], 0, 24)) {
+            errors.push(`${field} must be an hour between 0 and 24`);
+        }
+    });
+    if (errors.length === 0) {
+        if (template.checkInBufferStart >= template.checkInBufferEnd) {
+            errors.push('checkInBufferStart must be before checkInBufferEnd');
+        }
+        if (template.checkOutBufferStart >= template.checkOutBufferEnd) {
+            errors.push('checkOutBufferStart must be before checkOutBufferEnd');
+        }
+    }
+    ['graceMinutes', 'earlyLeaveGraceMinutes', 'overtimeMinimumMinutes'].forEach(field => {
+        if (!isIntegerInRange(template[field], 0, MAX_GRACE_MINUTES)) {
+            errors.push(`${field} must be an integer between 0 and ${MAX_GRACE_MINUTES}`);
+        }
+    });
+    if (!isIntegerInRange(template.roundingMinutes, 0, MAX_ROUNDING_MINUTES)) {
+        errors.push(`roundingMinutes must be an integer between 0 and ${MAX_ROUNDING_MINUTES}`);
+    }
+    if (!ROUNDING_MODES.includes(template.roundingMode)) {
+        errors.push(`roundingMode must be one of: ${ROUNDING_MODES.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Build a complete template
+ * @param {Object} input - Template fields
+ * @param {Object} base - Existing template when updating
+ * @returns {Object} Template
+ */
+function buildTemplate(input, base = {}) {
+    const merged = { ...base, ...input };
+    const template = {
+        id: merged.id,
+        name: typeof merged.name === 'string' ? merged.name.trim() : merged.name,
+        description: merged.description === undefined ? null : merged.description
+    };
+    RULE_FIELDS.forEach(field => {
+        template[field] = merged[field] === undefined ? RULE_DEFAULTS[field] : merged[field];
+    });
+    HOUR_FIELDS.forEach(field => {
+        template[field] = merged[field];
+    });
+    template.updatedAt = new Date().toISOString();
+    return template;
+}
+
+/**
+ * Get all shift templates
+ * @returns {Array} Templates
+ */
+function getTemplates() {
+    return Object.values(templateStore.get().templates);
+}
+
+/**
+ * Get a shift template
+ * @param {string} templateId - Template ID
+ * @returns {Object|null} Template or null if not found
+ */
+function getTemplate(templateId) {
+    return templateStore.get().templates[templateId] || null;
+}
+
+/**
+ * Create a shift template
+ * @param {Object} input - Template fields (id, name and the six hour fields required)
+ * @returns {Promise<Object>} Created template
+ */
+async function createTemplate(input = {}) {
+    const id = typeof input.id === 'string' ? input.id.trim().toLowerCase() : input.id;
+    const errors = [];
+
+    if (!id) {
+        errors.push('id is required');
+    } else if (typeof id !== 'string' || !TEMPLATE_ID_PATTERN.test(id)) {
+        errors.push('id must be 2-32 lowercase letters, digits or dashes (e.g., day, overnight)');
+    } else if (getTemplate(id)) {
+        throw new Error(`Shift template already exists: ${id}`);
+    }
+
+    const template = buildTemplate({ ...input, id });
+    errors.push(...validateTemplate(template, input));
+    if (errors.length > 0) {
+        throw new Error(`Invalid shift template: ${errors.join('; ')}`);
+    }
+
+    await templateStore.update(document => {
+        document.templates[id] = template;
+    });
+
+    invalidateShiftReads();
+    console.log(`➕ Shift template added: ${id} (${template.startHour}:00-${template.endHour}:00)`);
+    return template;
+}
+
+/**
+ * Update a shift template
+ * @param {string} templateId - Template ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} Updated template
+ */
+async function updateTemplate(templateId, changes = {}) {
+    const existing = getTemplate(templateId);
+    if (!existing) {
+        throw new Error(`Shift template not found: ${templateId}`);
+    }
+
+    const template = buildTemplate({ ...changes, id: templateId }, existing);
+    const errors = validateTemplate(template, changes);
+    if (changes.id !== undefined && changes.id !== templateId) {
+        errors.push('id cannot be changed');
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid shift template: ${errors.join('; ')}`);
+    }
+
+    await templateStore.update(document => {
+        document.templates[templateId] = template;
+    });
+
+    invalidateShiftReads();
+    console.log(`✏️ Shift template updated: ${templateId}`);
+    return template;
+}
+
+/**
+ * Delete a shift template that no assignment refers to
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Deleted template
+ */
+async function deleteTemplate(templateId) {
+    const existing = getTemplate(templateId);
+    if (!existing) {
+        throw new Error(`Shift template not found: ${templateId}`);
+    }
+
+    const inUse = templateStore.get().assignments.filter(assignment => assignment.templateId === templateId);
+    if (inUse.length > 0) {
+        throw new Error(`Shift template ${templateId} is used by ${inUse.length} assignment(s); delete or reassign them first`);
+    }
+    const rosters = Object.values(getRosterMap()).filter(roster => roster.cycle.includes(templateId));
+    if (rosters.length > 0) {
+        throw new Error(`Shift template ${templateId} is used by roster(s): ${rosters.map(roster => roster.id).join(', ')}`);
+    }
+
+    await templateStore.update(document => {
+        delete document.templates[templateId];
+    });
+
+    invalidateShiftReads();
+    console.log(`➖ Shift template removed: ${templateId}`);
+    return existing;
+}
+
+/**
+ * Validate roster fields
+ * @param {Object} roster - Complete roster (after merging changes)
+ * @param {Object} input - Fields supplied in the request
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateRoster(roster, input) {
+    const errors = [];
+
+    Object.keys(input).forEach(field => {
+        if (!ROSTER_FIELDS.includes(field)) {
+            errors.push(`Unknown field: ${field}`);
+        }
+    });
+
+    if (typeof roster.name !== 'string' || roster.name.trim() === '') {
+        errors.push('name is required');
+    }
+    if (roster.description !== null && typeof roster.description !== 'string') {
+        errors.push('description must be a string');
+    }
+    if (!timezone.isDateKey(roster.anchorDate)) {
+        errors.push('anchorDate must be a date in YYYY-MM-DD format');
+    }
+    if (!Array.isArray(roster.cycle) || roster.cycle.length === 0 || roster.cycle.length > MAX_CYCLE_DAYS) {
+        errors.push(`cycle must be an array of 1 to ${MAX_CYCLE_DAYS} days`);
+    } else {
+        roster.cycle.forEach((templateId, index) => {
+            if (templateId !== null && !getTemplate(templateId)) {
+                errors.push(`cycle[${index}]: shift template not found: ${templateId}`);
+            }
+        });
+        if (roster.cycle.every(templateId => templateId === null)) {
+            errors.push('cycle must contain at least one working day');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Build a complete roster
+ * @param {Object} input - Roster fields
+ * @param {Object} base - Existing roster when updating
+ * @returns {Object} Roster
+ */
+function buildRoster(input, base = {}) {
+    const merged = { ...base, ...input };
+    return {
+        id: merged.id,
+        name: typeof merged.name === 'string' ? merged.name.trim() : merged.name,
+        description: merged.description === undefined ? null : merged.description,
+        anchorDate: merged.anchorDate,
+        cycle: Array.isArray(merged.cycle) ? merged.cycle.map(day => (day === null || day === '' ? null : day)) : merged.cycle,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Get all rosters
+ * @returns {Array} Rosters
+ */
+function getRosters() {
+    return Object.values(getRosterMap());
+}
+
+/**
+ * Get a roster
+ * @param {string} rosterId - Roster ID
+ * @returns {Object|null} Roster or null if not found
+ */
+function getRoster(rosterId) {
+    return getRosterMap()[rosterId] || null;
+}
+
+/**
+ * Create a roster: a repeating cycle of shift templates (null = off day) starting on its anchor date
+ * @param {Object} input - Roster fields (id, name, anchorDate and cycle required)
+ * @returns {Promise<Object>} Created roster
+ */
+async function createRoster(input = {}) {
+    const id = typeof input.id === 'string' ? input.id.trim().toLowerCase() : input.id;
+    const errors = [];
+
+    if (!id) {
+        errors.push('id is required');
+    } else if (typeof id !== 'string' || !TEMPLATE_ID_PATTERN.test(id)) {
+        errors.push('id must be 2-32 lowercase letters, digits or dashes (e.g., 4on-3off, day-night)');
+    } else if (getRoster(id)) {
+        throw new Error(`Roster already exists: ${id}`);
+    }
+
+    const roster = buildRoster({ ...input, id });
+    errors.push(...validateRoster(roster, input));
+    if (errors.length > 0) {
+        throw new Error(`Invalid roster: ${errors.join('; ')}`);
+    }
+
+    await templateStore.update(document => {
+        document.rosters = { ...document.rosters, [id]: roster };
+    });
+
+    invalidateShiftReads();
+    console.log(`➕ Roster added: ${id} (${roster.cycle.length}-day cycle from ${roster.anchorDate})`);
+    return roster;
+}
+
+/**
+ * Update a roster
+ * @param {string} rosterId - Roster ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} Updated roster
+ */
+async function updateRoster(rosterId, changes = {}) {
+    const existing = getRoster(rosterId);
+    if (!existing) {
+        throw new Error(`Roster not found: ${rosterId}`);
+    }
+
+    const roster = buildRoster({ ...changes, id: rosterId }, existing);
+    const errors = validateRoster(roster, changes);
+    if (changes.id !== undefined && changes.id !== rosterId) {
+        errors.push('id cannot be changed');
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid roster: ${errors.join('; ')}`);
+    }
+
+    await templateStore.update(document => {
+        document.rosters = { ...document.rosters, [rosterId]: roster };
+    });
+
+    invalidateShiftReads();
+    console.log(`✏️ Roster updated: ${rosterId}`);
+    return roster;
+}
+
+/**
+ * Delete a roster that no assignment refers to
+ * @param {string} rosterId - Roster ID
+ * @returns {Promise<Object>} Deleted roster
+ */
+async function deleteRoster(rosterId) {
+    const existing = getRoster(rosterId);
+    if (!existing) {
+        throw new Error(`Roster not found: ${rosterId}`);
+    }
+
+    const inUse = templateStore.get().assignments.filter(assignment => assignment.rosterId === rosterId);
+    if (inUse.length > 0) {
+        throw new Error(`Roster ${rosterId} is used by ${inUse.length} assignment(s); delete or reassign them first`);
+    }
+
+    await templateStore.update(document => {
+        const { [rosterId]: removed, ...rosters } = document.rosters || {};
+        document.rosters = rosters;
+    });
+
+    invalidateShiftReads();
+    console.log(`➖ Roster removed: ${rosterId}`);
+    return existing;
+}
+
+/**
+ * Get the template a roster schedules on a date
+ * @param {Object} roster - Roster
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object} { cycleDay (1 on the anchor date), templateId (null on off days) }
+ */
+function getRosterDay(roster, date) {
+    const length = roster.cycle.length;
+    const index = ((timezone.daysBetween(roster.anchorDate, date) % length) + length) % length;
+    return { cycleDay: index + 1, templateId: roster.cycle[index] };
+}
+
+/**
+ * Check whether two assignments target the same employee
+ * @param {Object} a - Assignment
+ * @param {Object} b - Assignment
+ * @returns {boolean} True when they target the same employee
+ */
+function sameTarget(a, b) {
+    if (a.employeeId || b.employeeId) {
+        return a.employeeId === b.employeeId;
+    }
+    return a.deviceUserId === b.deviceUserId && a.devicePrefix === b.devicePrefix;
+}
+
+/**
+ * Check whether two assignments' effective periods overlap
+ * @param {Object} a - Assignment
+ * @param {Object} b - Assignment
+ * @returns {boolean} True when they overlap
+ */
+function periodsOverlap(a, b) {
+    return (!a.effectiveTo || a.effectiveTo >= b.effectiveFrom) && (!b.effectiveTo || b.effectiveTo >= a.effectiveFrom);
+}
+
+/**
+ * Validate an assignment
+ * @param {Object} assignment - Complete assignment (after merging changes)
+ * @param {Object} input - Fields supplied in the request
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateAssignment(assignment, input) {
+    const errors = [];
+
+    Object.keys(input).forEach(field => {
+        if (!ASSIGNMENT_FIELDS.includes(field)) {
+            errors.push(`Unknown field: ${field}`);
+        }
+    });
+
+    if (!assignment.deviceUserId && !assignment.employeeId) {
+        errors.push('deviceUserId or employeeId is required');
+    } else if (assignment.deviceUserId && assignment.employeeId) {
+        errors.push('use either deviceUserId or employeeId, not both');
+    }
+    ['deviceUserId', 'employeeId', 'note'].forEach(field => {
+        if (assignment[field] !== null && typeof assignment[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+    });
+    if (assignment.devicePrefix !== null && !deviceService.validateDeviceId(assignment.devicePrefix)) {
+        errors.push(`Device not found: ${assignment.devicePrefix}`);
+    }
+    if (assignment.employeeId && assignment.devicePrefix) {
+        errors.push('devicePrefix applies to deviceUserId assignments only');
+    }
+    if (typeof assignment.employeeId === 'string' && !employeeService.getEmployee(assignment.employeeId)) {
+        errors.push(`Employee not found: ${assignment.employeeId}`);
+    }
+    if (!assignment.templateId === !assignment.rosterId) {
+        errors.push('either templateId or rosterId is required');
+    } else if (assignment.templateId && !getTemplate(assignment.templateId)) {
+        errors.push(`Shift template not found: ${assignment.templateId}`);
+    } else if (assignment.rosterId && !getRoster(assignment.rosterId)) {
+        errors.push(`Roster not found: ${assignment.rosterId}`);
+    }
+    if (!timezone.isDateKey(assignment.effectiveFrom)) {
+        errors.push('effectiveFrom must be a date in YYYY-MM-DD format');
+    }
+    if (assignment.effectiveTo !== null && !timezone.isDateKey(assignment.effectiveTo)) {
+        errors.push('effectiveTo must be a date in YYYY-MM-DD format');
+    } else if (assignment.effectiveTo !== null && assignment.effectiveTo < assignment.effectiveFrom) {
+        errors.push('effectiveTo must be on or after effectiveFrom');
+    }
+
+    if (errors.length === 0) {
+        const overlapping = templateStore.get().assignments.find(other =>
+            other.id !== assignment.id && sameTarget(other, assignment) && periodsOverlap(other, assignment));
+        if (overlapping) {
+            errors.push(`overlaps assignment ${overlapping.id} (${overlapping.effectiveFrom} to ${overlapping.effectiveTo || 'open-ended'})`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Build a complete assignment
+ * @param {Object} input - Assignment fields
+ * @param {Object} base - Existing assignment when updating
+ * @returns {Object} Assignment
+ */
+function buildAssignment(input, base = {}) {
+    const merged = { ...base, ...input };
+    return {
+        id: merged.id,
+        deviceUserId: merged.deviceUserId === undefined || merged.deviceUserId === null ? null : String(merged.deviceUserId),
+        devicePrefix: merged.devicePrefix || null,
+        employeeId: merged.employeeId || null,
+        templateId: merged.templateId || null,
+        rosterId: merged.rosterId || null,
+        effectiveFrom: merged.effectiveFrom,
+        effectiveTo: merged.effectiveTo || null,
+        note: merged.note || null,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Get shift assignments, optionally filtered
+ * @param {Object} filters - { deviceUserId, devicePrefix, employeeId, templateId, date }
+ * @returns {Array} Matching assignments
+ */
+function getAssignments(filters = {}) {
+    return templateStore.get().assignments.filter(assignment => {
+        if (filters.deviceUserId && assignment.deviceUserId !== String(filters.deviceUserId)) return false;
+        if (filters.devicePrefix && assignment.devicePrefix && assignment.devicePrefix !== filters.devicePrefix) return false;
+        if (filters.employeeId && assignment.employeeId !== filters.employeeId) return false;
+        if (filters.templateId && assignment.templateId !== filters.templateId) return false;
+        if (filters.rosterId && assignment.rosterId !== filters.rosterId) return false;
+        if (filters.date && (assignment.effectiveFrom > filters.date || (assignment.effectiveTo && assignment.effectiveTo < filters.date))) return false;
+        return true;
+    });
+}
+
+/**
+ * Assign an employee to a shift template
+ * @param {Object} input - Assignment fields
+ * @returns {Promise<Object>} Created assignment
+ */
+async function createAssignment(input = {}) {
+    const assignment = buildAssignment({ ...input, id: `asg_${crypto.randomBytes(6).toString('hex')}` });
+    const errors = validateAssignment(assignment, input);
+    if (errors.length > 0) {
+        throw new Error(`Invalid shift assignment: ${errors.join('; ')}`);
+    }
+
+    await templateStore.update(document => {
+        document.assignments.push(assignment);
+    });
+
+    invalidateShiftReads([assignment]);
+    const target = assignment.employeeId || `${assignment.devicePrefix || '*'}/${assignment.deviceUserId}`;
+    console.log(`➕ Shift assignment ${assignment.id}: ${target} → ${assignment.templateId || `roster ${assignment.rosterId}`} from ${assignment.effectiveFrom}`);
+    return assignment;
+}
+
+/**
+ * Update a shift assignment
+ * @param {string} assignmentId - Assignment ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} Updated assignment
+ */
+async function updateAssignment(assignmentId, changes = {}) {
+    const existing = templateStore.get().assignments.find(assignment => assignment.id === assignmentId);
+    if (!existing) {
+        throw new Error(`Shift assignment not found: ${assignmentId}`);
+    }
+
+    const assignment = buildAssignment({ ...changes, id: assignmentId }, existing);
+    const errors = validateAssignment(assignment, changes);
+    if (errors.length > 0) {
+        throw new Error(`Invalid shift assignment: ${errors.join('; ')}`);
+    }
+
+    await templateStore.update(document => {
+        document.assignments = document.assignments.map(other => (other.id === assignmentId ? assignment : other));
+    });
+
+    invalidateShiftReads([existing, assignment]);
+    console.log(`✏️ Shift assignment updated: ${assignmentId}`);
+    return assignment;
+}
+
+/**
+ * Delete a shift assignment
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Promise<Object>} Deleted assignment
+ */
+async function deleteAssignment(assignmentId) {
+    const existing = templateStore.get().assignments.find(assignment => assignment.id === assignmentId);
+    if (!existing) {
+        throw new Error(`Shift assignment not found: ${assignmentId}`);
+    }
+
+    await templateStore.update(document => {
+        document.assignments = document.assignments.filter(assignment => assignment.id !== assignmentId);
+    });
+
+    invalidateShiftReads([existing]);
+    console.log(`➖ Shift assignment removed: ${assignmentId}`);
+    return existing;
+}
+
+/**
+ * Find the assignment in effect for an employee on a date
+ * A device user assignment for the same device wins over one for any device, which wins over a global employee ID.
+ * @param {Object} employee - { devicePrefix, deviceUserId, employeeId }
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object|null} { assignment, template, roster, cycleDay } or null when the device default applies;
+ *   template is null on a roster's off days
+ */
+function resolveAssignment({ devicePrefix, deviceUserId, employeeId }, date) {
+    const { assignments, templates } = templateStore.get();
+    const rosters = getRosterMap();
+    const inEffect = assignments.filter(assignment =>
+        assignment.effectiveFrom <= date && (!assignment.effectiveTo || assignment.effectiveTo >= date) &&
+        (assignment.rosterId ? rosters[assignment.rosterId] : templates[assignment.templateId]));
+
+    const userId = deviceUserId === undefined || deviceUserId === null ? null : String(deviceUserId);
+    const assignment =
+        inEffect.find(a => a.deviceUserId && a.deviceUserId === userId && a.devicePrefix === devicePrefix) ||
+        inEffect.find(a => a.deviceUserId && a.deviceUserId === userId && !a.devicePrefix) ||
+        (employeeId ? inEffect.find(a => a.employeeId === employeeId) : null);
+
+    if (!assignment) {
+        return null;
+    }
+    if (assignment.rosterId) {
+        const roster = rosters[assignment.rosterId];
+        const { cycleDay, templateId } = getRosterDay(roster, date);
+        return { assignment, template: templateId ? templates[templateId] || null : null, roster, cycleDay };
+    }
+    return { assignment, template: templates[assignment.templateId], roster: null, cycleDay: null };
+}
+
+module.exports = {
+    HOUR_FIELDS,
+    RULE_DEFAULTS,
+    getTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    getRosters,
+    getRoster,
+    createRoster,
+    updateRoster,
+    deleteRoster,
+    getRosterDay,
+    getAssignments,
+    createAssignment,
+    updateAssignment,
+    deleteAssignment,
+    resolveAssignment
+};
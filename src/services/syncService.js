@@ -0,0 +1,480 @@
+// src/services/syncService.js
+// Device sync with per-device watermarks (last-seen userSn / recordTime)
+
+const config = require('../config');
+const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+const deviceService = require('./deviceService');
+const employeeService = require('./employeeService');
+const deviceAdapters = require('../devices');
+const punchStore = require('../storage/punchStore');
+const JsonFileStore = require('../storage/jsonFileStore');
+
+// Persisted sync state: { devices: { [prefix]: state } }
+const syncStateStore = new JsonFileStore('sync-state.json', () => ({ devices: {} }));
+
+// Last pulled list of users enrolled on each device: { devices: { [prefix]: { fetchedAt, users } } }
+const userListStore = new JsonFileStore('device-users.json', () => ({ devices: {} }));
+
+// Page size of the new-punch endpoint
+const DEFAULT_NEW_PUNCH_LIMIT = 1000;
+const MAX_NEW_PUNCH_LIMIT = 5000;
+
+// Stored punches are re-resolved on load, so reload a device whose timezone may have changed
+deviceService.onDevicesChanged(({ action, deviceId }) => {
+    if (action === 'updated') {
+        punchStore.unload(deviceId);
+    }
+});
+
+/**
+ * Create an empty sync state for a device
+ * @param {string} prefix - Device prefix
+ * @returns {Object} Initial sync state
+ */
+function createEmptyState(prefix) {
+    return {
+        deviceId: prefix,
+        watermark: {
+            userSn: null,
+            recordTime: null
+        },
+        lastSyncAt: null,
+        lastSuccessAt: null,
+        lastStatus: 'never',
+        lastError: null,
+        lastFetchedRecords: 0,
+        lastNewRecords: 0,
+        logClearsDetected: 0,
+        consecutiveFailures: 0,
+        totalSyncs: 0
+    };
+}
+
+/**
+ * Get the persisted sync state for a device
+ * @param {string} prefix - Device prefix
+ * @returns {Object} Sync state
+ */
+function getState(prefix) {
+    const { devices } = syncStateStore.get();
+    return devices[prefix] || createEmptyState(prefix);
+}
+
+/**
+ * Compute the watermark (highest userSn and recordTime) of a pulled batch
+ * @param {Array} records - Pulled attendance records
+ * @returns {Object} { userSn, recordTime }
+ */
+function computeWatermark(records) {
+    let userSn = null;
+    let recordTime = null;
+
+    records.forEach(record => {
+        if (typeof record.userSn === 'number' && (userSn === null || record.userSn > userSn)) {
+            userSn = record.userSn;
+        }
+        const time = new Date(record.recordTime);
+        if (!Number.isNaN(time.getTime()) && (recordTime === null || time > recordTime)) {
+            recordTime = time;
+        }
+    });
+
+    return {
+        userSn,
+        recordTime: recordTime ? recordTime.toISOString() : null
+    };
+}
+
+/**
+ * Select the records past a previous watermark
+ * userSn is the device's log sequence, so it is used while the log is intact;
+ * after a log clear the sequence restarts and recordTime is used instead.
+ * @param {Array} records - Pulled attendance records
+ * @param {Object} watermark - Previous watermark
+ * @param {boolean} logCleared - Whether the device log was cleared since the previous sync
+ * @returns {Array} Records newer than the watermark
+ */
+function selectNewRecords(records, watermark, logCleared) {
+    if (watermark.userSn === null && watermark.recordTime === null) {
+        return records;
+    }
+
+    if (logCleared || watermark.userSn === null) {
+        const since = watermark.recordTime;
+        return records.filter(record => new Date(record.recordTime).toISOString() > since);
+    }
+
+    return records.filter(record => record.userSn > watermark.userSn);
+}
+
+/**
+ * Persist pulled attendance logs to the punch store
+ * Store failures are logged but never fail the sync itself
+ * @param {string} prefix - Device prefix the logs were pulled from
+ * @param {Array} records - Pulled attendance records
+ * @returns {Promise<Object>} Ingest summary
+ */
+async function persistRecords(prefix, records) {
+    try {
+        const ingest = { success: true, ...await punchStore.ingest(prefix, records) };
+        console.log(`💾 [${prefix}] Stored ${ingest.inserted} new records (${ingest.duplicates} already stored)`);
+        return ingest;
+    } catch (storeError) {
+        console.log(`⚠️ [${prefix}] Failed to persist attendance records: ${storeError.message}`);
+        return { deviceId: prefix, success: false, error: storeError.message };
+    }
+}
+
+/**
+ * Persist the outcome of a sync attempt
+ * @param {string} prefix - Device prefix
+ * @param {Function} apply - Receives the device state to update
+ * @returns {Promise<Object>} Updated state
+ */
+async function saveState(prefix, apply) {
+    let updated = null;
+    await syncStateStore.update(document => {
+        const state = document.devices[prefix] || createEmptyState(prefix);
+        state.lastSyncAt = new Date().toISOString();
+        state.totalSyncs++;
+        apply(state);
+        document.devices[prefix] = state;
+        updated = state;
+    });
+    return updated;
+}
+
+/**
+ * Pull attendance from a device, persist it and advance the device watermark
+ * Devices always send their full log, so the download itself is not incremental;
+ * the watermark decides which of the pulled punches are new.
+ * Syncs requested while one is running for the device share its download and result.
+ * @param {string} prefix - Device prefix (e.g., 'pk01', 'us01')
+ * @returns {Promise<Object>} Sync result including the new records
+ */
+function syncDevice(prefix) {
+    return deviceAdapters.coalesce(`${prefix}:attendance`, () => pullAttendance(prefix));
+}
+
+/**
+ * Run one attendance sync (see syncDevice)
+ * @param {string} prefix - Device prefix
+ * @returns {Promise<Object>} Sync result including the new records
+ */
+async function pullAttendance(prefix) {
+    const deviceConfig = deviceService.getDeviceConfig(prefix);
+    if (!deviceConfig) {
+        throw new Error(`Device not found: ${prefix}`);
+    }
+
+    try {
+        return await deviceAdapters.withSession(prefix, async adapter => {
+            // Read inside the session so a sync that waited its turn starts from the previous sync's watermark
+            const previous = getState(prefix);
+            const attendanceLogs = await adapter.getAttendances();
+            const pulled = attendanceLogs.data;
+            const ingest = await persistRecords(prefix, pulled);
+
+            // Keep the user list the adapter read alongside the log instead of pulling it again
+            if (Array.isArray(attendanceLogs.users) && attendanceLogs.users.length > 0) {
+                try {
+                    await saveUserList(prefix, attendanceLogs.users);
+                } catch (userError) {
+                    console.log(`⚠️ [${prefix}] Failed to save enrolled users: ${userError.message}`);
+                }
+            }
+
+            const batchWatermark = computeWatermark(pulled);
+            const logCleared = previous.watermark.userSn !== null &&
+                (batchWatermark.userSn === null || batchWatermark.userSn < previous.watermark.userSn);
+
+            if (logCleared) {
+                console.log(`⚠️ [${prefix}] Device log sequence went back (${previous.watermark.userSn} → ${batchWatermark.userSn}), device log was cleared`);
+            }
+
+            const fetchedAt = new Date().toISOString();
+            const newRecords = selectNewRecords(pulled, previous.watermark, logCleared)
+                .map(record => punchStore.normalizeRecord(prefix, record, fetchedAt))
+                .filter(Boolean);
+
+            const watermark = {
+                userSn: batchWatermark.userSn !== null ? batchWatermark.userSn : previous.watermark.userSn,
+                recordTime: [batchWatermark.recordTime, previous.watermark.recordTime].filter(Boolean).sort().pop() || null
+            };
+
+            const state = await saveState(prefix, s => {
+                s.watermark = watermark;
+                s.lastSuccessAt = fetchedAt;
+                s.lastStatus = 'success';
+                s.lastError = null;
+                s.lastFetchedRecords = pulled.length;
+                s.lastNewRecords = newRecords.length;
+                s.consecutiveFailures = 0;
+                if (logCleared) s.logClearsDetected++;
+            });
+
+            console.log(`📊 [${prefix}] Retrieved ${pulled.length} attendance records, ${newRecords.length} new since last sync`);
+
+            return {
+                success: true,
+                deviceId: prefix,
+                fetchedAt,
+                fetchedRecords: pulled.length,
+                newRecordCount: newRecords.length,
+                logCleared,
+                watermark: {
+                    before: previous.watermark,
+                    after: state.watermark
+                },
+                ingest,
+                newRecords
+            };
+        });
+
+    } catch (error) {
+        console.error(`❌ [${prefix}] Failed to fetch attendance data: ${error.message}`);
+
+        // Waiting too long behind other sessions says nothing about the device itself
+        if (error.code === 'DEVICE_BUSY') {
+            throw error;
+        }
+
+        // Provide more specific error messages
+        let errorMessage = error.message || 'Unknown error occurred';
+        if (errorMessage === 'undefined') {
+            errorMessage = 'Connection lost or device unreachable';
+        } else if (errorMessage.includes('timeout')) {
+            errorMessage = 'Device connection timeout';
+        } else if (errorMessage.includes('connection')) {
+            errorMessage = 'Failed to establish connection with device';
+        }
+
+        try {
+            await saveState(prefix, s => {
+                s.lastStatus = 'failed';
+                s.lastError = errorMessage;
+                s.consecutiveFailures++;
+            });
+        } catch (stateError) {
+            console.log(`⚠️ [${prefix}] Failed to persist sync state: ${stateError.message}`);
+        }
+
+        throw new Error(errorMessage);
+    }
+}
+
+/**
+ * Keep a device's enrolled user list and merge it into the employee directory
+ * @param {string} prefix - Device prefix
+ * @param {Array} users - Users as returned by the adapter
+ * @returns {Promise<Object>} { fetchedAt, users } where users are { userId, name, role, cardno }
+ */
+async function saveUserList(prefix, users) {
+    const entry = {
+        fetchedAt: new Date().toISOString(),
+        users: users.map(user => ({
+            userId: String(user.userId),
+            name: user.name || null,
+            role: user.role || 0,
+            cardno: user.cardno || 0
+        }))
+    };
+    await userListStore.update(document => {
+        document.devices[prefix] = entry;
+    });
+    await employeeService.syncDeviceUsers(prefix, entry.users);
+    return entry;
+}
+
+/**
+ * Pull the list of users enrolled on a device and keep it
+ * @param {string} prefix - Device prefix
+ * @returns {Promise<Object>} { fetchedAt, users } where users are { userId, name, role, cardno }
+ */
+function syncUsers(prefix) {
+    return deviceAdapters.coalesce(`${prefix}:users`, () => deviceAdapters.withSession(prefix, async adapter => {
+        const result = await adapter.getUsers();
+        if (result.err) {
+            throw result.err;
+        }
+
+        const entry = await saveUserList(prefix, result.data);
+
+        console.log(`👥 [${prefix}] Retrieved ${entry.users.length} enrolled users`);
+        return entry;
+    }));
+}
+
+/**
+ * Get the users enrolled on a device, pulling the list again once it is older than the configured age
+ * Falls back to the last pulled list when the device is unreachable.
+ * @param {string} prefix - Device prefix
+ * @returns {Promise<Object>} { users, fetchedAt, source ('device', 'cache' or 'none'), error }
+ */
+async function getDeviceUsers(prefix) {
+    const cached = userListStore.get().devices[prefix] || null;
+    const maxAgeMs = config.STORAGE.USER_LIST_MAX_AGE_MINUTES * 60000;
+
+    if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < maxAgeMs) {
+        return { users: cached.users, fetchedAt: cached.fetchedAt, source: 'cache', error: null };
+    }
+
+    try {
+        const entry = await syncUsers(prefix);
+        return { users: entry.users, fetchedAt: entry.fetchedAt, source: 'device', error: null };
+    } catch (error) {
+        console.log(`⚠️ [${prefix}] Failed to pull enrolled users: ${error.message}`);
+        return {
+            users: cached ? cached.users : [],
+            fetchedAt: cached ? cached.fetchedAt : null,
+            source: cached ? 'cache' : 'none',
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get punches stored for a device since a client-held cursor
+ * The device is synced first (falling back to the punch store when it is unreachable). Delivery
+ * is tracked by the caller: each response returns `nextCursor`, to be passed back as `cursor`
+ * on the next call, so any number of consumers can read independently and reading changes
+ * nothing on the server. A punch pulled late (e.g. from a device that was offline) gets a
+ * later cursor position than punches stored before it, so it is still delivered.
+ * @param {string} prefix - Device prefix
+ * @param {Object} options - Optional { cursor (nextCursor of the previous call), since (ISO timestamp), limit }
+ * @returns {Promise<Object>} New punches response
+ */
+async function getNewPunches(prefix, options = {}) {
+    try {
+        errorTracker.reset();
+
+        if (!prefix) {
+            throw errorTracker.setError(ERROR_STEPS.SYNC_SERVICE, 'Device prefix is required');
+        }
+
+        const deviceConfig = deviceService.getDeviceConfig(prefix);
+        if (!deviceConfig) {
+            throw errorTracker.setError(ERROR_STEPS.SYNC_SERVICE, `Device not found: ${prefix}`);
+        }
+
+        const cursor = options.cursor === undefined || options.cursor === null ? 0 : Number(options.cursor);
+        if (!Number.isInteger(cursor) || cursor < 0) {
+            throw errorTracker.setError(ERROR_STEPS.SYNC_SERVICE, 'Invalid cursor. Pass summary.nextCursor from the previous call');
+        }
+
+        const limit = options.limit === undefined || options.limit === null ? DEFAULT_NEW_PUNCH_LIMIT : Number(options.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_NEW_PUNCH_LIMIT) {
+            throw errorTracker.setError(ERROR_STEPS.SYNC_SERVICE, `limit must be an integer between 1 and ${MAX_NEW_PUNCH_LIMIT}`);
+        }
+
+        let sinceTime = null;
+        if (options.since) {
+            sinceTime = new Date(options.since);
+            if (Number.isNaN(sinceTime.getTime())) {
+                throw errorTracker.setError(ERROR_STEPS.SYNC_SERVICE, 'Invalid since value. Use an ISO 8601 timestamp');
+            }
+        }
+
+        let sync;
+        try {
+            sync = await syncDevice(prefix);
+        } catch (error) {
+            sync = { success: false, error: error.message };
+        }
+
+        const page = await punchStore.readAfter(prefix, cursor, { since: sinceTime, limit });
+        const records = page.records;
+        const { newRecords, ...syncSummary } = sync;
+
+        return {
+            success: true,
+            data: {
+                deviceId: prefix,
+                deviceName: deviceConfig.name,
+                cursor,
+                since: sinceTime ? sinceTime.toISOString() : null,
+                source: sync.success ? 'device' : 'store',
+                sync: syncSummary,
+                recordCount: records.length,
+                hasMore: page.hasMore,
+                nextCursor: page.cursor,
+                data: records
+            },
+            summary: {
+                deviceId: prefix,
+                recordCount: records.length,
+                uniqueEmployees: new Set(records.map(record => record.deviceUserId)).size,
+                hasMore: page.hasMore,
+                nextCursor: page.cursor
+            }
+        };
+
+    } catch (error) {
+        if (errorTracker.hasError()) {
+            return errorTracker.getErrorResponse();
+        }
+
+        return {
+            success: false,
+            error: error.message,
+            requestId: errorTracker.requestId
+        };
+    }
+}
+
+/**
+ * Get the sync state report for a device
+ * @param {string} prefix - Device prefix
+ * @returns {Promise<Object>} Sync state with punch store statistics
+ */
+async function getSyncState(prefix) {
+    const state = getState(prefix);
+    const store = await punchStore.getStats(prefix);
+
+    return {
+        ...state,
+        store
+    };
+}
+
+/**
+ * Get the sync state report for all configured devices
+ * @returns {Promise<Object>} Fleet sync state report
+ */
+async function getAllSyncStates() {
+    const devices = deviceService.getAllDevices();
+    const states = {};
+    const summary = {
+        totalDevices: devices.length,
+        healthy: 0,
+        failing: 0,
+        neverSynced: 0
+    };
+
+    for (const device of devices) {
+        const state = await getSyncState(device.id);
+        states[device.id] = state;
+
+        if (state.lastStatus === 'success') {
+            summary.healthy++;
+        } else if (state.lastStatus === 'failed') {
+            summary.failing++;
+        } else {
+            summary.neverSynced++;
+        }
+    }
+
+    return {
+        devices: states,
+        summary
+    };
+}
+
+module.exports = {
+    syncDevice,
+    syncUsers,
+    getDeviceUsers,
+    getNewPunches,
+    getSyncState,
+    getAllSyncStates
+};
@@ -0,0 +1,483 @@
+// src/services/timesheetService.js
+// Monthly timesheets per employee and the configurable payroll-import column layout
+
+const timezone = require('../utils/timezone');
+const requestContext = require('../utils/requestContext');
+const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+const logger = require('../utils/logger');
+const JsonFileStore = require('../storage/jsonFileStore');
+const deviceService = require('./deviceService');
+const attendanceService = require('./attendanceService');
+const syncService = require('./syncService');
+const employeeService = require('./employeeService');
+const exceptionService = require('./exceptionService');
+const ShiftService = require('./shiftService');
+
+// Shift pairing and resolution (assignments, rosters, holidays) live in ShiftService
+const shiftService = new ShiftService();
+
+// Columns of the standard timesheet export, in order
+const STANDARD_COLUMNS = [
+    { header: 'Month', field: 'month' },
+    { header: 'Device', field: 'devicePrefix' },
+    { header: 'Device User ID', field: 'deviceUserId' },
+    { header: 'Employee ID', field: 'employeeId' },
+    { header: 'Employee Code', field: 'employeeCode' },
+    { header: 'Employee Name', field: 'employeeName' },
+    { header: 'Department', field: 'department' },
+    { header: 'Scheduled Days', field: 'scheduledDays' },
+    { header: 'Days Present', field: 'daysPresent' },
+    { header: 'Absences', field: 'absences' },
+    { header: 'Off Days', field: 'offDays' },
+    { header: 'Holidays', field: 'holidays' },
+    { header: 'Off Days Worked', field: 'offDaysWorked' },
+    { header: 'Late Days', field: 'lateDays' },
+    { header: 'Late Minutes', field: 'lateMinutes' },
+    { header: 'Early Leave Days', field: 'earlyLeaveDays' },
+    { header: 'Early Leave Minutes', field: 'earlyLeaveMinutes' },
+    { header: 'Missing Punches', field: 'missingPunches' },
+    { header: 'Worked Hours', field: 'workedHours' },
+    { header: 'Regular Hours', field: 'regularHours' },
+    { header: 'Overtime Hours', field: 'overtimeHours' },
+    { header: 'Worked Minutes', field: 'workedMinutes' },
+    { header: 'Overtime Minutes', field: 'overtimeMinutes' }
+];
+
+// Row fields a payroll template column may reference
+const TIMESHEET_FIELDS = [...STANDARD_COLUMNS.map(column => column.field), 'from', 'to', 'regularMinutes'];
+
+// Template used until one is saved
+const DEFAULT_PAYROLL_TEMPLATE = {
+    name: 'default',
+    columns: [
+        { header: 'EmployeeCode', field: 'employeeCode', default: '' },
+        { header: 'EmployeeName', field: 'employeeName' },
+        { header: 'Department', field: 'department' },
+        { header: 'PeriodStart', field: 'from' },
+        { header: 'PeriodEnd', field: 'to' },
+        { header: 'DaysWorked', field: 'daysPresent' },
+        { header: 'DaysAbsent', field: 'absences' },
+        { header: 'RegularHours', field: 'regularHours' },
+        { header: 'OvertimeHours', field: 'overtimeHours' },
+        { header: 'LateMinutes', field: 'lateMinutes' }
+    ]
+};
+
+// Most columns a payroll template may define
+const MAX_TEMPLATE_COLUMNS = 100;
+
+const templateStore = new JsonFileStore('payroll-template.json', () => ({ template: null }));
+
+// When the same employee has different days on two devices, the first status in this list wins
+const STATUS_PRIORITY = ['present', 'absent', 'pending', 'holiday', 'off-day'];
+
+/**
+ * List the dates of a month
+ * @param {string} month - Month (YYYY-MM)
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ */
+function listMonthDates(month) {
+    const dates = [];
+    for (let date = `${month}-01`; date.startsWith(month); date = timezone.addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+/**
+ * Round minutes to hours with two decimals
+ * @param {number} minutes - Minutes
+ * @returns {number} Hours
+ */
+function toHours(minutes) {
+    return Math.round(minutes / 60 * 100) / 100;
+}
+
+/**
+ * Summarize one employee's day from their exception-report evaluation
+ * @param {string} date - Shift date
+ * @param {Object} evaluation - exceptionService.evaluateEmployee result
+ * @param {Object|null} shiftEntry - processShiftData entry, or null without punches
+ * @returns {Object} Day summary
+ */
+function summarizeDay(date, evaluation, shiftEntry) {
+    const workTime = (shiftEntry && shiftEntry.workTime) || {};
+    const types = evaluation.exceptions.map(exception => exception.type);
+    const { attendance } = evaluation;
+
+    return {
+        date,
+        status: attendance.status,
+        punched: Boolean(attendance.checkIn || attendance.checkOut),
+        lateMinutes: workTime.lateMinutes || 0,
+        earlyLeaveMinutes: workTime.earlyLeaveMinutes || 0,
+        workedMinutes: workTime.workedMinutes || 0,
+        overtimeMinutes: workTime.overtimeMinutes || 0,
+        missingPunch: types.includes('missing-check-in') || types.includes('missing-check-out')
+    };
+}
+
+/**
+ * Total an employee's days into timesheet figures
+ * @param {Array} days - Day summaries
+ * @returns {Object} Timesheet figures
+ */
+function totalDays(days) {
+    const count = predicate => days.filter(predicate).length;
+    const sum = field => days.reduce((total, day) => total + day[field], 0);
+    const offDay = day => day.status === 'off-day' || day.status === 'holiday';
+    const workedMinutes = sum('workedMinutes');
+    const overtimeMinutes = sum('overtimeMinutes');
+
+    return {
+        scheduledDays: count(day => !offDay(day)),
+        daysPresent: count(day => day.status === 'present'),
+        absences: count(day => day.status === 'absent'),
+        offDays: count(day => day.status === 'off-day'),
+        holidays: count(day => day.status === 'holiday'),
+        offDaysWorked: count(day => offDay(day) && day.punched),
+        lateDays: count(day => day.lateMinutes > 0),
+        lateMinutes: sum('lateMinutes'),
+        earlyLeaveDays: count(day => day.earlyLeaveMinutes > 0),
+        earlyLeaveMinutes: sum('earlyLeaveMinutes'),
+        missingPunches: count(day => day.missingPunch),
+        workedMinutes,
+        workedHours: toHours(workedMinutes),
+        regularMinutes: Math.max(workedMinutes - overtimeMinutes, 0),
+        regularHours: toHours(Math.max(workedMinutes - overtimeMinutes, 0)),
+        overtimeMinutes,
+        overtimeHours: toHours(overtimeMinutes)
+    };
+}
+
+/**
+ * Build the timesheet rows of one device
+ * @param {string} prefix - Device prefix
+ * @param {string} month - Month (YYYY-MM)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { source, timezone, rows }
+ */
+async function buildDeviceRows(prefix, month, now) {
+    const shiftConfig = shiftService.getShiftConfig(prefix);
+    const dates = listMonthDates(month);
+
+    // The month plus the following day, so the last night shift finds its check-out
+    const range = {
+        from: timezone.startOfDay(dates[0], shiftConfig.timezone),
+        to: timezone.startOfDay(timezone.addDays(dates[dates.length - 1], 2), shiftConfig.timezone)
+    };
+    const { records, source } = await attendanceService.readFromStore(prefix, range);
+    const userList = await syncService.getDeviceUsers(prefix);
+
+    // Everyone expected on any day of the month, plus anyone who punched
+    const employees = new Map();
+    const shiftEntries = new Map();
+    for (const date of dates) {
+        (await exceptionService.collectEmployees(prefix, date, userList)).forEach((employee, deviceUserId) => {
+            if (!employees.has(deviceUserId)) {
+                employees.set(deviceUserId, employee);
+            }
+        });
+
+        const entries = new Map(shiftService.processShiftData(records, shiftConfig, now, date)
+            .map(entry => [entry.deviceUserId, entry]));
+        entries.forEach((entry, deviceUserId) => {
+            if (!employees.has(deviceUserId) && (entry.shiftCheckIn || entry.shiftCheckOut)) {
+                employees.set(deviceUserId, {
+                    deviceUserId,
+                    employeeName: entry.employeeName,
+                    enrolled: userList.source === 'none' ? null : false
+                });
+            }
+        });
+        shiftEntries.set(date, entries);
+    }
+
+    const rows = employeeService.attachIdentity(prefix, [...employees.values()])
+        .sort((a, b) => a.deviceUserId.localeCompare(b.deviceUserId, undefined, { numeric: true }))
+        .map(employee => {
+            let employeeName = employee.employeeName;
+            const days = dates.map(date => {
+                const shiftEntry = shiftEntries.get(date).get(employee.deviceUserId) || null;
+                const evaluation = exceptionService.evaluateEmployee(employee, shiftEntry, shiftConfig, date, now);
+                employeeName = employeeName || evaluation.attendance.employeeName;
+                return summarizeDay(date, evaluation, shiftEntry);
+            });
+
+            return {
+                devicePrefix: prefix,
+                deviceUserId: employee.deviceUserId,
+                employeeId: employee.employeeId,
+                employeeCode: employee.employeeCode,
+                employeeName,
+                department: employee.department,
+                devices: [{ devicePrefix: prefix, deviceUserId: employee.deviceUserId }],
+                days
+            };
+        });
+
+    return { source, timezone: timezone.resolveTimeZone(shiftConfig.timezone), rows };
+}
+
+/**
+ * Merge the rows of employees enrolled on several devices into one row each
+ * @param {Array} rows - Device rows
+ * @returns {Array} One row per directory employee (device users without one stay per device)
+ */
+function mergeEmployeeRows(rows) {
+    const merged = new Map();
+
+    rows.forEach(row => {
+        const key = row.employeeId || `${row.devicePrefix}:${row.deviceUserId}`;
+        const existing = merged.get(key);
+        if (!existing) {
+            merged.set(key, { ...row, days: row.days.map(day => ({ ...day })) });
+            return;
+        }
+
+        existing.devices.push(...row.devices);
+        existing.employeeName = existing.employeeName || row.employeeName;
+        existing.days.forEach((day, index) => {
+            const other = row.days[index];
+            if (STATUS_PRIORITY.indexOf(other.status) < STATUS_PRIORITY.indexOf(day.status)) {
+                day.status = other.status;
+            }
+            day.punched = day.punched || other.punched;
+            day.missingPunch = day.missingPunch || other.missingPunch;
+            ['lateMinutes', 'earlyLeaveMinutes', 'workedMinutes', 'overtimeMinutes'].forEach(field => {
+                day[field] += other[field];
+            });
+        });
+    });
+
+    return [...merged.values()].map(row => ({
+        ...row,
+        devicePrefix: row.devices.map(device => device.devicePrefix).join(', '),
+        deviceUserId: row.devices.map(device => device.deviceUserId).join(', ')
+    }));
+}
+
+/**
+ * Build the monthly timesheet for a set of devices
+ * @param {Array<string>} prefixes - Device prefixes
+ * @param {string} month - Month (YYYY-MM)
+ * @returns {Promise<Object>} { devices, rows }
+ */
+async function buildTimesheet(prefixes, month) {
+    const now = new Date();
+    const devices = {};
+    const rows = [];
+
+    for (const prefix of prefixes) {
+        try {
+            const result = await requestContext.runChild({ devicePrefix: prefix }, () => buildDeviceRows(prefix, month, now));
+            devices[prefix] = { success: true, source: result.source, timezone: result.timezone, employees: result.rows.length };
+            rows.push(...result.rows);
+        } catch (error) {
+            logger.error(`Failed to build timesheet for ${prefix}`, { error: error.message });
+            devices[prefix] = { success: false, error: error.message };
+        }
+    }
+
+    const dates = listMonthDates(month);
+    const from = dates[0];
+    const to = dates[dates.length - 1];
+
+    const timesheetRows = mergeEmployeeRows(rows).map(row => ({
+        month,
+        from,
+        to,
+        devicePrefix: row.devicePrefix,
+        deviceUserId: row.deviceUserId,
+        employeeId: row.employeeId,
+        employeeCode: row.employeeCode,
+        employeeName: row.employeeName,
+        department: row.department,
+        ...totalDays(row.days),
+        devices: row.devices,
+        days: row.days
+    }));
+
+    const total = field => timesheetRows.reduce((sum, row) => sum + row[field], 0);
+
+    return {
+        success: true,
+        timestamp: new Date().toISOString(),
+        month,
+        from,
+        to,
+        devices,
+        summary: {
+            totalDevices: prefixes.length,
+            failedDevices: Object.values(devices).filter(device => !device.success).length,
+            employees: timesheetRows.length,
+            daysPresent: total('daysPresent'),
+            absences: total('absences'),
+            lateMinutes: total('lateMinutes'),
+            workedHours: toHours(total('workedMinutes')),
+            overtimeHours: toHours(total('overtimeMinutes'))
+        },
+        data: timesheetRows
+    };
+}
+
+/**
+ * Get the monthly timesheet of one device
+ * @param {string} prefix - Device prefix
+ * @param {string} month - Month (YYYY-MM)
+ * @returns {Promise<Object>} Timesheet
+ */
+async function getDeviceTimesheet(prefix, month) {
+    try {
+        const timesheet = await buildTimesheet([prefix], month);
+        if (!timesheet.devices[prefix].success) {
+            throw new Error(timesheet.devices[prefix].error);
+        }
+
+        return {
+            ...timesheet,
+            devicePrefix: prefix
+        };
+
+    } catch (error) {
+        errorTracker.trackError(ERROR_STEPS.TIMESHEET_SERVICE, 'getDeviceTimesheet', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get the monthly timesheet across devices, one row per employee
+ * An employee enrolled on several devices gets a single row covering all of them.
+ * @param {string} month - Month (YYYY-MM)
+ * @param {string|null} countryCode - Country code (e.g., 'PK'); all devices when omitted
+ * @returns {Promise<Object>} Timesheet
+ */
+async function getTimesheet(month, countryCode = null) {
+    try {
+        const devices = countryCode ? deviceService.getDevicesByCountry(countryCode) : deviceService.getAllDevices();
+        const timesheet = await buildTimesheet(devices.map(device => device.id), month);
+
+        return {
+            ...timesheet,
+            country: countryCode ? countryCode.toUpperCase() : null
+        };
+
+    } catch (error) {
+        errorTracker.trackError(ERROR_STEPS.TIMESHEET_SERVICE, 'getTimesheet', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get the payroll-import template
+ * @returns {Object} Template ({ name, columns, updatedAt })
+ */
+function getPayrollTemplate() {
+    return templateStore.get().template || { ...DEFAULT_PAYROLL_TEMPLATE, updatedAt: null };
+}
+
+/**
+ * Check a payroll-import template
+ * @param {Object} template - { name, columns: [{ header, field | value, default }] }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePayrollTemplate(template) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        return 'Template must be a JSON object';
+    }
+    if (template.name !== undefined && (typeof template.name !== 'string' || template.name.trim() === '')) {
+        return 'name must be a non-empty string';
+    }
+    if (!Array.isArray(template.columns) || template.columns.length === 0) {
+        return 'columns must be a non-empty array';
+    }
+    if (template.columns.length > MAX_TEMPLATE_COLUMNS) {
+        return `columns cannot exceed ${MAX_TEMPLATE_COLUMNS}`;
+    }
+
+    const isScalar = value => typeof value === 'string' || typeof value === 'number';
+    for (const [index, column] of template.columns.entries()) {
+        if (!column || typeof column !== 'object' || Array.isArray(column)) {
+            return `columns[${index}] must be an object`;
+        }
+        if (typeof column.header !== 'string' || column.header === '') {
+            return `columns[${index}].header is required`;
+        }
+        if ((column.field === undefined) === (column.value === undefined)) {
+            return `columns[${index}] needs either a field or a fixed value`;
+        }
+        if (column.field !== undefined && !TIMESHEET_FIELDS.includes(column.field)) {
+            return `columns[${index}].field must be one of: ${TIMESHEET_FIELDS.join(', ')}`;
+        }
+        if (column.value !== undefined && !isScalar(column.value)) {
+            return `columns[${index}].value must be a string or number`;
+        }
+        if (column.default !== undefined && !isScalar(column.default)) {
+            return `columns[${index}].default must be a string or number`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Save the payroll-import template
+ * @param {Object} template - { name, columns }
+ * @returns {Promise<Object>} Saved template
+ */
+async function setPayrollTemplate(template) {
+    const validationError = validatePayrollTemplate(template);
+    if (validationError) {
+        throw errorTracker.setError(ERROR_STEPS.TIMESHEET_SERVICE, validationError);
+    }
+
+    const saved = {
+        name: template.name ? template.name.trim() : 'custom',
+        columns: template.columns.map(column => {
+            const entry = { header: column.header };
+            ['field', 'value', 'default'].forEach(key => {
+                if (column[key] !== undefined) {
+                    entry[key] = column[key];
+                }
+            });
+            return entry;
+        }),
+        updatedAt: new Date().toISOString()
+    };
+    await templateStore.update(document => {
+        document.template = saved;
+    });
+
+    logger.info(`Payroll template saved: ${saved.name} (${saved.columns.length} columns)`);
+    return saved;
+}
+
+/**
+ * Lay a timesheet out as a table for export
+ * @param {Object} timesheet - getTimesheet or getDeviceTimesheet result
+ * @param {string} layout - 'standard' or 'payroll' (the saved payroll template)
+ * @returns {Object} { headers, rows }
+ */
+function toTable(timesheet, layout = 'standard') {
+    const columns = layout === 'payroll' ? getPayrollTemplate().columns : STANDARD_COLUMNS;
+    const cellValue = (row, column) => {
+        if (column.value !== undefined) {
+            return column.value;
+        }
+        const value = row[column.field];
+        return value === null || value === undefined ? (column.default !== undefined ? column.default : null) : value;
+    };
+
+    return {
+        headers: columns.map(column => column.header),
+        rows: timesheet.data.map(row => columns.map(column => cellValue(row, column)))
+    };
+}
+
+module.exports = {
+    TIMESHEET_FIELDS,
+    getDeviceTimesheet,
+    getTimesheet,
+    getPayrollTemplate,
+    setPayrollTemplate,
+    toTable
+};
@@ -4,9 +4,14 @@
 const axios = require('axios');
 const config = require('../config');
 const { errorTracker, ERROR_STEPS } = require('../utils/errorTracker');
+const requestContext = require('../utils/requestContext');
 const deviceService = require('./deviceService');
 const attendanceService = require('./attendanceService');
-const shiftService = require('./shiftService');
+const exceptionService = require('./exceptionService');
+const ShiftService = require('./shiftService');
+
+// Shift data for webhook payloads
+const shiftService = new ShiftService();
 
 /**
  * Send data to N8N webhook
@@ -44,7 +49,10 @@ async function sendToN8N(data, webhookUrl) {
         
         const response = await axios.post(webhookUrl, payload, {
             timeout: config.API.TIMEOUT,
-            headers: config.API.HEADERS
+            headers: {
+                ...config.API.HEADERS,
+                'X-Request-ID': errorTracker.requestId
+            }
         });
         
         return {
@@ -73,7 +81,7 @@ async function sendToN8N(data, webhookUrl) {
 /**
  * Trigger webhook for a specific device
  * @param {string} prefix - Device prefix
- * @param {string} type - Webhook type ('today', 'todayShift', 'date')
+ * @param {string} type - Webhook type ('today', 'todayShift', 'date', 'exceptions')
  * @param {Object} options - Additional options
  * @returns {Promise<Object>} Webhook trigger result
  */
@@ -114,6 +122,14 @@ async function triggerDeviceWebhook(prefix, type, options = {}) {
                 webhookUrl = options.webhookUrl || config.N8N.WEBHOOKS.TODAY_BM;
                 break;
                 
+            case 'exceptions':
+                if (!options.webhookUrl && !config.N8N.WEBHOOKS.EXCEPTIONS) {
+                    throw errorTracker.setError(ERROR_STEPS.WEBHOOK_SERVICE, 'No webhook URL for exceptions: set N8N_WEBHOOK_EXCEPTIONS or pass webhookUrl');
+                }
+                data = await exceptionService.getDailyExceptions(prefix, options.date || null);
+                webhookUrl = options.webhookUrl || config.N8N.WEBHOOKS.EXCEPTIONS;
+                break;
+                
             default:
                 throw errorTracker.setError(ERROR_STEPS.WEBHOOK_SERVICE, `Invalid webhook type: ${type}`);
         }
@@ -149,8 +165,8 @@ async function triggerDeviceWebhook(prefix, type, options = {}) {
 
 /**
  * Trigger webhook for all devices or by selector
- * @param {string} type - Webhook type ('today', 'todayShift')
- * @param {Object} selector - Device selector (country, deviceIds)
+ * @param {string} type - Webhook type ('today', 'todayShift', 'exceptions')
+ * @param {Object} selector - Device selector (country, deviceIds), passed on as options to each device
  * @returns {Promise<Object>} Fleet webhook result
  */
 async function triggerFleetWebhook(type, selector = {}) {
@@ -204,7 +220,8 @@ async function triggerFleetWebhook(type, selector = {}) {
         // Process each device
         for (const device of devices) {
             try {
-                const deviceResult = await triggerDeviceWebhook(device.id, type, selector);
+                // Each device reports into its own context so one failure never leaks into another
+                const deviceResult = await requestContext.runChild({ devicePrefix: device.id }, () => triggerDeviceWebhook(device.id, type, selector));
                 
                 if (deviceResult.success) {
                     results.devices[device.id] = {
@@ -215,7 +232,7 @@ async function triggerFleetWebhook(type, selector = {}) {
                 } else {
                     results.devices[device.id] = {
                         success: false,
-                        error: deviceResult.error
+                        error: deviceResult.error || deviceResult.failedBecause
                     };
                     results.summary.failedDevices++;
                 }
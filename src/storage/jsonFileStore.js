@@ -0,0 +1,83 @@
+// src/storage/jsonFileStore.js
+// Small persisted JSON document used for state that must survive restarts
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * JSON File Store
+ * Loads a JSON document from the data directory on first access and
+ * writes it back atomically (temp file + rename) on every update.
+ */
+class JsonFileStore {
+    /**
+     * @param {string} fileName - File name relative to the data directory
+     * @param {Function} createDefault - Factory for the initial document when the file does not exist
+     */
+    constructor(fileName, createDefault = () => ({})) {
+        this.filePath = path.join(config.STORAGE.DATA_DIR, fileName);
+        this.createDefault = createDefault;
+        this.data = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Get the current document, loading it from disk on first access
+     * @returns {Object} Document
+     */
+    get() {
+        if (this.data === null) {
+            this.data = this.load();
+        }
+        return this.data;
+    }
+
+    /**
+     * Read the document from disk
+     * @returns {Object} Parsed document or the default document
+     */
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Failed to read ${this.filePath}, starting from defaults`, { error: error.message });
+            }
+            return this.createDefault();
+        }
+    }
+
+    /**
+     * Apply a change to the document and persist it
+     * @param {Function} mutator - Receives the document; may mutate it or return a replacement
+     * @returns {Promise<Object>} Updated document
+     */
+    async update(mutator) {
+        const current = this.get();
+        const result = mutator(current);
+        if (result !== undefined) {
+            this.data = result;
+        }
+        await this.save();
+        return this.data;
+    }
+
+    /**
+     * Write the document to disk, serialized so writes never interleave
+     * @returns {Promise<void>}
+     */
+    save() {
+        const snapshot = JSON.stringify(this.data, null, 2);
+        this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        return this.writeQueue;
+    }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,425 @@
+// src/storage/punchStore.js
+// Persistent append-only store for attendance punches pulled from devices
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const timezone = require('../utils/timezone');
+
+/**
+ * Punch Store
+ * Keeps every attendance record ever pulled from a device in an NDJSON file per device
+ * so history survives device log clears and can be served while a device is offline.
+ * Records are deduplicated on device + userSn + recordTime
+ * (device user ID stands in for userSn on sources without a log sequence).
+ *
+ * recordTime is a UTC instant resolved from the device wall clock in the zone stored
+ * with the record. When a device's timezone changes (or for records stored before
+ * timezones were tracked, which were resolved in the server zone) records are
+ * re-resolved on load so they keep the wall-clock time the device showed.
+ *
+ * Each stored record gets a per-device sequence number (seq) in the order it was stored,
+ * which readers use as a cursor to pick up punches stored since their previous read.
+ */
+class PunchStore {
+    constructor(baseDir = path.join(config.STORAGE.DATA_DIR, config.STORAGE.PUNCH_STORE_DIR)) {
+        this.baseDir = baseDir;
+        this.devices = new Map();     // prefix -> { records, keys, lastIngestedAt, lastSeq, committedSeq }
+        this.loading = new Map();     // prefix -> Promise resolving to device state
+        this.writeQueues = new Map(); // prefix -> Promise chain serializing appends
+    }
+
+    /**
+     * Get the NDJSON file path for a device
+     * @param {string} prefix - Device prefix
+     * @returns {string} File path
+     */
+    getFilePath(prefix) {
+        return path.join(this.baseDir, `${prefix}.ndjson`);
+    }
+
+    /**
+     * Build the deduplication key for a record
+     * @param {string} prefix - Device prefix
+     * @param {Object} record - Attendance record
+     * @returns {string} Dedup key
+     */
+    buildKey(prefix, record) {
+        if (record.userSn === null || record.userSn === undefined) {
+            return `${prefix}|u:${record.deviceUserId}|${record.recordTime}`;
+        }
+        return `${prefix}|${record.userSn}|${record.recordTime}`;
+    }
+
+    /**
+     * Build the stable identity of a punch
+     * Unlike the dedup key it survives re-resolution after a timezone change: it holds the
+     * wall-clock time the device showed rather than the resolved UTC instant.
+     * @param {string} prefix - Device prefix
+     * @param {Object} record - Stored record
+     * @returns {string} Punch ID
+     */
+    buildPunchId(prefix, record) {
+        const wallClock = timezone.getZonedParts(record.recordTime, record.timezone || timezone.SERVER_TIME_ZONE);
+        const time = [wallClock.hour, wallClock.minute, wallClock.second].map(part => String(part).padStart(2, '0')).join(':');
+        const sequence = record.userSn === null || record.userSn === undefined ? '' : record.userSn;
+        return `${prefix}|${sequence}|u:${record.deviceUserId}|${wallClock.dateKey}T${time}`;
+    }
+
+    /**
+     * Get the zone a device's wall clock is resolved in
+     * @param {string} prefix - Device prefix
+     * @returns {string} IANA timezone name
+     */
+    getDeviceTimeZone(prefix) {
+        const device = config.ENV.DEVICES.find(d => d.id === prefix);
+        return timezone.resolveTimeZone(device ? device.timezone : null);
+    }
+
+    /**
+     * Re-resolve a stored record's wall-clock time in another zone
+     * @param {Object} record - Stored record (mutated)
+     * @param {string} zone - Device timezone
+     * @returns {boolean} True when the record changed
+     */
+    resolveInZone(record, zone) {
+        const storedZone = record.timezone || timezone.SERVER_TIME_ZONE;
+        if (storedZone === zone) {
+            if (!record.timezone) {
+                record.timezone = zone;
+                return true;
+            }
+            return false;
+        }
+
+        const wallClock = timezone.getZonedParts(record.recordTime, storedZone);
+        record.recordTime = timezone.zonedTimeToUtc(wallClock, zone).toISOString();
+        record.timezone = zone;
+        return true;
+    }
+
+    /**
+     * Normalize a raw device record into the stored shape
+     * @param {string} prefix - Device prefix
+     * @param {Object} record - Raw (optionally enriched) attendance record
+     * @param {string} ingestedAt - Ingestion timestamp
+     * @returns {Object|null} Stored record or null if the record is unusable
+     */
+    normalizeRecord(prefix, record, ingestedAt) {
+        if (!record || record.recordTime === undefined || record.recordTime === null) {
+            return null;
+        }
+
+        const recordTime = new Date(record.recordTime);
+        if (Number.isNaN(recordTime.getTime())) {
+            return null;
+        }
+
+        const stored = {
+            deviceId: prefix,
+            userSn: record.userSn !== undefined ? record.userSn : null,
+            deviceUserId: record.deviceUserId !== undefined ? String(record.deviceUserId) : null,
+            recordTime: recordTime.toISOString(),
+            timezone: record.timezone || this.getDeviceTimeZone(prefix),
+            ip: record.ip || null,
+            ingestedAt
+        };
+
+        // Sources that record a punch state (check-in, break, overtime) pass it on
+        if (record.punchState) stored.punchState = record.punchState;
+
+        // Keep enrichment captured at pull time
+        if (record.employeeName !== undefined) stored.employeeName = record.employeeName;
+        if (record.employeeRole !== undefined) stored.employeeRole = record.employeeRole;
+        if (record.employeeCardNo !== undefined) stored.employeeCardNo = record.employeeCardNo;
+
+        return stored;
+    }
+
+    /**
+     * Load a device's records from disk (once per process)
+     * @param {string} prefix - Device prefix
+     * @returns {Promise<Object>} Device state
+     */
+    async load(prefix) {
+        if (this.devices.has(prefix)) {
+            return this.devices.get(prefix);
+        }
+
+        if (!this.loading.has(prefix)) {
+            this.loading.set(prefix, this.readFromDisk(prefix).finally(() => {
+                this.loading.delete(prefix);
+            }));
+        }
+
+        return this.loading.get(prefix);
+    }
+
+    /**
+     * Read and index a device's NDJSON file
+     * @param {string} prefix - Device prefix
+     * @returns {Promise<Object>} Device state
+     */
+    async readFromDisk(prefix) {
+        const state = { records: [], keys: new Set(), lastIngestedAt: null, lastSeq: 0, committedSeq: 0 };
+        const filePath = this.getFilePath(prefix);
+        const zone = this.getDeviceTimeZone(prefix);
+
+        // Let pending appends land before reading (matters when a device is reloaded)
+        await (this.writeQueues.get(prefix) || Promise.resolve()).catch(() => {});
+
+        let content = '';
+        try {
+            content = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        let malformed = 0;
+        let resolved = 0;
+        content.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                const record = JSON.parse(line);
+                // Records stored before sequence numbers existed are numbered in file (append) order
+                if (!Number.isInteger(record.seq)) {
+                    record.seq = state.lastSeq + 1;
+                }
+                state.lastSeq = Math.max(state.lastSeq, record.seq);
+                if (this.resolveInZone(record, zone)) {
+                    resolved++;
+                }
+                const key = this.buildKey(prefix, record);
+                if (!state.keys.has(key)) {
+                    state.keys.add(key);
+                    state.records.push(record);
+                }
+                if (!state.lastIngestedAt || record.ingestedAt > state.lastIngestedAt) {
+                    state.lastIngestedAt = record.ingestedAt;
+                }
+            } catch (error) {
+                malformed++;
+            }
+        });
+
+        if (malformed > 0) {
+            logger.warn(`Skipped ${malformed} malformed punch store lines`, { devicePrefix: prefix, filePath });
+        }
+
+        state.records.sort((a, b) => a.recordTime.localeCompare(b.recordTime));
+        state.committedSeq = state.lastSeq;
+        this.devices.set(prefix, state);
+
+        if (resolved > 0) {
+            logger.info(`Re-resolved ${resolved} stored punches in ${zone}`, { devicePrefix: prefix });
+            await this.rewrite(prefix, state.records);
+        }
+
+        logger.debug(`Punch store loaded for ${prefix}`, { devicePrefix: prefix, records: state.records.length });
+
+        return state;
+    }
+
+    /**
+     * Append lines to a device file, serialized per device
+     * @param {string} prefix - Device prefix
+     * @param {Array} records - Records to append
+     * @returns {Promise<void>}
+     */
+    append(prefix, records) {
+        const previous = this.writeQueues.get(prefix) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(this.baseDir, { recursive: true });
+            const lines = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+            await fs.promises.appendFile(this.getFilePath(prefix), lines, 'utf8');
+        });
+        this.writeQueues.set(prefix, next);
+        return next;
+    }
+
+    /**
+     * Replace a device file with the given records, serialized with appends
+     * @param {string} prefix - Device prefix
+     * @param {Array} records - Records to write
+     * @returns {Promise<void>}
+     */
+    rewrite(prefix, records) {
+        const previous = this.writeQueues.get(prefix) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const filePath = this.getFilePath(prefix);
+            const tempPath = `${filePath}.tmp`;
+            const lines = records.map(record => JSON.stringify(record)).join('\n');
+            await fs.promises.mkdir(this.baseDir, { recursive: true });
+            await fs.promises.writeFile(tempPath, lines ? `${lines}\n` : '', 'utf8');
+            await fs.promises.rename(tempPath, filePath);
+        });
+        this.writeQueues.set(prefix, next);
+        return next;
+    }
+
+    /**
+     * Drop a device's in-memory state so the next access reloads it from disk
+     * @param {string} prefix - Device prefix
+     */
+    unload(prefix) {
+        this.devices.delete(prefix);
+    }
+
+    /**
+     * Ingest records pulled from a device, skipping ones already stored
+     * @param {string} prefix - Device prefix
+     * @param {Array} records - Raw attendance records
+     * @returns {Promise<Object>} Ingestion summary
+     */
+    async ingest(prefix, records = []) {
+        const state = await this.load(prefix);
+        const ingestedAt = new Date().toISOString();
+        const newRecords = [];
+        let duplicates = 0;
+        let skipped = 0;
+
+        records.forEach(raw => {
+            const record = this.normalizeRecord(prefix, raw, ingestedAt);
+            if (!record) {
+                skipped++;
+                return;
+            }
+
+            const key = this.buildKey(prefix, record);
+            if (state.keys.has(key)) {
+                duplicates++;
+                return;
+            }
+
+            state.keys.add(key);
+            record.seq = ++state.lastSeq;
+            newRecords.push(record);
+        });
+
+        if (newRecords.length > 0) {
+            try {
+                await this.append(prefix, newRecords);
+            } catch (error) {
+                // Keys are claimed before the write so concurrent ingests skip them; release them so the
+                // punches are stored on the next sync instead of passing as duplicates. Their sequence
+                // numbers are not reused; readers skip the gap.
+                newRecords.forEach(record => state.keys.delete(this.buildKey(prefix, record)));
+                throw error;
+            }
+            // Appends land in the order their sequence numbers were taken, so every lower number
+            // is readable (or was dropped by a failed write) once this batch is
+            state.records.push(...newRecords);
+            state.records.sort((a, b) => a.recordTime.localeCompare(b.recordTime));
+            state.committedSeq = newRecords[newRecords.length - 1].seq;
+            state.lastIngestedAt = ingestedAt;
+        }
+
+        const summary = {
+            deviceId: prefix,
+            received: records.length,
+            inserted: newRecords.length,
+            duplicates,
+            skipped,
+            totalStored: state.records.length,
+            ingestedAt
+        };
+
+        logger.info(`Punch store ingest for ${prefix}`, { devicePrefix: prefix, ...summary });
+
+        return summary;
+    }
+
+    /**
+     * Query stored records for a device
+     * @param {string} prefix - Device prefix
+     * @param {Object} range - Optional { from, to } bounds (Date or ISO string, to is exclusive)
+     * @returns {Promise<Array>} Matching records ordered by recordTime
+     */
+    async query(prefix, range = {}) {
+        const state = await this.load(prefix);
+        const from = range.from ? new Date(range.from).toISOString() : null;
+        const to = range.to ? new Date(range.to).toISOString() : null;
+
+        return state.records.filter(record => {
+            if (from && record.recordTime < from) return false;
+            if (to && record.recordTime >= to) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Get the employees who have punched on a device
+     * @param {string} prefix - Device prefix
+     * @returns {Promise<Array>} [{ deviceUserId, employeeName, lastRecordTime }] ordered by deviceUserId
+     */
+    async getEmployees(prefix) {
+        const state = await this.load(prefix);
+        const employees = new Map();
+
+        // Records are ordered by time, so the last one seen carries the current name
+        state.records.forEach(record => {
+            employees.set(record.deviceUserId, {
+                deviceUserId: record.deviceUserId,
+                employeeName: record.employeeName,
+                lastRecordTime: record.recordTime
+            });
+        });
+
+        return [...employees.values()].sort((a, b) => a.deviceUserId.localeCompare(b.deviceUserId, undefined, { numeric: true }));
+    }
+
+    /**
+     * Read the records stored after a sequence number, in the order they were stored
+     * Only records whose write has landed are returned, and the returned cursor never passes a
+     * punch that is still being written, so resuming from it cannot skip one.
+     * @param {string} prefix - Device prefix
+     * @param {number} afterSeq - Cursor from a previous read (0 for the whole store)
+     * @param {Object} options - Optional { since (only records after this time), limit }
+     * @returns {Promise<Object>} { records, hasMore, cursor }
+     */
+    async readAfter(prefix, afterSeq = 0, options = {}) {
+        const state = await this.load(prefix);
+        const since = options.since ? new Date(options.since).toISOString() : null;
+        const limit = options.limit || Infinity;
+
+        const pending = state.records
+            .filter(record => record.seq > afterSeq && record.seq <= state.committedSeq)
+            .filter(record => !since || record.recordTime > since)
+            .sort((a, b) => a.seq - b.seq);
+        const records = pending.slice(0, limit);
+        const hasMore = records.length < pending.length;
+
+        return {
+            records,
+            hasMore,
+            cursor: hasMore ? records[records.length - 1].seq : Math.max(afterSeq, state.committedSeq)
+        };
+    }
+
+    /**
+     * Get store statistics for a device
+     * @param {string} prefix - Device prefix
+     * @returns {Promise<Object>} Store statistics
+     */
+    async getStats(prefix) {
+        const state = await this.load(prefix);
+        const { records } = state;
+
+        return {
+            deviceId: prefix,
+            totalRecords: records.length,
+            firstRecordTime: records.length > 0 ? records[0].recordTime : null,
+            lastRecordTime: records.length > 0 ? records[records.length - 1].recordTime : null,
+            lastIngestedAt: state.lastIngestedAt,
+            lastSeq: state.committedSeq
+        };
+    }
+}
+
+// Create singleton instance
+const punchStore = new PunchStore();
+
+module.exports = punchStore;
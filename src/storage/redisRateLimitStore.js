@@ -0,0 +1,91 @@
+// src/storage/redisRateLimitStore.js
+// Rate limit counters kept in Redis so every machine behind the load balancer shares one limit
+
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+
+// Pause before reconnecting after the connection drops
+const RECONNECT_DELAY_MS = 5000;
+
+// Sliding window log per identifier, the same algorithm as the in-memory limiter. Runs atomically in Redis and
+// uses the Redis clock so machines with drifting clocks still agree. Returns { count before this request, allowed, oldest, now }.
+const HIT_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local window = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+if count < limit then
+    redis.call('ZADD', KEYS[1], now, ARGV[3])
+    allowed = 1
+end
+redis.call('PEXPIRE', KEYS[1], window)
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+return { count, allowed, tonumber(oldest[2] or now), now }
+`;
+
+/**
+ * Redis Rate Limit Store
+ * Commands are not queued while Redis is unreachable: one that errors or times out rejects,
+ * and the limiter falls back to its in-memory counters.
+ */
+class RedisRateLimitStore {
+    /**
+     * @param {string} url - redis://[user:password@]host[:port][/db] or rediss:// for TLS
+     * @param {Object} options - { keyPrefix, timeoutMs }
+     */
+    constructor(url, options = {}) {
+        const { protocol, hostname } = new URL(url);
+        if (!['redis:', 'rediss:'].includes(protocol)) {
+            throw new Error(`Unsupported Redis URL protocol: ${protocol}`);
+        }
+        this.keyPrefix = options.keyPrefix || 'ratelimit:';
+
+        this.client = new Redis(url, {
+            commandTimeout: options.timeoutMs || 500,
+            enableOfflineQueue: false,
+            maxRetriesPerRequest: 0,
+            retryStrategy: () => RECONNECT_DELAY_MS
+        });
+        this.client.defineCommand('rateLimitHit', { numberOfKeys: 1, lua: HIT_SCRIPT });
+
+        this.client.on('ready', () => logger.info(`Rate limit store connected: ${hostname}`));
+        this.client.on('error', error => logger.warn('Rate limit store unavailable', { host: hostname, error: error.message }));
+    }
+
+    /**
+     * Count a request against an identifier's window
+     * @param {string} identifier - Rate limit identifier
+     * @param {number} limit - Requests per window
+     * @param {number} window - Window in milliseconds
+     * @returns {Promise<Object>} { isAllowed, currentCount, oldest, now } with currentCount taken before this request
+     * and oldest and now read on the Redis clock
+     */
+    async hit(identifier, limit, window) {
+        const member = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        const [currentCount, allowed, oldest, now] = await this.client.rateLimitHit(
+            `${this.keyPrefix}${identifier}`, window, limit, member
+        );
+        return { isAllowed: allowed === 1, currentCount, oldest, now };
+    }
+
+    /**
+     * Forget an identifier's requests
+     * @param {string} identifier - Rate limit identifier
+     * @returns {Promise<boolean>} Whether anything was removed
+     */
+    async reset(identifier) {
+        return (await this.client.del(`${this.keyPrefix}${identifier}`)) > 0;
+    }
+
+    /**
+     * Close the connection
+     */
+    close() {
+        this.client.disconnect();
+    }
+}
+
+module.exports = RedisRateLimitStore;
@@ -1,31 +1,71 @@
-// utils/errorTracker.js - Global error tracking utility
+// utils/errorTracker.js - Request-scoped error tracking utility
+const requestContext = require('./requestContext');
+
+// Error state lives on the active request context (see requestContext.js), so concurrent
+// requests never see each other's failures. Code running outside a request (scheduler,
+// startup) shares one fallback context, as the tracker did before.
 class ErrorTracker {
     constructor() {
-        this.failedAt = null;
-        this.failedBecause = null;
-        this.timestamp = null;
-        this.requestId = null;
+        this.fallbackContext = requestContext.createContext();
+    }
+
+    // Get the context holding the current error state
+    getContext() {
+        return requestContext.getContext() || this.fallbackContext;
+    }
+
+    get failedAt() {
+        const { error } = this.getContext();
+        return error ? error.failedAt : null;
+    }
+
+    get failedBecause() {
+        const { error } = this.getContext();
+        return error ? error.failedBecause : null;
     }
 
-    // Reset error state for new request
+    get timestamp() {
+        const { error } = this.getContext();
+        return error ? error.timestamp : null;
+    }
+
+    get requestId() {
+        return this.getContext().requestId;
+    }
+
+    // Reset error state for new request (inside a request the correlation ID is kept)
     reset(requestId = null) {
-        this.failedAt = null;
-        this.failedBecause = null;
-        this.timestamp = null;
-        this.requestId = requestId || this.generateRequestId();
+        const context = this.getContext();
+        context.error = null;
+        if (requestId) {
+            context.requestId = requestId;
+        } else if (context === this.fallbackContext) {
+            context.requestId = this.generateRequestId();
+        }
     }
 
     // Set error with step and reason
     setError(step, reason, additionalInfo = {}) {
-        this.failedAt = step;
-        this.failedBecause = reason;
-        this.timestamp = new Date().toISOString();
+        const context = this.getContext();
+        context.error = {
+            failedAt: step,
+            failedBecause: reason,
+            timestamp: new Date().toISOString()
+        };
         
-        console.error(`❌ Error at step "${step}": ${reason}`, additionalInfo);
+        const device = context.devicePrefix ? ` [${context.devicePrefix}]` : '';
+        console.error(`❌${device} [${context.requestId}] Error at step "${step}": ${reason}`, additionalInfo);
         
         return this.getErrorResponse();
     }
 
+    // Record a failure caught on the way out of an operation (keeps the first error set for the request)
+    trackError(step, operation, reason) {
+        if (!this.hasError()) {
+            this.setError(step, `${operation}: ${reason}`);
+        }
+    }
+
     // Get formatted error response
     getErrorResponse() {
         return {
@@ -45,7 +85,7 @@ class ErrorTracker {
 
     // Generate unique request ID
     generateRequestId() {
-        return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return requestContext.generateRequestId();
     }
 
     // Get current state
@@ -60,7 +100,7 @@ class ErrorTracker {
     }
 }
 
-// Create singleton instance
+// Create singleton instance (stateless itself; state is per request)
 const errorTracker = new ErrorTracker();
 
 // Define error steps for the complete flow
@@ -101,13 +141,24 @@ const ERROR_STEPS = {
     DEVICE_CONTROLLER: 'deviceController.js - Device Management',
     ATTENDANCE_CONTROLLER: 'attendanceController.js - Attendance Management',
     SHIFT_CONTROLLER: 'shiftController.js - Shift Management',
+    SHIFT_TEMPLATE_CONTROLLER: 'shiftTemplateController.js - Shift Templates and Assignments',
+    HOLIDAY_CONTROLLER: 'holidayController.js - Holiday Calendars',
+    EMPLOYEE_CONTROLLER: 'employeeController.js - Employee Directory',
+    CORRECTION_CONTROLLER: 'correctionController.js - Punch Corrections',
+    REPORT_CONTROLLER: 'reportController.js - Timesheet Reports',
+    API_KEY_CONTROLLER: 'apiKeyController.js - API Keys',
+    CACHE_CONTROLLER: 'cacheController.js - Read Cache',
     WEBHOOK_CONTROLLER: 'webhookController.js - Webhook Management',
     
     // Service layer error steps
     DEVICE_SERVICE: 'deviceService.js - Device Operations',
     ATTENDANCE_SERVICE: 'attendanceService.js - Attendance Operations',
     SHIFT_SERVICE: 'shiftService.js - Shift Operations',
+    EXCEPTION_SERVICE: 'exceptionService.js - Exception Reports',
+    EMPLOYEE_ATTENDANCE_SERVICE: 'employeeAttendanceService.js - Employee Attendance History',
+    TIMESHEET_SERVICE: 'timesheetService.js - Monthly Timesheets',
     WEBHOOK_SERVICE: 'webhookService.js - Webhook Operations',
+    SYNC_SERVICE: 'syncService.js - Device Sync',
     HEALTH_SERVICE: 'healthService.js - Health Monitoring'
 };
 
@@ -2,6 +2,7 @@
 // Structured logging service for better observability
 
 const config = require('../config');
+const requestContext = require('./requestContext');
 
 /**
  * Structured Logger
@@ -37,11 +38,15 @@ class Logger {
      * @param {string} level - Log level
      * @param {string} message - Log message
      * @param {Object} meta - Additional metadata
-     * @param {string} requestId - Request correlation ID
+     * @param {string} requestId - Request correlation ID (defaults to the active request)
      * @returns {Object} Formatted log entry
      */
     formatLog(level, message, meta = {}, requestId = null) {
         const timestamp = new Date().toISOString();
+        const context = requestContext.getContext();
+        if (!requestId && context) {
+            requestId = context.requestId;
+        }
         const logEntry = {
             timestamp,
             level: level.toUpperCase(),
@@ -60,6 +65,8 @@ class Logger {
         // Add device prefix if available
         if (meta.devicePrefix) {
             logEntry.devicePrefix = meta.devicePrefix;
+        } else if (context && context.devicePrefix) {
+            logEntry.devicePrefix = context.devicePrefix;
         }
 
         // Add performance metrics if available
@@ -0,0 +1,90 @@
+// src/utils/requestContext.js
+// Request-scoped context (correlation ID, device, error state) carried through async calls
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Generate a request correlation ID
+ * @returns {string} Request ID
+ */
+function generateRequestId() {
+    return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Create a context object
+ * @param {Object} values - Initial values ({ requestId, devicePrefix, cache })
+ * @returns {Object} Context
+ */
+function createContext(values = {}) {
+    return {
+        requestId: values.requestId || generateRequestId(),
+        devicePrefix: values.devicePrefix || null,
+        // Cache state of the request ({ fresh, lookups }, see cacheMiddleware), shared with child contexts
+        cache: values.cache || null,
+        error: null
+    };
+}
+
+/**
+ * Run a function inside a new context
+ * Everything the function awaits or schedules sees this context.
+ * @param {Object} values - Context values ({ requestId, devicePrefix })
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function run(values, fn) {
+    return storage.run(createContext(values), fn);
+}
+
+/**
+ * Run a function in a child context: same request ID, its own error state
+ * Use when one request fans out to several devices so each branch reports its own failure.
+ * @param {Object} values - Values overriding the parent context (e.g. { devicePrefix })
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function runChild(values, fn) {
+    const parent = storage.getStore();
+    return storage.run(createContext({ ...(parent || {}), ...values }), fn);
+}
+
+/**
+ * Run a function outside any request context
+ * Use for long-lived work started from a request (device listeners) that must not
+ * report into that request.
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function detach(fn) {
+    return storage.exit(fn);
+}
+
+/**
+ * Get the active context
+ * @returns {Object|null} Context, or null outside any request
+ */
+function getContext() {
+    return storage.getStore() || null;
+}
+
+/**
+ * Get the active request ID
+ * @returns {string|null} Request ID, or null outside any request
+ */
+function getRequestId() {
+    const context = storage.getStore();
+    return context ? context.requestId : null;
+}
+
+module.exports = {
+    generateRequestId,
+    createContext,
+    run,
+    runChild,
+    detach,
+    getContext,
+    getRequestId
+};
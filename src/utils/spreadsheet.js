@@ -0,0 +1,249 @@
+// src/utils/spreadsheet.js
+// Tabular exports (CSV and XLSX) built on Node's zlib, without a spreadsheet library
+
+const zlib = require('zlib');
+
+// Text starting with these is run as a formula by spreadsheet tools (names come straight from the devices)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break
+ * Text that a spreadsheet would read as a formula gets a leading ' so it opens as plain text; numbers stay numbers.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build one CSV line
+ * @param {Array} values - Field values
+ * @returns {string} CSV line with its CRLF ending, as spreadsheet tools expect
+ */
+function toCsvRow(values) {
+    return values.map(csvField).join(',') + '\r\n';
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array>} rows - Data rows
+ * @returns {string} CSV text
+ */
+function toCsv(headers, rows) {
+    return [headers, ...rows].map(toCsvRow).join('');
+}
+
+/**
+ * Escape text for XML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Build the XML of one worksheet
+ * @param {Array<string>} headers - Header row (bold)
+ * @param {Array<Array>} rows - Data rows; numbers become numeric cells, everything else text
+ * @returns {string} Worksheet XML
+ */
+function buildSheetXml(headers, rows) {
+    const cell = (value, rowNumber, columnIndex, style) => {
+        const ref = `${columnName(columnIndex)}${rowNumber}`;
+        const styleAttribute = style ? ` s="${style}"` : '';
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${ref}"${styleAttribute}><v>${value}</v></c>`;
+        }
+        return `<c r="${ref}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    };
+
+    const xmlRows = [headers, ...rows].map((row, rowIndex) =>
+        `<row r="${rowIndex + 1}">${row.map((value, columnIndex) => cell(value, rowIndex + 1, columnIndex, rowIndex === 0 ? 1 : 0)).join('')}</row>`);
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${xmlRows.join('')}</sheetData>` +
+        '</worksheet>';
+}
+
+// CRC-32 (IEEE) table for ZIP entries
+const CRC_TABLE = Array.from({ length: 256 }, (unused, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack files into a ZIP archive (deflated entries, no ZIP64)
+ * @param {Array<Object>} files - [{ name, content }] where content is a string or Buffer
+ * @returns {Buffer} ZIP archive
+ */
+function buildZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);    // Local file header signature
+        local.writeUInt16LE(20, 4);            // Version needed (2.0)
+        local.writeUInt16LE(0x0800, 6);        // UTF-8 names
+        local.writeUInt16LE(8, 8);             // Deflate
+        local.writeUInt32LE(0, 10);            // Modification time and date (unset)
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);            // Extra field length
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);  // Central directory header signature
+        central.writeUInt16LE(20, 4);          // Version made by
+        central.writeUInt16LE(20, 6);          // Version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(0, 12);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        // Extra, comment, disk number, internal and external attributes stay zero
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, compressed);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);          // End of central directory signature
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Build an XLSX workbook
+ * @param {Array<Object>} sheets - [{ name, headers, rows }] (names up to 31 characters, unique)
+ * @returns {Buffer} XLSX file
+ */
+function toXlsx(sheets) {
+    const sheetNames = sheets.map(sheet => escapeXml(String(sheet.name).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31)));
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets>${sheetNames.map((name, index) => `<sheet name="${name}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets>` +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            // Style 0 is the default, style 1 the bold header row
+            name: 'xl/styles.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>'
+        },
+        ...sheets.map((sheet, index) => ({
+            name: `xl/worksheets/sheet${index + 1}.xml`,
+            content: buildSheetXml(sheet.headers, sheet.rows)
+        }))
+    ];
+
+    return buildZip(files);
+}
+
+module.exports = {
+    toCsvRow,
+    toCsv,
+    toXlsx
+};
@@ -0,0 +1,257 @@
+// src/utils/timezone.js
+// IANA timezone helpers (wall-clock parts, day boundaries, formatting) built on Intl
+
+// The server's own zone, used for devices without a configured timezone
+const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Intl formatters are expensive to create, so keep one per zone
+const partFormatters = new Map();
+
+/**
+ * Resolve a configured timezone ('local', empty or an IANA name)
+ * @param {string} timeZone - Configured timezone
+ * @returns {string} IANA timezone name
+ */
+function resolveTimeZone(timeZone) {
+    if (!timeZone || timeZone === 'local') {
+        return SERVER_TIME_ZONE;
+    }
+    return timeZone;
+}
+
+/**
+ * Check that a timezone name is a valid IANA zone
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean} True when valid
+ */
+function isValidTimeZone(timeZone) {
+    if (timeZone === 'local') {
+        return true;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - Timezone ('local' or IANA name)
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday), dateKey }
+ */
+function getZonedParts(date, timeZone) {
+    const zone = resolveTimeZone(timeZone);
+    let formatter = partFormatters.get(zone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short'
+        });
+        partFormatters.set(zone, formatter);
+    }
+
+    const parts = {};
+    formatter.formatToParts(new Date(date)).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    const year = parseInt(parts.year, 10);
+    const month = parseInt(parts.month, 10);
+    const day = parseInt(parts.day, 10);
+
+    return {
+        year,
+        month,
+        day,
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+        dateKey: `${parts.year}-${parts.month}-${parts.day}`
+    };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * Wall-clock times skipped by a DST jump resolve forward; repeated ones resolve to the first occurrence.
+ * @param {Object} wallClock - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - Timezone ('local' or IANA name)
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) {
+    const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+
+    // Offset of the zone at a given instant, in milliseconds
+    const offsetAt = (instant) => {
+        const parts = getZonedParts(instant, timeZone);
+        const zonedAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return zonedAsUtc - Math.floor(instant / 1000) * 1000;
+    };
+
+    // Zone offsets can only differ across a transition, so try the offsets in force half a day either side
+    const offsetBefore = offsetAt(wallAsUtc - 12 * 3600000);
+    const offsetAfter = offsetAt(wallAsUtc + 12 * 3600000);
+    const matches = [wallAsUtc - offsetBefore, wallAsUtc - offsetAfter]
+        .filter(candidate => offsetAt(candidate) === wallAsUtc - candidate);
+
+    // No match: the wall-clock time falls in a DST gap, so keep the earlier offset (moves the time forward)
+    const instant = matches.length > 0 ? Math.min(...matches) : wallAsUtc - offsetBefore;
+
+    return new Date(instant);
+}
+
+/**
+ * Reinterpret a Date built from a device's wall clock in server-local time as an instant in the device timezone
+ * (ZK terminals and CSV exports record local wall-clock time without an offset)
+ * @param {Date} date - Date whose server-local parts are the device wall clock
+ * @param {string} timeZone - Device timezone ('local' or IANA name)
+ * @returns {Date} Instant
+ */
+function deviceWallClockToUtc(date, timeZone) {
+    if (resolveTimeZone(timeZone) === SERVER_TIME_ZONE) {
+        return new Date(date);
+    }
+    const local = new Date(date);
+    return zonedTimeToUtc({
+        year: local.getFullYear(),
+        month: local.getMonth() + 1,
+        day: local.getDate(),
+        hour: local.getHours(),
+        minute: local.getMinutes(),
+        second: local.getSeconds(),
+        millisecond: local.getMilliseconds()
+    }, timeZone);
+}
+
+/**
+ * Get the calendar date (YYYY-MM-DD) of an instant in a timezone
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - Timezone ('local' or IANA name)
+ * @returns {string} Date key
+ */
+function getDateKey(date, timeZone) {
+    return getZonedParts(date, timeZone).dateKey;
+}
+
+/**
+ * Check that a value is a real calendar date in YYYY-MM-DD form
+ * Date parsing rolls impossible dates over (2025-02-30 becomes March 2nd), so the date
+ * has to come back unchanged from a round trip.
+ * @param {string} value - Value to check
+ * @returns {boolean} True for a valid date key
+ */
+function isDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && addDays(value, 0) === value;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateKey - Date key
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date key
+ */
+function addDays(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the day of the week of a YYYY-MM-DD date
+ * @param {string} dateKey - Date key
+ * @returns {number} Weekday (0 = Sunday ... 6 = Saturday)
+ */
+function getWeekday(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Count calendar days from one YYYY-MM-DD date to another
+ * @param {string} fromKey - Start date key
+ * @param {string} toKey - End date key
+ * @returns {number} Days (negative when toKey is earlier)
+ */
+function daysBetween(fromKey, toKey) {
+    const toUtc = (dateKey) => {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUtc(toKey) - toUtc(fromKey)) / 86400000);
+}
+
+/**
+ * Get the instant a calendar day starts in a timezone
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {string} timeZone - Timezone ('local' or IANA name)
+ * @returns {Date} Start of day
+ */
+function startOfDay(dateKey, timeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return zonedTimeToUtc({ year, month, day }, timeZone);
+}
+
+/**
+ * Get the bounds of a calendar day in a timezone (23 or 25 hours long on DST changes)
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {string} timeZone - Timezone ('local' or IANA name)
+ * @returns {Object} { from, to } where to is exclusive
+ */
+function getDayBounds(dateKey, timeZone) {
+    return {
+        from: startOfDay(dateKey, timeZone),
+        to: startOfDay(addDays(dateKey, 1), timeZone)
+    };
+}
+
+/**
+ * Format an instant in a timezone
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - Timezone ('local' or IANA name)
+ * @returns {Object} { date, dateTime, time, offset } as shown on the device
+ */
+function formatInTimeZone(date, timeZone) {
+    const zone = resolveTimeZone(timeZone);
+    const dt = new Date(date);
+    const offsetName = new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'shortOffset' })
+        .formatToParts(dt)
+        .find(part => part.type === 'timeZoneName');
+
+    return {
+        date: dt.toLocaleDateString('en-US', { timeZone: zone }),
+        dateTime: dt.toLocaleString('en-US', { timeZone: zone }),
+        time: dt.toLocaleTimeString('en-US', {
+            timeZone: zone,
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: true
+        }),
+        offset: offsetName ? offsetName.value : null
+    };
+}
+
+module.exports = {
+    SERVER_TIME_ZONE,
+    resolveTimeZone,
+    isValidTimeZone,
+    getZonedParts,
+    zonedTimeToUtc,
+    deviceWallClockToUtc,
+    getDateKey,
+    isDateKey,
+    addDays,
+    getWeekday,
+    daysBetween,
+    startOfDay,
+    getDayBounds,
+    formatInTimeZone
+};
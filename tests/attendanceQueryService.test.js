@@ -0,0 +1,59 @@
+// tests/attendanceQueryService.test.js
+// Filters, field selection and cursor paging of attendance listings
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { configure } = require('./helpers/testEnv');
+
+configure();
+const attendanceQueryService = require('../src/services/attendanceQueryService');
+
+const RECORDS = [
+    { deviceId: 'pk01', userSn: 1, deviceUserId: '1', recordTime: '2026-10-19T04:00:00.000Z', punchState: 'checkIn', employeeName: 'Ahmed Raza' },
+    { deviceId: 'pk01', userSn: 2, deviceUserId: '2', recordTime: '2026-10-19T04:05:00.000Z', punchState: 'checkIn', employeeName: 'Sana Malik' },
+    { deviceId: 'pk01', userSn: 3, deviceUserId: '1', recordTime: '2026-10-19T08:00:00.000Z', punchState: 'breakOut', employeeName: 'Ahmed Raza' },
+    { deviceId: 'pk01', userSn: 4, deviceUserId: '1', recordTime: '2026-10-19T13:00:00.000Z', punchState: 'checkOut', employeeName: 'Ahmed Raza' },
+    { deviceId: 'pk01', userSn: null, deviceUserId: '2', recordTime: '2026-10-19T13:10:00.000Z', employeeName: 'Sana Malik',
+        correction: { id: 'c1', action: 'add' } }
+];
+
+/**
+ * Run a query over the sample records
+ * @param {Object} query - Request query
+ * @returns {Object} applyQuery result
+ */
+function run(query) {
+    return attendanceQueryService.applyQuery(RECORDS, attendanceQueryService.parseQuery(query));
+}
+
+test('punches are filtered by the state recorded on the terminal, by name or device code', () => {
+    assert.deepEqual(run({ state: 'checkOut' }).records.map(record => record.userSn), [4]);
+    assert.deepEqual(run({ state: 'checkin,2' }).records.map(record => record.userSn), [1, 2, 3]);
+
+    assert.throws(() => attendanceQueryService.parseQuery({ state: 'lunch' }), { failedBecause: /state must list punch states/ });
+    assert.throws(() => attendanceQueryService.parseQuery({ state: '6' }), { failedBecause: /state must list punch states/ });
+});
+
+test('punches are filtered by origin, so corrections can be told apart from device punches', () => {
+    assert.deepEqual(run({ origin: 'add' }).records.map(record => record.deviceUserId), ['2']);
+    assert.equal(run({ origin: 'device' }).records.length, 4);
+    assert.throws(() => attendanceQueryService.parseQuery({ origin: 'manual' }), { failedBecause: /origin must be one of/ });
+});
+
+test('field selection trims the records and is reported in the page', () => {
+    const result = run({ fields: 'recordTime,punchState', name: 'ahmed' });
+    assert.deepEqual(result.page.fields, ['recordTime', 'punchState']);
+    assert.deepEqual(result.records[0], { recordTime: '2026-10-19T04:00:00.000Z', punchState: 'checkIn' });
+    assert.equal(result.page.matched, 3);
+});
+
+test('a cursor resumes after the last record of the previous page', () => {
+    const first = run({ limit: 2, sort: '-recordTime' });
+    assert.deepEqual(first.records.map(record => record.recordTime), ['2026-10-19T13:10:00.000Z', '2026-10-19T13:00:00.000Z']);
+    assert.equal(first.page.hasMore, true);
+
+    const second = run({ limit: 2, sort: '-recordTime', cursor: first.page.nextCursor });
+    assert.deepEqual(second.records.map(record => record.userSn), [3, 2]);
+
+    assert.throws(() => attendanceQueryService.parseQuery({ sort: 'recordTime', cursor: first.page.nextCursor }), { failedBecause: /different sort order/ });
+});
@@ -0,0 +1,19 @@
+// tests/attendanceService.test.js
+// Date validation of the date and range attendance reads
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { configure } = require('./helpers/testEnv');
+
+configure();
+const attendanceService = require('../src/services/attendanceService');
+
+test('dates that do not exist are rejected instead of rolling over', async () => {
+    const byDate = await attendanceService.getByDate('pk01', '2025-13-45');
+    assert.equal(byDate.success, false);
+    assert.match(byDate.failedBecause, /Invalid date format/);
+
+    const byRange = await attendanceService.getByRange('pk01', '2025-02-01', '2025-02-30');
+    assert.equal(byRange.success, false);
+    assert.match(byRange.failedBecause, /Invalid date format/);
+});
@@ -0,0 +1,51 @@
+// tests/exportMiddleware.test.js
+// CSV export columns of attendance listings
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { configure } = require('./helpers/testEnv');
+
+configure();
+const { sendAttendance } = require('../src/middleware/exportMiddleware');
+
+const RECORD = {
+    deviceId: 'pk01', userSn: 7, deviceUserId: '3', recordTime: '2026-10-19T13:00:00.000Z', timezone: 'Asia/Karachi',
+    punchState: 'checkOut', employeeName: 'Bilal Khan'
+};
+
+/**
+ * Export a response as CSV
+ * @param {Object} result - Controller response
+ * @returns {Promise<Array<string>>} CSV lines
+ */
+async function exportCsv(result) {
+    const res = new PassThrough();
+    res.setHeader = () => {};
+    let text = '';
+    res.on('data', chunk => {
+        text += chunk;
+    });
+    const done = new Promise(resolve => res.on('end', resolve));
+
+    sendAttendance({ exportFormat: 'csv', path: '/pk01/attendance' }, res, result, 'pk01-attendance');
+    await done;
+    return text.trim().split(/\r?\n/);
+}
+
+test('exports carry every attendance column without field selection', async () => {
+    const [header, row] = await exportCsv({ success: true, data: { data: [RECORD] }, page: null });
+    assert.ok(header.startsWith('deviceId,userSn,deviceUserId'));
+    assert.ok(header.includes('localTime,punchState,timezone'));
+    assert.ok(row.includes('2026-10-19 18:00:00,checkOut,Asia/Karachi'));
+});
+
+test('exports follow the selected fields and their order', async () => {
+    const trimmed = { punchState: RECORD.punchState, deviceUserId: RECORD.deviceUserId, recordTime: RECORD.recordTime };
+    const lines = await exportCsv({
+        success: true,
+        data: { data: [trimmed] },
+        page: { fields: ['punchState', 'deviceUserId', 'recordTime'] }
+    });
+    assert.deepEqual(lines, ['punchState,deviceUserId,recordTime', 'checkOut,3,2026-10-19T13:00:00.000Z']);
+});
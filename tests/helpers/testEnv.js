@@ -0,0 +1,50 @@
+// tests/helpers/testEnv.js
+// Test environment: a throwaway data directory and device pk01 pointed at a local ZK simulator
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ZKSimulator } = require('../../src/devices/zk/simulator/zkSimulator');
+
+const FIXTURE = path.join(__dirname, '../../src/devices/zk/simulator/fixtures/default.json');
+
+/**
+ * Point the configuration at a fresh data directory and a simulator port
+ * Must run before anything under src/ is required, as the configuration is read once on load.
+ * @param {Object} options - { port (simulator port for pk01), env (extra environment variables) }
+ * @returns {string} Data directory (removed on exit)
+ */
+function configure({ port, env = {} } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-test-'));
+    process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    Object.assign(process.env, {
+        API_HOST: '127.0.0.1',
+        API_PORT: '3999',
+        DATA_DIR: dataDir,
+        LOG_LEVEL: 'error',
+        PK01_IP: '127.0.0.1',
+        PK01_PORT: String(port || 4370),
+        PK01_TIMEOUT: '2000'
+    }, env);
+
+    return dataDir;
+}
+
+/**
+ * Start a TCP simulator seeded with the default fixture
+ * @param {number} port - Port to listen on
+ * @param {Object} options - Extra ZKSimulator options
+ * @returns {Promise<ZKSimulator>} Started simulator
+ */
+async function startSimulator(port, options = {}) {
+    const simulator = new ZKSimulator({ port, transport: 'tcp', fixture: FIXTURE, quiet: true, ...options });
+    await simulator.start();
+    return simulator;
+}
+
+module.exports = {
+    FIXTURE,
+    configure,
+    startSimulator
+};
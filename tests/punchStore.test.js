@@ -0,0 +1,141 @@
+// tests/punchStore.test.js
+// Punch store deduplication, write failures and the stored-order cursor
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { configure } = require('./helpers/testEnv');
+
+const dataDir = configure();
+const punchStore = require('../src/storage/punchStore');
+const PunchStore = punchStore.constructor;
+
+let storeCount = 0;
+
+/**
+ * Create a store in its own directory
+ * @returns {PunchStore} Empty store
+ */
+function createStore() {
+    storeCount++;
+    return new PunchStore(path.join(dataDir, `punches-${storeCount}`));
+}
+
+/**
+ * Build a raw device record
+ * @param {number} userSn - Device log sequence
+ * @param {string} deviceUserId - Device user ID
+ * @param {string} recordTime - ISO timestamp
+ * @returns {Object} Record as pulled from a device
+ */
+function punch(userSn, deviceUserId, recordTime) {
+    return { userSn, deviceUserId, recordTime: new Date(recordTime), ip: '127.0.0.1' };
+}
+
+test('skips records already stored, within a batch, across batches and after a reload', async () => {
+    const store = createStore();
+    const first = punch(1, '1', '2026-10-19T04:00:00Z');
+    const second = punch(2, '2', '2026-10-19T04:05:00Z');
+
+    const initial = await store.ingest('pk01', [first, second, first]);
+    assert.equal(initial.inserted, 2);
+    assert.equal(initial.duplicates, 1);
+
+    const repeat = await store.ingest('pk01', [first, second, punch(3, '1', '2026-10-19T12:00:00Z')]);
+    assert.equal(repeat.inserted, 1);
+    assert.equal(repeat.duplicates, 2);
+
+    const reloaded = new PunchStore(store.baseDir);
+    const afterReload = await reloaded.ingest('pk01', [first, second]);
+    assert.equal(afterReload.inserted, 0);
+    assert.equal((await reloaded.query('pk01')).length, 3);
+
+    const lines = fs.readFileSync(store.getFilePath('pk01'), 'utf8').trim().split('\n');
+    assert.equal(lines.length, 3);
+});
+
+test('a failed write stores nothing and lets the next ingest store the punches', async () => {
+    const store = createStore();
+    const records = [punch(1, '1', '2026-10-19T04:00:00Z'), punch(2, '2', '2026-10-19T04:05:00Z')];
+
+    const append = store.append;
+    store.append = () => Promise.reject(new Error('disk full'));
+    await assert.rejects(store.ingest('pk01', records), /disk full/);
+    store.append = append;
+
+    assert.equal((await store.query('pk01')).length, 0);
+
+    const retry = await store.ingest('pk01', records);
+    assert.equal(retry.inserted, 2);
+    assert.equal(retry.duplicates, 0);
+    assert.equal((await store.query('pk01')).length, 2);
+});
+
+test('readAfter resumes from a cursor and delivers late punches pulled after it', async () => {
+    const store = createStore();
+    await store.ingest('pk01', [punch(1, '1', '2026-10-19T04:00:00Z'), punch(2, '2', '2026-10-19T04:05:00Z')]);
+
+    const first = await store.readAfter('pk01', 0);
+    assert.deepEqual(first.records.map(record => record.userSn), [1, 2]);
+    assert.equal(first.hasMore, false);
+
+    // A punch older than everything already read, e.g. from a device that was offline
+    await store.ingest('pk01', [punch(3, '3', '2026-10-19T03:00:00Z')]);
+
+    const next = await store.readAfter('pk01', first.cursor);
+    assert.deepEqual(next.records.map(record => record.deviceUserId), ['3']);
+
+    // Reading moves nothing: a second reader holding the same cursor gets the same punch
+    const again = await store.readAfter('pk01', first.cursor);
+    assert.deepEqual(again.records.map(record => record.deviceUserId), ['3']);
+
+    const paged = await store.readAfter('pk01', 0, { limit: 2 });
+    assert.equal(paged.hasMore, true);
+    const rest = await store.readAfter('pk01', paged.cursor, { limit: 2 });
+    assert.deepEqual(rest.records.map(record => record.deviceUserId), ['3']);
+    assert.equal(rest.hasMore, false);
+});
+
+test('readAfter does not move the cursor past a punch that is still being written', async () => {
+    const store = createStore();
+    await store.ingest('pk01', [punch(1, '1', '2026-10-19T04:00:00Z')]);
+    const { cursor } = await store.readAfter('pk01', 0);
+
+    const append = store.append.bind(store);
+    let release;
+    const gate = new Promise(resolve => {
+        release = resolve;
+    });
+    store.append = (prefix, records) => gate.then(() => append(prefix, records));
+
+    const slowIngest = store.ingest('pk01', [punch(2, '2', '2026-10-19T04:10:00Z')]);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const during = await store.readAfter('pk01', cursor);
+    assert.equal(during.records.length, 0);
+    assert.equal(during.cursor, cursor);
+
+    release();
+    await slowIngest;
+
+    const after = await store.readAfter('pk01', during.cursor);
+    assert.deepEqual(after.records.map(record => record.deviceUserId), ['2']);
+});
+
+test('records stored without sequence numbers are numbered in file order', async () => {
+    const store = createStore();
+    fs.mkdirSync(store.baseDir, { recursive: true });
+    const legacy = [
+        { deviceId: 'pk01', userSn: 2, deviceUserId: '2', recordTime: '2026-10-19T05:00:00.000Z', ip: null, ingestedAt: '2026-10-19T06:00:00.000Z' },
+        { deviceId: 'pk01', userSn: 1, deviceUserId: '1', recordTime: '2026-10-19T04:00:00.000Z', ip: null, ingestedAt: '2026-10-19T06:00:00.000Z' }
+    ];
+    fs.writeFileSync(store.getFilePath('pk01'), legacy.map(record => JSON.stringify(record)).join('\n') + '\n');
+
+    const { records } = await store.readAfter('pk01', 0);
+    assert.deepEqual(records.map(record => [record.deviceUserId, record.seq]), [['2', 1], ['1', 2]]);
+
+    await store.ingest('pk01', [punch(3, '3', '2026-10-19T07:00:00Z')]);
+    const next = await store.readAfter('pk01', 2);
+    assert.deepEqual(next.records.map(record => [record.deviceUserId, record.seq]), [['3', 3]]);
+});
@@ -0,0 +1,118 @@
+// tests/shiftService.test.js
+// Expected shift resolution across weekends, rotating rosters and holidays
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { configure } = require('./helpers/testEnv');
+
+// pk01 has its own weekend, uk01 its country's, us01 none configured
+configure({
+    env: {
+        PK01_TIMEZONE: 'Asia/Karachi',
+        PK01_WEEKEND_DAYS: '5',
+        UK01_IP: '127.0.0.1',
+        UK01_PORT: '4370',
+        UK01_TIMEZONE: 'Europe/London',
+        WEEKEND_DAYS_UK: '6,0',
+        US01_IP: '127.0.0.1',
+        US01_PORT: '4370',
+        US01_TIMEZONE: 'America/New_York'
+    }
+});
+const shiftTemplateService = require('../src/services/shiftTemplateService');
+const holidayService = require('../src/services/holidayService');
+const rosterService = require('../src/services/rosterService');
+
+const FRIDAY = '2026-10-23';
+const SATURDAY = '2026-10-24';
+const MONDAY = '2026-10-26';
+
+/**
+ * Resolve the shift an employee is expected to work
+ * @param {string} prefix - Device prefix
+ * @param {string} deviceUserId - Device user ID
+ * @param {string} date - Shift date (YYYY-MM-DD)
+ * @returns {Object} Resolved shift
+ */
+function expectedShift(prefix, deviceUserId, date) {
+    return rosterService.getExpectedShift(prefix, { deviceUserId, employeeId: null }, date).shift;
+}
+
+before(async () => {
+    await shiftTemplateService.createTemplate({
+        id: 'day',
+        name: 'Day',
+        startHour: 9,
+        endHour: 17,
+        checkInBufferStart: 6,
+        checkInBufferEnd: 13,
+        checkOutBufferStart: 13,
+        checkOutBufferEnd: 23
+    });
+    // Two days on, one off, starting on Monday 2026-10-19
+    await shiftTemplateService.createRoster({ id: '2on-1off', name: '2 on / 1 off', anchorDate: '2026-10-19', cycle: ['day', 'day', null] });
+    await shiftTemplateService.createAssignment({ devicePrefix: 'pk01', deviceUserId: '7', rosterId: '2on-1off', effectiveFrom: '2026-10-19' });
+    await shiftTemplateService.createAssignment({ devicePrefix: 'pk01', deviceUserId: '8', templateId: 'day', effectiveFrom: '2026-10-19' });
+});
+
+test('without a configured weekend every day is a working day', () => {
+    [FRIDAY, SATURDAY, '2026-10-25'].forEach(date => {
+        const shift = expectedShift('us01', '1', date);
+        assert.equal(shift.offDay, false, date);
+        assert.equal(shift.source, 'device');
+    });
+});
+
+test('device and country weekends make the device default shift an off day', () => {
+    assert.equal(expectedShift('pk01', '1', FRIDAY).offDay, true);
+    assert.equal(expectedShift('pk01', '1', SATURDAY).offDay, false);
+
+    assert.equal(expectedShift('uk01', '1', SATURDAY).offDay, true);
+    assert.equal(expectedShift('uk01', '1', FRIDAY).offDay, false);
+    assert.equal(expectedShift('uk01', '1', MONDAY).offDay, false);
+});
+
+test('employees assigned a plain template follow the device weekend', () => {
+    const friday = expectedShift('pk01', '8', FRIDAY);
+    assert.equal(friday.source, 'assignment');
+    assert.equal(friday.offDay, true);
+    assert.equal(expectedShift('pk01', '8', MONDAY).offDay, false);
+});
+
+test('rosters decide off days themselves and override the weekend', () => {
+    // Cycle days from the anchor: 19 on, 20 on, 21 off, 22 on, 23 on (a Friday), 24 off
+    const cycle = ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', FRIDAY, SATURDAY]
+        .map(date => expectedShift('pk01', '7', date));
+
+    assert.deepEqual(cycle.map(shift => shift.offDay), [false, false, true, false, false, true]);
+    assert.deepEqual(cycle.map(shift => shift.cycleDay), [1, 2, 3, 1, 2, 3]);
+    assert.equal(cycle[4].source, 'roster');
+    assert.equal(cycle[4].templateId, 'day');
+
+    // Before the assignment starts the device default (and its weekend) applies
+    const beforeRoster = expectedShift('pk01', '7', '2026-10-16');
+    assert.equal(beforeRoster.source, 'device');
+    assert.equal(beforeRoster.offDay, true);
+});
+
+test('holidays are off days for everyone in the country, rosters included', async () => {
+    await holidayService.createHoliday({ country: 'PK', date: '2026-10-27', endDate: '2026-10-28', name: 'Test Holiday' });
+
+    const deviceDefault = expectedShift('pk01', '1', '2026-10-27');
+    assert.equal(deviceDefault.offDay, true);
+    assert.equal(deviceDefault.holiday.name, 'Test Holiday');
+
+    // 2026-10-28 is a working day of the roster cycle
+    const rostered = expectedShift('pk01', '7', '2026-10-28');
+    assert.equal(rostered.offDay, true);
+    assert.ok(rostered.holiday);
+
+    // The shift starting the evening before is a normal working shift
+    assert.equal(expectedShift('pk01', '1', MONDAY).holiday, null);
+    assert.equal(expectedShift('uk01', '1', '2026-10-27').offDay, false);
+});
+
+test('holidays on dates that do not exist are rejected', async () => {
+    await assert.rejects(holidayService.createHoliday({ country: 'PK', date: '2026-02-30', name: 'Nowhere' }), /date must be a date/);
+    await assert.rejects(holidayService.createHoliday({ country: 'PK', date: '2026-10-01', endDate: '2026-10-32', name: 'Nowhere' }), /endDate/);
+});
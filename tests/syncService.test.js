@@ -0,0 +1,117 @@
+// tests/syncService.test.js
+// Device sync against the ZK simulator: watermarks, log clears and the new-punch cursor
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { configure, startSimulator } = require('./helpers/testEnv');
+
+const PORT = 24371;
+configure({ port: PORT });
+const syncService = require('../src/services/syncService');
+
+let simulator;
+
+before(async () => {
+    simulator = await startSimulator(PORT);
+});
+
+after(async () => {
+    await simulator.stop();
+});
+
+/**
+ * Add punches to the simulator log
+ * @param {number} count - Number of punches
+ * @param {string} start - ISO timestamp of the first punch (one minute apart)
+ */
+function addPunches(count, start) {
+    for (let i = 0; i < count; i++) {
+        simulator.appendAttendance(String((i % 5) + 1), new Date(new Date(start).getTime() + i * 60000));
+    }
+}
+
+test('the first sync takes the whole log and later syncs only what is past the watermark', async () => {
+    const initial = simulator.getState();
+
+    const first = await syncService.syncDevice('pk01');
+    assert.equal(first.success, true);
+    assert.equal(first.newRecordCount, initial.attendanceCount);
+    assert.equal(first.watermark.after.userSn, initial.lastUserSn);
+
+    const unchanged = await syncService.syncDevice('pk01');
+    assert.equal(unchanged.newRecordCount, 0);
+    assert.equal(unchanged.ingest.inserted, 0);
+
+    addPunches(2, '2026-10-19T04:00:00Z');
+    const next = await syncService.syncDevice('pk01');
+    assert.equal(next.newRecordCount, 2);
+    assert.deepEqual(next.newRecords.map(record => record.userSn), [initial.lastUserSn + 1, initial.lastUserSn + 2]);
+    assert.equal(next.watermark.after.userSn, initial.lastUserSn + 2);
+});
+
+test('a cleared device log is detected and syncing continues from the last punch time', async () => {
+    const previous = (await syncService.getSyncState('pk01')).watermark;
+
+    simulator.clearAttendances();
+    addPunches(12, '2026-10-20T04:00:00Z');
+
+    const result = await syncService.syncDevice('pk01');
+    assert.equal(result.logCleared, true);
+    assert.equal(result.newRecordCount, 12);
+    assert.equal(result.ingest.inserted, 12);
+    assert.ok(result.watermark.after.recordTime > previous.recordTime);
+
+    const state = await syncService.getSyncState('pk01');
+    assert.equal(state.logClearsDetected, 1);
+    assert.equal(state.watermark.userSn, 12);
+});
+
+test('new punches are tracked by a client-held cursor, so readers do not take punches from each other', async () => {
+    const everything = await syncService.getNewPunches('pk01', { limit: 5000 });
+    assert.equal(everything.success, true);
+    assert.equal(everything.summary.hasMore, false);
+    const cursor = everything.summary.nextCursor;
+
+    addPunches(1, '2026-10-21T04:00:00Z');
+
+    const firstReader = await syncService.getNewPunches('pk01', { cursor });
+    const secondReader = await syncService.getNewPunches('pk01', { cursor });
+    assert.equal(firstReader.summary.recordCount, 1);
+    assert.equal(secondReader.summary.recordCount, 1);
+    assert.equal(firstReader.summary.nextCursor, secondReader.summary.nextCursor);
+
+    const caughtUp = await syncService.getNewPunches('pk01', { cursor: firstReader.summary.nextCursor });
+    assert.equal(caughtUp.summary.recordCount, 0);
+
+    const invalid = await syncService.getNewPunches('pk01', { cursor: 'abc' });
+    assert.equal(invalid.success, false);
+});
+
+test('new punches are served from the store while the device is unreachable', async () => {
+    const all = await syncService.getNewPunches('pk01', { limit: 5000 });
+
+    await simulator.setFaults({ refuse: true });
+    try {
+        const offline = await syncService.getNewPunches('pk01', { limit: 5000 });
+        assert.equal(offline.success, true);
+        assert.equal(offline.data.source, 'store');
+        assert.equal(offline.summary.recordCount, all.summary.recordCount);
+
+        const state = await syncService.getSyncState('pk01');
+        assert.equal(state.lastStatus, 'failed');
+    } finally {
+        await simulator.setFaults({ refuse: false });
+    }
+});
+
+test('the punch state picked on the terminal is kept with each punch', async () => {
+    simulator.appendAttendance('2', new Date('2026-10-22T04:00:00Z'), 1);
+    simulator.appendAttendance('2', new Date('2026-10-22T05:00:00Z'), 2);
+
+    const result = await syncService.syncDevice('pk01');
+    assert.equal(result.success, true);
+    assert.deepEqual(result.newRecords.map(record => record.punchState), ['checkOut', 'breakOut']);
+
+    const stored = (await syncService.getNewPunches('pk01', { limit: 5000 })).data.data.slice(-2);
+    assert.deepEqual(stored.map(record => record.punchState), ['checkOut', 'breakOut']);
+});
@@ -0,0 +1,51 @@
+// tests/timezone.test.js
+// Wall-clock conversion across DST changes and calendar-date validation
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const timezone = require('../src/utils/timezone');
+
+test('wall-clock times convert with the offset in force on that day', () => {
+    const winter = timezone.zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9 }, 'America/New_York');
+    const summer = timezone.zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9 }, 'America/New_York');
+    assert.equal(winter.toISOString(), '2026-01-15T14:00:00.000Z');
+    assert.equal(summer.toISOString(), '2026-07-15T13:00:00.000Z');
+
+    const karachi = timezone.zonedTimeToUtc({ year: 2026, month: 10, day: 19, hour: 18, minute: 5 }, 'Asia/Karachi');
+    assert.equal(karachi.toISOString(), '2026-10-19T13:05:00.000Z');
+});
+
+test('times skipped by a spring-forward jump resolve forward', () => {
+    // New York clocks jump from 02:00 to 03:00 on 2026-03-08
+    const skipped = timezone.zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York');
+    assert.equal(skipped.toISOString(), '2026-03-08T07:30:00.000Z');
+    assert.equal(timezone.getZonedParts(skipped, 'America/New_York').hour, 3);
+});
+
+test('times repeated by a fall-back change resolve to the first occurrence', () => {
+    // London clocks go back from 02:00 BST to 01:00 GMT on 2026-10-25
+    const repeated = timezone.zonedTimeToUtc({ year: 2026, month: 10, day: 25, hour: 1, minute: 30 }, 'Europe/London');
+    assert.equal(repeated.toISOString(), '2026-10-25T00:30:00.000Z');
+});
+
+test('days are 23 or 25 hours long across DST changes', () => {
+    const hours = ({ from, to }) => (to - from) / 3600000;
+    assert.equal(hours(timezone.getDayBounds('2026-03-08', 'America/New_York')), 23);
+    assert.equal(hours(timezone.getDayBounds('2026-11-01', 'America/New_York')), 25);
+    assert.equal(hours(timezone.getDayBounds('2026-10-25', 'Europe/London')), 25);
+    assert.equal(hours(timezone.getDayBounds('2026-10-25', 'Asia/Karachi')), 24);
+    assert.equal(timezone.getDayBounds('2026-03-08', 'America/New_York').from.toISOString(), '2026-03-08T05:00:00.000Z');
+});
+
+test('device wall-clock times are read in the device zone whatever the server zone', () => {
+    // node-zklib builds dates from the device clock in server-local time
+    const wallClock = new Date(2026, 6, 15, 9, 0, 0);
+    assert.equal(timezone.deviceWallClockToUtc(wallClock, 'America/New_York').toISOString(), '2026-07-15T13:00:00.000Z');
+    assert.equal(timezone.deviceWallClockToUtc(wallClock, 'Asia/Karachi').toISOString(), '2026-07-15T04:00:00.000Z');
+});
+
+test('isDateKey accepts real calendar dates only', () => {
+    ['2026-10-19', '2024-02-29', '2026-12-31'].forEach(value => assert.equal(timezone.isDateKey(value), true, value));
+    ['2025-13-45', '2025-02-30', '2026-02-29', '2026-04-31', '2026-00-10', '2026-1-5', '20261019', '', null, undefined, 20261019]
+        .forEach(value => assert.equal(timezone.isDateKey(value), false, String(value)));
+});